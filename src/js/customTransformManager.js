@@ -0,0 +1,305 @@
+/**
+ * Custom Transform Management Module
+ *
+ * This module manages the frontend logic for uploading, renaming and removing
+ * user-provided Python and JavaScript transforms. It coordinates with the backend API
+ * (customTransform.ts + api.ts) to keep the list of available transforms
+ * synchronized with the server.
+ *
+ * Key Features:
+ * - Keeps any number of named transforms uploaded at the same time
+ * - Offers each transform only for the node types its manifest accepts
+ * - Asks for the parameters declared in the manifest before each run
+ * - Upload, rename and delete transforms from the Tools menu
+ * - Notifies the context menu when the list of transforms changes
+ * - Loads existing transforms from the backend on startup
+ *
+ * Security Note:
+ * - Frontend only manages UI state
+ * - Backend is responsible for safely executing Python and JavaScript
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import { setStatusMessage } from "./setStatusMessageHandler.js";
+import { showParamsDialog } from "./utils/paramsDialog.js";
+
+/**
+ * Custom Transform State
+ *
+ * - customTransforms: Transforms currently uploaded on the server ({id, name, ...})
+ * - onTransformsChanged: Callback invoked after the list changes (e.g. to rebuild the context menu)
+ * - lastParams: Parameters last used per transform id, used to prefill the form
+ */
+let customTransforms = [];
+let onTransformsChanged = null;
+const lastParams = new Map();
+
+/**
+ * Set Transforms Changed Handler
+ *
+ * setCustomTransformsChangedHandler(handler: Function)
+ *
+ * Registers the callback invoked whenever the list of custom transforms changes.
+ *
+ * @param {Function} handler - Called with the updated transform list
+ */
+export function setCustomTransformsChangedHandler(handler) {
+    onTransformsChanged = handler;
+}
+
+/**
+ * Get Custom Transforms
+ *
+ * getCustomTransforms(): Array<{id: string, name: string}>
+ *
+ * @returns {Array<object>} Transforms currently uploaded on the server
+ */
+export function getCustomTransforms() {
+    return customTransforms;
+}
+
+/**
+ * Get Custom Transform
+ *
+ * getCustomTransform(id: string): object | undefined
+ *
+ * @param {string} id - Transform id assigned by the server
+ * @returns {object|undefined} The matching transform
+ */
+export function getCustomTransform(id) {
+    return customTransforms.find(transform => transform.id === id);
+}
+
+/**
+ * Get Custom Transforms for Node Type
+ *
+ * getCustomTransformsForNodeType(nodeType: string): Array<object>
+ *
+ * Returns the transforms whose manifest accepts the node type. Transforms
+ * without declared input types accept every node. Nodes without a type are
+ * treated as "custom".
+ *
+ * @param {string} nodeType - Type of the node the menu is opened for
+ * @returns {Array<object>} Applicable transforms
+ */
+export function getCustomTransformsForNodeType(nodeType) {
+    const type = nodeType || "custom";
+    return customTransforms.filter(transform => {
+        const inputTypes = transform.manifest ? transform.manifest.inputTypes : [];
+        return inputTypes.length === 0 || inputTypes.includes(type);
+    });
+}
+
+/**
+ * Request Transform Parameters
+ *
+ * requestTransformParams(transform: object): Promise<object|null>
+ *
+ * Shows the parameter form for a transform whose manifest declares
+ * parameters. Transforms without parameters run immediately.
+ *
+ * @param {object} transform - The custom transform about to run
+ * @returns {Promise<object|null>} Parameter values, or null when the user cancelled
+ */
+export async function requestTransformParams(transform) {
+    const params = transform.manifest ? transform.manifest.params : [];
+    if (params.length === 0) return {};
+
+    const values = await showParamsDialog({
+        title: transform.name,
+        description: transform.manifest.description,
+        params,
+        values: lastParams.get(transform.id)
+    });
+
+    if (values) lastParams.set(transform.id, values);
+    return values;
+}
+
+/**
+ * Load Custom Transforms
+ *
+ * loadCustomTransforms(): Promise<void>
+ *
+ * Fetches the uploaded transforms from GET /custom-transforms and refreshes
+ * the Tools menu picker and context menu.
+ *
+ * Error Handling:
+ * - Logs errors and keeps the previously known list
+ */
+export async function loadCustomTransforms() {
+    try {
+        const res = await fetch("/custom-transforms");
+        if (!res.ok) {
+            throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        const data = await res.json();
+        customTransforms = data.transforms || [];
+    } catch (error) {
+        console.error("Error loading custom transforms:", error);
+    }
+
+    refreshCustomTransformPicker();
+    if (onTransformsChanged) onTransformsChanged(customTransforms);
+}
+
+/**
+ * Refresh Custom Transform Picker
+ *
+ * refreshCustomTransformPicker()
+ *
+ * Populates the custom-transform-picker dropdown in the Tools menu,
+ * keeping the current selection when it still exists.
+ */
+export function refreshCustomTransformPicker() {
+    const picker = document.getElementById("custom-transform-picker");
+    if (!picker) return;
+
+    const selectedId = picker.value;
+    picker.innerHTML = "";
+
+    if (customTransforms.length === 0) {
+        const opt = document.createElement("option");
+        opt.value = "";
+        opt.text = "No transforms uploaded";
+        picker.appendChild(opt);
+        picker.disabled = true;
+        return;
+    }
+
+    picker.disabled = false;
+    customTransforms.forEach(transform => {
+        const opt = document.createElement("option");
+        opt.value = transform.id;
+        opt.text = transform.name;
+        if (transform.id === selectedId) {
+            opt.selected = true;
+        }
+        picker.appendChild(opt);
+    });
+}
+
+/**
+ * Upload Custom Transform
+ *
+ * uploadCustomTransform()
+ *
+ * Called when "Upload New" is clicked in the Tools menu.
+ *
+ * Process:
+ * 1. Prompts the user to pick a `.py`, `.js` or `.mjs` file, optionally with a sidecar manifest `.json`
+ * 2. Asks for a display name (empty uses the manifest name or the filename)
+ * 3. Sends files and name to POST /upload-transform
+ * 4. Reloads the transform list if successful
+ *
+ * UI Feedback:
+ * - Status bar message on success
+ * - Alerts user with the server's reason if upload fails (e.g. invalid manifest)
+ */
+export function uploadCustomTransform() {
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".py,.js,.mjs,.json"; // Python or JavaScript script plus optional manifest
+    fileInput.multiple = true;
+
+    // Triggered once user selects files
+    fileInput.onchange = async () => {
+        const files = Array.from(fileInput.files);
+        const script = files.find(file => /\.(py|js|mjs)$/i.test(file.name));
+        const manifest = files.find(file => file.name.endsWith(".json"));
+        if (!script) {
+            if (files.length > 0) alert("Please select a .py, .js or .mjs file.");
+            return;
+        }
+
+        const name = prompt("Name for this transform (leave empty to use the manifest or file name):", "");
+        if (name === null) return;
+
+        // Prepare files for upload (must match backend's multer setup)
+        const formData = new FormData();
+        formData.append("name", name);
+        formData.append("file", script);
+        if (manifest) formData.append("manifest", manifest);
+
+        const res = await fetch("/upload-transform", {
+            method: "POST",
+            body: formData
+        });
+        const data = await res.json().catch(() => ({}));
+
+        if (res.ok) {
+            setStatusMessage(`Custom transform "${data.transform.name}" uploaded`);
+            await loadCustomTransforms();
+        } else {
+            alert(`Failed to upload transform.${data.error ? ` ${data.error}` : ""}`);
+        }
+    };
+
+    fileInput.click(); // open file picker dialog
+}
+
+/**
+ * Rename Selected Transform
+ *
+ * renameSelectedTransform()
+ *
+ * Prompts for a new name for the transform selected in the Tools menu
+ * and sends it to PATCH /custom-transforms/:id.
+ */
+export async function renameSelectedTransform() {
+    const transform = getSelectedTransform();
+    if (!transform) return;
+
+    const name = prompt("Enter new name:", transform.name);
+    if (!name || !name.trim() || name === transform.name) return;
+
+    const res = await fetch(`/custom-transforms/${encodeURIComponent(transform.id)}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name })
+    });
+
+    if (res.ok) {
+        setStatusMessage(`Custom transform renamed to "${name.trim()}"`);
+        await loadCustomTransforms();
+    } else {
+        alert("Failed to rename transform.");
+    }
+}
+
+/**
+ * Remove Selected Transform
+ *
+ * removeSelectedTransform()
+ *
+ * Asks for confirmation, then deletes the transform selected in the Tools
+ * menu via DELETE /custom-transforms/:id.
+ */
+export async function removeSelectedTransform() {
+    const transform = getSelectedTransform();
+    if (!transform) return;
+
+    if (!confirm(`Delete custom transform "${transform.name}"?`)) return;
+
+    const res = await fetch(`/custom-transforms/${encodeURIComponent(transform.id)}`, { method: "DELETE" });
+
+    if (res.ok) {
+        setStatusMessage(`Custom transform "${transform.name}" removed`);
+        await loadCustomTransforms();
+    } else {
+        alert("Failed to remove transform.");
+    }
+}
+
+/**
+ * Get Selected Transform
+ *
+ * getSelectedTransform(): object | undefined
+ *
+ * Returns the transform currently selected in the Tools menu picker.
+ */
+function getSelectedTransform() {
+    const picker = document.getElementById("custom-transform-picker");
+    return picker ? getCustomTransform(picker.value) : undefined;
+}
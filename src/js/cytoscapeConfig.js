@@ -110,6 +110,25 @@ export const cy = cytoscape({
                 "loop-sweep": "-90deg"
             }
         },
+        {
+            /**
+             * Labelled Edge Styling
+             * 
+             * Shows the relationship label of edges created by transforms
+             * (e.g. "resolves to") along the edge.
+             */
+            selector: "edge[label]",
+            style: {
+                "label": "data(label)",
+                "font-size": "10px",
+                "color": "#2c3e50",
+                "text-rotation": "autorotate",
+                "text-background-color": "#ffffff",
+                "text-background-opacity": 0.8,
+                "text-background-padding": "2px",
+                "text-background-shape": "roundrectangle"
+            }
+        },
         /**
          * Node type styles
          * 
@@ -235,6 +254,24 @@ export const cy = cytoscape({
                 "border-color": "rgba(255, 255, 255, 0.3)",
                 "text-outline-color": "#16A085"
             }
+        },
+        {
+            selector: 'node[type="profile"]',
+            style:{
+                "background-color": "#5DADE2",
+                "shape": "ellipse",
+                "border-color": "rgba(255, 255, 255, 0.3)",
+                "text-outline-color": "#5DADE2"
+            }
+        },
+        {
+            selector: 'node[type="netblock"]',
+            style:{
+                "background-color": "#C0392B",
+                "shape": "round-pentagon",
+                "border-color": "rgba(255, 255, 255, 0.3)",
+                "text-outline-color": "#C0392B"
+            }
         }
     ],
     
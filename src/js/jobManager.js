@@ -0,0 +1,139 @@
+/**
+ * Finished Jobs Module
+ *
+ * This module lists the transform jobs that finished on the server (see
+ * jobQueue.ts), including runs whose tab was closed before they completed,
+ * so their results can be added to the graph later.
+ *
+ * Key Features:
+ * - Lists completed jobs in the Tools menu, newest first
+ * - Names each job after its transform, input and finish time
+ * - Deletes jobs that are no longer needed
+ *
+ * Adding a job's result to the graph is done by main.js, which knows the
+ * runner of each transform.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import { setStatusMessage } from "./setStatusMessageHandler.js";
+import { listFinishedJobs } from "./utils/transformJobs.js";
+import { getTransformDefinition } from "./utils/transformRegistry.js";
+import { getCustomTransform } from "./customTransformManager.js";
+
+// Jobs of uploaded transforms have transform ids of the form "custom:<id>"
+const CUSTOM_JOB_PREFIX = "custom:";
+
+// Completed jobs last fetched from GET /jobs?status=completed
+let finishedJobs = [];
+
+/**
+ * Load Finished Jobs
+ *
+ * loadFinishedJobs(): Promise<void>
+ *
+ * Fetches the completed jobs and refreshes the Tools menu picker.
+ *
+ * Error Handling:
+ * - Logs errors and keeps the previously known list
+ */
+export async function loadFinishedJobs() {
+    try {
+        finishedJobs = await listFinishedJobs();
+    } catch (error) {
+        console.error("Error loading finished jobs:", error);
+    }
+
+    refreshJobPicker();
+}
+
+/**
+ * Refresh Job Picker
+ *
+ * refreshJobPicker()
+ *
+ * Populates the job-picker dropdown in the Tools menu, keeping the current
+ * selection when it still exists.
+ */
+function refreshJobPicker() {
+    const picker = document.getElementById("job-picker");
+    if (!picker) return;
+
+    const selectedId = picker.value;
+    picker.innerHTML = "";
+
+    if (finishedJobs.length === 0) {
+        const opt = document.createElement("option");
+        opt.value = "";
+        opt.text = "No finished jobs";
+        picker.appendChild(opt);
+        picker.disabled = true;
+        return;
+    }
+
+    picker.disabled = false;
+    finishedJobs.forEach(job => {
+        const opt = document.createElement("option");
+        opt.value = job.id;
+        opt.text = `${getJobTransformName(job)}: ${job.input} (${new Date(job.finishedAt).toLocaleString()})`;
+        if (job.id === selectedId) {
+            opt.selected = true;
+        }
+        picker.appendChild(opt);
+    });
+}
+
+/**
+ * Get Selected Job
+ *
+ * getSelectedJob(): object | undefined
+ *
+ * Returns the job currently selected in the Tools menu picker.
+ */
+export function getSelectedJob() {
+    const picker = document.getElementById("job-picker");
+    return picker ? finishedJobs.find(job => job.id === picker.value) : undefined;
+}
+
+/**
+ * Get Job Transform Name
+ *
+ * getJobTransformName(job: object): string
+ *
+ * Returns the display name of the transform a job ran.
+ *
+ * @param {object} job - Job summary from GET /jobs
+ * @returns {string} Registry or custom transform name, or the transform id
+ */
+export function getJobTransformName(job) {
+    if (job.transformId.startsWith(CUSTOM_JOB_PREFIX)) {
+        const transform = getCustomTransform(job.transformId.slice(CUSTOM_JOB_PREFIX.length));
+        return transform ? transform.name : "Custom Transform";
+    }
+    const definition = getTransformDefinition(job.transformId);
+    return definition ? definition.name : job.transformId;
+}
+
+/**
+ * Delete Selected Job
+ *
+ * deleteSelectedJob()
+ *
+ * Asks for confirmation, then deletes the job selected in the Tools menu and
+ * its saved result via DELETE /jobs/:id.
+ */
+export async function deleteSelectedJob() {
+    const job = getSelectedJob();
+    if (!job) return;
+
+    if (!confirm(`Delete the ${getJobTransformName(job)} result for "${job.input}"?`)) return;
+
+    const res = await fetch(`/jobs/${encodeURIComponent(job.id)}`, { method: "DELETE" });
+
+    if (res.ok) {
+        setStatusMessage(`${getJobTransformName(job)} result for "${job.input}" deleted`);
+        await loadFinishedJobs();
+    } else {
+        alert("Failed to delete job.");
+    }
+}
@@ -18,16 +18,18 @@
 // Import shared logic
 import { ur } from "./changeDataHandler.js";
 import { cy } from "./cytoscapeConfig.js";
-import { runSherlock } from "./transforms/sherlock.js";
-import { runPortScan } from "./transforms/portScan.js";
+import { runSherlock, requestSherlockOptions } from "./transforms/sherlock.js";
+import { runPortScan, requestPortScanOptions } from "./transforms/portScan.js";
 import { runDomainToIp } from "./transforms/domainToIp.js";
-import { runDomainToDns } from "./transforms/domainToDns.js";
+import { runDomainToDns, requestDnsOptions } from "./transforms/domainToDns.js";
 import { runWhois } from "./transforms/whois.js";
+import { runZoneTransfer } from "./transforms/zoneTransfer.js";
 import { runIpToNetblock } from "./transforms/ipToNetblock.js";
 import { runIpToLocation } from "./transforms/ipToLocation.js";
+import { runIpToReverseDns } from "./transforms/ipToReverseDns.js";
 import { uploadFiles, nextImage, prevImage } from './fileUploadHandler.js';
 import { runWebsiteToDomain } from "./transforms/websiteToDomain.js";
-import { runWebsiteScreenshot } from "./transforms/websiteScreenshot.js";
+import { runWebsiteScreenshot, requestScreenshotOptions } from "./transforms/websiteScreenshot.js";
 import { saveGraph, loadGraph, confirmLoad, autoLoadLastSave, loadSaveFiles, saveToCurrentFile, saveAsNewFile, newProject, setUpdateIdCounterFunction } from "./dataManagement.js";
 import { resolveNodeOverlap, resolveOverlapByMovingUnderlying } from "./nodePositioning.js";
 import { initNodePropertiesMenu, togglePropertiesMenu, openPropertiesMenu, closePropertiesMenu } from './nodePropertiesMenu.js';
@@ -41,178 +43,126 @@ import { initGroupManager, toggleGroupMode, getGroupedNodes, isGroupModeActive,
 import { initNotesManager, getNotesContent, setNotesContent } from "./notesManager.js";
 import { createInlineEditor } from "./utils/inlineNodeEditor.js";
 import { initNodeIndicators, refreshAllIndicators } from "./nodeIndicators.js";
+import { loadTransformRegistry, getTransformDefinition, getTransformsForNodeType, getTransformCategories } from "./utils/transformRegistry.js";
+import { loadCustomTransforms, getCustomTransformsForNodeType, getCustomTransform, requestTransformParams, setCustomTransformsChangedHandler, refreshCustomTransformPicker, uploadCustomTransform, renameSelectedTransform, removeSelectedTransform } from "./customTransformManager.js";
+import { runCustomTransform } from "./transforms/customTransform.js";
+import { runEndpointTransform } from "./transforms/endpointTransform.js";
+import { loadFinishedJobs, getSelectedJob, deleteSelectedJob } from "./jobManager.js";
 
 initNodePropertiesMenu(cy);
 initGroupManager();
 initNotesManager();
 initNodeIndicators(cy);
 
-// START: Custom button logic will be moved to it's own file
-/**
- * Custom Transform UI Integration
- * 
- * This section manages the frontend logic for uploading, removing,
- * and running user-provided Python transforms. It coordinates with
- * the backend API (customTransform.ts + api.ts) to keep UI state
- * synchronized with the server.
- * 
- * Features:
- * - Upload/remove Python transform via toolbar button
- * - Dynamically update button label ("Upload Transform" / "Remove Transform")
- * - Show/hide "Run Custom Transform" option in the right-click context menu
- * - Check backend on startup for existing transform
- * 
- * Security Note:
- * - Frontend only manages UI state
- * - Backend is responsible for safely executing Python
- */
-
-// Track transform state
-// - true if a custom transform is currently uploaded on the server
-// - false otherwise
-let hasCustomTransform = false;
+setCustomTransformsChangedHandler(buildContextMenu);
+loadCustomTransforms();
+loadTransformRegistry().then(buildContextMenu);
 
 /**
- * Handle Transform Action
+ * Build Context Menu
  * 
- * handleTransformAction()
+ * buildContextMenu()
  * 
- * Called when the toolbar button ("Upload Transform"/"Remove Transform") is clicked.
+ * Rebuilds the Transforms submenu of the right-click menu for the
+ * currently right-clicked node.
  * 
  * Process:
- * 1. If no transform exists:
- *    - Prompt user to upload a `.py` file
- *    - Send file to backend via POST /upload-transform
- *    - Update UI state if successful
- * 
- * 2. If a transform already exists:
- *    - Send DELETE request to /remove-transform
- *    - Update UI state if successful
- * 
- * UI Feedback:
- * - Logs status to console
- * - Alerts user if upload/remove fails
+ * - Clears the existing Transforms submenu
+ * - Creates one category submenu per registry category that has transforms
+ *   accepting the node's type
+ * - Adds a "Re-run Ignoring Cache" submenu for the applicable transforms whose
+ *   results the server caches
+ * - Adds a "Custom Transforms" submenu listing the uploaded transforms that
+ *   accept the node's type
+ * - Adds a disabled placeholder when nothing applies
+ * 
+ * Result:
+ * - Context menu only offers transforms that apply to the clicked node
  */
-async function handleTransformAction(){
-    if(!hasCustomTransform){
-        // --- Upload Transform Flow ---
-        const fileInput = document.createElement("input");
-        fileInput.type = "file";
-        fileInput.accept = ".py"; // restrict to Python files
-
-        // Triggered once user selects a file
-        fileInput.onchange = async () => {
-            const file = fileInput.files[0];
-            if (!file) return;
-
-            // Prepare file for upload (must match backend's multer setup)
-            const formData = new FormData();
-            formData.append("file", file);
-
-            // Send file to backend
-            const res = await fetch("/upload-transform", {
-                method: "POST",
-                body: formData
-            });
+function buildContextMenu() {
+    const transformSubmenu = document.getElementById("transform-submenu");
+    if (!transformSubmenu) return;
 
-            if(res.ok){
-                console.log(file);
-                console.log("Custom transform has been uploaded");
-                hasCustomTransform = true;
-                updateTransformButton(); // refresh UI
-            }else{
-                alert("Failed to upload transform.");
-            }
-        };
+    transformSubmenu.innerHTML = "";
 
-        fileInput.click(); // open file picker dialog
-    }else{
-        // --- Remove Transform Flow ---
-        const res = await fetch("/remove-transform", { method: "DELETE" });
-        if(res.ok){
-            console.log("Custom transform has been removed");
-            hasCustomTransform = false;
-            updateTransformButton(); // refresh UI
-        }else{
-            alert("Failed to remove transform.");
-        }
-    }
-}
+    const nodeType = rightClickedNode ? rightClickedNode.data("type") : null;
+    const applicableTransforms = getTransformsForNodeType(nodeType);
 
-/**
- * Update Transform Button
- * 
- * updateTransformButton()
- * 
- * Dynamically updates the toolbar button text depending on current state:
- * - "Upload Transform" when no transform exists
- * - "Remove Transform" when transform is active
- * 
- * Also triggers context menu rebuild to ensure correct options.
- */
-function updateTransformButton() {
-    const btn = document.getElementById("transform-toggle-btn");
-    if(btn){
-        btn.textContent = hasCustomTransform ? "Remove Transform" : "Upload Transform";
-    }
+    getTransformCategories().forEach(category => {
+        const categoryTransforms = applicableTransforms.filter(t => t.category === category.id);
+        if (categoryTransforms.length === 0) return;
 
-    buildContextMenu();
-}
+        const submenuId = `${category.id}-submenu`;
 
-/**
- * Check Transform Status (on startup)
- * 
- * checkTransformStatus()
- * 
- * Queries backend to determine if a custom transform exists when app loads.
- * - GET /has-transform
- * - Updates hasCustomTransform state
- * - Refreshes toolbar + context menu
- */
-async function checkTransformStatus(){
-    const res = await fetch("/has-transform");
-    const data = await res.json();
-    hasCustomTransform = data.exists;
-    updateTransformButton();
-}
-checkTransformStatus();
+        const trigger = document.createElement("li");
+        trigger.className = "submenu-trigger";
+        trigger.textContent = category.name;
+        trigger.onclick = () => window.toggleSubmenu(submenuId);
+        transformSubmenu.appendChild(trigger);
 
-/**
- * Build Context Menu
- * 
- * buildContextMenu()
- * 
- * Dynamically adds/removes "Run Custom Transform" option in right-click menu.
- * 
- * Process:
- * - Removes existing "Run Custom Transform" item if present
- * - If transform exists, creates new <li> with click handler
- * - Appends to context menu
- * 
- * Result:
- * - Context menu always reflects current transform state
- */
-function buildContextMenu() {
-    const menu = document.getElementById("context-menu");
-    if (!menu) return;
+        const submenu = document.createElement("ul");
+        submenu.className = "submenu";
+        submenu.id = submenuId;
+        categoryTransforms.forEach(transform => {
+            const li = document.createElement("li");
+            li.textContent = transform.name;
+            li.onclick = () => handleContextAction(transform.id);
+            submenu.appendChild(li);
+        });
+        transformSubmenu.appendChild(submenu);
+    });
 
-    // Remove previous instance if it exists
-    const existing = document.getElementById("run-custom-transform");
-    if (existing) existing.remove();
+    // Cached transforms answer from the server's result cache until their TTL runs out
+    const cachedTransforms = applicableTransforms.filter(t => t.cacheTtl > 0 && getTransformRunner(t.id));
+    if (cachedTransforms.length > 0) {
+        const trigger = document.createElement("li");
+        trigger.className = "submenu-trigger";
+        trigger.textContent = "Re-run Ignoring Cache";
+        trigger.onclick = () => window.toggleSubmenu("refresh-submenu");
+        transformSubmenu.appendChild(trigger);
+
+        const submenu = document.createElement("ul");
+        submenu.className = "submenu";
+        submenu.id = "refresh-submenu";
+        cachedTransforms.forEach(transform => {
+            const li = document.createElement("li");
+            li.textContent = transform.name;
+            li.title = "Run again instead of using a cached result";
+            li.onclick = () => handleContextAction(`${REFRESH_TRANSFORM_ACTION_PREFIX}${transform.id}`);
+            submenu.appendChild(li);
+        });
+        transformSubmenu.appendChild(submenu);
+    }
 
-    // Add "Run Custom Transform" to Transforms submenu only if a transform exists
-    if(hasCustomTransform){
-        const transformSubmenu = document.getElementById("transform-submenu");
-        if (transformSubmenu) {
+    // Uploaded Python and JavaScript transforms declare their node types in their manifest
+    const customTransforms = getCustomTransformsForNodeType(nodeType);
+    if (customTransforms.length > 0) {
+        const trigger = document.createElement("li");
+        trigger.className = "submenu-trigger";
+        trigger.textContent = "Custom Transforms";
+        trigger.onclick = () => window.toggleSubmenu("custom-submenu");
+        transformSubmenu.appendChild(trigger);
+
+        const submenu = document.createElement("ul");
+        submenu.className = "submenu";
+        submenu.id = "custom-submenu";
+        customTransforms.forEach(transform => {
             const li = document.createElement("li");
-            li.id = "run-custom-transform";
-            li.textContent = "Run Custom Transform";
-            li.onclick = () => handleContextAction("run-custom-transform");
-            transformSubmenu.appendChild(li);
-        }
+            li.textContent = transform.name;
+            if (transform.manifest && transform.manifest.description) li.title = transform.manifest.description;
+            li.onclick = () => handleContextAction(`${CUSTOM_TRANSFORM_ACTION_PREFIX}${transform.id}`);
+            submenu.appendChild(li);
+        });
+        transformSubmenu.appendChild(submenu);
+    }
+
+    if (transformSubmenu.children.length === 0) {
+        const li = document.createElement("li");
+        li.className = "disabled";
+        li.textContent = "No transforms for this node type";
+        transformSubmenu.appendChild(li);
     }
 }
-// END: Custom button logic will be moved to it's own file
 
 /**
  * Global State Management
@@ -232,6 +182,73 @@ let orderedSelection = [];
 let rightClickedNode = null;
 let shiftDown = false;
 
+/**
+ * Transform Runners
+ * 
+ * Maps registry transform ids (see GET /transforms) to the frontend function
+ * that renders their results. The registry supplies the menu entry, accepted
+ * node types and duration estimate; this map only supplies the implementation.
+ * Registered transforms missing here run through their endpoint with the
+ * generic runner (see getTransformRunner).
+ */
+const TRANSFORM_RUNNERS = {
+    'sherlock': runSherlock,
+    'domain-to-ip': runDomainToIp,
+    'domain-to-dns': runDomainToDns,
+    'domain-to-endpoint': runDomainToEnd,
+    'domain-to-subdomain': runDomainToSub,
+    'website-to-domain': runWebsiteToDomain,
+    'website-screenshot': runWebsiteScreenshot,
+    'whois': runWhois,
+    'zone-transfer': runZoneTransfer,
+    'ip-to-netblock': runIpToNetblock,
+    'ip-to-location': runIpToLocation,
+    'ip-to-reverse-dns': runIpToReverseDns,
+    'port-scan': runPortScan
+};
+
+/**
+ * Get Transform Runner
+ * 
+ * getTransformRunner(transformId: string): Function|undefined
+ * 
+ * Returns the runner of a registered transform: its entry in TRANSFORM_RUNNERS,
+ * or the generic endpoint runner when the registry gives it an endpoint.
+ * 
+ * @param {string} transformId - Registry transform id
+ * @returns {Function|undefined} runner(node, options?), if the transform can run
+ */
+function getTransformRunner(transformId) {
+    if (TRANSFORM_RUNNERS[transformId]) {
+        return TRANSFORM_RUNNERS[transformId];
+    }
+    const definition = getTransformDefinition(transformId);
+    if (definition && definition.endpoint) {
+        return (node, options) => runEndpointTransform(node, definition, options);
+    }
+    return undefined;
+}
+
+/**
+ * Transform Option Dialogs
+ * 
+ * Transforms listed here ask for their options before they are queued. Each
+ * function resolves with the options passed to the runner as its second
+ * argument, or null when the user cancelled.
+ */
+const TRANSFORM_OPTION_DIALOGS = {
+    'sherlock': requestSherlockOptions,
+    'port-scan': requestPortScanOptions,
+    'domain-to-dns': requestDnsOptions,
+    'website-screenshot': requestScreenshotOptions
+};
+
+// Context menu actions for uploaded transforms are "custom:<transform id>"
+const CUSTOM_TRANSFORM_ACTION_PREFIX = "custom:";
+
+// Context menu actions that run a transform ignoring cached results are "refresh:<transform id>"
+const REFRESH_TRANSFORM_ACTION_PREFIX = "refresh:";
+
 /**
  * Settings Management
  * 
@@ -404,171 +421,171 @@ function toggleDropdown(id){
         el.style.display = el.style.display === "block" ? "none" : "block";
         if(id === "load-dropdown") loadGraph();
         if(id === "save-dropdown") loadSaveFiles();
+        if(id === "custom-transforms-dropdown") refreshCustomTransformPicker();
+        if(id === "jobs-dropdown") loadFinishedJobs();
     }
 }
 
 /**
- * Context Menu Action Handler
- * 
- * handleContextAction(action: string)
- * 
- * Processes actions triggered from the right-click context menu.
- * Each action performs a specific operation on the right-clicked node.
+ * Execute Transform with Multi-Transform Manager
  * 
- * Input:
- * - action: string - The action to perform (edit, delete, sherlock, connect)
+ * executeTransformWithManager(transformName: string, transformFunction: Function, node: CytoscapeNode, ignoreCache?: boolean)
  * 
- * Available Actions:
- * - edit: Prompts for new node label and updates the node
- * - delete: Removes the node from the graph
- * - sherlock: Initiates username search for the node
- * - connect: Switches to connect mode for manual edge creation
+ * Wrapper function that executes transforms through the multi-transform manager
+ * for concurrent execution control and progress tracking.
  * 
- * Process:
- * 1. Validates that a node was right-clicked
- * 2. Performs the requested action
- * 3. Hides the context menu
+ * @param {string} transformName - Name of the transform
+ * @param {Function} transformFunction - The transform function to execute
+ * @param {CytoscapeNode} node - The node to transform
+ * @param {boolean} ignoreCache - Ask the server for a fresh result instead of a cached one
  */
+async function executeTransformWithManager(transformName, transformFunction, node, ignoreCache = false) {
+    try {
+        if (ignoreCache) {
+            await multiTransformManager.requestTransformIgnoringCache(transformName, transformFunction, node);
+        } else {
+            await multiTransformManager.requestTransform(transformName, transformFunction, node);
+        }
+    } catch (error) {
+        console.error(`Transform ${transformName} failed:`, error);
+        setStatusMessage(`Transform ${transformName} failed: ${error.message}`);
+    }
+}
+
 /**
- * Run Custom Transform
+ * Run Registered Transform
  * 
- * runCustomTransform(node: CytoscapeNode)
+ * runRegisteredTransform(transformId: string, node: CytoscapeNode, ignoreCache?: boolean): Promise<void>
  * 
- * Executes a custom transform on the specified node.
+ * Runs a registered transform on the node (see getTransformRunner).
+ * Transforms with an options dialog (see TRANSFORM_OPTION_DIALOGS) ask for
+ * their options first and are not run when the dialog is cancelled.
  * 
+ * @param {string} transformId - Registry transform id
  * @param {CytoscapeNode} node - The node to transform
+ * @param {boolean} ignoreCache - Ask the server for a fresh result instead of a cached one
  */
-async function runCustomTransform(node) {
-    const transformBase = new TransformBase();
-    const parentId = node.id();
-    
-    try {
-        // Start progress tracking
-        transformBase.startTransformProgress('Running Custom Transform');
-        transformBase.updateTransformProgress(10, `Custom Transform: Processing "${node.data("label")}"...`);
-
-        const res = await fetch("/run-transform", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ nodeLabel: node.data("label") })
-        });
-
-        if(!res.ok){
-            transformBase.completeTransformProgress(false, `Custom Transform: Failed for "${node.data("label")}"`);
-            throw new Error("Failed to run custom transform.");
-        }
-
-        transformBase.updateTransformProgress(60, `Custom Transform: Processing results...`);
-
-        const data = await res.json();
-        let added = false;
-        
-        // Process new nodes
-        if(data.nodes && Array.isArray(data.nodes)) {
-            const totalResults = data.nodes.length;
-            for (let i = 0; i < data.nodes.length; i++) {
-                const nodeLabel = data.nodes[i];
-                const newId = transformBase.createNodeId("custom", nodeLabel);
-                
-                if(!transformBase.nodeExists(newId)){
-                    const position = transformBase.generatePositionNearNode(node);
-                    const createdNode = await transformBase.createNode(newId, nodeLabel, position, parentId);
-                    if(createdNode) added = true;
-                }
-                
-                // Update progress based on results processed
-                const resultProgress = 60 + (i / totalResults) * 20;
-                transformBase.updateTransformProgress(resultProgress, `Custom Transform: Creating nodes ${i + 1}/${totalResults}...`);
-            }
-        }
-
-        // Process file uploads
-        if(data.files && Array.isArray(data.files)) {
-            transformBase.updateTransformProgress(85, `Custom Transform: Processing files...`);
-            
-            // Import uploadFiles function dynamically to avoid circular imports
-            const { uploadFiles } = await import('./fileUploadHandler.js');
-            
-            for (let i = 0; i < data.files.length; i++) {
-                const file = data.files[i];
-                
-                if (file.type === "text") {
-                    // Create text file
-                    const textFile = new File([file.content], file.name, {
-                        type: 'text/plain',
-                        lastModified: Date.now()
-                    });
-                    uploadFiles(node, [textFile]);
-                } else if (file.type === "image") {
-                    // Handle base64 image data
-                    if (file.content.startsWith('data:image/')) {
-                        // Convert data URL to blob
-                        const response = await fetch(file.content);
-                        const blob = await response.blob();
-                        const imageFile = new File([blob], file.name, {
-                            type: blob.type,
-                            lastModified: Date.now()
-                        });
-                        uploadFiles(node, [imageFile]);
-                    }
-                }
-                
-                // Update progress
-                const fileProgress = 85 + (i / data.files.length) * 10;
-                transformBase.updateTransformProgress(fileProgress, `Custom Transform: Uploading file ${i + 1}/${data.files.length}...`);
-            }
-        }
-
-        transformBase.updateTransformProgress(95, `Custom Transform: Finalizing results...`);
+async function runRegisteredTransform(transformId, node, ignoreCache = false) {
+    const runner = getTransformRunner(transformId);
+    const requestOptions = TRANSFORM_OPTION_DIALOGS[transformId];
+    if (!requestOptions) {
+        executeTransformWithManager(transformId, runner, node, ignoreCache);
+        return;
+    }
 
-        const nodeCount = data.nodes ? data.nodes.length : 0;
-        const fileCount = data.files ? data.files.length : 0;
-        
-        if(added || fileCount > 0){
-            let message = `Custom Transform: Found ${nodeCount} nodes`;
-            if (fileCount > 0) {
-                message += ` and uploaded ${fileCount} files`;
-            }
-            message += ` for "${node.data("label")}"`;
-            transformBase.completeTransformProgress(true, message);
-        } else {
-            transformBase.completeTransformProgress(true, `Custom Transform: No results found for "${node.data("label")}"`);
-        }
-    } catch(err) {
-        console.error("Error running custom transform:", err);
-        transformBase.completeTransformProgress(false, `Custom Transform: Failed for "${node.data("label")}"`);
-        throw err;
+    // Close the menu before the options form opens
+    document.getElementById("context-menu").style.display = "none";
+    const options = await requestOptions();
+    if (options) {
+        executeTransformWithManager(transformId, targetNode => runner(targetNode, options), node, ignoreCache);
     }
 }
 
 /**
- * Execute Transform with Multi-Transform Manager
- * 
- * executeTransformWithManager(transformName: string, transformFunction: Function, node: CytoscapeNode)
+ * Add Selected Job to Graph
  * 
- * Wrapper function that executes transforms through the multi-transform manager
- * for concurrent execution control and progress tracking.
+ * addSelectedJobToGraph(): Promise<void>
  * 
- * @param {string} transformName - Name of the transform
- * @param {Function} transformFunction - The transform function to execute
- * @param {CytoscapeNode} node - The node to transform
+ * Adds the result of the finished job selected in the Tools menu to the graph,
+ * e.g. a run whose tab was closed before it completed. The job's runner
+ * follows the job instead of running the transform again, so its results are
+ * added exactly as if the run had been watched. They hang off the node
+ * labelled with the job's input, which is created when the graph has none.
  */
-async function executeTransformWithManager(transformName, transformFunction, node) {
+async function addSelectedJobToGraph(){
+    const job = getSelectedJob();
+    if (!job) return;
+
+    let runner;
+    let transformName = job.transformId;
+    if (job.transformId.startsWith(CUSTOM_TRANSFORM_ACTION_PREFIX)) {
+        const id = job.transformId.slice(CUSTOM_TRANSFORM_ACTION_PREFIX.length);
+        const transform = getCustomTransform(id) || { id, name: "Custom Transform" };
+        runner = targetNode => runCustomTransform(targetNode, transform, job.params);
+        transformName = 'run-custom-transform';
+    } else if (getTransformRunner(job.transformId)) {
+        runner = targetNode => getTransformRunner(job.transformId)(targetNode, job.params);
+    } else {
+        setStatusMessage(`Cannot add the result of ${job.transformId} to the graph`);
+        return;
+    }
+
+    let node = cy.nodes().filter(n => String(n.data("label")) === job.input).first();
+    if (node.empty()) {
+        const extent = cy.extent();
+        const position = resolveNodeOverlap(null, { x: (extent.x1 + extent.x2) / 2, y: (extent.y1 + extent.y2) / 2 });
+        const nodeData = await createNodeWithType({ id: "n" + idCounter++, label: job.input, position });
+        ur.do("add", nodeData);
+        node = cy.getElementById(nodeData.data.id);
+    }
+
     try {
-        await multiTransformManager.requestTransform(transformName, transformFunction, node);
+        await multiTransformManager.requestJobResult(transformName, runner, node, job.id);
     } catch (error) {
-        console.error(`Transform ${transformName} failed:`, error);
-        setStatusMessage(`Transform ${transformName} failed: ${error.message}`);
+        console.error(`Adding job ${job.id} failed:`, error);
+        setStatusMessage(`Adding the job result failed: ${error.message}`);
     }
 }
 
+/**
+ * Get Node URL
+ * 
+ * getNodeUrl(node: CytoscapeNode): string|null
+ * 
+ * Returns the node's url property (set e.g. on Sherlock profile nodes) when it
+ * is an http(s) URL, otherwise null.
+ */
+function getNodeUrl(node) {
+    const url = (node.data("properties") || {}).url;
+    return typeof url === "string" && /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * Context Menu Action Handler
+ * 
+ * handleContextAction(action: string)
+ * 
+ * Processes actions triggered from the right-click context menu.
+ * Each action performs a specific operation on the right-clicked node.
+ * 
+ * Input:
+ * - action: string - The action to perform (edit, delete, a transform id, connect)
+ * 
+ * Available Actions:
+ * - edit: Prompts for new node label and updates the node
+ * - delete: Removes the node from the graph
+ * - open-url: Opens the node's url property in a new browser tab
+ * - <transform id>: Runs the registered transform for the node (see getTransformRunner)
+ * - custom:<id>: Runs the uploaded custom transform with that id
+ * - refresh:<transform id>: Runs the registered transform ignoring cached results
+ * - connect: Switches to connect mode for manual edge creation
+ * 
+ * Process:
+ * 1. Validates that a node was right-clicked
+ * 2. Performs the requested action
+ * 3. Hides the context menu
+ */
 async function handleContextAction(action){
     const node = rightClickedNode;
     if (!node) return;
 
-    if(action === "run-custom-transform"){
-        console.log("Calling custom transform")
-        executeTransformWithManager('Running Custom Transform', runCustomTransform, node);
+    if(action.startsWith(CUSTOM_TRANSFORM_ACTION_PREFIX)){
+        const transform = getCustomTransform(action.slice(CUSTOM_TRANSFORM_ACTION_PREFIX.length));
+        if(transform){
+            // Close the menu before the parameter form opens
+            document.getElementById("context-menu").style.display = "none";
+            const params = await requestTransformParams(transform);
+            if(params){
+                console.log(`Calling custom transform ${transform.name}`)
+                executeTransformWithManager('run-custom-transform', targetNode => runCustomTransform(targetNode, transform, params), node);
+            }
+        }
+    }else if(action.startsWith(REFRESH_TRANSFORM_ACTION_PREFIX)){
+        const transformId = action.slice(REFRESH_TRANSFORM_ACTION_PREFIX.length);
+        if(getTransformRunner(transformId)){
+            console.log(`Calling transform ${transformId} ignoring cache`)
+            runRegisteredTransform(transformId, node, true);
+        }
     }else if(action === "edit"){
         console.log("Inside edit action")
         const newLabel = prompt("Enter new name:", node.data("label"));
@@ -580,42 +597,17 @@ async function handleContextAction(action){
                 newValue: newLabel
             });
         }
+    }else if(action === "open-url"){
+        const url = getNodeUrl(node);
+        if(url){
+            window.open(url, "_blank", "noopener,noreferrer");
+        }
     }else if(action === "delete"){
         console.log("Delete using menu")
         ur.do("remove", node);
-    }else if(action === "sherlock"){
-        console.log("Calling username search")
-        executeTransformWithManager('sherlock', runSherlock, node);
-    }else if(action === "domain-to-ip"){
-        console.log("Calling domain to IP")
-        executeTransformWithManager('domain-to-ip', runDomainToIp, node);
-    }else if(action === "domain-to-dns"){
-        console.log("Calling domain to DNS")
-        executeTransformWithManager('domain-to-dns', runDomainToDns, node);
-    }else if(action === "domain-to-endpoint"){
-        console.log("Calling domain to endpoint")
-        executeTransformWithManager('domain-to-endpoint', runDomainToEnd, node);
-    }else if(action === "website-to-domain"){
-        console.log("Calling website to domain")
-        executeTransformWithManager('website-to-domain', runWebsiteToDomain, node);
-    }else if(action === "website-screenshot"){
-        console.log("Calling website screenshot")
-        executeTransformWithManager('website-screenshot', runWebsiteScreenshot, node);
-    }else if(action === "whois"){
-        console.log("Calling whois")
-        executeTransformWithManager('whois', runWhois, node);
-    }else if(action === "ip-to-netblock"){
-        console.log("Calling IP to Netblock")
-        executeTransformWithManager('ip-to-netblock', runIpToNetblock, node);
-    }else if(action === "ip-to-location"){
-        console.log("Calling IP to Location")
-        executeTransformWithManager('ip-to-location', runIpToLocation, node);
-    }else if(action === "port-scan"){
-        console.log("Calling port scan")
-        executeTransformWithManager('port-scan', runPortScan, node);
-    }else if(action === "domain-to-subdomain"){
-        console.log("Calling domain-to-subdomain")
-        executeTransformWithManager('domain-to-subdomain', runDomainToSub, node);
+    }else if(getTransformRunner(action)){
+        console.log(`Calling transform ${action}`)
+        runRegisteredTransform(action, node);
     }else if(action === "connect"){
         console.log("Currently connecting")
         setMode("connect");
@@ -809,10 +801,13 @@ cy.on("tap", "node", function(evt){
  * Context Menu Handler
  * 
  * Right-click on a node shows the context menu with available actions.
- * Positions the menu at the cursor location.
+ * Rebuilds the Transforms submenu for the node's type, shows "Open in Browser"
+ * for nodes with a URL and positions the menu at the cursor location.
  */
 cy.on("cxttap", "node", function(evt){
     rightClickedNode = evt.target;
+    buildContextMenu();
+    document.getElementById("open-url-item").style.display = getNodeUrl(rightClickedNode) ? "" : "none";
     const menu = document.getElementById("context-menu");
     menu.style.left = evt.originalEvent.pageX + "px";
     menu.style.top = evt.originalEvent.pageY + "px";
@@ -1260,7 +1255,11 @@ function initializeGlobalFunctions() {
     window.closePropertiesMenu = closePropertiesMenu;
     window.toggleDarkMode = toggleDarkMode;
     window.resetToDefaultView = resetToDefaultView;
-    window.handleTransformAction = handleTransformAction;
+    window.uploadCustomTransform = uploadCustomTransform;
+    window.renameSelectedTransform = renameSelectedTransform;
+    window.removeSelectedTransform = removeSelectedTransform;
+    window.addSelectedJobToGraph = addSelectedJobToGraph;
+    window.deleteSelectedJob = deleteSelectedJob;
     window.toggleGroupMode = toggleGroupMode;
     window.toggleNodePropertiesCollapse = toggleNodePropertiesCollapse;
     window.settings = settings; // Make settings globally available
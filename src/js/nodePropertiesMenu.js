@@ -65,6 +65,7 @@ export function initNodePropertiesMenu(cytoscapeInstance){
     const typeSelect = document.getElementById("node-type-select");
     const imagesContainer = document.getElementById("node-images");
     const textsContainer = document.getElementById("node-texts");
+    const attributesContainer = document.getElementById("node-attributes");
     const uploadImageBtn = document.getElementById("upload-image-btn");
     const uploadTextBtn = document.getElementById("upload-text-btn");
     const notesTextarea = document.getElementById("node-notes-textarea");
@@ -199,6 +200,47 @@ export function initNodePropertiesMenu(cytoscapeInstance){
             notesTextarea.value = selectedNode.data("notes") || "";
         }
 
+        // Clear + rebuild properties list (key/value data set by transforms)
+        if(attributesContainer){
+            attributesContainer.innerHTML = "";
+            const properties = selectedNode.data("properties") || {};
+            const keys = Object.keys(properties);
+
+            if(keys.length === 0){
+                const empty = document.createElement("p");
+                empty.classList.add("property-empty");
+                empty.textContent = "No properties";
+                attributesContainer.appendChild(empty);
+            }
+
+            keys.forEach(key => {
+                const row = document.createElement("div");
+                row.classList.add("property-row");
+
+                const keyLabel = document.createElement("span");
+                keyLabel.classList.add("property-key");
+                keyLabel.textContent = key;
+
+                const value = String(properties[key]);
+                let valueElement;
+                if(/^https?:\/\//i.test(value)){
+                    // Links open in a new tab
+                    valueElement = document.createElement("a");
+                    valueElement.href = value;
+                    valueElement.target = "_blank";
+                    valueElement.rel = "noopener noreferrer";
+                }else{
+                    valueElement = document.createElement("span");
+                }
+                valueElement.classList.add("property-value");
+                valueElement.textContent = value;
+
+                row.appendChild(keyLabel);
+                row.appendChild(valueElement);
+                attributesContainer.appendChild(row);
+            });
+        }
+
         // Clear + rebuild images list
         if(imagesContainer){
             imagesContainer.innerHTML = "";
@@ -0,0 +1,258 @@
+/**
+ * Custom Transform Execution
+ * 
+ * This module runs user-uploaded Python and JavaScript transforms against a node. The server
+ * executes the selected script with the node label and returns the results,
+ * which are added to the investigation graph.
+ * 
+ * Key Features:
+ * - Runs any uploaded transform by id as a server job (see transformJobs.js)
+ * - Sends the parameters collected from the manifest form
+ * - Sends the node's type, notes, texts, properties and one-hop neighbors as context
+ * - Creates one node per returned label, connected to the source node
+ * - Builds typed entities with properties and labelled edges between them
+ * - Attaches returned images to entities, and text and image files to the source node
+ * - Progress reporting named after the transform being run
+ */
+
+import { cy } from "../cytoscapeConfig.js";
+import { TransformBase } from "../utils/transformBase.js";
+import { uploadFiles } from "../fileUploadHandler.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+
+// Entity id the server uses for the node the transform ran on
+const INPUT_ENTITY_ID = "input";
+
+/**
+ * Run Custom Transform
+ * 
+ * runCustomTransform(node: CytoscapeNode, transform: {id: string, name: string}, params?: object)
+ * 
+ * Executes an uploaded custom transform on the specified node.
+ * 
+ * Process:
+ * 1. Runs the "custom:<id>" job with the node label, parameters and node context
+ * 2. Creates plain nodes for returned labels, linked to the source node
+ * 3. Creates typed entity nodes with their properties and images
+ * 4. Adds the returned edges between entities (and the source node)
+ * 5. Attaches returned files to the source node
+ * 
+ * @param {CytoscapeNode} node - The node to transform
+ * @param {object} transform - The custom transform to run ({id, name})
+ * @param {object} params - Values for the parameters declared in the transform's manifest
+ */
+export async function runCustomTransform(node, transform, params = {}) {
+    const transformBase = new TransformBase();
+    
+    try {
+        // Start progress tracking
+        transformBase.startTransformProgress(`Running ${transform.name}`);
+        transformBase.updateTransformProgress(10, `${transform.name}: Processing "${node.data("label")}"...`);
+
+        const data = await runTransformJob(`custom:${transform.id}`, node.data("label"), params, {
+            ...transformBase.getJobOptions(),
+            context: buildNodeContext(node),
+            signal: transformBase.getAbortSignal()
+        });
+
+        transformBase.updateTransformProgress(50, `${transform.name}: Processing results...`);
+        await addTransformOutput(transformBase, node, data, transform.name);
+    } catch(err) {
+        console.error("Error running custom transform:", err);
+        transformBase.completeTransformProgress(false, `${transform.name}: ${err.message} for "${node.data("label")}"`);
+        throw err;
+    }
+}
+
+/**
+ * Add Transform Output
+ * 
+ * addTransformOutput(transformBase: TransformBase, node: CytoscapeNode, data: object, name: string): Promise<void>
+ * 
+ * Adds a transform answer in the custom transform output format to the graph
+ * and completes the progress display. Also used for built-in transforms that
+ * have no runner of their own (see endpointTransform.js).
+ * 
+ * Process:
+ * 1. Creates plain nodes for returned labels, linked to the source node
+ * 2. Creates typed entity nodes with their properties and images
+ * 3. Adds the returned edges between entities (and the source node)
+ * 4. Attaches returned files to the source node
+ * 
+ * @param {TransformBase} transformBase - Progress tracking of the running transform
+ * @param {CytoscapeNode} node - The node the transform ran on
+ * @param {object} data - Answer with nodes, entities, edges and files
+ * @param {string} name - Transform name used in progress messages
+ */
+export async function addTransformOutput(transformBase, node, data, name) {
+    const parentId = node.id();
+    const labels = Array.isArray(data.nodes) ? data.nodes : [];
+    const entities = Array.isArray(data.entities) ? data.entities : [];
+    const edges = Array.isArray(data.edges) ? data.edges : [];
+    const files = Array.isArray(data.files) ? data.files : [];
+    let added = false;
+    
+    // Process new nodes
+    for (let i = 0; i < labels.length; i++) {
+        const nodeLabel = labels[i];
+        const newId = transformBase.createNodeId("custom", nodeLabel);
+        
+        if(!transformBase.nodeExists(newId)){
+            const position = transformBase.generatePositionNearNode(node);
+            const createdNode = await transformBase.createNode(newId, nodeLabel, position, parentId);
+            if(createdNode) added = true;
+        }
+        
+        // Update progress based on results processed
+        const resultProgress = 50 + (i / labels.length) * 15;
+        transformBase.updateTransformProgress(resultProgress, `${name}: Creating nodes ${i + 1}/${labels.length}...`);
+    }
+
+    // Process entities - typed nodes with properties and images
+    // Maps entity ids from the output to graph node ids
+    const graphIds = new Map([[INPUT_ENTITY_ID, parentId]]);
+    const edgeTargets = new Set(edges.map(edge => edge.target));
+
+    for (let i = 0; i < entities.length; i++) {
+        const entity = entities[i];
+        const graphId = transformBase.createNodeId(entity.type || "custom", entity.label);
+        graphIds.set(entity.id, graphId);
+
+        // Entities nobody points at hang off the source node
+        const linkToSource = !edgeTargets.has(entity.id);
+        const hasProperties = Object.keys(entity.properties || {}).length > 0;
+
+        if(!transformBase.nodeExists(graphId)){
+            const position = transformBase.generatePositionNearNode(node);
+            const createdNode = await transformBase.createNode(graphId, entity.label, position, linkToSource ? parentId : null, {
+                type: entity.type,
+                data: hasProperties ? { properties: { ...entity.properties } } : {}
+            });
+            if(createdNode) added = true;
+        }else{
+            // Merge new properties into the existing node
+            const existing = cy.getElementById(graphId);
+            if(hasProperties){
+                existing.data("properties", { ...(existing.data("properties") || {}), ...entity.properties });
+                existing.emit("filesUpdated");
+            }
+            if(linkToSource && transformBase.createEdge(parentId, graphId)) added = true;
+        }
+
+        const entityNode = cy.getElementById(graphId);
+        for (const image of entity.images || []) {
+            uploadFiles(entityNode, [await dataUrlToFile(image.content, image.name)]);
+        }
+
+        const entityProgress = 65 + (i / entities.length) * 15;
+        transformBase.updateTransformProgress(entityProgress, `${name}: Creating entities ${i + 1}/${entities.length}...`);
+    }
+
+    // Process edges between entities
+    for (const edge of edges) {
+        const sourceId = graphIds.get(edge.source);
+        const targetId = graphIds.get(edge.target);
+        if(sourceId && targetId && sourceId !== targetId){
+            if(transformBase.createEdge(sourceId, targetId, edge.label)) added = true;
+        }
+    }
+
+    // Process file uploads
+    if(files.length > 0) {
+        transformBase.updateTransformProgress(85, `${name}: Processing files...`);
+        
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            
+            if (file.type === "text") {
+                // Create text file
+                const textFile = new File([file.content], file.name, {
+                    type: 'text/plain',
+                    lastModified: Date.now()
+                });
+                uploadFiles(node, [textFile]);
+            } else if (file.type === "image") {
+                // The server converts image content to a data URL
+                uploadFiles(node, [await dataUrlToFile(file.content, file.name)]);
+            }
+            
+            // Update progress
+            const fileProgress = 85 + (i / files.length) * 10;
+            transformBase.updateTransformProgress(fileProgress, `${name}: Uploading file ${i + 1}/${files.length}...`);
+        }
+    }
+
+    transformBase.updateTransformProgress(95, `${name}: Finalizing results...`);
+
+    const nodeCount = labels.length + entities.length;
+    const fileCount = files.length;
+    
+    if(added || fileCount > 0){
+        let message = `${name}: Found ${nodeCount} nodes`;
+        if (fileCount > 0) {
+            message += ` and uploaded ${fileCount} files`;
+        }
+        message += ` for "${node.data("label")}"`;
+        transformBase.completeTransformProgress(true, message);
+    } else {
+        transformBase.completeTransformProgress(true, `${name}: No results found for "${node.data("label")}"`);
+    }
+}
+
+/**
+ * Build Node Context
+ * 
+ * buildNodeContext(node: CytoscapeNode): {node: object, neighbors: Array<object>}
+ * 
+ * Describes the node and its one-hop neighborhood for the script, which
+ * receives it as JSON on stdin. Images are left out to keep the document small.
+ * 
+ * @param {CytoscapeNode} node - The node the transform runs on
+ * @returns {object} Context with the node and its neighbors
+ */
+function buildNodeContext(node) {
+    const neighbors = node.connectedEdges().map(edge => {
+        const outgoing = edge.source().id() === node.id();
+        const neighbor = outgoing ? edge.target() : edge.source();
+        return {
+            id: neighbor.id(),
+            label: String(neighbor.data("label")),
+            type: neighbor.data("type") || null,
+            properties: neighbor.data("properties") || {},
+            direction: outgoing ? "outgoing" : "incoming",
+            edgeLabel: edge.data("label") || null
+        };
+    });
+
+    return {
+        node: {
+            id: node.id(),
+            type: node.data("type") || null,
+            notes: node.data("notes") || "",
+            texts: (node.data("texts") || []).map(text => ({ name: text.name, content: text.content })),
+            properties: node.data("properties") || {}
+        },
+        neighbors
+    };
+}
+
+/**
+ * Data URL to File
+ * 
+ * dataUrlToFile(dataUrl: string, name: string): Promise<File>
+ * 
+ * Converts an image data URL returned by the server into a File that
+ * uploadFiles can attach to a node.
+ * 
+ * @param {string} dataUrl - Image data URL
+ * @param {string} name - Filename to use
+ * @returns {Promise<File>} The image file
+ */
+async function dataUrlToFile(dataUrl, name) {
+    const response = await fetch(dataUrl);
+    const blob = await response.blob();
+    return new File([blob], name, {
+        type: blob.type,
+        lastModified: Date.now()
+    });
+}
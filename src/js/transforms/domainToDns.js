@@ -1,199 +1,335 @@
 /**
  * Domain to DNS Records Integration
- * 
+ *
  * This module integrates with DNS resolution to retrieve comprehensive DNS information
- * for domains including MX, NS, A, CNAME, and TXT records. It expands the investigation
- * graph by adding new nodes representing discovered DNS records.
- * 
+ * for domains including A, AAAA, CNAME, MX, NS, TXT, SOA, SRV, CAA, PTR and NAPTR
+ * records. It expands the investigation graph by adding new nodes representing
+ * discovered DNS records.
+ *
  * DNS Resolution:
  * - Retrieves multiple DNS record types for comprehensive domain analysis
- * - Supports MX (mail exchange), NS (name server), A (IPv4), CNAME (canonical name), and TXT records
+ * - Addresses become IP nodes, host names domain nodes, SOA contacts and CAA
+ *   report addresses email nodes
  * - Helps investigators understand domain infrastructure and configuration
- * 
+ *
  * Key Features:
  * - Automated DNS resolution via server API
+ * - Options dialog before each run to choose the record types to query and,
+ *   optionally, the DNS resolvers to ask
  * - Dynamic graph expansion with new nodes
- * - Visual connection between original domain and discovered records
+ * - Visual connection between original domain and discovered records; each
+ *   edge is labelled with the record type and each node carries it as the
+ *   recordType property; the resolvers asked are kept as the resolver property
  * - Status updates during resolution process
  * - Error handling for failed resolutions
  */
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { showParamsDialog } from "../utils/paramsDialog.js";
+
+// Record types in the order the server reports them (see DNS_RECORD_TYPES)
+const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "NS", "TXT", "SOA", "SRV", "CAA", "PTR", "NAPTR"];
+
+// Options dialog fields, one checkbox per record type and the resolvers to ask
+const DNS_OPTION_PARAMS = [
+    ...DNS_RECORD_TYPES.map(type => ({ name: type, label: type, type: "boolean", default: true })),
+    {
+        name: "resolvers",
+        label: "Resolvers",
+        type: "string",
+        description: "Comma-separated IP addresses, e.g. 1.1.1.1, 10.0.0.53:5353; leave empty for the server's DNS_RESOLVERS setting"
+    }
+];
+
+// Options of the last run, prefilled the next time the dialog opens
+let lastOptions = {};
+
+/**
+ * Record Nodes
+ *
+ * Turns one record of each type into the nodes it adds to the graph:
+ * {key, label, type, edgeLabel?, properties?}. The key makes the node ID
+ * ("{key}:{label}" for most records).
+ */
+const RECORD_NODES = {
+    a: address => [{ key: "a", label: address, type: "ip" }],
+    aaaa: address => [{ key: "aaaa", label: address, type: "ip" }],
+    cname: name => [{ key: "cname", label: name, type: "domain" }],
+    mx: exchange => [{ key: "mx", label: exchange, type: "domain" }],
+    ns: server => [{ key: "ns", label: server, type: "domain" }],
+    txt: text => [{ key: "txt", label: text, type: "custom" }],
+    soa: soa => [
+        {
+            key: "soa",
+            label: soa.nsname,
+            type: "domain",
+            properties: { serial: soa.serial, refresh: soa.refresh, retry: soa.retry, expire: soa.expire, minttl: soa.minttl }
+        },
+        { key: "soa-contact", label: soaContactToEmail(soa.hostmaster), type: "email", edgeLabel: "SOA contact" }
+    ],
+    srv: record => [{
+        key: `srv:${record.service}:${record.port}`,
+        label: record.name,
+        type: "domain",
+        edgeLabel: `SRV ${record.service}`,
+        properties: { service: record.service, port: record.port, priority: record.priority, weight: record.weight }
+    }],
+    caa: record => {
+        const value = record.value.split(";")[0].trim();
+        const isEmail = value.startsWith("mailto:");
+        return [{
+            key: `caa:${record.tag}`,
+            label: isEmail ? value.slice("mailto:".length) : value || record.value,
+            type: isEmail ? "email" : record.tag.startsWith("issue") && value ? "domain" : "custom",
+            edgeLabel: `CAA ${record.tag}`,
+            properties: { tag: record.tag, value: record.value, critical: record.critical }
+        }];
+    },
+    ptr: name => [{ key: "ptr", label: name, type: "domain" }],
+    naptr: record => [{
+        key: "naptr",
+        label: record.replacement || record.regexp,
+        type: record.replacement ? "domain" : "custom",
+        properties: { flags: record.flags, service: record.service, regexp: record.regexp, order: record.order, preference: record.preference }
+    }]
+};
+
+/**
+ * Request DNS Options
+ *
+ * requestDnsOptions(): Promise<object|null>
+ *
+ * Shows the record type and resolver dialog, prefilled with the choices of the last run.
+ *
+ * @returns {Promise<object|null>} Request body fields for POST /domain-to-dns (types left out
+ * when every type is chosen, resolvers when none are given), or null when the user cancelled
+ * or unchecked every type
+ */
+export async function requestDnsOptions() {
+    const values = await showParamsDialog({
+        title: "DNS Records",
+        description: "Record types to query and DNS resolvers to ask",
+        params: DNS_OPTION_PARAMS,
+        values: lastOptions,
+        submitLabel: "Query"
+    });
+    if (!values) return null;
+
+    lastOptions = values;
+
+    const types = DNS_RECORD_TYPES.filter(type => values[type]);
+    if (types.length === 0) {
+        setStatusMessage("DNS Resolution: Choose at least one record type");
+        return null;
+    }
+    const options = types.length === DNS_RECORD_TYPES.length ? {} : { types };
+    if (values.resolvers && values.resolvers.trim()) {
+        options.resolvers = values.resolvers;
+    }
+    return options;
+}
+
+/**
+ * Get Resolver Properties
+ *
+ * getResolverProperties(data: object): object
+ *
+ * Node properties recording the DNS servers a DNS transform asked, from the
+ * resolvers field of its response, e.g. {resolver: "1.1.1.1, 8.8.8.8"}.
+ * Empty for responses without it.
+ */
+export function getResolverProperties(data) {
+    return Array.isArray(data.resolvers) && data.resolvers.length > 0 ? { resolver: data.resolvers.join(", ") } : {};
+}
 
 /**
  * Execute Domain to DNS Records Resolution
- * 
- * runDomainToDns(node: CytoscapeNode)
- * 
+ *
+ * runDomainToDns(node: CytoscapeNode, options?: object)
+ *
  * Performs DNS resolution for the domain name stored in the node's label.
  * Creates new nodes for each discovered DNS record type and value.
- * 
+ *
  * Input:
  * - node: CytoscapeNode - The node containing the domain name to resolve
- * 
+ * - options?: object - Record types and resolvers from requestDnsOptions
+ *
  * Process:
  * 1. Extracts domain name from node's label data
  * 2. Updates UI status to show resolution in progress
  * 3. Sends POST request to /domain-to-dns endpoint with domain
- * 4. Processes returned DNS records (MX, NS, A, CNAME, TXT)
+ * 4. Processes returned DNS records of each queried type
  * 5. Creates new nodes for each discovered record
  * 6. Connects new nodes to the original domain node
  * 7. Updates status with resolution completion or error
- * 
+ *
  * DNS Record Types:
- * - MX (Mail Exchange) records for email servers
- * - NS (Name Server) records for DNS servers
- * - A (IPv4) records for IP addresses
- * - CNAME (Canonical Name) records for aliases
- * - TXT records for text-based information
- * 
+ * - A (IPv4) and AAAA (IPv6) records become IP nodes
+ * - CNAME, MX, NS and PTR records become domain nodes
+ * - TXT records become custom nodes
+ * - SOA records become a domain node for the primary name server, with the
+ *   zone timers as properties, and an email node for the zone contact
+ * - SRV records of well-known services become domain nodes with service,
+ *   port, priority and weight properties
+ * - CAA records become domain nodes for permitted issuers, or email nodes
+ *   for report addresses
+ * - NAPTR records become domain nodes for their replacement
+ *
+ * Node Creation:
+ * - Node properties: recordType plus the record's details, and resolver
+ *   listing the DNS servers asked
+ * - Edge label: the record type, e.g. "MX", "SRV _sip._tcp" or "SOA contact"
+ * - Records already on the graph are connected to the domain instead
+ *
  * Server Communication:
- * - POST request to /domain-to-dns endpoint
- * - Request body: {domain: string}
- * - Response: {mx: string[], ns: string[], a: string[], cname: string[], txt: string[]}
- * 
+ * - Runs as a "domain-to-dns" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the domain; params: {types?: string[], resolvers?: string}
+ * - Job result: one entry per queried type, e.g. {a: string[], mx: string[], soa: object|null, srv: object[]},
+ *   and resolvers: string[]
+ *
  * Error Handling:
  * - Network errors are caught and logged
  * - UI status is updated with error message
  * - Original node remains unchanged on failure
- * 
+ *
  * UI Feedback:
  * - Status updates during resolution process
  * - Completion message with number of new nodes added
  * - Error messages for failed resolutions
  */
-export async function runDomainToDns(node){
+export async function runDomainToDns(node, options = {}){
     const domain = node.data("label");
     setStatusMessage(`DNS Resolution: Querying "${domain}"...`);
 
     const transformBase = new TransformBase();
-    const parentId = node.id();
 
     try {
         // Start progress tracking
         transformBase.startTransformProgress('domain-to-dns');
         transformBase.updateTransformProgress(20, `DNS Resolution: Querying "${domain}"...`);
 
-        const response = await fetch("/domain-to-dns", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ domain })
+        const data = await runTransformJob("domain-to-dns", domain, options, {
+            ...transformBase.getJobOptions(),
+            signal: transformBase.getAbortSignal()
         });
-        
+
         transformBase.updateTransformProgress(60, `DNS Resolution: Processing results for "${domain}"...`);
-        
-        const data = await response.json();
-            let added = false;
-            let processedRecords = 0;
-            const totalRecordTypes = 5; // MX, NS, A, CNAME, TXT
-
-            /**
-             * Process Each DNS Record Type
-             * 
-             * For each DNS record type (MX, NS, A, CNAME, TXT):
-             * 1. Creates unique node IDs using TransformBase.createNodeId()
-             * 2. Checks if nodes already exist using TransformBase.nodeExists()
-             * 3. Creates new nodes with DNS record information using TransformBase.createNode()
-             * 4. Automatically creates edges connecting to original domain node
-             * 5. Uses undo/redo system for all graph modifications via TransformBase
-             */
-            
-            // Process MX (Mail Exchange) records
-            if (data.mx && Array.isArray(data.mx)) {
-                for (const mxRecord of data.mx) {
-                    const newId = transformBase.createNodeId("mx", mxRecord);
-                    if(!transformBase.nodeExists(newId)){
-                        const position = transformBase.generatePositionNearNode(node);
-                        const createdNode = await transformBase.createNode(newId, `${mxRecord}`, position, parentId);
-                        if(createdNode) added = true;
-                    }
-                }
-            }
-            processedRecords++;
-            transformBase.updateTransformProgress(60 + (processedRecords / totalRecordTypes) * 30, `DNS Resolution: Processing MX records...`);
-
-            // Process NS (Name Server) records
-            if (data.ns && Array.isArray(data.ns)) {
-                for (const nsRecord of data.ns) {
-                    const newId = transformBase.createNodeId("ns", nsRecord);
-                    if(!transformBase.nodeExists(newId)){
-                        const position = transformBase.generatePositionNearNode(node);
-                        const createdNode = await transformBase.createNode(newId, `${nsRecord}`, position, parentId);
-                        if(createdNode) added = true;
-                    }
-                }
-            }
-            processedRecords++;
-            transformBase.updateTransformProgress(60 + (processedRecords / totalRecordTypes) * 30, `DNS Resolution: Processing NS records...`);
-
-            // Process A (IPv4) records
-            if (data.a && Array.isArray(data.a)) {
-                for (const aRecord of data.a) {
-                    const newId = transformBase.createNodeId("a", aRecord);
-                    if(!transformBase.nodeExists(newId)){
-                        const position = transformBase.generatePositionNearNode(node);
-                        const createdNode = await transformBase.createNode(newId, `${aRecord}`, position, parentId);
-                        if(createdNode) added = true;
-                    }
-                }
-            }
-            processedRecords++;
-            transformBase.updateTransformProgress(60 + (processedRecords / totalRecordTypes) * 30, `DNS Resolution: Processing A records...`);
-
-            // Process CNAME (Canonical Name) records
-            if (data.cname && Array.isArray(data.cname)) {
-                for (const cnameRecord of data.cname) {
-                    const newId = transformBase.createNodeId("cname", cnameRecord);
-                    if(!transformBase.nodeExists(newId)){
-                        const position = transformBase.generatePositionNearNode(node);
-                        const createdNode = await transformBase.createNode(newId, `${cnameRecord}`, position, parentId);
-                        if(createdNode) added = true;
-                    }
-                }
-            }
-            processedRecords++;
-            transformBase.updateTransformProgress(60 + (processedRecords / totalRecordTypes) * 30, `DNS Resolution: Processing CNAME records...`);
-
-            // Process TXT records
-            if (data.txt && Array.isArray(data.txt)) {
-                for (const txtRecord of data.txt) {
-                    const newId = transformBase.createNodeId("txt", txtRecord);
-                    if(!transformBase.nodeExists(newId)){
-                        const position = transformBase.generatePositionNearNode(node);
-                        const createdNode = await transformBase.createNode(newId, `${txtRecord}`, position, parentId);
-                        if(createdNode) added = true;
-                    }
-                }
+
+        transformBase.reportCachedResult(data);
+        let added = false;
+        const resolverProperties = getResolverProperties(data);
+        const recordTypes = DNS_RECORD_TYPES.filter(type => data[type.toLowerCase()] !== undefined);
+        let processedRecords = 0;
+
+        /**
+         * Process Each DNS Record Type
+         *
+         * For each queried record type, adds the nodes of each record and
+         * connects them to the original domain node (see addRecordNodes)
+         */
+        for (const recordType of recordTypes) {
+            const value = data[recordType.toLowerCase()];
+            const records = Array.isArray(value) ? value : value ? [value] : [];
+
+            for (const record of records) {
+                if (await addRecordNodes(transformBase, node, recordType, record, resolverProperties)) added = true;
             }
+
             processedRecords++;
-            transformBase.updateTransformProgress(95, `DNS Resolution: Finalizing results...`);
-
-            /**
-             * Update UI Status
-             * 
-             * Provides feedback on the resolution results:
-             * - Shows completion message with number of new nodes added
-             * - Indicates if no new nodes were found (duplicates filtered out)
-             */
-            if(added){
-                setStatusMessage(`DNS Resolution complete for "${domain}"`);
-                transformBase.completeTransformProgress(true, `DNS Resolution: Found records for "${domain}"`);
-            }else{
-                setStatusMessage(`No new DNS records found for "${domain}"`);
-                transformBase.completeTransformProgress(true, `DNS Resolution: No new records found for "${domain}"`);
-            }
-        } catch (err) {
-            /**
-             * Error Handling
-             * 
-             * Catches and handles any errors during the resolution process:
-             * - Logs error details to console for debugging
-             * - Updates UI status with error message
-             * - Preserves original node state
-             */
-            console.error("DNS Resolution error:", err);
-            setStatusMessage(`DNS Resolution failed for "${domain}"`);
-            transformBase.completeTransformProgress(false, `DNS Resolution: Failed for "${domain}"`);
+            transformBase.updateTransformProgress(60 + (processedRecords / recordTypes.length) * 30, `DNS Resolution: Processing ${recordType} records...`);
+        }
+        transformBase.updateTransformProgress(95, `DNS Resolution: Finalizing results...`);
+
+        /**
+         * Update UI Status
+         *
+         * Provides feedback on the resolution results:
+         * - Shows completion message with number of new nodes added
+         * - Indicates if no new nodes were found (duplicates filtered out)
+         */
+        if(added){
+            setStatusMessage(`DNS Resolution complete for "${domain}"`);
+            transformBase.completeTransformProgress(true, `DNS Resolution: Found records for "${domain}"`);
+        }else{
+            setStatusMessage(`No new DNS records found for "${domain}"`);
+            transformBase.completeTransformProgress(true, `DNS Resolution: No new records found for "${domain}"`);
+        }
+    } catch (err) {
+        /**
+         * Error Handling
+         *
+         * Catches and handles any errors during the resolution process:
+         * - Logs error details to console for debugging
+         * - Updates UI status with error message
+         * - Preserves original node state
+         */
+        console.error("DNS Resolution error:", err);
+        setStatusMessage(`DNS Resolution failed for "${domain}"`);
+        transformBase.completeTransformProgress(false, `DNS Resolution: Failed for "${domain}"`);
+    }
+}
+
+/**
+ * Add Record Nodes
+ *
+ * addRecordNodes(transformBase: TransformBase, node: CytoscapeNode, recordType: string, record: any, properties?: object): Promise<boolean>
+ *
+ * Adds the nodes one DNS record stands for and connects them to the node.
+ * Also used for the records of a zone transfer.
+ *
+ * Process:
+ * 1. Turns the record into its nodes (see RECORD_NODES); record types
+ *    without an entry become one custom node labelled "{type} {data}"
+ * 2. Creates unique node IDs using TransformBase.createNodeId()
+ * 3. Creates new nodes with the record type, details and the given extra
+ *    properties (e.g. the resolver) as properties
+ * 4. Connects nodes with the record type as edge label, including nodes
+ *    that already exist
+ * 5. Uses undo/redo system for all graph modifications via TransformBase
+ *
+ * @returns {Promise<boolean>} Whether anything was added to the graph
+ */
+export async function addRecordNodes(transformBase, node, recordType, record, properties = {}) {
+    const toNodes = RECORD_NODES[recordType.toLowerCase()]
+        || (data => [{ key: recordType.toLowerCase(), label: `${recordType} ${data}`, type: "custom" }]);
+    const parentId = node.id();
+    let added = false;
+
+    for (const entry of toNodes(record)) {
+        if (!entry.label) continue;
+
+        const newId = transformBase.createNodeId(entry.key, entry.label);
+        const edgeLabel = entry.edgeLabel || recordType;
+        if (transformBase.nodeExists(newId)) {
+            if (transformBase.createEdge(parentId, newId, edgeLabel)) added = true;
+            continue;
         }
-} 
\ No newline at end of file
+
+        const position = transformBase.generatePositionNearNode(node);
+        const createdNode = await transformBase.createNode(newId, `${entry.label}`, position, parentId, {
+            type: entry.type,
+            edgeLabel,
+            data: { properties: { recordType, ...entry.properties, ...properties } }
+        });
+        if(createdNode) added = true;
+    }
+    return added;
+}
+
+/**
+ * SOA Contact To Email
+ *
+ * soaContactToEmail(hostmaster: string): string
+ *
+ * The SOA contact is an email address written as a name, with the first
+ * unescaped dot standing for "@", e.g. "hostmaster.example.com" or
+ * "john\.doe.example.com".
+ */
+function soaContactToEmail(hostmaster) {
+    if (!hostmaster) return "";
+    const match = hostmaster.match(/^((?:[^.\\]|\\.)+)\.(.+)$/);
+    if (!match) return hostmaster;
+    return `${match[1].replace(/\\\./g, ".")}@${match[2]}`;
+}
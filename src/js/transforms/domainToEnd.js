@@ -2,12 +2,14 @@
  * Feroxbuster Domain endpoint Discovery Integration
  * 
  * This module integrates with Feroxbuster to fetch endpoints for a given domain node.
- * It creates new nodes for each discovered endpoint and saves the results to a text file.
+ * It creates a node for each endpoint as soon as Feroxbuster finds it and saves the
+ * results to a text file.
  */
 
 import { uploadFiles } from "../fileUploadHandler.js";
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
 
 /**
  * runDomainToEnd(node: CytoscapeNode)
@@ -27,54 +29,44 @@ export async function runDomainToEnd(node) {
         transformBase.startTransformProgress('domain-to-endpoint');
         transformBase.updateTransformProgress(10, `Feroxbuster: Fetching endpoints for "${domain}"...`);
 
-        const response = await fetch("/domain-to-end", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ domain })
-        });
-        
-        transformBase.updateTransformProgress(60, `Feroxbuster: Processing results for "${domain}"...`);
-        
-        const text = await response.text();
-        let data;
-        try {
-            data = JSON.parse(text);
-        } catch {
-            throw new Error(`Invalid JSON response from server:\n${text}`);
-        }
-        
-        if(!data.endpoints || !Array.isArray(data.endpoints)) {
-            setStatusMessage(`Feroxbuster returned no endpoints for "${domain}"`);
-            transformBase.completeTransformProgress(true, `Feroxbuster: No endpoints found for "${domain}"`);
-            return;
-        }
-
         let added = false;
         let processedEndpoints = 0;
-        const totalEndpoints = data.endpoints.length;
 
         /**
          * Process Each Discovered Endpoint
          * 
-         * For each endpoint found by Feroxbuster:
+         * For each endpoint as soon as Feroxbuster reports it:
          * 1. Creates a unique node ID using TransformBase.createNodeId()
          * 2. Checks if node already exists using TransformBase.nodeExists()
          * 3. Creates new node with endpoint information using TransformBase.createNode()
          * 4. Automatically creates edge connecting to original domain node
          * 5. Uses undo/redo system for all graph modifications via TransformBase
          */
+        const data = await runTransformJob("domain-to-endpoint", domain, {}, {
+            ...transformBase.getJobOptions(),
+            onResult: async ({ endpoint }) => {
+                const newId = transformBase.createNodeId("endpoint", endpoint);
+                if(!transformBase.nodeExists(newId)){
+                    const position = transformBase.generatePositionNearNode(node);
+                    // Create full URL by combining domain with endpoint path
+                    const fullEndpoint = endpoint.startsWith('/') ? `${domain}${endpoint}` : `${domain}/${endpoint}`;
+                    const createdNode = await transformBase.createNode(newId, fullEndpoint, position, parentId);
+                    if(createdNode) added = true;
+                }
+                processedEndpoints++;
+            },
+            onProgress: (percent, message) => {
+                // Feroxbuster has no percentage; the estimate keeps running and the label shows the count
+                transformBase.reportStreamProgress(percent, `Feroxbuster: ${message}`);
+            },
+            signal: transformBase.getAbortSignal()
+        });
+        transformBase.reportCachedResult(data);
         
-        for (const endpoint of data.endpoints) {
-            const newId = transformBase.createNodeId("endpoint", endpoint);
-            if(!transformBase.nodeExists(newId)){
-                const position = transformBase.generatePositionNearNode(node);
-                // Create full URL by combining domain with endpoint path
-                const fullEndpoint = endpoint.startsWith('/') ? `${domain}${endpoint}` : `${domain}/${endpoint}`;
-                const createdNode = await transformBase.createNode(newId, fullEndpoint, position, parentId);
-                if(createdNode) added = true;
-            }
-            processedEndpoints++;
-            transformBase.updateTransformProgress(60 + (processedEndpoints / totalEndpoints) * 20, `Feroxbuster: Creating nodes for endpoints...`);
+        if(!data.endpoints || !Array.isArray(data.endpoints)) {
+            setStatusMessage(`Feroxbuster returned no endpoints for "${domain}"`);
+            transformBase.completeTransformProgress(true, `Feroxbuster: No endpoints found for "${domain}"`);
+            return;
         }
 
         transformBase.updateTransformProgress(85, `Feroxbuster: Creating file for "${domain}"...`);
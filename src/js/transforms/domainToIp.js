@@ -14,12 +14,15 @@
  * - Automated DNS resolution via server API
  * - Dynamic graph expansion with new IP nodes
  * - Visual connection between original domain and resolved IPs
+ * - The DNS servers asked are kept as the resolver property of each IP node
  * - Status updates during resolution process
  * - Error handling for failed resolutions
  */
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { getResolverProperties } from "./domainToDns.js";
 
 /**
  * Execute Domain to IP Address Resolution
@@ -47,9 +50,9 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Handles multiple IP addresses for a single domain
  * 
  * Server Communication:
- * - POST request to /domain-to-ip endpoint
- * - Request body: {domain: string}
- * - Response: {ips: string[]} - Array of IP addresses
+ * - Runs as a "domain-to-ip" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the domain
+ * - Job result: {ips: string[], resolvers: string[]} - IP addresses and the DNS servers asked
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -73,15 +76,15 @@ export async function runDomainToIp(node){
         transformBase.startTransformProgress('domain-to-ip');
         transformBase.updateTransformProgress(20, `Domain to IP: Resolving "${domain}"...`);
 
-        const response = await fetch("/domain-to-ip", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ domain })
+        const data = await runTransformJob("domain-to-ip", domain, {}, {
+            ...transformBase.getJobOptions(),
+            signal: transformBase.getAbortSignal()
         });
         
         transformBase.updateTransformProgress(60, `Domain to IP: Processing results for "${domain}"...`);
         
-        const data = await response.json();
+        
+        transformBase.reportCachedResult(data);
         let added = false;
 
         /**
@@ -95,7 +98,9 @@ export async function runDomainToIp(node){
             const newId = transformBase.createNodeId("ip", ip);
             if(!transformBase.nodeExists(newId)){
                 const position = transformBase.generatePositionNearNode(node);
-                const createdNode = await transformBase.createNode(newId, `${ip}`, position, parentId);
+                const createdNode = await transformBase.createNode(newId, `${ip}`, position, parentId, {
+                    data: { properties: getResolverProperties(data) }
+                });
                 if(createdNode) added = true;
             }
             
@@ -2,12 +2,14 @@
  * FFuF Subdomain Discovery Integration
  * 
  * This module integrates with ffuf to fetch subdomains for a given domain node.
- * It creates new nodes for each discovered subdomain and saves the results to a text file.
+ * It creates a node for each subdomain as soon as ffuf finds it, follows ffuf's real
+ * progress, and saves the results to a text file.
  */
 
 import { uploadFiles } from "../fileUploadHandler.js";
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
 
 /**
  * runDomainToSub(node: CytoscapeNode)
@@ -27,43 +29,32 @@ export async function runDomainToSub(node) {
         transformBase.startTransformProgress('domain-to-subdomain');
         transformBase.updateTransformProgress(10, `FFuF: Fetching subdomains for "${domain}"...`);
 
-        const response = await fetch("/domain-to-sub", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ domain })
+        let added = false;
+
+        // Create a node for each subdomain as soon as it is discovered
+        const data = await runTransformJob("domain-to-subdomain", domain, {}, {
+            ...transformBase.getJobOptions(),
+            onResult: async ({ subdomain }) => {
+                const newId = transformBase.createNodeId("subdomain", subdomain);
+                if(!transformBase.nodeExists(newId)){
+                    const position = transformBase.generatePositionNearNode(node);
+                    const createdNode = await transformBase.createNode(newId, subdomain, position, parentId);
+                    if(createdNode) added = true;
+                }
+            },
+            onProgress: (percent, message) => {
+                transformBase.reportStreamProgress(percent, `FFuF: ${message}`);
+            },
+            signal: transformBase.getAbortSignal()
         });
-        
-        transformBase.updateTransformProgress(60, `FFuF: Processing results for "${domain}"...`);
-        
-        const data = await response.json();
-        
+        transformBase.reportCachedResult(data);
+
         if(!data.subdomains || !Array.isArray(data.subdomains)){
             setStatusMessage(`FFuF returned no subdomains for "${domain}"`);
             transformBase.completeTransformProgress(true, `FFuF: No subdomains found for "${domain}"`);
             return;
         }
 
-        transformBase.updateTransformProgress(70, `FFuF: Creating nodes for ${data.subdomains.length} subdomains...`);
-
-        let added = false;
-        const totalSubdomains = data.subdomains.length;
-
-        // Create nodes for each discovered subdomain
-        for (let i = 0; i < data.subdomains.length; i++) {
-            const subdomain = data.subdomains[i];
-            const newId = transformBase.createNodeId("subdomain", subdomain);
-            
-            if(!transformBase.nodeExists(newId)){
-                const position = transformBase.generatePositionNearNode(node);
-                const createdNode = await transformBase.createNode(newId, subdomain, position, parentId);
-                if(createdNode) added = true;
-            }
-            
-            // Update progress based on subdomains processed
-            const subdomainProgress = 70 + (i / totalSubdomains) * 20;
-            transformBase.updateTransformProgress(subdomainProgress, `FFuF: Processing ${i + 1}/${totalSubdomains} subdomains...`);
-        }
-
         transformBase.updateTransformProgress(95, `FFuF: Creating summary file...`);
 
         // Create text file content with subdomains
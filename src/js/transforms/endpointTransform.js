@@ -0,0 +1,55 @@
+/**
+ * Registered Endpoint Transform
+ *
+ * This module runs built-in transforms that have no frontend runner of their own
+ * (see TRANSFORM_RUNNERS in main.js). Everything it needs comes from the
+ * transform's registry entry, so such a transform only has to be registered on
+ * the server.
+ *
+ * Key Features:
+ * - Runs the transform on the node label as a server job (see transformJobs.js)
+ * - Follows the job's progress
+ * - Adds the answer to the graph in the custom transform output format
+ *   (nodes, entities, edges, files)
+ */
+
+import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { addTransformOutput } from "./customTransform.js";
+
+/**
+ * Run Endpoint Transform
+ *
+ * runEndpointTransform(node: CytoscapeNode, definition: object, options?: object)
+ *
+ * Executes a registered server-side transform on the specified node.
+ *
+ * @param {CytoscapeNode} node - The node to transform
+ * @param {object} definition - Registry entry ({id, name})
+ * @param {object} options - The transform's params
+ */
+export async function runEndpointTransform(node, definition, options = {}) {
+    const transformBase = new TransformBase();
+    const label = node.data("label");
+
+    try {
+        transformBase.startTransformProgress(definition.id);
+        transformBase.updateTransformProgress(10, `${definition.name}: Processing "${label}"...`);
+
+        const data = await runTransformJob(definition.id, label, options, {
+            ...transformBase.getJobOptions(),
+            onProgress: (percent, message) => {
+                transformBase.reportStreamProgress(percent, `${definition.name}: ${message}`, 10, 50);
+            },
+            signal: transformBase.getAbortSignal()
+        });
+        transformBase.reportCachedResult(data);
+
+        transformBase.updateTransformProgress(50, `${definition.name}: Processing results...`);
+        await addTransformOutput(transformBase, node, data, definition.name);
+    } catch (err) {
+        console.error(`Error running ${definition.name}:`, err);
+        transformBase.completeTransformProgress(false, `${definition.name}: ${err.message} for "${label}"`);
+        throw err;
+    }
+}
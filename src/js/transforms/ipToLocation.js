@@ -6,7 +6,9 @@
  * discovered location information including country, city, region, and coordinates.
  * 
  * IP Geolocation API:
- * - Provides detailed geographic information for IP addresses
+ * - Provides detailed geographic information for IP addresses, from local
+ *   .mmdb databases or an online API depending on the server's
+ *   GEOLOCATION_PROVIDER setting
  * - Returns country, city, region, latitude, longitude, and more
  * - Helps investigators understand the physical location of network assets
  * 
@@ -20,6 +22,7 @@
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
 
 /**
  * Execute IP to Location Geographic Analysis
@@ -53,9 +56,10 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Uses undo/redo system for all additions
  * 
  * Server Communication:
- * - POST request to /ip-to-location endpoint
- * - Request body: {ip: string}
- * - Response: {countryName, countryCode, cityName, regionName, latitude, longitude, zipCode, asn, asnOrganization, isProxy}
+ * - Runs as a "ip-to-location" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the IP address
+ * - Job result: {provider, countryName, countryCode, cityName, regionName, latitude, longitude, zipCode, asn, asnOrganization, isProxy}
+ * - The IP node records the provider that answered as its geolocationProvider property
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -79,15 +83,18 @@ export async function runIpToLocation(node){
         transformBase.startTransformProgress('ip-to-location');
         transformBase.updateTransformProgress(20, `IP to Location: Analyzing "${ipAddress}"...`);
 
-        const response = await fetch("/ip-to-location", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ ip: ipAddress })
+        const data = await runTransformJob("ip-to-location", ipAddress, {}, {
+            ...transformBase.getJobOptions(),
+            signal: transformBase.getAbortSignal()
         });
         
         transformBase.updateTransformProgress(60, `IP to Location: Processing results for "${ipAddress}"...`);
         
-        const data = await response.json();
+        
+        transformBase.reportCachedResult(data);
+        if (data.provider) {
+            node.data("properties", { ...(node.data("properties") || {}), geolocationProvider: data.provider });
+        }
         let added = false;
         let processedItems = 0;
         const totalItems = 6; // country, city, region, coordinates, asn, asnOrg
@@ -15,12 +15,14 @@
  * - Automated network analysis via server API
  * - Dynamic graph expansion with new network nodes
  * - Visual connection between original IP and network information
+ * - Netblock nodes get the "netblock" type, so they can be port scanned
  * - Status updates during analysis process
  * - Error handling for failed analyses
  */
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
 
 /**
  * Execute IP to Netblock Network Analysis
@@ -48,9 +50,13 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Maps IP addresses to their network infrastructure
  * 
  * Server Communication:
- * - POST request to /ip-to-netblock endpoint
- * - Request body: {ip: string}
- * - Response: {netblocks: string[], owners: string[]} - Arrays of network ranges and owners
+ * - Runs as a "ip-to-netblock" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the IP address
+ * - Job result: {netblocks: string[], owners: string[]} - Arrays of network ranges and owners
+ * 
+ * Node Creation:
+ * - Netblocks: type "netblock", label "Netblock: {netblock}", property netblock
+ * - Owners: label "Owner: {owner}", type detected from the label
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -74,15 +80,15 @@ export async function runIpToNetblock(node){
         transformBase.startTransformProgress('ip-to-netblock');
         transformBase.updateTransformProgress(20, `IP to Netblock: Analyzing "${ip}"...`);
 
-        const response = await fetch("/ip-to-netblock", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ ip })
+        const data = await runTransformJob("ip-to-netblock", ip, {}, {
+            ...transformBase.getJobOptions(),
+            signal: transformBase.getAbortSignal()
         });
         
         transformBase.updateTransformProgress(60, `IP to Netblock: Processing results for "${ip}"...`);
         
-        const data = await response.json();
+        
+        transformBase.reportCachedResult(data);
         let added = false;
         let processedItems = 0;
         const totalItems = 2; // netblocks and owners
@@ -97,7 +103,10 @@ export async function runIpToNetblock(node){
                     const newId = transformBase.createNodeId("netblock", netblock);
                     if(!transformBase.nodeExists(newId)){
                         const position = transformBase.generatePositionNearNode(node);
-                        const createdNode = await transformBase.createNode(newId, `Netblock: ${netblock}`, position, parentId);
+                        const createdNode = await transformBase.createNode(newId, `Netblock: ${netblock}`, position, parentId, {
+                            type: "netblock",
+                            data: { properties: { netblock } }
+                        });
                         if(createdNode) added = true;
                     }
                 }
@@ -0,0 +1,173 @@
+/**
+ * IP to Reverse DNS Integration
+ *
+ * This module looks up the host names IP addresses point back to through their
+ * PTR records. It expands the investigation graph by adding domain nodes for
+ * the host names found.
+ *
+ * Reverse DNS:
+ * - Works for IPv4 and IPv6 addresses
+ * - Sweeping a netblock reveals the other host names sharing a hosting
+ *   provider's range
+ * - Addresses without PTR records produce no nodes
+ *
+ * Key Features:
+ * - Automated reverse lookups via server API
+ * - Netblock nodes are swept address by address; results appear as they are found
+ *   and the progress bar follows the share of addresses looked up
+ * - Visual connection between addresses and their host names, labelled "PTR"
+ * - The DNS servers asked are kept as the resolver property of each host name node
+ * - Status updates during lookup process
+ * - Error handling for failed lookups
+ */
+
+import { setStatusMessage } from "../setStatusMessageHandler.js";
+import { cy } from "../cytoscapeConfig.js";
+import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { getScanTarget } from "./portScan.js";
+import { getResolverProperties } from "./domainToDns.js";
+
+/**
+ * Execute IP to Reverse DNS Lookup
+ *
+ * runIpToReverseDns(node: CytoscapeNode)
+ *
+ * Looks up the host names of the IP address stored in the node's label, or of
+ * every address in a netblock node's netblock.
+ *
+ * Input:
+ * - node: CytoscapeNode - An IP node, or a netblock node to sweep
+ *
+ * Process:
+ * 1. Extracts the address or netblock from the node (see getScanTarget)
+ * 2. Runs the ip-to-reverse-dns server job (see transformJobs.js)
+ * 3. Sweeps: creates an IP node for each address with host names, connected to
+ *    the netblock node, as soon as it is reported
+ * 4. Creates a domain node for each host name, connected to its address
+ * 5. Records the DNS servers asked on the new host name nodes
+ * 6. Updates status with lookup completion or error
+ *
+ * Node Creation:
+ * - Host names: type "domain", ID "domain:{hostname}", edge label "PTR",
+ *   properties recordType "PTR" and resolver
+ * - Swept addresses: type "ip", ID "ip:{address}", reusing an existing node
+ *   for the same address
+ *
+ * Server Communication:
+ * - Runs as an "ip-to-reverse-dns" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the address or netblock
+ * - Single address result: {hostnames: string[], resolvers: string[]}
+ * - Sweep events: result {ip, hostnames}, progress {percent, message}
+ * - Sweep result: {hosts: Array<{ip, hostnames}>, resolvers: string[]}
+ *
+ * Error Handling:
+ * - Network errors are caught and logged
+ * - UI status is updated with error message
+ * - Original node remains unchanged on failure
+ */
+export async function runIpToReverseDns(node){
+    const target = getScanTarget(node);
+    setStatusMessage(`Reverse DNS: Looking up "${target}"...`);
+
+    const transformBase = new TransformBase();
+    const parentId = node.id();
+
+    try {
+        // Start progress tracking
+        transformBase.startTransformProgress('ip-to-reverse-dns');
+        transformBase.updateTransformProgress(20, `Reverse DNS: Looking up "${target}"...`);
+
+        let added = false;
+        const hostnameIds = [];
+
+        /**
+         * Add Host Names
+         *
+         * Creates a domain node for each host name and connects it to the
+         * address node, or connects an existing node for the same name.
+         */
+        const addHostnames = async (addressId, hostnames) => {
+            for (const hostname of hostnames) {
+                const newId = transformBase.createNodeId("domain", hostname);
+                if (transformBase.nodeExists(newId)) {
+                    if (transformBase.createEdge(addressId, newId, "PTR")) added = true;
+                    continue;
+                }
+                const position = transformBase.generatePositionNearNode(cy.getElementById(addressId));
+                const createdNode = await transformBase.createNode(newId, hostname, position, addressId, {
+                    type: "domain",
+                    edgeLabel: "PTR",
+                    data: { properties: { recordType: "PTR" } }
+                });
+                if(createdNode) {
+                    added = true;
+                    hostnameIds.push(newId);
+                }
+            }
+        };
+
+        const data = await runTransformJob("ip-to-reverse-dns", target, {}, {
+            ...transformBase.getJobOptions(),
+            onResult: async ({ ip, hostnames }) => {
+                const addressId = transformBase.createNodeId("ip", ip);
+                if (transformBase.nodeExists(addressId)) {
+                    transformBase.createEdge(parentId, addressId);
+                } else {
+                    const position = transformBase.generatePositionNearNode(node);
+                    const createdNode = await transformBase.createNode(addressId, ip, position, parentId, { type: "ip" });
+                    if(createdNode) added = true;
+                }
+                await addHostnames(addressId, hostnames);
+            },
+            onProgress: (percent, message) => {
+                transformBase.reportStreamProgress(percent, `Reverse DNS: ${message}`);
+            },
+            signal: transformBase.getAbortSignal()
+        });
+        transformBase.reportCachedResult(data);
+
+        if (data.hostnames) {
+            await addHostnames(parentId, data.hostnames);
+        }
+
+        // The resolvers are only known once the response arrives, after swept host names were added
+        const resolverProperties = getResolverProperties(data);
+        for (const hostnameId of hostnameIds) {
+            const hostnameNode = cy.getElementById(hostnameId);
+            hostnameNode.data("properties", { ...(hostnameNode.data("properties") || {}), ...resolverProperties });
+        }
+
+        transformBase.updateTransformProgress(95, `Reverse DNS: Finalizing results...`);
+
+        /**
+         * Update UI Status
+         *
+         * Provides feedback on the lookup results:
+         * - Shows how many host names or addresses were found
+         * - Indicates if nothing new was added (duplicates filtered out)
+         */
+        const summary = data.hosts
+            ? `${data.hosts.length} addresses with host names`
+            : `${data.hostnames.length} host names`;
+        if(added){
+            setStatusMessage(`Reverse DNS complete for "${target}" - ${summary}`);
+            transformBase.completeTransformProgress(true, `Reverse DNS: Found ${summary} for "${target}"`);
+        }else{
+            setStatusMessage(`No new host names found for "${target}"`);
+            transformBase.completeTransformProgress(true, `Reverse DNS: No new host names found for "${target}"`);
+        }
+    } catch (err) {
+        /**
+         * Error Handling
+         *
+         * Catches and handles any errors during the lookup:
+         * - Logs error details to console for debugging
+         * - Updates UI status with error message
+         * - Preserves original node state
+         */
+        console.error("Reverse DNS error:", err);
+        setStatusMessage(`Reverse DNS failed for "${target}": ${err.message}`);
+        transformBase.completeTransformProgress(false, `Reverse DNS: Failed for "${target}"`);
+    }
+}
@@ -5,7 +5,8 @@
  * It expands the investigation graph by adding new nodes representing discovered open ports.
  * 
  * Portscanner Library:
- * - Scans top 1000 most common ports on target systems
+ * - Scans the top 1000 most common ports by default, or a chosen port list,
+ *   range, top 100 or all ports
  * - Uses port frequency ranking data
  * - Identifies open ports and associated services
  * - Helps investigators discover network vulnerabilities and services
@@ -13,40 +14,124 @@
  * 
  * Key Features:
  * - Automated port scanning via server API
- * - Dynamic graph expansion with new nodes
+ * - Open ports appear on the graph as soon as they are found
+ * - Progress bar follows the share of ports scanned
  * - Visual connection between original node and found ports
  * - Status updates during scan process
  * - Error handling for failed scans
+ * - Scan profiles (quick, default, full) with per-port timeout, concurrency and
+ *   delay between batches, chosen before each run
+ * - Banner grabbing identifies the service actually running on each port; the
+ *   detected product, version, banner and TLS details become node properties
+ * - Netblock nodes and CIDR or range labels are scanned host by host after a
+ *   host discovery pass; each live host becomes an IP node with its open
+ *   ports as children
  */
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
+import { cy } from "../cytoscapeConfig.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { showParamsDialog } from "../utils/paramsDialog.js";
+
+/**
+ * Scan Profiles
+ * 
+ * Request body fields for each profile. Default leaves everything to the
+ * server (top 1000 ports, 3000 ms timeout, 50 ports at a time, no delay).
+ */
+const PORT_SCAN_PROFILES = {
+    Quick: { ports: "top100", timeout: 1000, concurrency: 100 },
+    Default: {},
+    Full: { ports: "all", timeout: 1500, concurrency: 200 }
+};
+
+// Options dialog fields; the server validates the same limits (see parsePortScanOptions)
+const PORT_SCAN_OPTION_PARAMS = [
+    { name: "profile", label: "Profile", type: "select", options: Object.keys(PORT_SCAN_PROFILES), default: "Default", description: "Quick: top 100 ports. Default: top 1000 ports. Full: all 65535 ports. Fields below override the profile." },
+    { name: "ports", label: "Ports", type: "string", description: "e.g. 22,80,8000-8100, top100, top1000 or all" },
+    { name: "timeout", label: "Timeout per port (ms)", type: "integer", min: 100, max: 30000 },
+    { name: "concurrency", label: "Ports at a time", type: "integer", min: 1, max: 1000 },
+    { name: "delay", label: "Delay between batches (ms)", type: "integer", min: 0, max: 60000, description: "Raise the delay and lower the concurrency to scan gently" },
+    { name: "banners", label: "Grab banners to identify services", type: "boolean", default: true },
+    { name: "maxHosts", label: "Most hosts in a range", type: "integer", min: 1, max: 4096, description: "Netblocks, CIDR blocks and ranges covering more addresses are refused (default 256)" },
+    { name: "discovery", label: "Skip hosts that do not answer", type: "boolean", default: true, description: "Ranges only: check which hosts are up before scanning their ports" }
+];
+
+// Options of the last run, prefilled the next time the dialog opens
+let lastOptions = {};
+
+/**
+ * Request Port Scan Options
+ * 
+ * requestPortScanOptions(): Promise<object|null>
+ * 
+ * Shows the scan profile dialog, prefilled with the choices of the last run.
+ * Filled-in fields override the chosen profile.
+ * 
+ * @returns {Promise<object|null>} Request body fields for POST /port-scan, or null when the user cancelled
+ */
+export async function requestPortScanOptions() {
+    const values = await showParamsDialog({
+        title: "Port Scan",
+        params: PORT_SCAN_OPTION_PARAMS,
+        values: lastOptions,
+        submitLabel: "Scan"
+    });
+    if (!values) return null;
+
+    lastOptions = values;
+
+    const { profile, ...overrides } = values;
+    return { ...(PORT_SCAN_PROFILES[profile] || {}), ...overrides };
+}
+
+/**
+ * Get Scan Target
+ * 
+ * getScanTarget(node: CytoscapeNode): string
+ * 
+ * Netblock nodes are scanned by their netblock property, or by the label
+ * without its "Netblock:" prefix; other nodes by their label. Also used by
+ * the reverse DNS sweep.
+ */
+export function getScanTarget(node) {
+    const label = node.data("label");
+    if (node.data("type") !== "netblock") return label;
+    return node.data("properties")?.netblock || label.replace(/^Netblock:\s*/i, "");
+}
 
 /**
  * Execute Port Scan
  * 
- * runPortScan(node: CytoscapeNode)
+ * runPortScan(node: CytoscapeNode, options?: object)
  * 
- * Performs a port scan for the target stored in the node's label.
- * Creates new nodes for each open port discovered during the scan.
+ * Performs a port scan for the target stored in the node's label, or for the
+ * netblock of a netblock node. Creates new nodes for each open port discovered
+ * during the scan, and for each live host when the target covers several.
  * 
  * Input:
  * - node: CytoscapeNode - The node containing the target to scan
+ * - options?: object - Ports, timeout, concurrency and delay from requestPortScanOptions
  * 
  * Process:
- * 1. Extracts target from node's label data
+ * 1. Extracts target from node's label data (see getScanTarget)
  * 2. Updates UI status to show scan in progress
- * 3. Sends POST request to /port-scan endpoint with target
- * 4. Processes returned list of open ports
- * 5. Creates new nodes for each open port
- * 6. Connects new nodes to the original target node
- * 7. Updates status with scan completion or error
+ * 3. Runs the port-scan server job on the target (see transformJobs.js)
+ * 4. Creates a node for each live host and open port as soon as it is reported
+ * 5. Connects hosts and single-target ports to the original node, and ports
+ *    of a network scan to their host
+ * 6. Updates status with scan completion or error
  * 
  * Node Creation:
  * - Each open port becomes a new node
- * - Node ID format: "{target}:{port}"
- * - Node label format: "Port {port} ({service}) on {target}"
- * - Positioned randomly near the original node (±50px)
+ * - Node ID format: "port:{host}:{port}"
+ * - Node label format: "Port {port} ({service}) on {host}"
+ * - Network scans: each live host becomes an IP node "ip:{host}", reusing
+ *   an existing node for the same address
+ * - Node properties: port, service and, when the banner revealed them,
+ *   product, version, banner, tls and tlsVersion
+ * - Positioned randomly near the node they are connected to (±50px)
  * 
  * Edge Creation:
  * - Creates directed edge from original node to each new node
@@ -54,10 +139,13 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Uses undo/redo system for all additions
  * 
  * Server Communication:
- * - POST request to /port-scan endpoint
- * - Request body: {target: string}
- * - Response: {ports: Array<{port: number, service: string}>} - Array of port objects
- * - Uses portscanner library with top 1000 ports data
+ * - Runs as a "port-scan" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the target; params: {ports?: string, timeout?: number, concurrency?: number, delay?: number, banners?: boolean, maxHosts?: number, discovery?: boolean}
+ * - Events: result {port, service, product?, version?, banner?, tls?, tlsVersion?}, progress {percent, message}
+ * - Network scans add result {host} per live host, and host to each port result
+ * - Job result: {ports: Array<object>} - The same port objects, or
+ *   {hosts: Array<{host, ports}>} for network scans
+ * - Uses portscanner library; the top 1000 ports unless the options name other ports
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -70,8 +158,8 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Error messages for failed scans
  * - Status message when no open ports are found
  */
-export async function runPortScan(node){
-    const target = node.data("label");
+export async function runPortScan(node, options = {}){
+    const target = getScanTarget(node);
     setStatusMessage(`Port Scan: Scanning "${target}"...`);
 
     const transformBase = new TransformBase();
@@ -82,41 +170,55 @@ export async function runPortScan(node){
         transformBase.startTransformProgress('port-scan');
         transformBase.updateTransformProgress(10, `Port Scan: Scanning "${target}"...`);
 
-        const response = await fetch("/port-scan", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ target })
-        });
-        
-        transformBase.updateTransformProgress(60, `Port Scan: Processing results for "${target}"...`);
-        
-        const data = await response.json();
         let added = false;
 
         /**
-         * Process Each Found Open Port
+         * Process Each Found Host and Open Port
          * 
-         * For each open port discovered during the scan:
-         * 1. Creates a unique node ID combining target and port
-         * 2. Checks if node already exists to avoid duplicates
-         * 3. Creates new node with port and service information
-         * 4. Creates edge connecting to original target node
-         * 5. Uses undo/redo system for all graph modifications
+         * For each result as soon as the server reports it:
+         * 1. A host that answered a network scan becomes an IP node connected
+         *    to the original node, or is connected to it when it already exists
+         * 2. An open port becomes a node with its service information, connected
+         *    to its host's node (network scans) or the original node
+         * 3. Existing nodes are skipped to avoid duplicates
+         * 4. Uses undo/redo system for all graph modifications
          */
-        const totalPorts = data.ports.length;
-        for (let i = 0; i < data.ports.length; i++) {
-            const portInfo = data.ports[i];
-            const newId = transformBase.createNodeId("port", `${target}:${portInfo.port}`);
-            if(!transformBase.nodeExists(newId)){
-                const position = transformBase.generatePositionNearNode(node);
-                const createdNode = await transformBase.createNode(newId, `Port ${portInfo.port} (${portInfo.service}) on ${target}`, position, parentId);
-                if(createdNode) added = true;
-            }
-            
-            // Update progress based on ports processed
-            const portProgress = 60 + (i / totalPorts) * 30;
-            transformBase.updateTransformProgress(portProgress, `Port Scan: Processing ${i + 1}/${totalPorts} ports...`);
-        }
+        const data = await runTransformJob("port-scan", target, options, {
+            ...transformBase.getJobOptions(),
+            onResult: async (result) => {
+                if (result.port === undefined) {
+                    const hostId = transformBase.createNodeId("ip", result.host);
+                    if (transformBase.nodeExists(hostId)) {
+                        transformBase.createEdge(parentId, hostId);
+                        return;
+                    }
+                    const position = transformBase.generatePositionNearNode(node);
+                    const createdNode = await transformBase.createNode(hostId, result.host, position, parentId, { type: "ip" });
+                    if(createdNode) added = true;
+                    return;
+                }
+
+                const host = result.host || target;
+                const portParentId = result.host ? transformBase.createNodeId("ip", result.host) : parentId;
+                const newId = transformBase.createNodeId("port", `${host}:${result.port}`);
+                if(!transformBase.nodeExists(newId)){
+                    const position = transformBase.generatePositionNearNode(cy.getElementById(portParentId));
+                    const properties = {};
+                    ["port", "service", "product", "version", "banner", "tls", "tlsVersion"].forEach(key => {
+                        if (result[key] !== undefined && result[key] !== "") properties[key] = result[key];
+                    });
+                    const createdNode = await transformBase.createNode(newId, `Port ${result.port} (${result.service}) on ${host}`, position, portParentId, {
+                        data: { properties }
+                    });
+                    if(createdNode) added = true;
+                }
+            },
+            onProgress: (percent, message) => {
+                transformBase.reportStreamProgress(percent, `Port Scan: ${message}`);
+            },
+            signal: transformBase.getAbortSignal()
+        });
+        transformBase.reportCachedResult(data);
 
         transformBase.updateTransformProgress(95, `Port Scan: Finalizing results...`);
 
@@ -127,8 +229,14 @@ export async function runPortScan(node){
          * - Shows completion message with number of new nodes added
          * - Indicates if no new nodes were found (duplicates filtered out)
          * - Shows specific message when no open ports are discovered
+         * - Network scans also report how many hosts were up
          */
-        if(added){
+        if(data.hosts){
+            const portCount = data.hosts.reduce((total, host) => total + host.ports.length, 0);
+            const summary = `${data.hosts.length} hosts up, ${portCount} open ports`;
+            setStatusMessage(`Port scan complete for "${target}" - ${summary}${added ? "" : " (nothing new)"}`);
+            transformBase.completeTransformProgress(true, `Port Scan: ${summary} in "${target}"`);
+        }else if(added){
             setStatusMessage(`Port scan complete for "${target}" - ${data.ports.length} open ports found`);
             transformBase.completeTransformProgress(true, `Port Scan: Found ${data.ports.length} open ports on "${target}"`);
         }else if(data.ports.length === 0){
@@ -148,7 +256,7 @@ export async function runPortScan(node){
          * - Preserves original node state
          */
         console.error("Port scan error:", err);
-        setStatusMessage(`Port scan failed for "${target}"`);
+        setStatusMessage(`Port scan failed for "${target}": ${err.message}`);
         transformBase.completeTransformProgress(false, `Port Scan: Failed for "${target}"`);
     }
 }
@@ -12,34 +12,80 @@
  * 
  * Key Features:
  * - Automated username search via server API
- * - Dynamic graph expansion with new nodes
+ * - Platforms appear on the graph as soon as Sherlock finds them
+ * - Each platform becomes a "profile" node carrying the profile URL, which can be
+ *   opened in the browser or passed to the website screenshot transform
+ * - Progress bar follows the number of sites Sherlock has checked
  * - Visual connection between original node and found accounts
  * - Status updates during search process
  * - Error handling for failed searches
+ * - Options dialog before each run: site filter, per-site timeout, NSFW sites and proxy
  */
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { showParamsDialog } from "../utils/paramsDialog.js";
+
+// Options dialog fields; the server validates the same limits (see parseSherlockOptions)
+const SHERLOCK_OPTION_PARAMS = [
+    { name: "sites", label: "Sites", type: "string", description: "Comma-separated site names, e.g. GitHub, Reddit. Leave empty to check all sites." },
+    { name: "timeout", label: "Timeout (seconds per site)", type: "integer", min: 1, max: 600 },
+    { name: "nsfw", label: "Include NSFW sites", type: "boolean", default: false },
+    { name: "proxy", label: "Proxy", type: "string", description: "e.g. socks5://127.0.0.1:9050" }
+];
+
+// Options of the last run, prefilled the next time the dialog opens
+let lastOptions = {};
+
+/**
+ * Request Sherlock Options
+ * 
+ * requestSherlockOptions(): Promise<object|null>
+ * 
+ * Shows the Sherlock options dialog, prefilled with the options of the last run.
+ * 
+ * @returns {Promise<object|null>} Request body fields for POST /sherlock, or null when the user cancelled
+ */
+export async function requestSherlockOptions() {
+    const values = await showParamsDialog({
+        title: "Username Search (Sherlock)",
+        params: SHERLOCK_OPTION_PARAMS,
+        values: lastOptions
+    });
+    if (!values) return null;
+
+    lastOptions = values;
+
+    const options = { nsfw: values.nsfw === true };
+    if (values.sites) {
+        options.sites = values.sites.split(",").map(site => site.trim()).filter(Boolean);
+    }
+    if (values.timeout !== undefined) options.timeout = values.timeout;
+    if (values.proxy) options.proxy = values.proxy;
+    return options;
+}
 
 /**
  * Execute Sherlock Username Search
  * 
- * runSherlock(node: CytoscapeNode)
+ * runSherlock(node: CytoscapeNode, options?: object)
  * 
  * Performs a Sherlock search for the username stored in the node's label.
- * Creates new nodes for each social media platform where the username is found.
+ * Creates a profile node for each social media platform where the username is found.
  * 
  * Input:
  * - node: CytoscapeNode - The node containing the username to search
+ * - options?: object - Sites, timeout, nsfw and proxy from requestSherlockOptions
  * 
  * Process:
  * 1. Extracts username from node's label data
  * 2. Updates UI status to show search in progress
- * 3. Sends POST request to /sherlock endpoint with username
- * 4. Processes returned list of found social media platforms
- * 5. Creates new nodes for each found platform
- * 6. Connects new nodes to the original username node
- * 7. Updates status with search completion or error
+ * 3. Runs the sherlock server job on the username (see transformJobs.js)
+ * 4. Creates a "profile" node for each platform as soon as it is reported, with
+ *    the site, username and profile URL as node properties
+ * 5. Connects new nodes to the original username node
+ * 6. Updates status with search completion or error
  * 
  * Sherlock Tool:
  * - Searches for usernames across 350+ social media platforms
@@ -47,9 +93,10 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Helps investigators discover additional online presence
  * 
  * Server Communication:
- * - POST request to /sherlock endpoint
- * - Request body: {username: string}
- * - Response: {services: string[]} - Array of platform names
+ * - Runs as a "sherlock" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the username; params: {sites?: string[], timeout?: number, nsfw?: boolean, proxy?: string}
+ * - Events: result {service: string, site: string, url: string}, progress {percent, message}
+ * - Job result: {services: string[], profiles: object[]} - Platform names and found profiles
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -61,7 +108,7 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Completion message with number of new nodes added
  * - Error messages for failed searches
  */
-export async function runSherlock(node){
+export async function runSherlock(node, options = {}){
     const username = node.data("label");
     setStatusMessage(`Username Search: Searching "${username}"...`);
 
@@ -73,36 +120,34 @@ export async function runSherlock(node){
         transformBase.startTransformProgress('sherlock');
         transformBase.updateTransformProgress(10, `Username Search: Searching "${username}"...`);
 
-        const response = await fetch("/sherlock", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ username })
-        });
-        
-        transformBase.updateTransformProgress(60, `Username Search: Processing results for "${username}"...`);
-        
-        const data = await response.json();
         let added = false;
 
         /**
          * Process Each Found Social Media Platform
          * 
-         * Creates nodes for each platform where the username was found.
+         * Creates a profile node for each platform as soon as the server reports it.
          */
-        const totalServices = data.services.length;
-        for (let i = 0; i < data.services.length; i++) {
-            const service = data.services[i];
-            const newId = transformBase.createNodeId(service, username);
-            if(!transformBase.nodeExists(newId)){
-                const position = transformBase.generatePositionNearNode(node);
-                const createdNode = await transformBase.createNode(newId, `${service}: ${username}`, position, parentId);
-                if(createdNode) added = true;
-            }
-            
-            // Update progress based on services processed
-            const serviceProgress = 60 + (i / totalServices) * 30;
-            transformBase.updateTransformProgress(serviceProgress, `Username Search: Processing ${i + 1}/${totalServices} services...`);
-        }
+        const data = await runTransformJob("sherlock", username, options, {
+            ...transformBase.getJobOptions(),
+            onResult: async ({ service, site, url }) => {
+                const newId = transformBase.createNodeId(service, username);
+                if(!transformBase.nodeExists(newId)){
+                    const position = transformBase.generatePositionNearNode(node);
+                    const properties = { site: site || service, username };
+                    if(url) properties.url = url;
+                    const createdNode = await transformBase.createNode(newId, `${site || service}: ${username}`, position, parentId, {
+                        type: "profile",
+                        data: { properties }
+                    });
+                    if(createdNode) added = true;
+                }
+            },
+            onProgress: (percent, message) => {
+                transformBase.reportStreamProgress(percent, `Username Search: ${message}`);
+            },
+            signal: transformBase.getAbortSignal()
+        });
+        transformBase.reportCachedResult(data);
 
         transformBase.updateTransformProgress(95, `Username Search: Finalizing results...`);
 
@@ -130,7 +175,7 @@ export async function runSherlock(node){
          * - Preserves original node state
          */
         console.error("Sherlock error:", err);
-        setStatusMessage(`Username Search failed for "${username}"`);
+        setStatusMessage(`Username Search failed for "${username}": ${err.message}`);
         transformBase.completeTransformProgress(false, `Username Search: Failed for "${username}"`);
     }
 }
\ No newline at end of file
@@ -6,14 +6,20 @@
  * the image directly to the node using the existing file upload system.
  * 
  * Puppeteer Integration:
- * - Captures full webpage screenshots at 1280x720 resolution
+ * - Captures full webpage screenshots, 1280x720 by default, on a page of
+ *   the server's shared browser
+ * - Options dialog for the viewport size, phone emulation, full page or
+ *   viewport only, extra wait time and user agent
  * - Handles various URL formats (with/without protocol, subdomains, paths)
  * - Automatically normalizes URLs for consistent processing
  * - Provides visual evidence for website investigation nodes
  * 
  * Key Features:
  * - Automated website screenshot capture via server API
- * - Direct image upload to existing node (no new nodes created)
+ * - Direct image upload to existing node
+ * - The same visit keeps the page's HTML and a HAR of its requests as text
+ *   attachments, and its final URL, title and HTTP status as properties
+ * - Nodes for each redirect hop and for the third-party domains the page contacted
  * - URL normalization and validation
  * - Status updates during capture process
  * - Error handling for failed captures
@@ -22,26 +28,67 @@
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { showParamsDialog } from "../utils/paramsDialog.js";
+
+// Options dialog fields; the server validates the same limits (see parseScreenshotOptions)
+const SCREENSHOT_OPTION_PARAMS = [
+    { name: "width", label: "Viewport width (px)", type: "integer", min: 320, max: 3840, description: "Default 1280, or 412 for phones" },
+    { name: "height", label: "Viewport height (px)", type: "integer", min: 240, max: 2160, description: "Default 720, or 915 for phones" },
+    { name: "mobile", label: "Emulate a phone", type: "boolean", default: false, description: "Touch, a high density screen and a mobile user agent" },
+    { name: "fullPage", label: "Capture the full page", type: "boolean", default: true, description: "Uncheck to capture the viewport only" },
+    { name: "wait", label: "Extra wait (ms)", type: "integer", min: 0, max: 30000, description: "Time to wait after the page has loaded, for animations and late content" },
+    { name: "userAgent", label: "User agent", type: "string", description: "Leave empty for the browser's own" }
+];
+
+// Options of the last run, prefilled the next time the dialog opens
+let lastOptions = {};
+
+/**
+ * Request Screenshot Options
+ * 
+ * requestScreenshotOptions(): Promise<object|null>
+ * 
+ * Shows the screenshot options dialog, prefilled with the choices of the last run.
+ * 
+ * @returns {Promise<object|null>} Request body fields for POST /website-screenshot, or null when the user cancelled
+ */
+export async function requestScreenshotOptions() {
+    const values = await showParamsDialog({
+        title: "Website Screenshot",
+        params: SCREENSHOT_OPTION_PARAMS,
+        values: lastOptions,
+        submitLabel: "Capture"
+    });
+    if (!values) return null;
+
+    lastOptions = values;
+    return values;
+}
 
 /**
  * Execute Website Screenshot Capture
  * 
- * runWebsiteScreenshot(node: CytoscapeNode)
+ * runWebsiteScreenshot(node: CytoscapeNode, options?: object)
  * 
- * Performs a website screenshot capture for the URL stored in the node's label.
+ * Performs a website screenshot capture for the URL stored in the node's label,
+ * or in its url property for nodes that carry one (e.g. Sherlock profile nodes).
  * Captures the webpage and uploads the screenshot directly to the existing node.
  * 
  * Input:
  * - node: CytoscapeNode - The node containing the website URL to screenshot
+ * - options?: object - Viewport, phone emulation, full page, wait and user agent from requestScreenshotOptions
  * 
  * Process:
- * 1. Extracts website URL from node's label data
+ * 1. Extracts website URL from the node's url property or label
  * 2. Normalizes URL format (adds protocol if missing, validates domain structure)
  * 3. Updates UI status to show capture in progress
  * 4. Sends POST request to /website-screenshot endpoint with normalized URL
  * 5. Receives base64 encoded screenshot data
- * 6. Converts base64 to blob and uploads image to node
- * 7. Updates status with capture completion or error
+ * 6. Converts base64 to blob and uploads image to node, with the HTML and
+ *    HAR of the page as attachments
+ * 7. Adds nodes for redirect hops and third-party domains (see addPageNodes)
+ * 8. Updates status with capture completion or error
  * 
  * URL Normalization:
  * - Adds 'https://' protocol if missing
@@ -56,9 +103,10 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Uses existing uploadFiles function for node integration
  * 
  * Server Communication:
- * - POST request to /website-screenshot endpoint
- * - Request body: {url: string} - Normalized website URL
- * - Response: {screenshot: string} - Base64 encoded PNG image data
+ * - Runs as a "website-screenshot" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the normalized website URL; params: the screenshot options
+ * - Job result: {screenshot, url, finalUrl, title, status, headers, redirects, thirdPartyDomains, html, har}
+ *   with the screenshot as base64 encoded PNG image data
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -71,8 +119,9 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Completion message with screenshot upload success
  * - Error messages for failed captures or invalid URLs
  */
-export async function runWebsiteScreenshot(node) {
-    const urlInput = node.data("label");
+export async function runWebsiteScreenshot(node, options = {}) {
+    const properties = node.data("properties") || {};
+    const urlInput = properties.url || node.data("label");
     const transformBase = new TransformBase();
     
     // Normalize URL format
@@ -111,15 +160,13 @@ export async function runWebsiteScreenshot(node) {
         transformBase.startTransformProgress('website-screenshot');
         transformBase.updateTransformProgress(10, `Website Screenshot: Capturing "${normalizedUrl}"...`);
 
-        const response = await fetch("/website-screenshot", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ url: normalizedUrl })
+        const data = await runTransformJob("website-screenshot", normalizedUrl, options, {
+            ...transformBase.getJobOptions(),
+            signal: transformBase.getAbortSignal()
         });
         
         transformBase.updateTransformProgress(60, `Website Screenshot: Processing image data...`);
         
-        const data = await response.json();
             if (data.error) {
                 throw new Error(data.error);
             }
@@ -184,9 +231,19 @@ export async function runWebsiteScreenshot(node) {
             
             // Import uploadFiles function dynamically to avoid circular imports
             const { uploadFiles } = await import('../fileUploadHandler.js');
-            uploadFiles(node, [screenshotFile]);
             
-            setStatusMessage(`Website Screenshot complete for "${normalizedUrl}"`);
+            // Evidence of this visit replaces that of an earlier one
+            const host = new URL(data.finalUrl || normalizedUrl).hostname;
+            const attachments = [];
+            if (data.html) attachments.push(new File([data.html], `page-${host}.html`, { type: "text/plain", lastModified: Date.now() }));
+            if (data.har) attachments.push(new File([JSON.stringify(data.har, null, 2)], `page-${host}.har`, { type: "text/plain", lastModified: Date.now() }));
+            const names = attachments.map(file => file.name);
+            node.data("texts", (node.data("texts") || []).filter(text => !names.includes(text.name)));
+            uploadFiles(node, [screenshotFile, ...attachments]);
+            
+            const added = await addPageNodes(transformBase, node, data);
+            
+            setStatusMessage(`Website Screenshot complete for "${normalizedUrl}"${added > 0 ? `, ${added} new nodes` : ""}`);
             transformBase.completeTransformProgress(true, `Website Screenshot: Captured "${normalizedUrl}"`);
         } catch (err) {
             /**
@@ -202,3 +259,71 @@ export async function runWebsiteScreenshot(node) {
             transformBase.completeTransformProgress(false, `Website Screenshot: Failed for "${normalizedUrl}"`);
         }
 }
+
+/**
+ * Add Page Nodes
+ * 
+ * addPageNodes(transformBase: TransformBase, node: CytoscapeNode, data: object): Promise<number>
+ * 
+ * Records what the capture learned about the page on the website node and
+ * adds the nodes around it.
+ * 
+ * Node Creation:
+ * - Website node properties: finalUrl, pageTitle and httpStatus
+ * - Redirect hops: type "domain", ID "url:{address}", chained from the
+ *   website node in the order the visit followed them, each edge labelled
+ *   "Redirect {status}" (or "Client redirect" when the page redirected itself)
+ * - Third-party domains: type "domain", ID "domain:{host}", property
+ *   requests, edge label "Third-party request"; domains already on the graph
+ *   are connected instead
+ * 
+ * Returns:
+ * - number - Number of nodes added
+ */
+async function addPageNodes(transformBase, node, data) {
+    const page = {};
+    if (data.finalUrl) page.finalUrl = data.finalUrl;
+    if (data.title) page.pageTitle = data.title;
+    if (data.status) page.httpStatus = data.status;
+    node.data("properties", { ...(node.data("properties") || {}), ...page });
+
+    let added = 0;
+    let previousId = node.id();
+    const redirects = data.redirects || [];
+    for (const [index, hop] of redirects.entries()) {
+        const target = index + 1 < redirects.length ? redirects[index + 1].url : data.finalUrl;
+        if (!target) break;
+
+        const targetId = transformBase.createNodeId("url", target);
+        const edgeLabel = hop.client ? "Client redirect" : `Redirect ${hop.status}`;
+        if (transformBase.nodeExists(targetId)) {
+            transformBase.createEdge(previousId, targetId, edgeLabel);
+        } else {
+            const position = transformBase.generatePositionNearNode(node);
+            const createdNode = await transformBase.createNode(targetId, target, position, previousId, {
+                type: "domain",
+                edgeLabel,
+                data: { properties: { url: target } }
+            });
+            if (createdNode) added++;
+        }
+        previousId = targetId;
+    }
+
+    for (const { domain, requests } of data.thirdPartyDomains || []) {
+        const domainId = transformBase.createNodeId("domain", domain);
+        if (transformBase.nodeExists(domainId)) {
+            transformBase.createEdge(node.id(), domainId, "Third-party request");
+            continue;
+        }
+        const position = transformBase.generatePositionNearNode(node);
+        const createdNode = await transformBase.createNode(domainId, domain, position, node.id(), {
+            type: "domain",
+            edgeLabel: "Third-party request",
+            data: { properties: { requests } }
+        });
+        if (createdNode) added++;
+    }
+
+    return added;
+}
@@ -2,18 +2,23 @@
  * Whois Information Integration
  * 
  * This module integrates with the whois command to retrieve domain registration details
- * including name servers. It expands the investigation graph by adding new nodes
- * representing discovered domain information.
+ * including name servers and contacts. It expands the investigation graph by adding new
+ * nodes representing discovered domain information.
  * 
  * Whois Tool:
  * - Retrieves domain registration information from WHOIS databases
- * - Returns comprehensive domain details including name servers
+ * - Falls back to RDAP on the server when the whois record is redacted or incomplete
+ * - Returns comprehensive domain details including name servers, status codes,
+ *   DNSSEC and the registrant, admin and tech contacts
  * - Helps investigators understand domain ownership and infrastructure
  * 
  * Key Features:
  * - Automated whois lookup via server API
  * - Dynamic graph expansion with new nodes
  * - Visual connection between original node and found information
+ * - Organization and email nodes for the contacts, to pivot on shared owners
+ * - The raw whois record (and RDAP answer) attached to the domain node as text files
+ * - Status codes, DNSSEC and updated date kept as properties of the domain node
  * - Status updates during lookup process
  * - Error handling for failed lookups
  * - Duplicate name server removal
@@ -22,6 +27,11 @@
 
 import { setStatusMessage } from "../setStatusMessageHandler.js";
 import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { uploadFiles } from "../fileUploadHandler.js";
+
+// Edge labels of the contact roles
+const CONTACT_ROLES = { registrant: "Registrant", admin: "Admin contact", tech: "Tech contact" };
 
 /**
  * Execute Whois Information Lookup
@@ -41,12 +51,17 @@ import { TransformBase } from "../utils/transformBase.js";
  * 4. Processes returned domain information
  * 5. Creates new nodes for each piece of information found
  * 6. Connects new nodes to the original domain node
- * 7. Updates status with lookup completion or error
+ * 7. Creates organization and email nodes for the contacts
+ * 8. Stores status codes, DNSSEC and updated date on the domain node and
+ *    attaches the raw record
+ * 9. Updates status with lookup completion or error
  * 
  * Node Creation:
  * - Each piece of information becomes a new node
  * - Node ID format: "{infoType}:{value}"
  * - Node label format: "{infoType}: {value}"
+ * - Contacts: type "organization" or "email", ID "organization:{name}" or
+ *   "email:{address}", edge label naming the roles, e.g. "Registrant, Tech contact"
  * - Positioned randomly near the original node (±50px)
  * 
  * Edge Creation:
@@ -55,9 +70,11 @@ import { TransformBase } from "../utils/transformBase.js";
  * - Uses undo/redo system for all additions
  * 
  * Server Communication:
- * - POST request to /whois endpoint
- * - Request body: {domain: string}
- * - Response: {registrar: string, nameServers: string[], creationDate: string, expiryDate: string}
+ * - Runs as a "whois" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the domain
+ * - Job result: {registrar: string, nameServers: string[], creationDate: string, expiryDate: string,
+ *   updatedDate: string, status: string[], dnssec: string, contacts: {registrant, admin, tech},
+ *   sources: string[], raw: string, rdap?: string}; each contact has organization?, name? and email?
  * 
  * Error Handling:
  * - Network errors are caught and logged
@@ -82,18 +99,18 @@ export async function runWhois(node){
         transformBase.startTransformProgress('whois');
         transformBase.updateTransformProgress(20, `Whois: Looking up "${domain}"...`);
 
-        const response = await fetch("/whois", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ domain })
+        const data = await runTransformJob("whois", domain, {}, {
+            ...transformBase.getJobOptions(),
+            signal: transformBase.getAbortSignal()
         });
         
         transformBase.updateTransformProgress(60, `Whois: Processing results for "${domain}"...`);
         
-        const data = await response.json();
+        
+        transformBase.reportCachedResult(data);
         let added = false;
         let processedItems = 0;
-        const totalItems = 4; // registrar, nameservers, creation, expiry
+        const totalItems = 6; // registrar, nameservers, creation, expiry and updated, contacts, record
 
         /**
          * Process Each Piece of Domain Information
@@ -155,6 +172,78 @@ export async function runWhois(node){
                 if(createdNode) added = true;
             }
         }
+
+        // Process updated date
+        if(data.updatedDate){
+            const newId = transformBase.createNodeId("updated", data.updatedDate);
+            if(!transformBase.nodeExists(newId)){
+                const position = transformBase.generatePositionNearNode(node);
+                const createdNode = await transformBase.createNode(newId, `Updated: ${data.updatedDate}`, position, parentId);
+                if(createdNode) added = true;
+            }
+        }
+        processedItems++;
+        transformBase.updateTransformProgress(60 + (processedItems / totalItems) * 30, `Whois: Processing contacts...`);
+
+        /**
+         * Process Contacts
+         * 
+         * Creates an organization and an email node per distinct contact
+         * value, labelling the edge with every role it appears in, so
+         * domains sharing a registrant end up connected through it.
+         */
+        const contactNodes = new Map();
+        for (const [role, roleLabel] of Object.entries(CONTACT_ROLES)) {
+            const contact = (data.contacts || {})[role] || {};
+            for (const [type, value] of [["organization", contact.organization], ["email", contact.email]]) {
+                if (!value) continue;
+                const newId = transformBase.createNodeId(type, value);
+                const entry = contactNodes.get(newId) || { type, value, roles: [], names: [] };
+                entry.roles.push(roleLabel);
+                if (contact.name && !entry.names.includes(contact.name)) entry.names.push(contact.name);
+                contactNodes.set(newId, entry);
+            }
+        }
+        for (const [newId, entry] of contactNodes) {
+            const edgeLabel = entry.roles.join(", ");
+            if(transformBase.nodeExists(newId)){
+                if(transformBase.createEdge(parentId, newId, edgeLabel)) added = true;
+                continue;
+            }
+            const position = transformBase.generatePositionNearNode(node);
+            const properties = entry.names.length > 0 ? { contactName: entry.names.join(", ") } : {};
+            const createdNode = await transformBase.createNode(newId, entry.value, position, parentId, {
+                type: entry.type,
+                edgeLabel,
+                data: { properties }
+            });
+            if(createdNode) added = true;
+        }
+        processedItems++;
+        transformBase.updateTransformProgress(60 + (processedItems / totalItems) * 30, `Whois: Attaching record...`);
+
+        /**
+         * Record Registration Details
+         * 
+         * Keeps status codes, DNSSEC and the updated date as properties of the
+         * domain node, and attaches the raw whois record and RDAP answer,
+         * replacing those of an earlier lookup.
+         */
+        const registration = {};
+        if (data.status && data.status.length > 0) registration.whoisStatus = data.status.join(", ");
+        if (data.dnssec) registration.dnssec = data.dnssec;
+        if (data.updatedDate) registration.updatedDate = data.updatedDate;
+        if (data.sources && data.sources.length > 0) registration.whoisSource = data.sources.join(", ");
+        node.data("properties", { ...(node.data("properties") || {}), ...registration });
+
+        const attachments = [];
+        if (data.raw) attachments.push(new File([data.raw], `whois-${domain}.txt`, { type: "text/plain", lastModified: Date.now() }));
+        if (data.rdap) attachments.push(new File([data.rdap], `rdap-${domain}.json`, { type: "text/plain", lastModified: Date.now() }));
+        if (attachments.length > 0) {
+            const names = attachments.map(file => file.name);
+            node.data("texts", (node.data("texts") || []).filter(text => !names.includes(text.name)));
+            uploadFiles(node, attachments);
+        }
         processedItems++;
         transformBase.updateTransformProgress(95, `Whois: Finalizing results...`);
 
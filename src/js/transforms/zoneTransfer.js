@@ -0,0 +1,169 @@
+/**
+ * DNS Zone Transfer Integration
+ *
+ * This module asks each name server of a domain for a full zone transfer (AXFR).
+ * Name servers that allow it hand out every record of the zone, and each record
+ * is added to the investigation graph.
+ *
+ * Zone Transfer:
+ * - Runs on the server over TCP; no dig or custom script needed
+ * - Every name server address is tried, so a single misconfigured secondary is found
+ * - Most name servers refuse; a refusal is the expected, secure answer
+ *
+ * Key Features:
+ * - Automated zone transfer attempts via server API
+ * - Name server nodes show whether they allowed the transfer (zoneTransfer property)
+ *   and the DNS servers that looked them up (resolver property)
+ * - Records appear on the graph as they are reported, grouped under a domain
+ *   node per record name, with the same node types and edge labels as the DNS
+ *   records transform
+ * - Status updates naming the servers that allowed the transfer
+ * - Error handling for failed attempts
+ */
+
+import { setStatusMessage } from "../setStatusMessageHandler.js";
+import { cy } from "../cytoscapeConfig.js";
+import { TransformBase } from "../utils/transformBase.js";
+import { runTransformJob } from "../utils/transformJobs.js";
+import { addRecordNodes, getResolverProperties } from "./domainToDns.js";
+
+/**
+ * Execute DNS Zone Transfer
+ *
+ * runZoneTransfer(node: CytoscapeNode)
+ *
+ * Attempts a zone transfer of the domain stored in the node's label.
+ *
+ * Input:
+ * - node: CytoscapeNode - The node containing the domain name
+ *
+ * Process:
+ * 1. Extracts domain name from node's label data
+ * 2. Runs the zone-transfer server job on the domain (see transformJobs.js)
+ * 3. For each record: records of the zone apex are added to the original node;
+ *    other names get a domain node connected with the edge label "AXFR", and
+ *    their records are added to it (see addRecordNodes)
+ * 4. Marks each name server node with the outcome of its attempt
+ * 5. Updates status with the servers that allowed the transfer
+ *
+ * Node Creation:
+ * - Record names: type "domain", ID "domain:{name}"
+ * - Record values: as in the DNS records transform, with recordType and the
+ *   record's details as properties
+ * - Name servers: ID "ns:{nameserver}", property zoneTransfer "allowed" or
+ *   the reason it failed (e.g. "REFUSED"), and resolver
+ *
+ * Server Communication:
+ * - Runs as a "zone-transfer" job (POST /jobs, polled through GET /jobs/:id)
+ * - Job input: the domain
+ * - Events: result {name, type, ttl, data}, progress {percent, message}
+ * - Job result: {servers: Array<{nameserver, address, allowed, recordCount, error?}>, records: Array<object>,
+ *   resolvers: string[]}
+ *
+ * Error Handling:
+ * - Network errors are caught and logged
+ * - UI status is updated with error message
+ * - Original node remains unchanged on failure
+ */
+export async function runZoneTransfer(node){
+    const domain = node.data("label");
+    const zone = domain.trim().toLowerCase().replace(/\.$/, "");
+    setStatusMessage(`Zone Transfer: Asking the name servers of "${domain}"...`);
+
+    const transformBase = new TransformBase();
+    const parentId = node.id();
+
+    try {
+        // Start progress tracking
+        transformBase.startTransformProgress('zone-transfer');
+        transformBase.updateTransformProgress(10, `Zone Transfer: Asking the name servers of "${domain}"...`);
+
+        let added = false;
+
+        /**
+         * Process Each Transferred Record
+         *
+         * Finds or creates the node for the record's name, then adds the
+         * record's value nodes to it.
+         */
+        const data = await runTransformJob("zone-transfer", domain, {}, {
+            ...transformBase.getJobOptions(),
+            onResult: async (record) => {
+                let owner = node;
+                if (record.name !== zone) {
+                    const ownerId = transformBase.createNodeId("domain", record.name);
+                    if (!transformBase.nodeExists(ownerId)) {
+                        const position = transformBase.generatePositionNearNode(node);
+                        const createdNode = await transformBase.createNode(ownerId, record.name, position, parentId, { type: "domain", edgeLabel: "AXFR" });
+                        if(createdNode) added = true;
+                    }
+                    owner = cy.getElementById(ownerId);
+                }
+                if (await addRecordNodes(transformBase, owner, record.type, record.data)) added = true;
+            },
+            onProgress: (percent, message) => {
+                transformBase.reportStreamProgress(percent, `Zone Transfer: ${message}`);
+            },
+            signal: transformBase.getAbortSignal()
+        });
+        transformBase.reportCachedResult(data);
+
+        transformBase.updateTransformProgress(95, `Zone Transfer: Finalizing results...`);
+
+        /**
+         * Mark Name Servers
+         *
+         * Creates or updates a node per name server with the outcome of its
+         * attempt; a server with several addresses counts as allowed when
+         * any of them allowed the transfer.
+         */
+        const resolverProperties = getResolverProperties(data);
+        const outcomes = {};
+        for (const server of data.servers) {
+            if (outcomes[server.nameserver] !== "allowed") {
+                outcomes[server.nameserver] = server.allowed ? "allowed" : server.error || "refused";
+            }
+        }
+        for (const [nameserver, outcome] of Object.entries(outcomes)) {
+            const serverId = transformBase.createNodeId("ns", nameserver);
+            const existing = cy.getElementById(serverId);
+            if (existing.length) {
+                existing.data("properties", { ...(existing.data("properties") || {}), zoneTransfer: outcome, ...resolverProperties });
+                transformBase.createEdge(parentId, serverId, "NS");
+                continue;
+            }
+            const position = transformBase.generatePositionNearNode(node);
+            const createdNode = await transformBase.createNode(serverId, nameserver, position, parentId, {
+                edgeLabel: "NS",
+                data: { properties: { recordType: "NS", zoneTransfer: outcome, ...resolverProperties } }
+            });
+            if(createdNode) added = true;
+        }
+
+        /**
+         * Update UI Status
+         *
+         * Names the servers that allowed the transfer, or reports that all refused.
+         */
+        const allowed = Object.keys(outcomes).filter(nameserver => outcomes[nameserver] === "allowed");
+        if (allowed.length > 0) {
+            setStatusMessage(`Zone transfer of "${domain}" allowed by ${allowed.join(", ")} - ${data.records.length} records`);
+            transformBase.completeTransformProgress(true, `Zone Transfer: ${data.records.length} records from ${allowed.join(", ")}${added ? "" : " (nothing new)"}`);
+        } else {
+            setStatusMessage(`Zone transfer of "${domain}" refused by all ${Object.keys(outcomes).length} name servers`);
+            transformBase.completeTransformProgress(true, `Zone Transfer: Refused for "${domain}"`);
+        }
+    } catch (err) {
+        /**
+         * Error Handling
+         *
+         * Catches and handles any errors during the attempt:
+         * - Logs error details to console for debugging
+         * - Updates UI status with error message
+         * - Preserves original node state
+         */
+        console.error("Zone transfer error:", err);
+        setStatusMessage(`Zone transfer failed for "${domain}": ${err.message}`);
+        transformBase.completeTransformProgress(false, `Zone Transfer: Failed for "${domain}"`);
+    }
+}
@@ -12,14 +12,25 @@
  * - Transform registry tracking active operations
  * - Resource competition prevention
  * - User-friendly queuing messages
+ * - Cancel control on every active or queued transform, with the choice to keep
+ *   or discard the nodes it already added
+ * - Marks transforms answered from the server's result cache with the age of
+ *   the result, and can run a transform ignoring the cache
+ * - Can add the result of a finished server job to the graph instead of running
+ *   the transform again
  */
 
-import { TRANSFORM_DURATIONS } from "./transformConstants.js";
+import { cy } from "../cytoscapeConfig.js";
+import { ur } from "../changeDataHandler.js";
+import { setStatusMessage } from "../setStatusMessageHandler.js";
+import { getEstimatedDuration } from "./transformRegistry.js";
+import { showParamsDialog } from "./paramsDialog.js";
 
 class MultiTransformManager {
     constructor() {
         this.maxConcurrentTransforms = 3;
         this.activeTransforms = new Map(); // transformId -> transformInfo
+        this.cancelledTransforms = new Map(); // transformId -> transformInfo, until its execution settled
         this.transformQueue = [];
         this.nextTransformId = 1;
         this.quickTransformThreshold = 5000; // 5 seconds
@@ -78,8 +89,48 @@ class MultiTransformManager {
      * @returns {Promise<any>} Result of the transform function
      */
     async requestTransform(transformName, transformFunction, node, ...args) {
+        return this.scheduleTransform(transformName, transformFunction, node, args, false);
+    }
+
+    /**
+     * Request Transform Ignoring Cache
+     * 
+     * requestTransformIgnoringCache(transformName: string, transformFunction: Function, node: CytoscapeNode, ...args)
+     * 
+     * Same as requestTransform, but the transform asks the server for a fresh
+     * result instead of a cached one (see getJobOptions).
+     * 
+     * @returns {Promise<any>} Result of the transform function
+     */
+    async requestTransformIgnoringCache(transformName, transformFunction, node, ...args) {
+        return this.scheduleTransform(transformName, transformFunction, node, args, true);
+    }
+
+    /**
+     * Request Job Result
+     * 
+     * requestJobResult(transformName: string, transformFunction: Function, node: CytoscapeNode, jobId: string)
+     * 
+     * Same as requestTransform, but the transform follows the server job with
+     * that id instead of submitting a new one (see getJobOptions), so a
+     * finished job's results are added to the graph without running it again.
+     * 
+     * @returns {Promise<any>} Result of the transform function
+     */
+    async requestJobResult(transformName, transformFunction, node, jobId) {
+        return this.scheduleTransform(transformName, transformFunction, node, [], false, jobId);
+    }
+
+    /**
+     * Schedule Transform
+     * 
+     * scheduleTransform(transformName: string, transformFunction: Function, node: CytoscapeNode, args: Array, ignoreCache: boolean, jobId?: string)
+     * 
+     * Runs the transform right away when a slot is free, otherwise queues it.
+     */
+    async scheduleTransform(transformName, transformFunction, node, args, ignoreCache, jobId = null) {
         const transformId = this.generateTransformId();
-        const estimatedDuration = TRANSFORM_DURATIONS[transformName] || 10000;
+        const estimatedDuration = getEstimatedDuration(transformName);
         const isQuickTransform = estimatedDuration <= this.quickTransformThreshold;
         
         const transformInfo = {
@@ -93,7 +144,12 @@ class MultiTransformManager {
             startTime: null,
             progress: 0,
             status: 'queued',
-            element: null
+            element: null,
+            abortController: new AbortController(),
+            createdElements: [],
+            ignoreCache: ignoreCache,
+            jobId: jobId,
+            cached: null
         };
 
         // Check if we can execute immediately
@@ -181,7 +237,14 @@ class MultiTransformManager {
         
         try {
             // Execute the transform function
-            const result = await transformInfo.function(transformInfo.node, ...transformInfo.args);
+            transformInfo.execution = transformInfo.function(transformInfo.node, ...transformInfo.args);
+            const result = await transformInfo.execution;
+            
+            // A cancelled transform was already cleaned up by cancelTransform
+            if (transformInfo.status === 'cancelled') {
+                if (transformInfo.resolve) transformInfo.resolve(undefined);
+                return undefined;
+            }
             
             // Mark as completed
             this.completeTransform(transformInfo.id, true);
@@ -193,6 +256,12 @@ class MultiTransformManager {
             
             return result;
         } catch (error) {
+            // Aborted requests of a cancelled transform are not failures
+            if (transformInfo.status === 'cancelled') {
+                if (transformInfo.resolve) transformInfo.resolve(undefined);
+                return undefined;
+            }
+            
             // Mark as failed
             this.completeTransform(transformInfo.id, false, error.message);
             
@@ -222,6 +291,11 @@ class MultiTransformManager {
         transformInfo.status = success ? 'completed' : 'failed';
         transformInfo.progress = 100;
         
+        if (success && transformInfo.cached) {
+            message = `${message || 'Transform completed successfully'} (cached ${formatCacheAge(transformInfo.cached.ageSeconds)} ago)`;
+            setStatusMessage(message);
+        }
+        
         // Update display
         this.updateTransformDisplay(transformInfo, success, message);
         
@@ -238,6 +312,159 @@ class MultiTransformManager {
         this.processQueue();
     }
 
+    /**
+     * Cancel Transform
+     * 
+     * cancelTransform(transformId: string): Promise<void>
+     * 
+     * Cancels a queued or running transform. Queued transforms are simply
+     * removed. For running transforms the user chooses whether the nodes added
+     * so far are kept; the transform's requests are then aborted, which stops
+     * the tool on the server, and the entry is marked as cancelled.
+     * 
+     * @param {string} transformId - ID of the transform to cancel
+     */
+    async cancelTransform(transformId) {
+        const queueIndex = this.transformQueue.findIndex(info => info.id === transformId);
+        if (queueIndex !== -1) {
+            const [transformInfo] = this.transformQueue.splice(queueIndex, 1);
+            transformInfo.status = 'cancelled';
+            this.removeQueueDisplay(transformId);
+            this.updateQueueStatus();
+            this.updateMultiProgressDisplay();
+            if (transformInfo.resolve) transformInfo.resolve(undefined);
+            setStatusMessage(`${transformInfo.name} cancelled`);
+            return;
+        }
+
+        const transformInfo = this.activeTransforms.get(transformId);
+        if (!transformInfo) return;
+
+        const choice = await showParamsDialog({
+            title: `Stop ${transformInfo.name}`,
+            description: "The server job is cancelled, which stops the tool behind it.",
+            params: [{
+                name: 'keepResults',
+                label: 'Keep results already added to the graph',
+                type: 'boolean',
+                default: true
+            }],
+            submitLabel: 'Stop'
+        });
+
+        // The transform may have finished while the dialog was open
+        if (!choice || this.activeTransforms.get(transformId) !== transformInfo) return;
+
+        transformInfo.status = 'cancelled';
+        transformInfo.abortController.abort();
+        this.stopIncrementalProgress(transformId);
+        this.updateTransformDisplay(transformInfo, false, choice.keepResults ? 'Cancelled, results kept' : 'Cancelled, results discarded');
+
+        // Its place goes to the next transform, but nodes it still adds are recorded until it settles
+        this.activeTransforms.delete(transformId);
+        this.cancelledTransforms.set(transformId, transformInfo);
+        setTimeout(() => {
+            this.removeTransformDisplay(transformId);
+            this.updateMultiProgressDisplay();
+        }, 2000);
+        this.processQueue();
+        this.updateMultiProgressDisplay();
+
+        // Let the transform finish handling its aborted request before removing what it added
+        await transformInfo.execution.catch(() => {});
+        this.cancelledTransforms.delete(transformId);
+        if (!choice.keepResults) {
+            this.discardCreatedElements(transformInfo);
+        }
+        setStatusMessage(`${transformInfo.name} cancelled`);
+    }
+
+    /**
+     * Discard Created Elements
+     * 
+     * discardCreatedElements(transformInfo: object)
+     * 
+     * Removes the nodes and edges a transform added, as one undoable step.
+     */
+    discardCreatedElements(transformInfo) {
+        let elements = cy.collection();
+        transformInfo.createdElements.forEach(id => {
+            elements = elements.union(cy.getElementById(id));
+        });
+        if (elements.length > 0) {
+            ur.do("remove", elements);
+        }
+    }
+
+    /**
+     * Record Created Element
+     * 
+     * recordCreatedElement(transformId: string, elementId: string)
+     * 
+     * Remembers a node or edge added by a running transform, or by a cancelled
+     * one whose aborted requests are still settling.
+     */
+    recordCreatedElement(transformId, elementId) {
+        const transformInfo = this.activeTransforms.get(transformId) || this.cancelledTransforms.get(transformId);
+        if (transformInfo) {
+            transformInfo.createdElements.push(elementId);
+        }
+    }
+
+    /**
+     * Get Abort Signal
+     * 
+     * getAbortSignal(transformId: string): AbortSignal|undefined
+     * 
+     * Returns the signal that fires when the transform is cancelled.
+     */
+    getAbortSignal(transformId) {
+        const transformInfo = this.activeTransforms.get(transformId);
+        return transformInfo ? transformInfo.abortController.signal : undefined;
+    }
+
+    /**
+     * Get Job Options
+     * 
+     * getJobOptions(transformId: string): object
+     * 
+     * Returns the runTransformJob options that decide which server job the
+     * transform runs as: { refresh: true } when it was started ignoring the
+     * cache, { jobId } when it adds the result of a finished job.
+     */
+    getJobOptions(transformId) {
+        const transformInfo = this.activeTransforms.get(transformId);
+        if (!transformInfo) return {};
+        return {
+            ...(transformInfo.ignoreCache ? { refresh: true } : {}),
+            ...(transformInfo.jobId ? { jobId: transformInfo.jobId } : {})
+        };
+    }
+
+    /**
+     * Mark Cached Result
+     * 
+     * markCachedResult(transformId: string, cached: {storedAt: string, ageSeconds: number})
+     * 
+     * Flags a running transform as answered from the result cache. Its entry
+     * gets a "Cached" badge and the completion message shows the result's age.
+     */
+    markCachedResult(transformId, cached) {
+        const transformInfo = this.activeTransforms.get(transformId);
+        if (!transformInfo) return;
+
+        transformInfo.cached = cached;
+
+        const actions = transformInfo.element && transformInfo.element.querySelector('.transform-actions');
+        if (actions && !actions.querySelector('.transform-cache-badge')) {
+            const badge = document.createElement('span');
+            badge.className = 'transform-cache-badge';
+            badge.textContent = 'Cached';
+            badge.title = `Result stored ${new Date(cached.storedAt).toLocaleString()}. Use "Re-run Ignoring Cache" for a fresh result.`;
+            actions.prepend(badge);
+        }
+    }
+
     /**
      * Process Queue
      * 
@@ -282,7 +509,10 @@ class MultiTransformManager {
         transformElement.innerHTML = `
             <div class="transform-header">
                 <span class="transform-name">${transformInfo.name}</span>
-                <span class="transform-status">Running</span>
+                <span class="transform-actions">
+                    <span class="transform-status">Running</span>
+                    <button type="button" class="transform-cancel" title="Cancel transform" aria-label="Cancel transform">&times;</button>
+                </span>
             </div>
             <div class="transform-progress-bar">
                 <div class="transform-progress-fill" style="width: 0%"></div>
@@ -293,6 +523,8 @@ class MultiTransformManager {
             </div>
         `;
         
+        transformElement.querySelector('.transform-cancel').addEventListener('click', () => this.cancelTransform(transformInfo.id));
+        
         transformInfo.element = transformElement;
         document.getElementById('multi-progress-transforms').appendChild(transformElement);
     }
@@ -311,13 +543,18 @@ class MultiTransformManager {
         queueElement.innerHTML = `
             <div class="queue-header">
                 <span class="queue-name">${transformInfo.name}</span>
-                <span class="queue-status">Queued</span>
+                <span class="transform-actions">
+                    <span class="queue-status">Queued</span>
+                    <button type="button" class="transform-cancel" title="Cancel transform" aria-label="Cancel transform">&times;</button>
+                </span>
             </div>
             <div class="queue-details">
                 <span class="queue-reason">${this.getQueueReason(transformInfo)}</span>
             </div>
         `;
         
+        queueElement.querySelector('.transform-cancel').addEventListener('click', () => this.cancelTransform(transformInfo.id));
+        
         transformInfo.queueElement = queueElement;
         document.getElementById('multi-progress-transforms').appendChild(queueElement);
     }
@@ -352,8 +589,18 @@ class MultiTransformManager {
         
         const statusElement = transformInfo.element.querySelector('.transform-status');
         const labelElement = transformInfo.element.querySelector('.transform-label');
+        const cancelButton = transformInfo.element.querySelector('.transform-cancel');
         
-        if (success) {
+        // Finished transforms can no longer be cancelled
+        if (cancelButton) {
+            cancelButton.remove();
+        }
+        
+        if (transformInfo.status === 'cancelled') {
+            statusElement.textContent = 'Cancelled';
+            statusElement.className = 'transform-status cancelled';
+            labelElement.textContent = message || 'Transform cancelled';
+        } else if (success) {
             statusElement.textContent = 'Completed';
             statusElement.className = 'transform-status completed';
             labelElement.textContent = message || 'Transform completed successfully';
@@ -437,15 +684,18 @@ class MultiTransformManager {
     /**
      * Update Transform Progress
      * 
-     * updateTransformProgress(transformId: string, progress: number, label?: string)
+     * updateTransformProgress(transformId: string, progress: number|null, label?: string)
      * 
-     * Updates the progress of a specific transform.
+     * Updates the progress of a specific transform. A null progress keeps the
+     * current value and only updates the label.
      */
     updateTransformProgress(transformId, progress, label) {
         const transformInfo = this.activeTransforms.get(transformId);
         if (!transformInfo || !transformInfo.element) return;
 
-        transformInfo.progress = Math.min(100, Math.max(0, progress));
+        if (progress !== null) {
+            transformInfo.progress = Math.min(100, Math.max(0, progress));
+        }
         
         const progressFill = transformInfo.element.querySelector('.transform-progress-fill');
         const percentageElement = transformInfo.element.querySelector('.transform-percentage');
@@ -503,6 +753,8 @@ class MultiTransformManager {
      * startIncrementalProgress(transformInfo: object)
      * 
      * Starts automatic incremental progress updates at 1% per second.
+     * Transforms that stream real progress from the server stop these
+     * updates (see TransformBase.reportStreamProgress).
      */
     startIncrementalProgress(transformInfo) {
         // Fixed update interval of 1000ms for consistent progress updates
@@ -514,7 +766,8 @@ class MultiTransformManager {
                 // Simple incremental progress: +1% every second
                 const newProgress = transformInfo.progress + 1;
                 
-                this.updateTransformProgress(transformInfo.id, newProgress, 'Processing...');
+                // Keep the label set by the transform itself
+                this.updateTransformProgress(transformInfo.id, newProgress);
             }
         }, updateInterval);
     }
@@ -547,6 +800,10 @@ class MultiTransformManager {
             // Stop incremental progress
             this.stopIncrementalProgress(transformInfo.id);
             
+            // Stop the requests and the tools behind them
+            transformInfo.status = 'cancelled';
+            transformInfo.abortController.abort();
+            
             if (transformInfo.reject) {
                 transformInfo.reject(new Error('Transform cancelled'));
             }
@@ -567,5 +824,19 @@ class MultiTransformManager {
     }
 }
 
+/**
+ * Format Cache Age
+ * 
+ * formatCacheAge(seconds: number): string
+ * 
+ * Turns a result's age into a short label, e.g. "5 min" or "3 h".
+ */
+function formatCacheAge(seconds) {
+    if (seconds < 60) return 'less than a minute';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h`;
+    return `${Math.floor(seconds / 86400)} d`;
+}
+
 // Create singleton instance
 export const multiTransformManager = new MultiTransformManager();
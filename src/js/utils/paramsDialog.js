@@ -0,0 +1,217 @@
+/**
+ * Parameters Dialog Utility
+ *
+ * This utility renders a small modal form for a list of typed parameters and
+ * resolves with the values the user entered. It is used to collect the
+ * parameters a custom transform declares in its manifest before each run.
+ *
+ * Key Features:
+ * - One input per parameter, chosen by type (text, number, checkbox, select)
+ * - Prefills defaults or previously used values
+ * - Client-side checks for required values and number bounds
+ * - Enter submits, Escape or clicking outside cancels
+ *
+ * Parameter Definition:
+ * - { name, label, type, description?, required?, default?, options?, min?, max? }
+ * - type: "string" | "number" | "integer" | "boolean" | "select" | "apiKey"
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+/**
+ * Show Parameters Dialog
+ *
+ * showParamsDialog(options: {title: string, description?: string, params: Array<object>, values?: object, submitLabel?: string}): Promise<object|null>
+ *
+ * @param {object} options - Dialog title, optional description, parameter definitions and initial values
+ * @returns {Promise<object|null>} Entered values keyed by parameter name, or null when cancelled
+ */
+export function showParamsDialog({ title, description, params, values = {}, submitLabel = "Run" }) {
+    return new Promise(resolve => {
+        const overlay = document.createElement("div");
+        overlay.className = "params-dialog-overlay";
+
+        const form = document.createElement("form");
+        form.className = "params-dialog";
+        form.noValidate = true;
+
+        const heading = document.createElement("h3");
+        heading.className = "params-dialog-title";
+        heading.textContent = title;
+        form.appendChild(heading);
+
+        if (description) {
+            const text = document.createElement("p");
+            text.className = "params-dialog-description";
+            text.textContent = description;
+            form.appendChild(text);
+        }
+
+        const inputs = {};
+        params.forEach(param => {
+            const initial = values[param.name] !== undefined ? values[param.name] : param.default;
+            const field = createField(param, initial);
+            inputs[param.name] = field.input;
+            form.appendChild(field.row);
+        });
+
+        const error = document.createElement("p");
+        error.className = "params-dialog-error";
+        form.appendChild(error);
+
+        const actions = document.createElement("div");
+        actions.className = "params-dialog-actions";
+
+        const cancelButton = document.createElement("button");
+        cancelButton.type = "button";
+        cancelButton.className = "params-dialog-button secondary";
+        cancelButton.textContent = "Cancel";
+
+        const submitButton = document.createElement("button");
+        submitButton.type = "submit";
+        submitButton.className = "params-dialog-button";
+        submitButton.textContent = submitLabel;
+
+        actions.appendChild(cancelButton);
+        actions.appendChild(submitButton);
+        form.appendChild(actions);
+        overlay.appendChild(form);
+
+        const close = result => {
+            document.removeEventListener("keydown", onKeyDown);
+            overlay.remove();
+            resolve(result);
+        };
+
+        const onKeyDown = event => {
+            if (event.key === "Escape") close(null);
+        };
+
+        cancelButton.onclick = () => close(null);
+        overlay.addEventListener("mousedown", event => {
+            if (event.target === overlay) close(null);
+        });
+        document.addEventListener("keydown", onKeyDown);
+
+        // Keep typing in the form from triggering graph shortcuts (Delete, Ctrl+Z, ...)
+        form.addEventListener("keydown", event => {
+            if (event.key !== "Escape") event.stopPropagation();
+        });
+
+        form.onsubmit = event => {
+            event.preventDefault();
+            const result = {};
+            for (const param of params) {
+                const value = readField(param, inputs[param.name]);
+                const problem = checkValue(param, value);
+                if (problem) {
+                    error.textContent = problem;
+                    inputs[param.name].focus();
+                    return;
+                }
+                if (value !== "") result[param.name] = value;
+            }
+            close(result);
+        };
+
+        document.body.appendChild(overlay);
+        const firstInput = form.querySelector("input, select");
+        if (firstInput) firstInput.focus();
+    });
+}
+
+/**
+ * Create Field
+ *
+ * createField(param: object, initial: any): {row: HTMLElement, input: HTMLElement}
+ *
+ * Builds the labelled input for one parameter.
+ */
+function createField(param, initial) {
+    const row = document.createElement("label");
+    row.className = "params-dialog-field";
+
+    const label = document.createElement("span");
+    label.className = "params-dialog-label";
+    label.textContent = param.required ? `${param.label || param.name} *` : (param.label || param.name);
+
+    let input;
+    if (param.type === "boolean") {
+        input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = initial === true;
+        row.classList.add("checkbox");
+    } else if (param.type === "select") {
+        input = document.createElement("select");
+        (param.options || []).forEach(option => {
+            const opt = document.createElement("option");
+            opt.value = option;
+            opt.text = option;
+            if (option === initial) opt.selected = true;
+            input.appendChild(opt);
+        });
+    } else {
+        input = document.createElement("input");
+        if (param.type === "number" || param.type === "integer") {
+            input.type = "number";
+            input.step = param.type === "integer" ? "1" : "any";
+            if (param.min !== undefined) input.min = param.min;
+            if (param.max !== undefined) input.max = param.max;
+        } else {
+            input.type = "text";
+            if (param.type === "apiKey") input.placeholder = "Key name configured on the server";
+        }
+        input.value = initial !== undefined && initial !== null ? initial : "";
+    }
+
+    row.appendChild(label);
+    row.appendChild(input);
+
+    if (param.description) {
+        const hint = document.createElement("span");
+        hint.className = "params-dialog-hint";
+        hint.textContent = param.description;
+        row.appendChild(hint);
+    }
+
+    return { row, input };
+}
+
+/**
+ * Read Field
+ *
+ * readField(param: object, input: HTMLElement): any
+ *
+ * Returns the typed value of an input, or "" when it was left empty.
+ */
+function readField(param, input) {
+    if (param.type === "boolean") return input.checked;
+    if (param.type === "select") return input.value;
+
+    const raw = input.value.trim();
+    if (raw === "") return "";
+    if (param.type === "number" || param.type === "integer") return Number(raw);
+    return raw;
+}
+
+/**
+ * Check Value
+ *
+ * checkValue(param: object, value: any): string | null
+ *
+ * Returns a message describing why the value is invalid, or null. The server
+ * validates again; this only gives faster feedback in the form.
+ */
+function checkValue(param, value) {
+    const name = param.label || param.name;
+    if (value === "") {
+        return param.required && param.default === undefined ? `${name} is required` : null;
+    }
+    if (param.type === "number" || param.type === "integer") {
+        if (!Number.isFinite(value)) return `${name} must be a number`;
+        if (param.type === "integer" && !Number.isInteger(value)) return `${name} must be a whole number`;
+        if (param.min !== undefined && value < param.min) return `${name} must be at least ${param.min}`;
+        if (param.max !== undefined && value > param.max) return `${name} must be at most ${param.max}`;
+    }
+    return null;
+}
@@ -18,7 +18,6 @@ import { cy } from "../cytoscapeConfig.js";
 import { ur } from "../changeDataHandler.js";
 import { resolveNodeOverlap } from "../nodePositioning.js";
 import { detectNodeType } from "./nodeTypeDetection.js";
-import { TRANSFORM_DURATIONS } from "./transformConstants.js";
 import { multiTransformManager } from "./multiTransformManager.js";
 
 export class TransformBase {
@@ -87,6 +86,77 @@ export class TransformBase {
         this.transformId = null;
     }
 
+    /**
+     * Report Streamed Progress
+     * 
+     * reportStreamProgress(percent: number|null, label: string, start?: number, end?: number)
+     * 
+     * Shows progress reported by the server while a transform streams its
+     * results. The server's 0-100 is mapped onto the start-end range of the
+     * bar and replaces the estimated increments. A null percent means the tool
+     * cannot tell how far along it is, so only the label changes.
+     * 
+     * @param {number|null} percent - Server-side progress between 0 and 100
+     * @param {string} label - Progress label
+     * @param {number} start - Bar position for 0%
+     * @param {number} end - Bar position for 100%
+     */
+    reportStreamProgress(percent, label, start = 10, end = 90) {
+        if (!this.currentTransform || !this.transformId) return;
+
+        if (percent === null) {
+            multiTransformManager.updateTransformProgress(this.transformId, null, label);
+            return;
+        }
+
+        multiTransformManager.stopIncrementalProgress(this.transformId);
+        multiTransformManager.updateTransformProgress(this.transformId, start + (percent / 100) * (end - start), label);
+    }
+
+    /**
+     * Get Job Options
+     * 
+     * getJobOptions(): object
+     * 
+     * Returns fields to spread into the runTransformJob options so a transform
+     * started with "Re-run Ignoring Cache" skips the server's result cache, and
+     * one attached from the jobs list follows its finished job.
+     */
+    getJobOptions() {
+        return this.transformId ? multiTransformManager.getJobOptions(this.transformId) : {};
+    }
+
+    /**
+     * Report Cached Result
+     * 
+     * reportCachedResult(data: object)
+     * 
+     * Marks the transform as answered from the result cache when the server's
+     * response carries cached: { storedAt, ageSeconds }.
+     * 
+     * @param {object} data - Response body of the transform endpoint
+     */
+    reportCachedResult(data) {
+        if (data && data.cached && this.transformId) {
+            multiTransformManager.markCachedResult(this.transformId, data.cached);
+        }
+    }
+
+    /**
+     * Get Abort Signal
+     * 
+     * getAbortSignal(): AbortSignal|undefined
+     * 
+     * Returns the signal that fires when the user cancels this transform from
+     * the progress panel. Pass it to runTransformJob() so the job, and the tool
+     * behind it on the server, are stopped.
+     * 
+     * @returns {AbortSignal|undefined} Signal of the running transform, if any
+     */
+    getAbortSignal() {
+        return this.transformId ? multiTransformManager.getAbortSignal(this.transformId) : undefined;
+    }
+
     /**
      * Execute Transform with Progress Tracking
      * 
@@ -148,7 +218,7 @@ export class TransformBase {
     /**
      * Create Node with Automatic Type Detection
      * 
-     * createNode(id: string, label: string, position: object, parentId?: string): Promise<object>
+     * createNode(id: string, label: string, position: object, parentId?: string, options?: object): Promise<object>
      * 
      * Creates a node with automatic type detection and optionally creates an edge to a parent node.
      * 
@@ -157,18 +227,22 @@ export class TransformBase {
      * - label: string - Display label for the node
      * - position: object - Position coordinates {x, y}
      * - parentId?: string - Optional parent node ID for edge creation
+     * - options?: object - Optional overrides:
+     *   - type: string - Node type to use instead of detecting it from the label
+     *   - data: object - Extra node data (e.g. properties: {key: value})
+     *   - edgeLabel: string - Relationship label for the edge to the parent
      * 
      * Returns:
      * - Promise<object> - Created node data object
      * 
      * Process:
-     * 1. Detects appropriate node type based on label content
+     * 1. Detects appropriate node type based on label content (unless a type is given)
      * 2. Applies overlap prevention to position
      * 3. Creates node with detected type
      * 4. Optionally creates edge to parent node
      * 5. Uses undo/redo system for all operations
      */
-    async createNode(id, label, position, parentId = null) {
+    async createNode(id, label, position, parentId = null, options = {}) {
         // Check if node already exists
         if (cy.getElementById(id).length) {
             return null; // Node already exists
@@ -178,12 +252,13 @@ export class TransformBase {
         const safePosition = resolveNodeOverlap(null, position);
         
         // Detect node type automatically
-        const nodeType = await detectNodeType(label);
+        const nodeType = options.type || await detectNodeType(label);
         
         // Create node data
         const nodeData = {
             group: "nodes",
             data: {
+                ...options.data,
                 id: id,
                 label: label,
                 type: nodeType
@@ -193,23 +268,71 @@ export class TransformBase {
         
         // Add node to graph using undo/redo system
         ur.do("add", nodeData);
+        this.recordCreatedElement(id);
         
         // Create edge to parent if specified
         if (parentId) {
-            const edgeData = {
-                group: "edges",
-                data: {
-                    id: `e-${parentId}-${id}`,
-                    source: parentId,
-                    target: id
-                }
-            };
-            ur.do("add", edgeData);
+            this.createEdge(parentId, id, options.edgeLabel);
         }
         
         return nodeData;
     }
 
+    /**
+     * Create Edge
+     * 
+     * createEdge(sourceId: string, targetId: string, label?: string): object | null
+     * 
+     * Connects two existing nodes, optionally with a relationship label.
+     * 
+     * Input:
+     * - sourceId: string - ID of the source node
+     * - targetId: string - ID of the target node
+     * - label?: string - Relationship label shown on the edge
+     * 
+     * Returns:
+     * - object - Created edge data object
+     * - null if the edge already exists
+     */
+    createEdge(sourceId, targetId, label = null) {
+        const edgeId = `e-${sourceId}-${targetId}`;
+        if (cy.getElementById(edgeId).length) {
+            return null; // Edge already exists
+        }
+
+        const edgeData = {
+            group: "edges",
+            data: {
+                id: edgeId,
+                source: sourceId,
+                target: targetId
+            }
+        };
+        if (label) {
+            edgeData.data.label = label;
+        }
+
+        ur.do("add", edgeData);
+        this.recordCreatedElement(edgeId);
+        return edgeData;
+    }
+
+    /**
+     * Record Created Element
+     * 
+     * recordCreatedElement(elementId: string)
+     * 
+     * Remembers a node or edge added by the running transform so it can be
+     * removed again if the user cancels the transform and discards its results.
+     * 
+     * @param {string} elementId - ID of the added node or edge
+     */
+    recordCreatedElement(elementId) {
+        if (this.transformId) {
+            multiTransformManager.recordCreatedElement(this.transformId, elementId);
+        }
+    }
+
     /**
      * Create Multiple Nodes
      * 
@@ -0,0 +1,147 @@
+/**
+ * Transform Job Utility
+ *
+ * This utility runs transforms as server jobs (POST /jobs) and polls them until
+ * they finish. Runs started from the graph therefore share the server's
+ * concurrency limit with every other client, and a run keeps going when the
+ * tab is closed; its result can be attached to the graph later from the
+ * Tools menu (see jobManager.js).
+ *
+ * Key Features:
+ * - Submits the run, or follows an existing job when given its id
+ * - Hands every streamed result and progress update to callbacks as it is polled
+ * - Waits for each callback before handling the next result, so nodes are created in order
+ * - Resolves with the job's result, the same body the transform's endpoint returns
+ * - Accepts an AbortSignal; aborting cancels the job, which stops the tool on
+ *   the server
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+// Time between two status requests for the same job
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Run Transform Job
+ *
+ * runTransformJob(transformId: string, input: string, params?: object, handlers?: object): Promise<object>
+ *
+ * @param {string} transformId - Registry id, or "custom:<id>" for an uploaded transform
+ * @param {string} input - Node label the transform runs on
+ * @param {object} params - Transform parameters (the options of its endpoint)
+ * @param {object} handlers - onResult(result) and onProgress(percent|null, message)
+ *   callbacks (may be async), an optional abort signal, refresh to ignore cached
+ *   results, context for custom transforms and jobId to follow an existing job
+ *   instead of submitting a new one
+ * @returns {Promise<object>} The job's result
+ * @throws {Error} With the server's error message when the run fails, or an AbortError when it is cancelled
+ */
+export async function runTransformJob(transformId, input, params = {}, { onResult, onProgress, signal, refresh, context, jobId } = {}) {
+    const id = jobId || await submitJob({ transformId, input, params, context, refresh: refresh === true }, signal);
+    let received = 0;
+    let lastMessage = null;
+
+    try {
+        while (true) {
+            const response = await fetch(`/jobs/${encodeURIComponent(id)}?since=${received}`, { signal });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            const job = data.job;
+            for (const event of job.events) {
+                if (onResult) await onResult(event);
+            }
+            received += job.events.length;
+
+            switch (job.status) {
+                case "completed":
+                    return job.result;
+                case "failed":
+                    throw new Error(job.error || "Transform failed");
+                case "cancelled":
+                    throw new DOMException("The transform was cancelled", "AbortError");
+            }
+
+            // Queued jobs wait for a slot on the server
+            const message = job.status === "queued" ? "Waiting for a free slot on the server" : job.message;
+            if (onProgress && job.status === "running" && job.progress !== null && job.progress > 0) {
+                await onProgress(job.progress, message);
+            } else if (onProgress && message !== lastMessage) {
+                await onProgress(null, message);
+            }
+            lastMessage = message;
+
+            await delay(POLL_INTERVAL_MS, signal);
+        }
+    } catch (error) {
+        if (signal && signal.aborted) {
+            // Stop the run on the server; the tab only stops waiting for it otherwise
+            fetch(`/jobs/${encodeURIComponent(id)}/cancel`, { method: "POST" }).catch(() => {});
+        }
+        throw error;
+    }
+}
+
+/**
+ * List Finished Jobs
+ *
+ * listFinishedJobs(): Promise<Array<object>>
+ *
+ * @returns {Promise<Array<object>>} Completed jobs, newest first, without their results
+ */
+export async function listFinishedJobs() {
+    const response = await fetch("/jobs?status=completed");
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.jobs || [];
+}
+
+/**
+ * Submit Job
+ *
+ * submitJob(submission: object, signal?: AbortSignal): Promise<string>
+ *
+ * Queues the run through POST /jobs and resolves with the new job's id.
+ */
+async function submitJob(submission, signal) {
+    const response = await fetch("/jobs", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(submission),
+        signal
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data.job.id;
+}
+
+/**
+ * Delay
+ *
+ * delay(ms: number, signal?: AbortSignal): Promise<void>
+ *
+ * Waits before the next poll; rejects with an AbortError as soon as the signal fires.
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException("The transform was cancelled", "AbortError"));
+            return;
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException("The transform was cancelled", "AbortError"));
+        };
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
@@ -0,0 +1,110 @@
+/**
+ * Transform Registry Client
+ *
+ * This module loads the transform registry from the server and exposes lookups
+ * used to build the context menu and estimate transform durations.
+ *
+ * Features:
+ * - Fetches transform definitions from GET /transforms once per page load
+ * - Filters transforms by the node type they accept
+ * - Provides estimated durations for the multi-transform manager
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import { TRANSFORM_DURATIONS, DEFAULT_TRANSFORM_DURATION } from "./transformConstants.js";
+
+let transformDefinitions = [];
+let transformCategories = [];
+let registryPromise = null;
+
+/**
+ * Load Transform Registry
+ *
+ * loadTransformRegistry(): Promise<void>
+ *
+ * Fetches the transform definitions from the server. Subsequent calls reuse
+ * the same request so the registry is only loaded once.
+ *
+ * Error Handling:
+ * - Logs errors and leaves the registry empty so the menu can still open
+ * - Clears the cached request so the next call retries
+ */
+export function loadTransformRegistry() {
+    if (!registryPromise) {
+        registryPromise = fetch("/transforms")
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                transformDefinitions = data.transforms || [];
+                transformCategories = data.categories || [];
+            })
+            .catch(error => {
+                console.error("Error loading transform registry:", error);
+                registryPromise = null;
+            });
+    }
+    return registryPromise;
+}
+
+/**
+ * Get Transform Definition
+ *
+ * getTransformDefinition(id: string): object | undefined
+ *
+ * @param {string} id - Transform identifier
+ * @returns {object|undefined} The registered definition
+ */
+export function getTransformDefinition(id) {
+    return transformDefinitions.find(definition => definition.id === id);
+}
+
+/**
+ * Get Transforms for Node Type
+ *
+ * getTransformsForNodeType(nodeType: string): Array<object>
+ *
+ * Returns the transforms that accept the given node type, in registry order.
+ * Nodes without a type are treated as "custom".
+ *
+ * @param {string} nodeType - Type of the node the menu is opened for
+ * @returns {Array<object>} Applicable transform definitions
+ */
+export function getTransformsForNodeType(nodeType) {
+    const type = nodeType || "custom";
+    return transformDefinitions.filter(definition => definition.inputTypes.includes(type));
+}
+
+/**
+ * Get Transform Categories
+ *
+ * getTransformCategories(): Array<{id: string, name: string}>
+ *
+ * @returns {Array<object>} Categories in menu order
+ */
+export function getTransformCategories() {
+    return transformCategories;
+}
+
+/**
+ * Get Estimated Duration
+ *
+ * getEstimatedDuration(id: string): number
+ *
+ * Returns the estimated duration of a transform in milliseconds. Registry
+ * entries take precedence over the local fallbacks in TRANSFORM_DURATIONS.
+ *
+ * @param {string} id - Transform identifier
+ * @returns {number} Estimated duration in milliseconds
+ */
+export function getEstimatedDuration(id) {
+    const definition = getTransformDefinition(id);
+    if (definition && definition.estimatedDuration) {
+        return definition.estimatedDuration;
+    }
+    return TRANSFORM_DURATIONS[id] || DEFAULT_TRANSFORM_DURATION;
+}
@@ -15,10 +15,11 @@
 
 import { Router, Request, Response } from "express";
 import path from "path";
+import net from "net";
 import multer from "multer";
 
 // Import services
-import { ToolPaths, validateTool, detectTools } from "../services/toolDetection.js";
+import { ToolPaths, validateTool, getToolPaths } from "../services/toolDetection.js";
 import { 
     initializeDirectories, 
     sanitizeFilename, 
@@ -26,84 +27,179 @@ import {
     readJsonFile, 
     listFiles 
 } from "../services/fileSystem.js";
-import {
-    executeSherlock,
-    executeFfufSubdomain,
-    executeFeroxbuster,
-    executePortScan,
-    executeWhois,
-    executeIpAnalysis
-} from "../services/externalTools.js";
 import {
     validateUrl,
     validateIpAddress,
     validateDomain,
-    resolveDomain,
-    getDnsRecords,
-    getGeolocation,
-    captureScreenshot,
+    validateUsername,
     detectNodeType,
+    parseDnsRecordTypes,
+    parseDnsResolvers,
+    DnsRecordType,
+    parseReverseDnsOptions,
+    ReverseDnsOptions,
+    parseScreenshotOptions,
+    ScreenshotOptions,
     formatErrorResponse,
     formatSuccessResponse
 } from "../services/dataProcessing.js";
+import { parseZoneTransferOptions, ZoneTransferOptions } from "../services/zoneTransfer.js";
+import { TRANSFORM_CATEGORIES, listTransforms, getTransform } from "../services/transformRegistry.js";
+import { respondWithTransform } from "../services/transformStream.js";
+import { executeTransform, canExecuteTransform, validateTransformRun } from "../services/transformExecution.js";
+import { submitJob, getJob, listJobs, cancelJob, deleteJob, JobStatus } from "../services/jobQueue.js";
+import { listCacheEntries, purgeCache, CacheFilter } from "../services/resultCache.js";
+import { parseSherlockOptions, SherlockOptions, parsePortScanOptions, parseScanTarget, PortScanOptions } from "../services/externalTools.js";
 
 const router = Router();
 
 import{ 
-    hasCustomTransform, 
+    listCustomTransforms, 
     saveCustomTransform, 
+    renameCustomTransform, 
     removeCustomTransform, 
-    executeCustomTransform 
+    executeCustomTransform, 
+    importLegacyTransform,
+    getTransformLanguage,
+    CustomTransformExecutionError 
 }from "../services/customTransform.js";
 
 
 const upload = multer(); // memory storage
 
-// Upload a Python transform
-router.post("/upload-transform", upload.single("file"), async (req: Request & { file?: Express.Multer.File }, res: Response) => {
-    if(!req.file || !req.file.originalname.endsWith(".py")){
-        res.status(400).json({ error: "Only .py files are allowed" });
+// Upload a Python or JavaScript transform, optionally with a display name and a sidecar manifest JSON
+router.post("/upload-transform", upload.fields([{ name: "file", maxCount: 1 }, { name: "manifest", maxCount: 1 }]), async (req: Request, res: Response) => {
+    const files = (req.files || {}) as { [field: string]: Express.Multer.File[] };
+    const script = files.file?.[0];
+    const manifest = files.manifest?.[0];
+
+    if(!script || !getTransformLanguage(script.originalname)){
+        res.status(400).json({ error: "Only .py, .js and .mjs files are allowed" });
+        return;
+    }
+    if(manifest && !manifest.originalname.endsWith(".json")){
+        res.status(400).json({ error: "Manifest must be a .json file" });
         return;
     }
 
     try{
-        await saveCustomTransform(req.file.buffer);
-        res.json({ message: "Custom transform uploaded successfully" });
-    }catch(err){
+        const transform = await saveCustomTransform(script.buffer, script.originalname, req.body?.name, manifest?.buffer);
+        res.json({ message: "Custom transform uploaded successfully", transform });
+    }catch(err: any){
+        if(err.name === "ValidationError"){
+            res.status(400).json({ error: err.message });
+            return;
+        }
         res.status(500).json({ error: "Failed to save custom transform" });
     }
 });
 
-// Remove custom transform
+// List uploaded transforms
+router.get("/custom-transforms", (_req: Request, res: Response) => {
+    res.json({ transforms: listCustomTransforms() });
+});
+
+// Rename a custom transform
+router.patch("/custom-transforms/:id", async (req: Request, res: Response) => {
+    const { name } = req.body;
+    if(!name || typeof name !== "string" || !name.trim()){
+        res.status(400).json({ error: "name is required" });
+        return;
+    }
+
+    try{
+        const transform = await renameCustomTransform(req.params.id as string, name);
+        res.json({ message: "Custom transform renamed", transform });
+    }catch(err: any){
+        if(err.name === "NotFoundError"){
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        if(err.name === "ValidationError"){
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        res.status(500).json({ error: "Failed to rename custom transform" });
+    }
+});
+
+// Remove a custom transform
+router.delete("/custom-transforms/:id", async (req: Request, res: Response) => {
+    try{
+        await removeCustomTransform(req.params.id as string);
+        res.json({ message: "Custom transform removed" });
+    }catch(err: any){
+        if(err.name === "NotFoundError"){
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        res.status(500).json({ error: "Failed to remove custom transform" });
+    }
+});
+
+// Single-transform endpoints from before the library, kept for existing API clients.
+// "The" transform is the most recently uploaded one, which is the one an upload used to replace.
 router.delete("/remove-transform", async (_req: Request, res: Response) => {
     try{
-        await removeCustomTransform();
+        const transforms = listCustomTransforms();
+        const latest = transforms[transforms.length - 1];
+        if(latest){
+            await removeCustomTransform(latest.id);
+        }
         res.json({ message: "Custom transform removed" });
     }catch(err){
         res.status(500).json({ error: "Failed to remove custom transform" });
     }
 });
 
-// Check if transform exists
 router.get("/has-transform", (_req: Request, res: Response) => {
-    res.json({ exists: hasCustomTransform() });
+    res.json({ exists: listCustomTransforms().length > 0 });
 });
 
-// Run transform
+// Run a custom transform against a node label with the parameters declared in its manifest
+// and an optional context describing the node and its neighbors (sent to the script on stdin).
+// resolvers names the DNS servers a JavaScript transform's api.dns asks instead of DNS_RESOLVERS.
+// The script is killed when the client disconnects before it has finished.
 router.post("/run-transform", async (req: Request, res: Response) => {
-    const { nodeLabel } = req.body;
+    const { transformId, nodeLabel, params, context } = req.body;
+    if(!transformId){
+        res.status(400).json({ error: "transformId is required" });
+        return;
+    }
     if(!nodeLabel){
         res.status(400).json({ error: "nodeLabel is required" });
         return;
     }
 
+    const controller = new AbortController();
+    res.on("close", () => {
+        if(!res.writableFinished){
+            controller.abort();
+        }
+    });
+
     try{
-        const result = await executeCustomTransform(nodeLabel);
+        const resolvers = parseDnsResolvers(req.body.resolvers);
+        const result = await executeCustomTransform(transformId, String(nodeLabel), params, { context, resolvers, signal: controller.signal });
         res.json({ 
             nodes: result.nodes,
-            files: result.files
+            files: result.files,
+            entities: result.entities,
+            edges: result.edges
         });
-    }catch(err){
+    }catch(err: any){
+        if(err.name === "NotFoundError"){
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        if(err.name === "ValidationError"){
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        if(err instanceof CustomTransformExecutionError){
+            res.status(err.statusCode).json({ error: err.message, code: err.code, details: err.details });
+            return;
+        }
         res.status(500).json({ error: "Failed to execute custom transform" });
     }
 });
@@ -115,18 +211,44 @@ let toolPaths: ToolPaths;
 // Initialize on module load
 try {
     directories = initializeDirectories();
-    toolPaths = detectTools();
+    toolPaths = getToolPaths();
+    importLegacyTransform();
 } catch (error) {
     console.error("Failed to initialize API routes:", error);
     process.exit(1);
 }
 
+/**
+ * Transform Discovery Endpoint
+ * 
+ * GET /transforms
+ * 
+ * Returns the registered transforms and their categories.
+ * Accepts an optional `type` query parameter to only list transforms
+ * that apply to the given node type.
+ */
+router.get("/transforms", (req: Request, res: Response): void => {
+    const nodeType = typeof req.query.type === "string" ? req.query.type : undefined;
+    const transforms = listTransforms(nodeType);
+    res.json(formatSuccessResponse({ categories: TRANSFORM_CATEGORIES, transforms }));
+});
+
 /**
  * Sherlock Username Search Endpoint
  * 
  * POST /sherlock
  * 
- * Executes Sherlock username search and returns found social media platforms.
+ * Executes Sherlock username search and returns found social media platforms
+ * as { services: string[], profiles: {service, site, url}[] }.
+ * Streams each profile and the search progress when the client accepts
+ * text/event-stream (see transformStream.ts). Usernames that are not plain
+ * names (see validateUsername), e.g. ones starting with "-", get a 400.
+ * 
+ * Optional body fields (see SherlockOptions):
+ * - sites: string[] | string - Only check these sites (array or comma-separated)
+ * - timeout: number - Seconds to wait for each site (1-600)
+ * - nsfw: boolean - Include NSFW sites
+ * - proxy: string - http(s)/socks proxy URL
  */
 router.post("/sherlock", async (req: Request, res: Response): Promise<void> => {
     const { username } = req.body;
@@ -135,24 +257,25 @@ router.post("/sherlock", async (req: Request, res: Response): Promise<void> => {
         res.status(400).json(formatErrorResponse(null, "Username is required"));
         return;
     }
+    if (!validateUsername(username)) {
+        res.status(400).json(formatErrorResponse(null, "Invalid username format - Use letters, digits, dots, underscores and hyphens, not starting with a hyphen"));
+        return;
+    }
+
+    let options: SherlockOptions;
+    try {
+        options = parseSherlockOptions(req.body);
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
+        return;
+    }
     
     if (!validateTool("Sherlock", toolPaths.sherlock)) {
         res.status(500).json(formatErrorResponse(null, "Sherlock executable not found in system PATH."));
         return;
     }
 
-    try {
-        const services = await executeSherlock(toolPaths.sherlock, username);
-        
-        // Cache results
-        const resultFilePath = path.join(directories.resultSaveDir, `${username}.json`);
-        await writeJsonFile(resultFilePath, services);
-        
-        res.json(formatSuccessResponse({ services }));
-    } catch (error) {
-        console.error("Sherlock error:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to run Sherlock"));
-    }
+    await respondWithTransform(req, res, "Failed to run Sherlock", (listener, signal) => executeTransform("sherlock", username, { params: { ...options }, listener, signal, refresh: req.body.refresh === true }));
 });
 
 /**
@@ -160,7 +283,17 @@ router.post("/sherlock", async (req: Request, res: Response): Promise<void> => {
  * 
  * POST /website-screenshot
  * 
- * Captures a visual snapshot of a website using Puppeteer.
+ * Captures a visual snapshot of a website using Puppeteer, on a page of the
+ * shared browser (see browserPool.ts). The same visit answers with the
+ * evidence of the page (see PageCapture): {screenshot, url, finalUrl, title,
+ * status, headers, redirects, thirdPartyDomains, html, har}.
+ * 
+ * Optional body fields (see ScreenshotOptions):
+ * - width, height: number - Viewport size in pixels (320-3840 x 240-2160)
+ * - mobile: boolean - Emulate a phone (default false)
+ * - fullPage: boolean - Capture the whole page, not only the viewport (default true)
+ * - wait: number - Milliseconds to wait after the page has loaded (0-30000, default 0)
+ * - userAgent: string - User agent to send instead of the browser's own
  */
 router.post("/website-screenshot", async (req: Request, res: Response): Promise<void> => {
     const { url } = req.body;
@@ -175,105 +308,115 @@ router.post("/website-screenshot", async (req: Request, res: Response): Promise<
         return;
     }
 
+    let options: ScreenshotOptions;
     try {
-        const screenshot = await captureScreenshot(url);
-        res.json(formatSuccessResponse({ screenshot }));
-    } catch (error) {
-        console.error("Error capturing website screenshot:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to capture screenshot"));
+        options = parseScreenshotOptions(req.body);
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
+        return;
     }
+
+    await respondWithTransform(req, res, "Failed to capture screenshot", (listener, signal) => executeTransform("website-screenshot", url, { params: { ...options }, listener, signal, refresh: req.body.refresh === true }));
 });
 
 /**
- * Domain to Subdomain Enumeration Endpoint
+ * Domain to IP Resolution Endpoint
+ * 
+ * POST /domain-to-ip
  * 
- * POST /domain-to-sub
+ * Resolves domain names to IP addresses using DNS lookup. Answers with
+ * {ips, resolvers}, where resolvers lists the DNS servers that were asked.
  * 
- * Executes ffuf for subdomain discovery.
+ * Optional body fields:
+ * - resolvers: string[] | string - DNS servers to ask instead of the
+ *   DNS_RESOLVERS setting, e.g. ["1.1.1.1", "10.0.0.53:5353"]
  */
-router.post("/domain-to-sub", async (req: Request, res: Response): Promise<void> => {
+router.post("/domain-to-ip", async (req: Request, res: Response): Promise<void> => {
     const { domain } = req.body;
-
+    
     if (!domain) {
         res.status(400).json(formatErrorResponse(null, "Domain is required"));
         return;
     }
-    
-    if (!validateTool("ffuf", toolPaths.ffuf)) {
-        res.status(500).json(formatErrorResponse(null, "ffuf executable not found"));
+
+    let resolvers: string[] | undefined;
+    try {
+        resolvers = parseDnsResolvers(req.body.resolvers);
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
         return;
     }
 
     try {
-        const subdomains = await executeFfufSubdomain(toolPaths.ffuf, domain);
-        res.json(formatSuccessResponse({ subdomains }));
+        const result = await executeTransform("domain-to-ip", domain, { params: resolvers ? { resolvers } : {}, refresh: req.body.refresh === true });
+        res.json(formatSuccessResponse(result));
     } catch (error) {
-        console.error("ffuf error:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to run ffuf"));
+        console.error("Error resolving domain:", error);
+        res.status(500).json(formatErrorResponse(error, "Failed to resolve domain"));
     }
 });
 
 /**
- * Domain to Endpoint Enumeration Endpoint
+ * Domain to DNS Records Endpoint
  * 
- * POST /domain-to-end
+ * POST /domain-to-dns
+ * 
+ * Retrieves comprehensive DNS information for a domain. The answer also
+ * carries resolvers, the DNS servers that were asked.
  * 
- * Executes Feroxbuster for directory/file enumeration.
+ * Optional body fields:
+ * - types: string[] | string - Record types to query, e.g. ["A", "AAAA", "MX"]
+ *   or "a,aaaa,mx" (default: all of DNS_RECORD_TYPES)
+ * - resolvers: string[] | string - DNS servers to ask instead of the
+ *   DNS_RESOLVERS setting, e.g. ["1.1.1.1", "[2606:4700::1111]:53"]
  */
-router.post("/domain-to-end", async (req: Request, res: Response): Promise<void> => {
+router.post("/domain-to-dns", async (req: Request, res: Response): Promise<void> => {
     const { domain } = req.body;
 
     if (!domain) {
         res.status(400).json(formatErrorResponse(null, "Domain is required"));
         return;
     }
-    
-    if (!validateTool("Feroxbuster", toolPaths.feroxbuster)) {
-        res.status(500).json(formatErrorResponse(null, "Feroxbuster executable not found"));
-        return;
-    }
 
+    let types: DnsRecordType[] | undefined;
+    let resolvers: string[] | undefined;
     try {
-        const endpoints = await executeFeroxbuster(toolPaths.feroxbuster, domain);
-        res.json(formatSuccessResponse({ endpoints }));
-    } catch (error) {
-        console.error("Feroxbuster error:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to run Feroxbuster"));
-    }
-});
-
-/**
- * Domain to IP Resolution Endpoint
- * 
- * POST /domain-to-ip
- * 
- * Resolves domain names to IP addresses using DNS lookup.
- */
-router.post("/domain-to-ip", async (req: Request, res: Response): Promise<void> => {
-    const { domain } = req.body;
-    
-    if (!domain) {
-        res.status(400).json(formatErrorResponse(null, "Domain is required"));
+        types = parseDnsRecordTypes(req.body.types);
+        resolvers = parseDnsResolvers(req.body.resolvers);
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
         return;
     }
 
     try {
-        const ips = await resolveDomain(domain);
-        res.json(formatSuccessResponse({ ips }));
+        const params = { ...(types ? { types } : {}), ...(resolvers ? { resolvers } : {}) };
+        const records = await executeTransform("domain-to-dns", domain, { params, refresh: req.body.refresh === true });
+        res.json(formatSuccessResponse(records));
     } catch (error) {
-        console.error("Error resolving domain:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to resolve domain"));
+        console.error("Error retrieving DNS records:", error);
+        res.status(500).json(formatErrorResponse(error, "Failed to retrieve DNS records"));
     }
 });
 
 /**
- * Domain to DNS Records Endpoint
+ * DNS Zone Transfer Endpoint
  * 
- * POST /domain-to-dns
+ * POST /zone-transfer
+ * 
+ * Attempts a zone transfer (AXFR) of the domain from each of its name servers.
+ * Answers with {servers: [{nameserver, address, allowed, recordCount, error?}], records, resolvers}
+ * where records is the zone from the first server that allowed the transfer
+ * and resolvers lists the DNS servers that looked up the name servers.
+ * Streams each record and the progress when the client accepts text/event-stream.
  * 
- * Retrieves comprehensive DNS information for a domain.
+ * Optional body fields (see ZoneTransferOptions):
+ * - nameservers: string[] | string - Servers to ask instead of the NS records,
+ *   e.g. "192.0.2.53" or "ns1.example.com:5353"
+ * - timeout: number - Milliseconds a server may stay silent (1000-60000, default 10000)
+ * - resolvers: string[] | string - DNS servers that look up the name servers
+ *   instead of the DNS_RESOLVERS setting
  */
-router.post("/domain-to-dns", async (req: Request, res: Response): Promise<void> => {
+router.post("/zone-transfer", async (req: Request, res: Response): Promise<void> => {
     const { domain } = req.body;
 
     if (!domain) {
@@ -281,13 +424,15 @@ router.post("/domain-to-dns", async (req: Request, res: Response): Promise<void>
         return;
     }
 
+    let options: ZoneTransferOptions;
     try {
-        const records = await getDnsRecords(domain);
-        res.json(formatSuccessResponse(records));
-    } catch (error) {
-        console.error("Error retrieving DNS records:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to retrieve DNS records"));
+        options = parseZoneTransferOptions(req.body);
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
+        return;
     }
+
+    await respondWithTransform(req, res, "Failed to attempt zone transfer", (listener, signal) => executeTransform("zone-transfer", domain, { params: { ...options }, listener, signal, refresh: req.body.refresh === true }));
 });
 
 /**
@@ -295,7 +440,12 @@ router.post("/domain-to-dns", async (req: Request, res: Response): Promise<void>
  * 
  * POST /whois
  * 
- * Retrieves domain registration information using whois command.
+ * Retrieves domain registration information using whois command, falling back
+ * to RDAP when the whois record is redacted or incomplete. Answers with a
+ * WhoisResult: registrar, nameServers, creationDate, expiryDate, updatedDate,
+ * status, dnssec, contacts {registrant, admin, tech} with organization, name
+ * and email, sources, the raw whois output and, when used, the RDAP JSON.
+ * whois is killed when the client disconnects before the answer is ready.
  */
 router.post("/whois", async (req: Request, res: Response): Promise<void> => {
     const { domain } = req.body;
@@ -305,13 +455,12 @@ router.post("/whois", async (req: Request, res: Response): Promise<void> => {
         return;
     }
 
-    try {
-        const whoisInfo = await executeWhois(domain);
-        res.json(formatSuccessResponse(whoisInfo));
-    } catch (error) {
-        console.error("Error executing whois:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to retrieve WHOIS information"));
+    if (!validateDomain(domain)) {
+        res.status(400).json(formatErrorResponse(null, "Invalid domain format"));
+        return;
     }
+
+    await respondWithTransform(req, res, "Failed to retrieve WHOIS information", (listener, signal) => executeTransform("whois", domain, { signal, refresh: req.body.refresh === true }));
 });
 
 /**
@@ -320,6 +469,7 @@ router.post("/whois", async (req: Request, res: Response): Promise<void> => {
  * POST /ip-to-netblock
  * 
  * Analyzes IP addresses to identify network ranges and ownership information.
+ * whois is killed when the client disconnects before the answer is ready.
  */
 router.post("/ip-to-netblock", async (req: Request, res: Response): Promise<void> => {
     const { ip } = req.body;
@@ -334,13 +484,7 @@ router.post("/ip-to-netblock", async (req: Request, res: Response): Promise<void
         return;
     }
 
-    try {
-        const networkInfo = await executeIpAnalysis(ip);
-        res.json(formatSuccessResponse(networkInfo));
-    } catch (error) {
-        console.error("Error running IP analysis:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to analyze IP address"));
-    }
+    await respondWithTransform(req, res, "Failed to analyze IP address", (listener, signal) => executeTransform("ip-to-netblock", ip, { signal, refresh: req.body.refresh === true }));
 });
 
 /**
@@ -348,7 +492,9 @@ router.post("/ip-to-netblock", async (req: Request, res: Response): Promise<void
  * 
  * POST /ip-to-location
  * 
- * Performs geolocation analysis on IP addresses using external API.
+ * Performs geolocation analysis on IP addresses through the providers of the
+ * GEOLOCATION_PROVIDER setting (see geolocation.ts): local .mmdb databases or
+ * the freeipapi online API. The answer names the provider that answered.
  */
 router.post("/ip-to-location", async (req: Request, res: Response): Promise<void> => {
     const { ip } = req.body;
@@ -364,20 +510,7 @@ router.post("/ip-to-location", async (req: Request, res: Response): Promise<void
     }
 
     try {
-        const data = await getGeolocation(ip);
-        const locationInfo = {
-            countryName: data.countryName || "Unknown",
-            countryCode: data.countryCode || "Unknown",
-            cityName: data.cityName || "Unknown",
-            regionName: data.regionName || "Unknown",
-            latitude: data.latitude || "Unknown",
-            longitude: data.longitude || "Unknown",
-            zipCode: data.zipCode || "Unknown",
-            asn: data.asn || "Unknown",
-            asnOrganization: data.asnOrganization || "Unknown",
-            isProxy: data.isProxy || false
-        };
-        
+        const locationInfo = await executeTransform("ip-to-location", ip, { refresh: req.body.refresh === true });
         res.json(formatSuccessResponse(locationInfo));
     } catch (error) {
         console.error("Error performing geolocation analysis:", error);
@@ -385,12 +518,67 @@ router.post("/ip-to-location", async (req: Request, res: Response): Promise<void
     }
 });
 
+/**
+ * Reverse DNS Endpoint
+ * 
+ * POST /ip-to-reverse-dns
+ * 
+ * Looks up the host names an IPv4 or IPv6 address points back to, answered
+ * with {hostnames}. A CIDR block, address range or list (see parseScanTarget)
+ * is swept address by address and answered with {hosts: [{ip, hostnames}]}
+ * for the addresses that have host names; sweeps stream each of them and
+ * their progress when the client accepts text/event-stream. Both answers
+ * carry resolvers, the DNS servers that were asked.
+ * 
+ * Optional body fields (see ReverseDnsOptions):
+ * - maxHosts: number - Most addresses a sweep may cover (1-4096, default 256)
+ * - resolvers: string[] | string - DNS servers to ask instead of the
+ *   DNS_RESOLVERS setting
+ */
+router.post("/ip-to-reverse-dns", async (req: Request, res: Response): Promise<void> => {
+    const { ip } = req.body;
+
+    if (!ip) {
+        res.status(400).json(formatErrorResponse(null, "IP address is required"));
+        return;
+    }
+
+    let options: ReverseDnsOptions;
+    try {
+        options = parseReverseDnsOptions(req.body);
+        if (!parseScanTarget(String(ip), options.maxHosts) && net.isIP(String(ip).trim()) === 0) {
+            res.status(400).json(formatErrorResponse(null, "Invalid IP address format"));
+            return;
+        }
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
+        return;
+    }
+
+    await respondWithTransform(req, res, "Failed to look up reverse DNS", (listener, signal) => executeTransform("ip-to-reverse-dns", String(ip).trim(), { params: { ...options }, listener, signal, refresh: req.body.refresh === true }));
+});
+
 /**
  * Port Scan Endpoint
  * 
  * POST /port-scan
  * 
- * Executes port scan using portscanner library with top 1000 ports.
+ * Executes port scan using portscanner library, by default with the top 1000 ports.
+ * Streams each open port and the scan progress when the client accepts
+ * text/event-stream.
+ * 
+ * The target is an IP address or hostname, answered with {ports}, or a CIDR
+ * block, address range or list (see parseScanTarget), answered with
+ * {hosts: [{host, ports}]} for the hosts found up.
+ * 
+ * Optional body fields (see PortScanOptions):
+ * - ports: string - "22,80,8000-8100", "top100", "top1000" or "all"
+ * - timeout: number - Milliseconds per port (100-30000)
+ * - concurrency: number - Ports checked at the same time (1-1000)
+ * - delay: number - Milliseconds between batches (0-60000)
+ * - banners: boolean - Probe open ports for banners (default true)
+ * - maxHosts: number - Most addresses a multi-host target may cover (1-4096, default 256)
+ * - discovery: boolean - Skip hosts that do not answer a quick probe (default true)
  */
 router.post("/port-scan", async (req: Request, res: Response): Promise<void> => {
     const { target } = req.body;
@@ -400,15 +588,248 @@ router.post("/port-scan", async (req: Request, res: Response): Promise<void> =>
         return;
     }
 
+    let options: PortScanOptions;
     try {
-        const ports = await executePortScan(target);
-        res.json(formatSuccessResponse({ ports }));
-    } catch (error) {
-        console.error("Error running port scan:", error);
-        res.status(500).json(formatErrorResponse(error, "Failed to run port scan"));
+        options = parsePortScanOptions(req.body);
+        parseScanTarget(target, options.maxHosts);
+    } catch (error: any) {
+        res.status(400).json(formatErrorResponse(null, error.message));
+        return;
     }
+
+    await respondWithTransform(req, res, "Failed to run port scan", (listener, signal) => executeTransform("port-scan", target, { params: { ...options }, listener, signal, refresh: req.body.refresh === true }));
 });
 
+/**
+ * Registered Transform Endpoints
+ * 
+ * POST <endpoint> for every registered transform with a server-side runner
+ * (see transformRegistry.ts), e.g. POST /domain-to-sub and POST /domain-to-end.
+ * 
+ * Mounted after the hand-written routes above, so it answers the endpoints
+ * that have none. The node label is read from the transform's inputField, the
+ * other body fields are its params and refresh skips the result cache. The run
+ * is checked like a job (see validateTransformRun) and answered as JSON, or
+ * streamed when the client accepts text/event-stream.
+ */
+listTransforms()
+    .filter(transform => transform.endpoint && canExecuteTransform(transform.id))
+    .forEach(transform => {
+        router.post(transform.endpoint as string, async (req: Request, res: Response): Promise<void> => {
+            const { [transform.inputField]: input, refresh, ...params } = req.body ?? {};
+
+            if (!input) {
+                const field = transform.inputField;
+                res.status(400).json(formatErrorResponse(null, `${field.charAt(0).toUpperCase()}${field.slice(1)} is required`));
+                return;
+            }
+
+            try {
+                validateTransformRun(transform.id, String(input), params);
+            } catch (error: any) {
+                res.status(400).json(formatErrorResponse(null, error.message));
+                return;
+            }
+
+            await respondWithTransform(req, res, `Failed to run ${transform.name}`, (listener, signal) => executeTransform(transform.id, String(input), { params, listener, signal, refresh: refresh === true }));
+        });
+    });
+
+/**
+ * Submit Transform Job Endpoint
+ * 
+ * POST /jobs
+ * 
+ * Queues a transform to run in the background and returns the job right away.
+ * Body: { transformId, input, params?, context?, refresh? } where transformId is a
+ * registry id or "custom:<id>" for an uploaded transform.
+ */
+router.post("/jobs", (req: Request, res: Response): void => {
+    try {
+        const job = submitJob(req.body ?? {});
+        res.status(202).json({ job });
+    } catch (err: any) {
+        if (err.name === "NotFoundError") {
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        if (err.name === "ValidationError") {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        console.error("Error submitting job:", err);
+        res.status(500).json({ error: "Failed to submit job" });
+    }
+});
+
+/**
+ * List Transform Jobs Endpoint
+ * 
+ * GET /jobs
+ * 
+ * Lists running, queued and finished jobs without their results.
+ * Accepts an optional `status` query parameter to filter the list.
+ */
+router.get("/jobs", (req: Request, res: Response): void => {
+    const statuses: JobStatus[] = ["queued", "running", "completed", "failed", "cancelled"];
+    const status = typeof req.query.status === "string" ? req.query.status : undefined;
+
+    if (status && !statuses.includes(status as JobStatus)) {
+        res.status(400).json({ error: `status must be one of: ${statuses.join(", ")}` });
+        return;
+    }
+
+    res.json({ jobs: listJobs(status as JobStatus | undefined) });
+});
+
+/**
+ * Transform Job Status Endpoint
+ * 
+ * GET /jobs/:id
+ * 
+ * Returns a job's status and progress, the results it streamed so far as
+ * events, and its result once it has finished. Pollers pass the number of
+ * events they already have as `since` to only get the new ones.
+ */
+router.get("/jobs/:id", (req: Request, res: Response): void => {
+    const since = parseInt(typeof req.query.since === "string" ? req.query.since : "", 10);
+
+    try {
+        const job = getJob(req.params.id as string);
+        res.json({ job: since > 0 ? { ...job, events: job.events.slice(since) } : job });
+    } catch (err: any) {
+        if (err.name === "NotFoundError") {
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        res.status(500).json({ error: "Failed to read job" });
+    }
+});
+
+/**
+ * Cancel Transform Job Endpoint
+ * 
+ * POST /jobs/:id/cancel
+ * 
+ * Removes a queued job from the queue or stops a running one.
+ * Finished jobs are returned unchanged.
+ */
+router.post("/jobs/:id/cancel", (req: Request, res: Response): void => {
+    try {
+        res.json({ job: cancelJob(req.params.id as string) });
+    } catch (err: any) {
+        if (err.name === "NotFoundError") {
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        res.status(500).json({ error: "Failed to cancel job" });
+    }
+});
+
+/**
+ * Delete Transform Job Endpoint
+ * 
+ * DELETE /jobs/:id
+ * 
+ * Removes a finished job and its saved result. Jobs that are still queued or
+ * running have to be cancelled first.
+ */
+router.delete("/jobs/:id", (req: Request, res: Response): void => {
+    try {
+        deleteJob(req.params.id as string);
+        res.json({ message: "Job deleted" });
+    } catch (err: any) {
+        if (err.name === "NotFoundError") {
+            res.status(404).json({ error: err.message });
+            return;
+        }
+        if (err.name === "ValidationError") {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        console.error("Error deleting job:", err);
+        res.status(500).json({ error: "Failed to delete job" });
+    }
+});
+
+/**
+ * List Cached Results Endpoint
+ * 
+ * GET /cache
+ * 
+ * Lists stored transform results without their bodies.
+ * Accepts optional `transformId`, `input` and `expired=true` query parameters.
+ */
+router.get("/cache", (req: Request, res: Response): void => {
+    const filter = readCacheFilter(req);
+    if (typeof filter === "string") {
+        res.status(400).json({ error: filter });
+        return;
+    }
+
+    try {
+        res.json({ entries: listCacheEntries(filter) });
+    } catch (err) {
+        console.error("Error listing cached results:", err);
+        res.status(500).json({ error: "Failed to list cached results" });
+    }
+});
+
+/**
+ * Purge Cached Results Endpoint
+ * 
+ * DELETE /cache
+ * 
+ * Deletes stored transform results. Without query parameters the whole cache
+ * is cleared; `transformId`, `input` and `expired=true` narrow what is removed.
+ */
+router.delete("/cache", (req: Request, res: Response): void => {
+    const filter = readCacheFilter(req);
+    if (typeof filter === "string") {
+        res.status(400).json({ error: filter });
+        return;
+    }
+
+    try {
+        res.json({ removed: purgeCache(filter) });
+    } catch (err) {
+        console.error("Error purging cached results:", err);
+        res.status(500).json({ error: "Failed to purge cached results" });
+    }
+});
+
+/**
+ * Read Cache Filter
+ * 
+ * readCacheFilter(req: Request): CacheFilter | string
+ * 
+ * Builds a cache filter from the query string, or returns an error message.
+ */
+function readCacheFilter(req: Request): CacheFilter | string {
+    const { transformId, input, expired } = req.query;
+    const filter: CacheFilter = {};
+
+    if (transformId !== undefined) {
+        if (typeof transformId !== "string" || !getTransform(transformId)) {
+            return "transformId must be a registered transform id";
+        }
+        filter.transformId = transformId;
+    }
+    if (input !== undefined) {
+        if (typeof input !== "string" || !input.trim()) {
+            return "input must be a non-empty string";
+        }
+        filter.input = input;
+    }
+    if (expired !== undefined) {
+        if (expired !== "true" && expired !== "false") {
+            return "expired must be true or false";
+        }
+        filter.expiredOnly = expired === "true";
+    }
+    return filter;
+}
+
 /**
  * Graph Save Endpoint
  * 
@@ -0,0 +1,202 @@
+/**
+ * Browser Pool Service
+ *
+ * This service shares one headless Chrome between the transforms that load
+ * web pages, instead of launching a new browser for every page.
+ *
+ * Key Features:
+ * - The browser is launched on first use and kept warm for the next page
+ * - Each page opens in its own browser context, so cookies and storage do
+ *   not carry over from one site to the next
+ * - A cap on pages open at the same time; extra pages wait in a first-in
+ *   first-out queue, which a cancelled request leaves at once
+ * - A browser that crashed is replaced on the next request, and a browser
+ *   left unused is closed to free its memory
+ *
+ * Settings (server environment):
+ * - BROWSER_MAX_PAGES: Most pages open at the same time (default 4)
+ * - BROWSER_IDLE_TIMEOUT: Seconds an unused browser stays open (default 300,
+ *   0 keeps it open until the server stops)
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import type { Browser, Page } from "puppeteer";
+import { TransformCancelledError } from "./transformStream.js";
+
+/**
+ * Browser Pool Options
+ *
+ * - launch: Starts the browser (default: headless Chrome through Puppeteer)
+ * - maxPages: Most pages open at the same time
+ * - idleTimeout: Milliseconds an unused browser stays open, 0 for no limit
+ */
+export interface BrowserPoolOptions {
+    launch?: () => Promise<Browser>;
+    maxPages?: number;
+    idleTimeout?: number;
+}
+
+/**
+ * Browser Pool
+ *
+ * - withPage: Runs the task on a fresh page, closing the page afterwards;
+ *   rejects with TransformCancelledError when the signal aborts before the
+ *   task has started
+ * - close: Closes the browser; the next page launches a new one
+ */
+export interface BrowserPool {
+    withPage<T>(task: (page: Page) => Promise<T>, signal?: AbortSignal): Promise<T>;
+    close(): Promise<void>;
+}
+
+/**
+ * Create Browser Pool
+ *
+ * createBrowserPool(options?: BrowserPoolOptions): BrowserPool
+ *
+ * Creates a pool around one lazily launched browser. Settings missing from
+ * the options are read from the server environment.
+ *
+ * Error Handling:
+ * - A failed launch rejects the waiting page and is retried on the next one
+ * - Pages whose task throws are still closed and free their place
+ */
+export function createBrowserPool(options: BrowserPoolOptions = {}): BrowserPool {
+    const launch = options.launch || launchBrowser;
+    const maxPages = Math.max(1, options.maxPages ?? readSetting("BROWSER_MAX_PAGES", 4));
+    const idleTimeout = options.idleTimeout ?? readSetting("BROWSER_IDLE_TIMEOUT", 300) * 1000;
+
+    let browser: Promise<Browser> | null = null;
+    let openPages = 0;
+    let idleTimer: NodeJS.Timeout | null = null;
+    const waiting: Array<() => void> = [];
+
+    const getBrowser = (): Promise<Browser> => {
+        if (!browser) {
+            const launched = launch();
+            browser = launched;
+            // Forget a browser that crashed or failed to start, so the next page launches another
+            launched.then(
+                instance => instance.once("disconnected", () => {
+                    if (browser === launched) browser = null;
+                }),
+                () => {
+                    if (browser === launched) browser = null;
+                }
+            );
+        }
+        return browser;
+    };
+
+    const acquire = async (signal?: AbortSignal): Promise<void> => {
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
+        if (idleTimer) {
+            clearTimeout(idleTimer);
+            idleTimer = null;
+        }
+        if (openPages < maxPages) {
+            openPages++;
+            return;
+        }
+        await new Promise<void>((resolve, reject) => {
+            const grant = () => {
+                signal?.removeEventListener("abort", leave);
+                resolve();
+            };
+            // A cancelled page gives up its place in the queue without ever holding one
+            const leave = () => {
+                const index = waiting.indexOf(grant);
+                if (index !== -1) {
+                    waiting.splice(index, 1);
+                }
+                reject(new TransformCancelledError());
+            };
+            waiting.push(grant);
+            signal?.addEventListener("abort", leave, { once: true });
+        });
+    };
+
+    const release = (): void => {
+        // The place passes straight to the next waiting page
+        const next = waiting.shift();
+        if (next) {
+            next();
+            return;
+        }
+        openPages--;
+        if (openPages === 0 && idleTimeout > 0) {
+            idleTimer = setTimeout(() => {
+                idleTimer = null;
+                close();
+            }, idleTimeout);
+            idleTimer.unref();
+        }
+    };
+
+    const close = async (): Promise<void> => {
+        const current = browser;
+        browser = null;
+        if (current) {
+            await current.then(instance => instance.close()).catch(error => {
+                console.error("Failed to close the browser:", error?.message || error);
+            });
+        }
+    };
+
+    return {
+        async withPage<T>(task: (page: Page) => Promise<T>, signal?: AbortSignal): Promise<T> {
+            await acquire(signal);
+            try {
+                const context = await (await getBrowser()).createBrowserContext();
+                try {
+                    return await task(await context.newPage());
+                } finally {
+                    await context.close().catch(() => undefined);
+                }
+            } finally {
+                release();
+            }
+        },
+        close
+    };
+}
+
+// Pool shared by the transforms that load web pages
+export const browserPool = createBrowserPool();
+
+/**
+ * Launch Browser
+ *
+ * launchBrowser(): Promise<Browser>
+ *
+ * Starts headless Chrome through Puppeteer. PUPPETEER_EXECUTABLE_PATH
+ * selects another Chrome or Chromium install.
+ */
+async function launchBrowser(): Promise<Browser> {
+    const puppeteer = await import("puppeteer");
+    return puppeteer.default.launch({
+        headless: true,
+        args: [
+            "--no-sandbox",
+            "--disable-setuid-sandbox",
+            "--disable-dev-shm-usage",
+            "--disable-source-maps",
+        ]
+    });
+}
+
+/**
+ * Read Setting
+ *
+ * readSetting(name: string, fallback: number): number
+ *
+ * Reads a whole number from the environment, falling back to the default
+ * when the variable is unset or invalid.
+ */
+function readSetting(name: string, fallback: number): number {
+    const value = parseInt(process.env[name] || "", 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
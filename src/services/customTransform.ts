@@ -1,107 +1,523 @@
 /**
  * Custom Transform Integration
  * 
- * This module manages user-uploaded Python transforms and provides an interface
- * for saving, removing, checking, and executing custom scripts. It allows investigators
- * to expand the graph with arbitrary logic defined in Python, supporting more flexible
- * and specialized workflows.
+ * This module manages a library of user-uploaded Python and JavaScript transforms and
+ * provides an interface for saving, listing, renaming, removing and executing them. It
+ * allows investigators to expand the graph with arbitrary logic defined in Python or
+ * JavaScript, supporting more flexible and specialized workflows.
  * 
  * Custom Transform Features:
- * - Accepts user-uploaded `.py` files stored on the server
- * - Ensures only one active custom transform at a time
- * - Executes the uploaded Python script with a string input
- * - Expects script to return JSON array of results via stdout
+ * - Accepts user-uploaded `.py`, `.js` and `.mjs` files stored on the server
+ * - Keeps any number of named transforms, each with its own id
+ * - Executes an uploaded Python script by id with a string input
+ * - Sends the source node and its one-hop neighbors as JSON on stdin
+ * - Reads an optional manifest (accepted node types, typed parameters) per transform
+ * - Expects Python scripts to print JSON results to stdout and JavaScript
+ *   transforms to return them (see jsTransformSandbox.ts)
  * - Integrates results back into the investigation graph
  * 
+ * Storage Layout:
+ * - saves/transforms/<id>.py or <id>.js - Uploaded script
+ * - saves/transforms/library.json - Names, manifests and upload dates keyed by id
+ * 
+ * Execution Limits:
+ * - Python scripts are spawned without a shell; the input is passed as a plain argument
+ * - JavaScript transforms run in a vm context inside a worker thread with an empty
+ *   environment; DNS and HTTP are only available through the injected API
+ * - Each run gets a wall-clock timeout and an output/log size cap; the Python process
+ *   group or the worker is killed when either is exceeded
+ * - Python scripts run in an empty temporary working directory with a minimal environment
+ * - Limits default to 30 seconds and 5 MB and can be changed with the
+ *   CUSTOM_TRANSFORM_TIMEOUT_MS and CUSTOM_TRANSFORM_MAX_OUTPUT_BYTES variables
+ * 
  * Security Note:
- * - Uploaded Python scripts are executed directly on the server
- * - This creates a high security risk if untrusted code is uploaded
- * - In production, strict sandboxing and validation should be implemented
+ * - Uploaded scripts still run with the server's user privileges
+ * - The limits above contain runaway scripts, they do not make untrusted code safe
+ * - Only upload transforms you trust
  */
 
-import { exec } from "child_process";
-import { promisify } from "util";
+import { spawn } from "child_process";
+import crypto from "crypto";
+import dns from "dns";
 import path from "path";
 import fs from "fs";
+import os from "os";
+import { Worker } from "worker_threads";
+import { TransformManifest, parseManifest, normalizeManifest, validateParams } from "./transformManifest.js";
+import { CustomTransformOutput, normalizeTransformOutput } from "./transformOutput.js";
+import { TransformNodeContext, normalizeNodeContext, buildStdinDocument } from "./transformContext.js";
+import { JS_TRANSFORM_WORKER_SOURCE, buildWorkerData, callSandboxApi } from "./jsTransformSandbox.js";
+import { createDnsResolver } from "./dataProcessing.js";
 
-// Promisified exec to allow async/await execution of shell commands
-const execAsync = promisify(exec);
+// Directory holding the uploaded transforms and the library index
+const transformsDir = path.join(__dirname, "../../saves/transforms");
+const libraryPath = path.join(transformsDir, "library.json");
 
-// Path where the uploaded Python transform is stored on the server
-// - Only one transform is active at a time
-// - File is always named "customTransform.py"
-const customTransformPath = path.join(__dirname, "../../saves/customTransform.py");
+// Location of the single transform used before the library existed
+const legacyTransformPath = path.join(__dirname, "../../saves/customTransform.py");
+
+// Transform ids are generated server-side; anything else is rejected
+const transformIdPattern = /^[a-f0-9]{12}$/;
 
 /**
- * Check Transform Existence
+ * Transform Language
  * 
- * hasCustomTransform(): boolean
+ * Determined by the extension of the uploaded file.
+ */
+export type TransformLanguage = "python" | "javascript";
+
+const languageExtensions: Record<string, TransformLanguage> = {
+    ".py": "python",
+    ".js": "javascript",
+    ".mjs": "javascript"
+};
+
+// Extension the script is stored under, per language
+const scriptExtensions: Record<TransformLanguage, string> = {
+    python: ".py",
+    javascript: ".js"
+};
+
+// Heap available to a JavaScript transform's worker
+const workerHeapLimitMb = 256;
+
+// Environment variables passed through to Python transforms, everything else is dropped
+const allowedEnvironment = ["PATH", "HOME", "LANG", "LC_ALL", "SYSTEMROOT", "USERPROFILE", "APPDATA", "VIRTUAL_ENV"];
+
+/**
+ * Custom Transform Execution Limits
  * 
- * Verifies whether a custom transform Python file exists in the saves directory.
+ * - timeoutMs: Wall-clock time a run may take before it is killed
+ * - maxOutputBytes: Maximum size of stdout and of stderr
+ */
+export interface CustomTransformLimits {
+    timeoutMs: number;
+    maxOutputBytes: number;
+}
+
+export const DEFAULT_TRANSFORM_LIMITS: CustomTransformLimits = {
+    timeoutMs: readLimit("CUSTOM_TRANSFORM_TIMEOUT_MS", 30000),
+    maxOutputBytes: readLimit("CUSTOM_TRANSFORM_MAX_OUTPUT_BYTES", 5 * 1024 * 1024)
+};
+
+/**
+ * Custom Transform Run Options
  * 
- * Returns:
- * - true if transform file exists
- * - false otherwise
+ * - context: Source node and one-hop neighbors sent on stdin (see transformContext.ts)
+ * - limits: Overrides for DEFAULT_TRANSFORM_LIMITS
+ * - resolvers: DNS servers a JavaScript transform's api.dns asks instead of
+ *   DNS_RESOLVERS (see parseDnsResolvers in dataProcessing.ts)
+ * - signal: Kills the run when aborted
  */
-export function hasCustomTransform(): boolean {
-    return fs.existsSync(customTransformPath);
+export interface CustomTransformRunOptions {
+    context?: unknown;
+    limits?: Partial<CustomTransformLimits>;
+    resolvers?: string[];
+    signal?: AbortSignal;
 }
 
 /**
- * Remove Custom Transform
+ * Custom Transform Execution Error
  * 
- * removeCustomTransform(): Promise<void>
+ * Structured error raised when a transform run fails. The code tells the
+ * failure modes apart so the API and the UI can report them precisely.
+ * 
+ * Codes:
+ * - SPAWN_FAILED: python3 or the JavaScript worker could not be started (statusCode 500)
+ * - TIMEOUT: Run exceeded the wall-clock timeout and was killed (statusCode 504)
+ * - OUTPUT_LIMIT: stdout or stderr exceeded the size cap and the run was killed (statusCode 502)
+ *   (for JavaScript: the returned output or the log)
+ * - CRASHED: Script exited with a non-zero code, was killed by a signal, or a
+ *   JavaScript transform threw (statusCode 502)
+ * - INVALID_OUTPUT: stdout was not valid transform JSON (statusCode 502)
+ * - CANCELLED: Run was killed through its AbortSignal (statusCode 499)
+ */
+export type CustomTransformErrorCode = "SPAWN_FAILED" | "TIMEOUT" | "OUTPUT_LIMIT" | "CRASHED" | "INVALID_OUTPUT" | "CANCELLED";
+
+export class CustomTransformExecutionError extends Error {
+    code: CustomTransformErrorCode;
+    statusCode: number;
+    details: Record<string, unknown>;
+
+    constructor(code: CustomTransformErrorCode, message: string, statusCode: number, details: Record<string, unknown> = {}) {
+        super(message);
+        this.name = "CustomTransformExecutionError";
+        this.code = code;
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Read Limit
  * 
- * Deletes the uploaded Python transform file from disk.
+ * readLimit(name: string, fallback: number): number
  * 
- * Process:
- * - Checks if file exists
- * - Removes it synchronously using fs.unlinkSync
- * - Wrapped in async signature for consistency
+ * Reads a positive integer limit from the environment, falling back to the
+ * default when the variable is unset or invalid.
+ */
+function readLimit(name: string, fallback: number): number {
+    const value = parseInt(process.env[name] || "", 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Custom Transform Metadata
+ * 
+ * Describes an uploaded transform as stored in the library index.
+ */
+export interface CustomTransformInfo {
+    id: string;
+    name: string;
+    originalName: string;
+    language: TransformLanguage;
+    uploadedAt: string;
+    manifest: TransformManifest;
+}
+
+/**
+ * Custom Transform Not Found Error
+ * 
+ * Thrown when a transform id is malformed or not present in the library.
+ * Named "NotFoundError" so the error handler middleware maps it to 404.
+ */
+export class CustomTransformNotFoundError extends Error {
+    constructor(id: string) {
+        super(`Custom transform "${id}" not found`);
+        this.name = "NotFoundError";
+    }
+}
+
+/**
+ * Unsupported Transform Error
+ * 
+ * Thrown when an uploaded file is not a Python or JavaScript transform.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class UnsupportedTransformError extends Error {
+    constructor(originalName: string) {
+        super(`"${originalName}" is not a .py, .js or .mjs file`);
+        this.name = "ValidationError";
+    }
+}
+
+/**
+ * Invalid Transform Name Error
+ * 
+ * Thrown when a transform is renamed to an empty name.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class InvalidTransformNameError extends Error {
+    constructor() {
+        super("Transform name is required");
+        this.name = "ValidationError";
+    }
+}
+
+/**
+ * Get Transform Language
+ * 
+ * getTransformLanguage(filename: string): TransformLanguage | null
+ * 
+ * Returns the language of an uploaded transform from its extension, or null
+ * for unsupported files.
+ */
+export function getTransformLanguage(filename: string): TransformLanguage | null {
+    return languageExtensions[path.extname(filename).toLowerCase()] ?? null;
+}
+
+/**
+ * Load Library Index
+ * 
+ * loadLibrary(): CustomTransformInfo[]
+ * 
+ * Reads the library index from disk, creating the transforms directory on
+ * first use.
+ */
+function loadLibrary(): CustomTransformInfo[] {
+    if(!fs.existsSync(transformsDir)){
+        fs.mkdirSync(transformsDir, { recursive: true });
+    }
+
+    let library: CustomTransformInfo[] = [];
+    if(fs.existsSync(libraryPath)){
+        try{
+            library = JSON.parse(fs.readFileSync(libraryPath, "utf8"));
+        }catch(error){
+            console.error("Failed to read custom transform library:", error);
+            library = [];
+        }
+    }
+
+    // Entries stored before JavaScript transforms and manifests were supported
+    for(const transform of library){
+        if(!transform.language){
+            transform.language = "python";
+        }
+        if(!transform.manifest){
+            transform.manifest = readScriptManifest(transform.id, transform.language);
+        }
+    }
+
+    return library;
+}
+
+/**
+ * Import Legacy Transform
+ * 
+ * importLegacyTransform(): void
+ * 
+ * Carries over the `customTransform.py` uploaded before multiple transforms
+ * were supported by adding it to the library as "Custom Transform". Called
+ * once at startup.
+ * 
+ * Error Handling:
+ * - A failed import is logged and the legacy script is left in place
+ */
+export function importLegacyTransform(): void {
+    if(!fs.existsSync(legacyTransformPath)){
+        return;
+    }
+
+    try{
+        const library = loadLibrary();
+        const id = generateTransformId();
+        fs.renameSync(legacyTransformPath, getScriptPath(id));
+        library.push({
+            id,
+            name: "Custom Transform",
+            originalName: "customTransform.py",
+            language: "python",
+            uploadedAt: new Date().toISOString(),
+            manifest: readScriptManifest(id, "python")
+        });
+        saveLibrary(library);
+    }catch(error){
+        console.error("Failed to import legacy custom transform:", error);
+    }
+}
+
+/**
+ * Save Library Index
+ * 
+ * saveLibrary(library: CustomTransformInfo[]): void
+ * 
+ * Writes the library index back to disk.
+ */
+function saveLibrary(library: CustomTransformInfo[]): void {
+    fs.writeFileSync(libraryPath, JSON.stringify(library, null, 2));
+}
+
+/**
+ * Read Script Manifest
+ * 
+ * readScriptManifest(id: string, language: TransformLanguage): TransformManifest
+ * 
+ * Reads the header manifest of a stored script. Scripts without a valid
+ * manifest get an empty one (any node type, no parameters).
+ */
+function readScriptManifest(id: string, language: TransformLanguage): TransformManifest {
+    try{
+        return parseManifest(fs.readFileSync(getScriptPath(id, language)));
+    }catch(error){
+        return normalizeManifest({});
+    }
+}
+
+/**
+ * Generate Transform ID
+ * 
+ * generateTransformId(): string
+ * 
+ * Returns a random 12 character hex id used as the script filename.
+ */
+function generateTransformId(): string {
+    return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * Get Script Path
+ * 
+ * getScriptPath(id: string, language?: TransformLanguage): string
+ * 
+ * Returns the on-disk path of a transform script.
+ */
+function getScriptPath(id: string, language: TransformLanguage = "python"): string {
+    return path.join(transformsDir, `${id}${scriptExtensions[language]}`);
+}
+
+/**
+ * Normalize Transform Name
+ * 
+ * normalizeName(name: string): string
+ * 
+ * Trims a display name and limits it to 60 characters.
  */
-export async function removeCustomTransform(): Promise<void> {
-    if(fs.existsSync(customTransformPath)){
-        fs.unlinkSync(customTransformPath);
+function normalizeName(name: string): string {
+    return name.trim().slice(0, 60);
+}
+
+/**
+ * List Custom Transforms
+ * 
+ * listCustomTransforms(): CustomTransformInfo[]
+ * 
+ * Returns every uploaded transform in upload order.
+ */
+export function listCustomTransforms(): CustomTransformInfo[] {
+    return loadLibrary();
+}
+
+/**
+ * Get Custom Transform
+ * 
+ * getCustomTransform(id: string): CustomTransformInfo
+ * 
+ * Looks up a transform by id.
+ * 
+ * Error Handling:
+ * - Throws CustomTransformNotFoundError for unknown or malformed ids
+ */
+export function getCustomTransform(id: string): CustomTransformInfo {
+    if(!transformIdPattern.test(id)){
+        throw new CustomTransformNotFoundError(id);
     }
+
+    const transform = loadLibrary().find(t => t.id === id);
+    if(!transform || !fs.existsSync(getScriptPath(id, transform.language))){
+        throw new CustomTransformNotFoundError(id);
+    }
+    return transform;
 }
 
 /**
  * Save Custom Transform
  * 
- * saveCustomTransform(fileBuffer: Buffer): Promise<void>
+ * saveCustomTransform(fileBuffer: Buffer, originalName: string, name?: string, manifestBuffer?: Buffer): Promise<CustomTransformInfo>
  * 
- * Saves a user-uploaded Python transform to the predefined path.
+ * Adds a user-uploaded Python or JavaScript transform to the library.
  * 
  * Input:
- * - fileBuffer: Buffer containing the raw contents of the Python file
+ * - fileBuffer: Buffer containing the raw contents of the script
+ * - originalName: string - Filename the script was uploaded with; its extension selects the language
+ * - name?: string - Display name, defaults to the manifest name, then the filename without extension
+ * - manifestBuffer?: Buffer - Sidecar manifest JSON, overrides a header manifest in the script
  * 
  * Process:
- * - Writes file contents to disk as "customTransform.py"
- * - Overwrites existing file if one already exists
+ * - Parses the manifest (see transformManifest.ts)
+ * - Generates a new id and writes the script as "<id>.py" or "<id>.js"
+ * - Records the transform and its manifest in the library index
+ * 
+ * Returns:
+ * - The metadata of the stored transform
+ * 
+ * Error Handling:
+ * - Throws UnsupportedTransformError for other file types and ManifestError for
+ *   invalid manifests (both ValidationErrors); nothing is stored
+ */
+export async function saveCustomTransform(fileBuffer: Buffer, originalName: string, name?: string, manifestBuffer?: Buffer): Promise<CustomTransformInfo> {
+    const language = getTransformLanguage(originalName);
+    if(!language){
+        throw new UnsupportedTransformError(originalName);
+    }
+
+    const manifest = parseManifest(fileBuffer, manifestBuffer);
+    const library = loadLibrary();
+    const displayName = normalizeName(name || "") || normalizeName(manifest.name || "") || normalizeName(path.parse(originalName).name) || "Custom Transform";
+
+    const transform: CustomTransformInfo = {
+        id: generateTransformId(),
+        name: displayName,
+        originalName,
+        language,
+        uploadedAt: new Date().toISOString(),
+        manifest
+    };
+
+    fs.writeFileSync(getScriptPath(transform.id, language), fileBuffer);
+    library.push(transform);
+    saveLibrary(library);
+
+    return transform;
+}
+
+/**
+ * Rename Custom Transform
+ * 
+ * renameCustomTransform(id: string, name: string): Promise<CustomTransformInfo>
+ * 
+ * Changes the display name of a transform. The script itself is untouched.
+ * 
+ * Error Handling:
+ * - Throws CustomTransformNotFoundError for unknown ids
+ * - Throws InvalidTransformNameError if the new name is empty
  */
-export async function saveCustomTransform(fileBuffer: Buffer): Promise<void> {
-    fs.writeFileSync(customTransformPath, fileBuffer);
+export async function renameCustomTransform(id: string, name: string): Promise<CustomTransformInfo> {
+    getCustomTransform(id);
+
+    const displayName = normalizeName(name || "");
+    if(!displayName){
+        throw new InvalidTransformNameError();
+    }
+
+    const library = loadLibrary();
+    const transform = library.find(t => t.id === id) as CustomTransformInfo;
+    transform.name = displayName;
+    saveLibrary(library);
+
+    return transform;
+}
+
+/**
+ * Remove Custom Transform
+ * 
+ * removeCustomTransform(id: string): Promise<void>
+ * 
+ * Deletes a transform script and its library entry.
+ * 
+ * Error Handling:
+ * - Throws CustomTransformNotFoundError for unknown ids
+ */
+export async function removeCustomTransform(id: string): Promise<void> {
+    const transform = getCustomTransform(id);
+
+    const scriptPath = getScriptPath(id, transform.language);
+    if(fs.existsSync(scriptPath)){
+        fs.unlinkSync(scriptPath);
+    }
+
+    saveLibrary(loadLibrary().filter(t => t.id !== id));
 }
 
 /**
  * Execute Custom Transform
  * 
- * executeCustomTransform(input: string): Promise<{nodes: string[], files: Array<{name: string, content: string, type: string}>}>
+ * executeCustomTransform(id: string, input: string, params?: Record<string, unknown>, options?: CustomTransformRunOptions): Promise<CustomTransformOutput>
  * 
- * Runs the uploaded Python transform against a provided input string.
+ * Runs an uploaded Python or JavaScript transform against a provided input string.
  * 
  * Input:
- * - input: string - Value to be passed as a command-line argument to the Python script
+ * - id: string - Id of the transform in the library
+ * - input: string - Value to be passed as a command-line argument to a Python script,
+ *   or as the first argument to a JavaScript transform
+ * - params?: Record<string, unknown> - Values for the parameters declared in the manifest
+ * - options.context?: unknown - Source node and one-hop neighbors (see transformContext.ts)
+ * - options.limits?: Partial<CustomTransformLimits> - Overrides for DEFAULT_TRANSFORM_LIMITS
+ * - options.resolvers?: string[] - DNS servers for a JavaScript transform's api.dns
  * 
  * Process:
- * 1. Confirms that a custom transform exists on disk
- * 2. Builds shell command: python3 "<transformPath>" "<input>"
- * 3. Executes script using execAsync
- * 4. Captures stdout output from script
- * 5. Parses stdout as JSON with nodes and files arrays
+ * 1. Confirms that the transform exists in the library
+ * 2. Validates params against the manifest, applying defaults, and the node context
+ * 3. Python: Spawns python3 <transformPath> <input> <params JSON> without a shell
+ *    and writes the context document to its stdin (see runSandboxedPython)
+ *    JavaScript: Calls the exported function in a worker (see runSandboxedJavaScript)
+ * 4. Captures the printed or returned output
+ * 5. Parses it as JSON with nodes and files arrays
  * 
  * Expected Python Script Contract:
- * - Accepts one argument (input string) via sys.argv[1]
+ * - Accepts the input string via sys.argv[1]
+ * - Receives the parameters as a JSON object in sys.argv[2]
+ * - May read the label, parameters, node and neighbors as JSON from stdin
  * - Processes the input string
  * - Prints JSON to stdout with nodes and files arrays
  * 
@@ -126,6 +542,15 @@ export async function saveCustomTransform(fileBuffer: Buffer): Promise<void> {
  * }
  * ```
  * 
+ * Structured Format (typed entities, labelled edges, properties and images):
+ * ```json
+ * {
+ *   "entities": [{ "id": "a", "type": "ip", "label": "1.2.3.4", "properties": { "asn": 15133 } }],
+ *   "edges": [{ "source": "input", "target": "a", "label": "resolves to" }]
+ * }
+ * ```
+ * See transformOutput.ts for the full rules.
+ * 
  * Example Python Implementation:
  * ```python
  * import sys, json
@@ -142,44 +567,329 @@ export async function saveCustomTransform(fileBuffer: Buffer): Promise<void> {
  * ```
  * 
  * Returns:
- * - Object with nodes array and files array from Python script output
- * - Automatically converts array format to object format
+ * - CustomTransformOutput with nodes, files, entities and edges arrays
+ * - Automatically converts the older formats to this structure
  * 
  * Error Handling:
- * - If file does not exist, throws "No custom transform uploaded"
- * - If execution fails or JSON is invalid, logs error and throws
+ * - If the transform does not exist, throws CustomTransformNotFoundError
+ * - Invalid parameters throw ManifestError, an invalid context NodeContextError (both ValidationErrors)
+ * - Timeouts, oversized output, crashes, invalid JSON and cancellation throw
+ *   CustomTransformExecutionError with the matching code
  */
-export async function executeCustomTransform(input: string): Promise<{nodes: string[], files: Array<{name: string, content: string, type: string}>}> {
-    if(!fs.existsSync(customTransformPath)){
-        throw new Error("No custom transform uploaded");
+export async function executeCustomTransform(id: string, input: string, params: Record<string, unknown> = {}, options: CustomTransformRunOptions = {}): Promise<CustomTransformOutput> {
+    const transform = getCustomTransform(id);
+    const runParams = validateParams(transform.manifest, params);
+    const context = normalizeNodeContext(options.context, input);
+
+    const scriptPath = getScriptPath(id, transform.language);
+    const limits = { ...DEFAULT_TRANSFORM_LIMITS, ...options.limits };
+
+    const { stdout, stderr } = transform.language === "javascript"
+        ? await runSandboxedJavaScript(scriptPath, input, runParams, context, limits, createDnsResolver(options.resolvers), options.signal)
+        : await runSandboxedPython(scriptPath, [input, JSON.stringify(runParams)], buildStdinDocument(input, runParams, context), limits, options.signal);
+
+    let result: any;
+    try{
+        result = JSON.parse(stdout.trim());
+    }catch(error){
+        throw new CustomTransformExecutionError("INVALID_OUTPUT", "Custom transform did not print valid JSON", 502, {
+            stdout: truncate(stdout),
+            stderr: truncate(stderr)
+        });
     }
 
-    const command = `python3 "${customTransformPath}" "${input}"`;
     try{
-        const { stdout } = await execAsync(command);
-        const result = JSON.parse(stdout.trim());
-        
-        // Handle array format (simple nodes only) - convert to object format
-        if (Array.isArray(result)) {
-            return {
-                nodes: result,
-                files: []
-            };
-        }
-        
-        // Handle object format (with nodes and files)
-        if (typeof result === 'object' && result !== null) {
-            return {
-                nodes: result.nodes || [],
-                files: result.files || []
-            };
-        }
-        
-        // Invalid format
-        throw new Error("Invalid output format from custom transform");
-        
+        return normalizeTransformOutput(result);
     }catch(error){
-        console.error("Custom transform failed:", error);
-        throw new Error("Failed to execute custom transform");
+        throw new CustomTransformExecutionError("INVALID_OUTPUT", `Invalid custom transform output: ${(error as Error).message}`, 502, {
+            stdout: truncate(stdout)
+        });
     }
+}
+
+/**
+ * Run Sandboxed Python
+ * 
+ * runSandboxedPython(scriptPath: string, args: string[], stdin: string, limits: CustomTransformLimits, signal?: AbortSignal): Promise<{stdout: string, stderr: string}>
+ * 
+ * Spawns a Python script without a shell and collects its output under the given limits.
+ * 
+ * Process:
+ * 1. Creates an empty temporary working directory for the run
+ * 2. Spawns python3 with an allowlisted environment in its own process group
+ *    and writes stdin to it
+ * 3. Collects stdout and stderr, killing the process group when either
+ *    exceeds maxOutputBytes, the run exceeds timeoutMs or the signal is aborted
+ * 4. Removes the working directory once the process has exited
+ * 
+ * Error Handling:
+ * - Rejects with CustomTransformExecutionError (SPAWN_FAILED, TIMEOUT, OUTPUT_LIMIT, CRASHED or CANCELLED)
+ */
+function runSandboxedPython(scriptPath: string, args: string[], stdin: string, limits: CustomTransformLimits, signal?: AbortSignal): Promise<{stdout: string, stderr: string}> {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "insightsnexus-transform-"));
+
+    const env: NodeJS.ProcessEnv = {
+        PYTHONIOENCODING: "utf-8",
+        PYTHONDONTWRITEBYTECODE: "1",
+        TMPDIR: workDir,
+        TEMP: workDir,
+        TMP: workDir
+    };
+    for(const name of allowedEnvironment){
+        if(process.env[name] !== undefined){
+            env[name] = process.env[name];
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const child = spawn("python3", [scriptPath, ...args], {
+            cwd: workDir,
+            env,
+            shell: false,
+            windowsHide: true,
+            // A separate process group lets us kill anything the script started
+            detached: process.platform !== "win32",
+            stdio: ["pipe", "pipe", "pipe"]
+        });
+
+        // Scripts that never read stdin may exit before it is written (EPIPE)
+        child.stdin.on("error", () => {});
+        child.stdin.end(stdin);
+
+        const stdoutChunks: Buffer[] = [];
+        const stderrChunks: Buffer[] = [];
+        let stdoutBytes = 0;
+        let stderrBytes = 0;
+        let failure: CustomTransformExecutionError | null = null;
+
+        const killProcess = () => {
+            try{
+                if(child.pid && process.platform !== "win32"){
+                    process.kill(-child.pid, "SIGKILL");
+                }else{
+                    child.kill("SIGKILL");
+                }
+            }catch(error){
+                // Process already exited
+            }
+        };
+
+        const fail = (error: CustomTransformExecutionError) => {
+            if(!failure){
+                failure = error;
+                killProcess();
+            }
+        };
+
+        const timer = setTimeout(() => {
+            fail(new CustomTransformExecutionError("TIMEOUT", `Custom transform timed out after ${limits.timeoutMs} ms`, 504, {
+                timeoutMs: limits.timeoutMs
+            }));
+        }, limits.timeoutMs);
+
+        const cancel = () => fail(new CustomTransformExecutionError("CANCELLED", "Custom transform was cancelled", 499));
+        if(signal?.aborted){
+            cancel();
+        }else{
+            signal?.addEventListener("abort", cancel, { once: true });
+        }
+
+        child.stdout.on("data", (chunk: Buffer) => {
+            stdoutBytes += chunk.length;
+            if(stdoutBytes > limits.maxOutputBytes){
+                fail(new CustomTransformExecutionError("OUTPUT_LIMIT", `Custom transform wrote more than ${limits.maxOutputBytes} bytes to stdout`, 502, {
+                    stream: "stdout",
+                    maxOutputBytes: limits.maxOutputBytes
+                }));
+                return;
+            }
+            stdoutChunks.push(chunk);
+        });
+
+        child.stderr.on("data", (chunk: Buffer) => {
+            stderrBytes += chunk.length;
+            if(stderrBytes > limits.maxOutputBytes){
+                fail(new CustomTransformExecutionError("OUTPUT_LIMIT", `Custom transform wrote more than ${limits.maxOutputBytes} bytes to stderr`, 502, {
+                    stream: "stderr",
+                    maxOutputBytes: limits.maxOutputBytes
+                }));
+                return;
+            }
+            stderrChunks.push(chunk);
+        });
+
+        const finish = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", cancel);
+            fs.rmSync(workDir, { recursive: true, force: true });
+        };
+
+        child.on("error", (error: NodeJS.ErrnoException) => {
+            finish();
+            reject(new CustomTransformExecutionError("SPAWN_FAILED", `Failed to start python3: ${error.message}`, 500, {
+                errno: error.code
+            }));
+        });
+
+        child.on("close", (exitCode: number | null, signal: NodeJS.Signals | null) => {
+            finish();
+            const stdout = Buffer.concat(stdoutChunks).toString("utf8");
+            const stderr = Buffer.concat(stderrChunks).toString("utf8");
+
+            if(failure){
+                reject(failure);
+            }else if(exitCode !== 0){
+                console.error("Custom transform crashed:", stderr);
+                reject(new CustomTransformExecutionError("CRASHED", signal ? `Custom transform was killed by ${signal}` : `Custom transform exited with code ${exitCode}`, 502, {
+                    exitCode,
+                    signal,
+                    stderr: truncate(stderr)
+                }));
+            }else{
+                resolve({ stdout, stderr });
+            }
+        });
+    });
+}
+
+/**
+ * Run Sandboxed JavaScript
+ * 
+ * runSandboxedJavaScript(scriptPath: string, input: string, params: Record<string, unknown>, context: TransformNodeContext, limits: CustomTransformLimits, resolver: dns.promises.Resolver, signal?: AbortSignal): Promise<{stdout: string, stderr: string}>
+ * 
+ * Runs a JavaScript transform in a worker thread and collects its output under
+ * the same limits as Python transforms.
+ * 
+ * Process:
+ * 1. Starts a worker with an empty environment and a capped heap
+ * 2. The worker evaluates the script in a vm context and calls its exported function
+ * 3. Answers the worker's DNS calls through the resolver and its HTTP calls on
+ *    the server side (see jsTransformSandbox.ts)
+ * 4. Collects log lines as stderr and the serialized output as stdout, terminating
+ *    the worker when either exceeds maxOutputBytes, the run exceeds timeoutMs or
+ *    the signal is aborted
+ * 
+ * Error Handling:
+ * - Rejects with CustomTransformExecutionError (SPAWN_FAILED, TIMEOUT, OUTPUT_LIMIT, CRASHED or CANCELLED)
+ */
+function runSandboxedJavaScript(scriptPath: string, input: string, params: Record<string, unknown>, context: TransformNodeContext, limits: CustomTransformLimits, resolver: dns.promises.Resolver, signal?: AbortSignal): Promise<{stdout: string, stderr: string}> {
+    return new Promise((resolve, reject) => {
+        let worker: Worker;
+        try{
+            worker = new Worker(JS_TRANSFORM_WORKER_SOURCE, {
+                eval: true,
+                env: {},
+                stdout: true,
+                stderr: true,
+                resourceLimits: { maxOldGenerationSizeMb: workerHeapLimitMb },
+                workerData: buildWorkerData(fs.readFileSync(scriptPath, "utf8"), path.basename(scriptPath), input, params, context)
+            });
+        }catch(error){
+            reject(new CustomTransformExecutionError("SPAWN_FAILED", `Failed to start JavaScript worker: ${(error as Error).message}`, 500));
+            return;
+        }
+
+        let stderr = "";
+        let stderrBytes = 0;
+        let settled = false;
+
+        const settle = (error: CustomTransformExecutionError | null, stdout: string = "") => {
+            if(settled) return;
+            settled = true;
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", cancel);
+            worker.terminate().catch(() => {});
+            if(error){
+                reject(error);
+            }else{
+                resolve({ stdout, stderr });
+            }
+        };
+
+        const timer = setTimeout(() => {
+            settle(new CustomTransformExecutionError("TIMEOUT", `Custom transform timed out after ${limits.timeoutMs} ms`, 504, {
+                timeoutMs: limits.timeoutMs
+            }));
+        }, limits.timeoutMs);
+
+        const cancel = () => settle(new CustomTransformExecutionError("CANCELLED", "Custom transform was cancelled", 499));
+        if(signal?.aborted){
+            cancel();
+        }else{
+            signal?.addEventListener("abort", cancel, { once: true });
+        }
+
+        worker.on("message", (message: any) => {
+            switch(message.type){
+                case "call":
+                    callSandboxApi(message.method, message.args, limits, resolver)
+                        .then(result => worker.postMessage({ type: "reply", id: message.id, result }))
+                        .catch(error => worker.postMessage({ type: "reply", id: message.id, error: (error as Error).message }))
+                        .catch(() => {
+                            // Worker already terminated
+                        });
+                    break;
+
+                case "log":
+                    stderrBytes += Buffer.byteLength(message.text);
+                    if(stderrBytes > limits.maxOutputBytes){
+                        settle(new CustomTransformExecutionError("OUTPUT_LIMIT", `Custom transform wrote more than ${limits.maxOutputBytes} bytes to its log`, 502, {
+                            stream: "stderr",
+                            maxOutputBytes: limits.maxOutputBytes
+                        }));
+                        return;
+                    }
+                    stderr += message.text;
+                    break;
+
+                case "result":
+                    if(Buffer.byteLength(message.stdout) > limits.maxOutputBytes){
+                        settle(new CustomTransformExecutionError("OUTPUT_LIMIT", `Custom transform returned more than ${limits.maxOutputBytes} bytes`, 502, {
+                            stream: "stdout",
+                            maxOutputBytes: limits.maxOutputBytes
+                        }));
+                        return;
+                    }
+                    settle(null, message.stdout);
+                    break;
+
+                case "error":
+                    console.error("Custom transform crashed:", message.message);
+                    settle(new CustomTransformExecutionError("CRASHED", "Custom transform threw an error", 502, {
+                        exitCode: 1,
+                        signal: null,
+                        stderr: truncate(stderr + message.message)
+                    }));
+                    break;
+            }
+        });
+
+        // Uncaught errors outside the transform's promise, e.g. running out of heap
+        worker.on("error", (error: Error) => {
+            settle(new CustomTransformExecutionError("CRASHED", `Custom transform crashed: ${error.message}`, 502, {
+                exitCode: 1,
+                signal: null,
+                stderr: truncate(stderr + error.message)
+            }));
+        });
+
+        worker.on("exit", (exitCode: number) => {
+            settle(new CustomTransformExecutionError("CRASHED", `Custom transform exited with code ${exitCode}`, 502, {
+                exitCode,
+                signal: null,
+                stderr: truncate(stderr)
+            }));
+        });
+    });
+}
+
+/**
+ * Truncate
+ * 
+ * truncate(text: string, maxLength?: number): string
+ * 
+ * Keeps the end of long script output (where tracebacks are) for error details.
+ */
+function truncate(text: string, maxLength: number = 2000): string {
+    return text.length > maxLength ? "..." + text.slice(-maxLength) : text;
 }
\ No newline at end of file
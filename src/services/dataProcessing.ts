@@ -14,15 +14,15 @@
  */
 
 import dns from "dns";
-import { promisify } from "util";
-import axios from "axios";
+import net from "net";
+import { ToolOptionsError } from "./externalTools.js";
+import { TransformProgressListener, TransformCancelledError } from "./transformStream.js";
 
-const resolve4 = promisify(dns.resolve4);
-const resolve6 = promisify(dns.resolve6);
-const resolveMx = promisify(dns.resolveMx);
-const resolveNs = promisify(dns.resolveNs);
-const resolveCname = promisify(dns.resolveCname);
-const resolveTxt = promisify(dns.resolveTxt);
+// Resolver given by the user: IPv4 or [IPv6] with an optional port, or a bare IPv6 address
+const resolverPattern = /^(?:(\d{1,3}(?:\.\d{1,3}){3})|\[([0-9A-Fa-f:.]+)\])(?::(\d{1,5}))?$/;
+
+// Most resolvers one request may name
+const maxDnsResolvers = 8;
 
 /**
  * URL Validation
@@ -71,7 +71,7 @@ export function validateUrl(url: string): boolean {
  * 
  * validateIpAddress(ip: string): boolean
  * 
- * Validates IP address format using regex pattern.
+ * Validates IPv4 and IPv6 address format.
  * 
  * Input:
  * - ip: string - IP address to validate
@@ -80,13 +80,12 @@ export function validateUrl(url: string): boolean {
  * - boolean - True if IP is valid, false otherwise
  * 
  * Validation Rules:
- * - Must match IPv4 format (x.x.x.x)
- * - Each octet must be 0-255
- * - Must have exactly 4 octets
+ * - IPv4: exactly 4 octets of 0-255 (x.x.x.x)
+ * - IPv6: full or compressed form ("2001:db8::1", "::ffff:192.0.2.1"),
+ *   optionally with a zone id ("fe80::1%eth0")
  */
 export function validateIpAddress(ip: string): boolean {
-    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    return ipRegex.test(ip);
+    return typeof ip === "string" && net.isIP(ip) !== 0;
 }
 
 /**
@@ -106,25 +105,124 @@ export function validateIpAddress(ip: string): boolean {
  * - Must contain at least one dot
  * - Must have valid characters
  * - Must not be empty
+ * - May end in a dot, as fully qualified names do
  */
 export function validateDomain(domain: string): boolean {
     if (!domain || domain.trim() === "") {
         return false;
     }
     
-    const domainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*$/;
+    const domainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.?$/;
     return domainRegex.test(domain);
 }
 
+/**
+ * Username Validation
+ * 
+ * validateUsername(username: string): boolean
+ * 
+ * Validates a username before it is handed to Sherlock.
+ * 
+ * Validation Rules:
+ * - 1 to 100 letters, digits, dots, underscores and hyphens
+ * - Must not start with a hyphen, so it cannot be read as a command-line flag
+ */
+export function validateUsername(username: string): boolean {
+    return typeof username === "string" && /^[a-zA-Z0-9_.][a-zA-Z0-9_.\-]{0,99}$/.test(username);
+}
+
+/**
+ * DNS Resolver Options
+ * 
+ * - resolvers: Resolver addresses to query instead of the DNS_RESOLVERS
+ *   setting, e.g. ["1.1.1.1", "10.0.0.53:5353", "[2606:4700::1111]:53"]
+ */
+export interface DnsResolverOptions {
+    resolvers?: string[];
+}
+
+/**
+ * Parse DNS Resolvers
+ * 
+ * parseDnsResolvers(raw: unknown, name?: string): string[] | undefined
+ * 
+ * Validates a user-supplied list of resolver addresses, given as an array or
+ * a comma-separated string. Each entry is an IP address with an optional
+ * port; IPv6 addresses need brackets when a port is given.
+ * 
+ * Returns:
+ * - string[] - The resolvers, trimmed
+ * - undefined - Nothing was given, so the configured resolvers are used
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError naming the first invalid entry, using `name`
+ *   for the option in the message (default "resolvers")
+ */
+export function parseDnsResolvers(raw: unknown, name = "resolvers"): string[] | undefined {
+    if (raw === undefined || raw === null || raw === "") {
+        return undefined;
+    }
+    const entries = typeof raw === "string" ? raw.split(",") : raw;
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== "string")) {
+        throw new ToolOptionsError(`${name} must be a list of IP addresses`);
+    }
+
+    const resolvers = (entries as string[]).map(entry => entry.trim()).filter(Boolean);
+    for (const entry of resolvers) {
+        const match = entry.match(resolverPattern);
+        const valid = match
+            ? net.isIP(match[1] || match[2]) !== 0 && (!match[3] || (parseInt(match[3], 10) >= 1 && parseInt(match[3], 10) <= 65535))
+            : net.isIPv6(entry);
+        if (!valid) {
+            throw new ToolOptionsError(`Invalid DNS resolver "${entry}" in ${name}; use an IP address with an optional port, e.g. 1.1.1.1 or [2606:4700::1111]:53`);
+        }
+    }
+    if (resolvers.length > maxDnsResolvers) {
+        throw new ToolOptionsError(`${name} may name at most ${maxDnsResolvers} resolvers`);
+    }
+    return resolvers.length > 0 ? resolvers : undefined;
+}
+
+/**
+ * Create DNS Resolver
+ * 
+ * createDnsResolver(resolvers?: string[]): dns.promises.Resolver
+ * 
+ * Creates the resolver a DNS transform queries through. Uses the given
+ * resolvers, else the DNS_RESOLVERS setting (a comma-separated list in the
+ * server environment), else the operating system's resolvers.
+ * `resolver.getServers()` tells which ones were used.
+ * 
+ * Error Handling:
+ * - An invalid DNS_RESOLVERS setting is logged and ignored
+ */
+export function createDnsResolver(resolvers?: string[]): dns.promises.Resolver {
+    const resolver = new dns.promises.Resolver();
+
+    let servers = resolvers;
+    if (!servers) {
+        try {
+            servers = parseDnsResolvers(process.env.DNS_RESOLVERS, "DNS_RESOLVERS");
+        } catch (error: any) {
+            console.error(`Ignoring DNS_RESOLVERS setting: ${error.message}`);
+        }
+    }
+    if (servers) {
+        resolver.setServers(servers);
+    }
+    return resolver;
+}
+
 /**
  * DNS Resolution
  * 
- * resolveDomain(domain: string): Promise<string[]>
+ * resolveDomain(domain: string, resolver?: dns.promises.Resolver): Promise<string[]>
  * 
  * Resolves domain names to IP addresses using DNS lookup.
  * 
  * Input:
  * - domain: string - Domain name to resolve
+ * - resolver?: dns.promises.Resolver - Resolver to query (default: see createDnsResolver)
  * 
  * Returns:
  * - Promise<string[]> - Array of resolved IP addresses
@@ -138,11 +236,11 @@ export function validateDomain(domain: string): boolean {
  * - Returns empty array on resolution failure
  * - Logs errors for debugging
  */
-export async function resolveDomain(domain: string): Promise<string[]> {
+export async function resolveDomain(domain: string, resolver: dns.promises.Resolver = createDnsResolver()): Promise<string[]> {
     try {
         const [ipv4Addresses, ipv6Addresses] = await Promise.all([
-            resolve4(domain).catch(() => []),
-            resolve6(domain).catch(() => [])
+            resolver.resolve4(domain).catch(() => []),
+            resolver.resolve6(domain).catch(() => [])
         ]);
         
         return [...ipv4Addresses, ...ipv6Addresses];
@@ -153,152 +251,345 @@ export async function resolveDomain(domain: string): Promise<string[]> {
 }
 
 /**
- * DNS Records Retrieval
+ * Reverse DNS Options
  * 
- * getDnsRecords(domain: string): Promise<{mx: string[], ns: string[], a: string[], cname: string[], txt: string[]}>
+ * - maxHosts: Most addresses a netblock sweep may cover (1-4096, default 256)
+ * - resolvers: See DnsResolverOptions
+ */
+export interface ReverseDnsOptions extends DnsResolverOptions {
+    maxHosts?: number;
+}
+
+// Reverse lookups running at the same time during a sweep
+const reverseSweepConcurrency = 16;
+
+/**
+ * Parse Reverse DNS Options
  * 
- * Retrieves comprehensive DNS information for a domain.
+ * parseReverseDnsOptions(raw: Record<string, unknown>): ReverseDnsOptions
  * 
- * Input:
- * - domain: string - Domain name to query
+ * Validates user-supplied reverse DNS options; unset options are left out.
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError naming the first invalid option
+ */
+export function parseReverseDnsOptions(raw: Record<string, unknown> = {}): ReverseDnsOptions {
+    const options: ReverseDnsOptions = {};
+
+    if (raw.maxHosts !== undefined && raw.maxHosts !== null && raw.maxHosts !== "") {
+        const maxHosts = Number(raw.maxHosts);
+        if (!Number.isInteger(maxHosts) || maxHosts < 1 || maxHosts > 4096) {
+            throw new ToolOptionsError("maxHosts must be a whole number between 1 and 4096");
+        }
+        options.maxHosts = maxHosts;
+    }
+
+    const resolvers = parseDnsResolvers(raw.resolvers);
+    if (resolvers) {
+        options.resolvers = resolvers;
+    }
+
+    return options;
+}
+
+/**
+ * Reverse DNS Lookup
+ * 
+ * reverseLookup(ip: string, resolver?: dns.promises.Resolver): Promise<string[]>
+ * 
+ * Looks up the host names an IPv4 or IPv6 address points back to through its
+ * PTR records.
  * 
  * Returns:
- * - Promise<{mx: string[], ns: string[], a: string[], cname: string[], txt: string[]}> - DNS records
+ * - Promise<string[]> - Host names, or an empty array when the address has none
  * 
- * Process:
- * 1. Queries multiple DNS record types
- * 2. Formats results consistently
- * 3. Handles missing records gracefully
+ * Error Handling:
+ * - Returns empty array on lookup failure
+ */
+export async function reverseLookup(ip: string, resolver: dns.promises.Resolver = createDnsResolver()): Promise<string[]> {
+    return resolver.reverse(ip).catch(() => []);
+}
+
+/**
+ * Reverse DNS Sweep
+ * 
+ * reverseLookupHosts(hosts: string[], listener?: TransformProgressListener<{ip: string, hostnames: string[]}>, signal?: AbortSignal, resolver?: dns.promises.Resolver): Promise<Array<{ip: string, hostnames: string[]}>>
+ * 
+ * Looks up every address of a netblock, a few at a time, to map which host
+ * names share it.
+ * 
+ * Input:
+ * - hosts: string[] - Addresses to look up, usually expanded by parseScanTarget
+ * - listener?: TransformProgressListener - Receives each address with host
+ *   names as soon as it is found, and the share of addresses looked up
+ * - signal?: AbortSignal - Stops the sweep before the next batch when aborted
+ * - resolver?: dns.promises.Resolver - Resolver to query (default: see createDnsResolver)
+ * 
+ * Returns:
+ * - Promise<Array<{ip, hostnames}>> - Addresses that have host names, in address order
  * 
  * Error Handling:
- * - Returns empty arrays for failed queries
- * - Logs errors for debugging
+ * - Throws TransformCancelledError when the signal is aborted
  */
-export async function getDnsRecords(domain: string): Promise<{mx: string[], ns: string[], a: string[], cname: string[], txt: string[]}> {
-    try {
-        const [mxRecords, nsRecords, aRecords, cnameRecords, txtRecords] = await Promise.all([
-            resolveMx(domain).catch(() => []),
-            resolveNs(domain).catch(() => []),
-            resolve4(domain).catch(() => []),
-            resolveCname(domain).catch(() => []),
-            resolveTxt(domain).catch(() => [])
-        ]);
+export async function reverseLookupHosts(
+    hosts: string[],
+    listener: TransformProgressListener<{ip: string, hostnames: string[]}> = {},
+    signal?: AbortSignal,
+    resolver: dns.promises.Resolver = createDnsResolver()
+): Promise<Array<{ip: string, hostnames: string[]}>> {
+    const found: Array<{ip: string, hostnames: string[]}> = [];
 
-        return {
-            mx: mxRecords.map(record => record.exchange),
-            ns: nsRecords,
-            a: aRecords,
-            cname: cnameRecords,
-            txt: txtRecords.flat()
-        };
-    } catch (error) {
-        console.error("Error retrieving DNS records:", error);
-        return {
-            mx: [],
-            ns: [],
-            a: [],
-            cname: [],
-            txt: []
-        };
+    for (let i = 0; i < hosts.length; i += reverseSweepConcurrency) {
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
+
+        const batch = hosts.slice(i, i + reverseSweepConcurrency);
+        const answers = await Promise.all(batch.map(ip => reverseLookup(ip, resolver)));
+        batch.forEach((ip, index) => {
+            if (answers[index].length > 0) {
+                const result = { ip, hostnames: answers[index] };
+                found.push(result);
+                listener.onResult?.(result);
+            }
+        });
+
+        const done = Math.min(i + reverseSweepConcurrency, hosts.length);
+        listener.onProgress?.((done / hosts.length) * 100, `Looked up ${done}/${hosts.length} addresses, ${found.length} with host names`);
     }
+
+    return found;
 }
 
 /**
- * Geolocation API Call
+ * DNS Record Types
  * 
- * getGeolocation(ip: string): Promise<any>
+ * Record types the DNS transform can query, in the order they are reported.
+ */
+export const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "NS", "TXT", "SOA", "SRV", "CAA", "PTR", "NAPTR"] as const;
+
+export type DnsRecordType = typeof DNS_RECORD_TYPES[number];
+
+/**
+ * DNS Records
+ * 
+ * What getDnsRecords returns; only the queried types are present.
+ * - mx, ns, cname, ptr: Host names
+ * - a, aaaa: IPv4 and IPv6 addresses
+ * - txt: One string per record, with its chunks joined
+ * - soa: Start of authority, or null when the name has none
+ * - srv: Records of the well-known services in srvServices, e.g. "_sip._tcp"
+ * - caa: Certificate authority authorizations, e.g. {tag: "issue", value: "letsencrypt.org"}
+ * - naptr: Naming authority pointers
+ */
+export interface DnsRecords {
+    a?: string[];
+    aaaa?: string[];
+    cname?: string[];
+    mx?: string[];
+    ns?: string[];
+    txt?: string[];
+    soa?: dns.SoaRecord | null;
+    srv?: Array<{service: string, name: string, port: number, priority: number, weight: number}>;
+    caa?: Array<{critical: number, tag: string, value: string}>;
+    ptr?: string[];
+    naptr?: dns.NaptrRecord[];
+}
+
+// Service labels queried for SRV records, since SRV records live below the domain
+const srvServices = [
+    "_sip._tcp", "_sip._udp", "_sips._tcp", "_sipfederationtls._tcp", "_xmpp-client._tcp", "_xmpp-server._tcp",
+    "_ldap._tcp", "_kerberos._tcp", "_kerberos._udp", "_kpasswd._tcp", "_gc._tcp", "_autodiscover._tcp",
+    "_caldav._tcp", "_caldavs._tcp", "_carddav._tcp", "_carddavs._tcp", "_imap._tcp", "_imaps._tcp",
+    "_pop3._tcp", "_pop3s._tcp", "_submission._tcp", "_submissions._tcp", "_matrix._tcp", "_minecraft._tcp"
+];
+
+/**
+ * Parse DNS Record Types
  * 
- * Performs geolocation analysis on IP addresses using external API.
+ * parseDnsRecordTypes(raw: unknown): DnsRecordType[] | undefined
  * 
- * Input:
- * - ip: string - IP address to analyze
+ * Validates a user-supplied list of record types, given as an array or a
+ * comma-separated string. Types are case-insensitive and returned in the
+ * order of DNS_RECORD_TYPES without duplicates.
  * 
  * Returns:
- * - Promise<any> - Geolocation data from API
- * 
- * Process:
- * 1. Validates IP address format
- * 2. Makes HTTP request to geolocation API
- * 3. Returns structured location data
+ * - DnsRecordType[] - The chosen types
+ * - undefined - Nothing was chosen, so every type is queried
  * 
  * Error Handling:
- * - Throws error on API failure
- * - Validates IP format before API call
+ * - Throws ToolOptionsError naming the first unknown type
  */
-export async function getGeolocation(ip: string): Promise<any> {
-    if (!validateIpAddress(ip)) {
-        throw new Error("Invalid IP address format");
+export function parseDnsRecordTypes(raw: unknown): DnsRecordType[] | undefined {
+    if (raw === undefined || raw === null || raw === "") {
+        return undefined;
+    }
+    const entries = typeof raw === "string" ? raw.split(",") : raw;
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== "string")) {
+        throw new ToolOptionsError(`types must be a list of record types: ${DNS_RECORD_TYPES.join(", ")}`);
     }
 
-    const url = `https://free.freeipapi.com/api/json/${ip}`;
-    const response = await axios.get(url);
-    return response.data;
+    const chosen = new Set<string>();
+    for (const entry of entries as string[]) {
+        const type = entry.trim().toUpperCase();
+        if (!type) continue;
+        if (!(DNS_RECORD_TYPES as readonly string[]).includes(type)) {
+            throw new ToolOptionsError(`Unknown DNS record type "${entry.trim()}"; use ${DNS_RECORD_TYPES.join(", ")}`);
+        }
+        chosen.add(type);
+    }
+    if (chosen.size === 0) {
+        return undefined;
+    }
+    return DNS_RECORD_TYPES.filter(type => chosen.has(type));
 }
 
 /**
- * Website Screenshot Capture
+ * DNS Records Retrieval
  * 
- * captureScreenshot(url: string): Promise<string>
+ * getDnsRecords(domain: string, types?: DnsRecordType[], resolver?: dns.promises.Resolver): Promise<DnsRecords>
  * 
- * Captures a visual snapshot of a website using Puppeteer.
+ * Retrieves comprehensive DNS information for a domain.
  * 
  * Input:
- * - url: string - Website URL to capture
+ * - domain: string - Domain name to query
+ * - types?: DnsRecordType[] - Record types to query (default: all of DNS_RECORD_TYPES)
+ * - resolver?: dns.promises.Resolver - Resolver to query (default: see createDnsResolver)
  * 
  * Returns:
- * - Promise<string> - Base64 encoded PNG image data
+ * - Promise<DnsRecords> - One entry per queried type
  * 
  * Process:
- * 1. Validates URL format
- * 2. Launches Puppeteer browser
- * 3. Navigates to URL and captures screenshot
- * 4. Converts to base64 format
+ * 1. Queries the chosen record types in parallel
+ * 2. Formats results consistently
+ * 3. Handles missing records gracefully
  * 
  * Error Handling:
- * - Throws error on capture failure
- * - Validates URL before processing
+ * - Returns empty arrays (null for SOA) for failed queries
  */
-export async function captureScreenshot(url: string): Promise<string> {
-    if (!validateUrl(url)) {
-        throw new Error("Invalid URL format");
-    }
-
-    const puppeteer = await import('puppeteer');
-    const browser = await puppeteer.default.launch({
-        headless: true,
-        args: [
-            '--no-sandbox', 
-            '--disable-setuid-sandbox', 
-            '--disable-dev-shm-usage',
-            '--disable-source-maps',
-        ]
+export async function getDnsRecords(
+    domain: string,
+    types: readonly DnsRecordType[] = DNS_RECORD_TYPES,
+    resolver: dns.promises.Resolver = createDnsResolver()
+): Promise<DnsRecords> {
+    const lookups: Record<DnsRecordType, () => Promise<DnsRecords[keyof DnsRecords]>> = {
+        A: () => resolver.resolve4(domain).catch(() => []),
+        AAAA: () => resolver.resolve6(domain).catch(() => []),
+        CNAME: () => resolver.resolveCname(domain).catch(() => []),
+        MX: async () => (await resolver.resolveMx(domain).catch(() => []))
+            .sort((a, b) => a.priority - b.priority)
+            .map(record => record.exchange),
+        NS: () => resolver.resolveNs(domain).catch(() => []),
+        TXT: async () => (await resolver.resolveTxt(domain).catch(() => [])).map(chunks => chunks.join("")),
+        SOA: () => resolver.resolveSoa(domain).catch(() => null),
+        SRV: () => getSrvRecords(domain, resolver),
+        CAA: async () => (await resolver.resolveCaa(domain).catch(() => [])).map(formatCaaRecord),
+        PTR: () => resolver.resolvePtr(domain).catch(() => []),
+        NAPTR: () => resolver.resolveNaptr(domain).catch(() => [])
+    };
+
+    const results = await Promise.all(types.map(type => lookups[type]()));
+
+    const records: Record<string, unknown> = {};
+    types.forEach((type, index) => {
+        records[type.toLowerCase()] = results[index];
     });
+    return records as DnsRecords;
+}
 
-    try {
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1280, height: 720 });
-        await page.setDefaultNavigationTimeout(30000);
-        await page.goto(url, { waitUntil: 'networkidle2' });
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        const screenshot = await page.screenshot({
-            type: 'png',
-            fullPage: true
-        });
-        
-        let base64Screenshot: string;
-        if (screenshot instanceof Buffer) {
-            base64Screenshot = screenshot.toString('base64');
-        } else if (screenshot instanceof Uint8Array) {
-            base64Screenshot = Buffer.from(screenshot).toString('base64');
-        } else {
-            throw new Error(`Unexpected screenshot type: ${typeof screenshot}`);
+/**
+ * Get SRV Records
+ * 
+ * getSrvRecords(domain: string, resolver: dns.promises.Resolver): Promise<DnsRecords["srv"]>
+ * 
+ * Queries the well-known service labels below the domain.
+ */
+async function getSrvRecords(domain: string, resolver: dns.promises.Resolver): Promise<NonNullable<DnsRecords["srv"]>> {
+    const answers = await Promise.all(srvServices.map(async service => {
+        const records = await resolver.resolveSrv(`${service}.${domain}`).catch(() => []);
+        return records.map(record => ({ service, ...record }));
+    }));
+    return answers.flat();
+}
+
+/**
+ * Format CAA Record
+ * 
+ * formatCaaRecord(record: dns.CaaRecord): {critical: number, tag: string, value: string}
+ * 
+ * Node reports the tag as the name of the value's property, e.g. {critical: 0, issue: "letsencrypt.org"}.
+ */
+function formatCaaRecord(record: dns.CaaRecord): {critical: number, tag: string, value: string} {
+    const { critical, ...rest } = record;
+    const [tag, value] = Object.entries(rest)[0] ?? ["", ""];
+    return { critical, tag, value: String(value) };
+}
+
+/**
+ * Screenshot Options
+ * 
+ * - width, height: Viewport size in pixels (default 1280x720, or 412x915
+ *   when emulating a phone)
+ * - mobile: Emulate a phone: touch, a high density screen and a mobile
+ *   user agent
+ * - fullPage: Capture the whole page instead of the viewport only (default true)
+ * - wait: Milliseconds to wait after the page has loaded, for animations and
+ *   late content (default 0)
+ * - userAgent: User agent to send instead of the browser's own
+ */
+export interface ScreenshotOptions {
+    width?: number;
+    height?: number;
+    mobile?: boolean;
+    fullPage?: boolean;
+    wait?: number;
+    userAgent?: string;
+}
+
+/**
+ * Parse Screenshot Options
+ * 
+ * parseScreenshotOptions(raw: Record<string, unknown>): ScreenshotOptions
+ * 
+ * Validates user-supplied screenshot options; unset options are left out so
+ * the capture uses its defaults.
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError naming the first invalid option
+ */
+export function parseScreenshotOptions(raw: Record<string, unknown> = {}): ScreenshotOptions {
+    const options: ScreenshotOptions = {};
+
+    const readInteger = (name: "width" | "height" | "wait", min: number, max: number) => {
+        const value = raw[name];
+        if (value === undefined || value === null || value === "") return;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new ToolOptionsError(`${name} must be a whole number between ${min} and ${max}`);
         }
-        
-        return base64Screenshot;
-    } finally {
-        await browser.close();
+        options[name] = number;
+    };
+    readInteger("width", 320, 3840);
+    readInteger("height", 240, 2160);
+    readInteger("wait", 0, 30000);
+
+    for (const name of ["mobile", "fullPage"] as const) {
+        const value = raw[name];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== "boolean") {
+            throw new ToolOptionsError(`${name} must be true or false`);
+        }
+        options[name] = value;
+    }
+
+    if (raw.userAgent !== undefined && raw.userAgent !== null && raw.userAgent !== "") {
+        if (typeof raw.userAgent !== "string" || raw.userAgent.length > 512 || /[\x00-\x1f\x7f]/.test(raw.userAgent)) {
+            throw new ToolOptionsError("userAgent must be a single line of at most 512 characters");
+        }
+        options.userAgent = raw.userAgent.trim();
     }
+
+    return options;
 }
 
 /**
@@ -316,7 +607,8 @@ export async function captureScreenshot(url: string): Promise<string> {
  * - string - The detected node type
  * 
  * Detection Patterns:
- * - IP Address: IPv4 format (x.x.x.x)
+ * - IP Address: IPv4 (x.x.x.x) or IPv6, including compressed forms and zone ids
+ * - Netblock: IPv4 or IPv6 CIDR block or address range, optionally prefixed "Netblock:"
  * - Email: email@domain.com format
  * - Domain: domain.com format
  * - Username: alphanumeric with common username patterns
@@ -336,11 +628,21 @@ export function detectNodeType(label: string): string {
     const trimmedLabel = label.trim().toLowerCase();
 
     // IP Address detection
-    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    if (ipRegex.test(trimmedLabel)) {
+    if (validateIpAddress(trimmedLabel)) {
         return 'ip';
     }
 
+    // Netblock detection, e.g. "10.0.0.0/24", "2001:db8::/32" or "Netblock: 10.0.0.0 - 10.0.0.255"
+    const netblock = trimmedLabel.replace(/^netblock:\s*/, '');
+    const cidr = netblock.match(/^([^/\s]+)\/(\d{1,3})$/);
+    const range = netblock.match(/^([^\s-]+)\s*-\s*([^\s-]+)$/);
+    if (cidr && net.isIP(cidr[1]) !== 0 && parseInt(cidr[2], 10) <= (net.isIPv4(cidr[1]) ? 32 : 128)) {
+        return 'netblock';
+    }
+    if (range && net.isIP(range[1]) !== 0 && net.isIP(range[1]) === net.isIP(range[2])) {
+        return 'netblock';
+    }
+
     // Email detection
     const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
     if (emailRegex.test(trimmedLabel)) {
@@ -348,7 +650,7 @@ export function detectNodeType(label: string): string {
     }
 
     // Domain detection - enhanced with protocols and common TLDs
-    const domainWithProtocolRegex = /^(https?:\/\/)?(www\.)?[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*$/;
+    const domainWithProtocolRegex = /^(https?:\/\/)?(www\.)?[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.?$/;
     const commonTlds = ['.com', '.org', '.ai', '.net', '.info', '.edu', '.blog', '.wiki', '.online', '.io', '.uk', '.us', '.fr', '.ru', '.jp', '.eu', '.gov', '.mil'];
     
     // Check for URLs with protocols first
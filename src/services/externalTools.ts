@@ -3,6 +3,8 @@
  * 
  * This service handles the execution of external command-line tools used by the application.
  * It provides wrappers for tool execution, command building, and output parsing.
+ * Long-running tools report each result and their progress as they go, so the
+ * routes can stream them to the client (see transformStream.ts).
  * 
  * Supported Tools:
  * - Sherlock: Username enumeration
@@ -14,89 +16,391 @@
  * - whois: Domain information
  */
 
-import { exec } from "child_process";
+import { execFile, spawn } from "child_process";
 import { promisify } from "util";
 import path from "path";
 import fs from "fs";
+import net from "net";
 import { ToolPaths } from "./toolDetection.js";
+import { TransformProgressListener, TransformCancelledError } from "./transformStream.js";
+import { fingerprintService, ServiceFingerprint } from "./serviceFingerprint.js";
+import { discoverHosts } from "./hostDiscovery.js";
+import { WhoisRecord, parseWhoisOutput, parseRdapResponse, lookupRdap, needsRdap, mergeWhoisRecords } from "./whoisRecord.js";
+import { validateDomain } from "./dataProcessing.js";
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Sherlock does not announce how many sites it checks; learned from the last completed run
+let sherlockSiteCount = 400;
+
+// Sherlock site names, e.g. "GitHub", "Archive.org", "last.fm"
+const sherlockSitePattern = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,63}$/;
+
+// Proxy schemes Sherlock's requests library can use
+const proxyProtocols = ["http:", "https:", "socks4:", "socks5:", "socks5h:"];
+
+/**
+ * Tool Options Error
+ * 
+ * Thrown when options for a tool are malformed or out of range.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class ToolOptionsError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "ValidationError";
+    }
+}
+
+/**
+ * Run Tool
+ * 
+ * runTool(command: string, args: string[], handlers: {onStdoutLine?: (line: string) => void, onStderrLine?: (line: string) => void}, signal?: AbortSignal): Promise<{stdout: string, stderr: string}>
+ * 
+ * Spawns a command-line tool without a shell and hands each output line to the
+ * handlers as soon as it is written.
+ * 
+ * Input:
+ * - command: string - Path to the executable
+ * - args: string[] - Arguments, passed as-is
+ * - handlers: Line callbacks for stdout and stderr; carriage returns also end a
+ *   line so progress bars that redraw in place are reported
+ * - signal?: AbortSignal - Terminates the tool when aborted
+ * 
+ * Returns:
+ * - Promise<{stdout: string, stderr: string}> - Complete output once the tool exits
+ * 
+ * Error Handling:
+ * - Rejects when the tool cannot be started or exits with a non-zero code
+ * - Rejects with TransformCancelledError once the tool was terminated through the signal
+ */
+function runTool(
+    command: string,
+    args: string[],
+    handlers: {onStdoutLine?: (line: string) => void, onStderrLine?: (line: string) => void} = {},
+    signal?: AbortSignal
+): Promise<{stdout: string, stderr: string}> {
+    return new Promise((resolve, reject) => {
+        if(signal?.aborted){
+            reject(new TransformCancelledError());
+            return;
+        }
+
+        const child = spawn(command, args, { shell: false, windowsHide: true, stdio: ["ignore", "pipe", "pipe"] });
+        let stdout = "";
+        let stderr = "";
+
+        const splitLines = (onLine?: (line: string) => void) => {
+            let pending = "";
+            return {
+                push(chunk: string) {
+                    pending += chunk;
+                    const lines = pending.split(/\r\n|\r|\n/);
+                    pending = lines.pop() || "";
+                    if(onLine) lines.forEach(line => onLine(stripAnsi(line)));
+                },
+                flush() {
+                    if(pending && onLine) onLine(stripAnsi(pending));
+                    pending = "";
+                }
+            };
+        };
+
+        const stdoutLines = splitLines(handlers.onStdoutLine);
+        const stderrLines = splitLines(handlers.onStderrLine);
+
+        child.stdout.setEncoding("utf8");
+        child.stderr.setEncoding("utf8");
+        child.stdout.on("data", (chunk: string) => {
+            stdout += chunk;
+            stdoutLines.push(chunk);
+        });
+        child.stderr.on("data", (chunk: string) => {
+            stderr += chunk;
+            stderrLines.push(chunk);
+        });
+
+        const cancel = () => child.kill("SIGTERM");
+        signal?.addEventListener("abort", cancel, { once: true });
+
+        child.on("error", error => {
+            signal?.removeEventListener("abort", cancel);
+            reject(error);
+        });
+        child.on("close", (code: number | null) => {
+            signal?.removeEventListener("abort", cancel);
+            stdoutLines.flush();
+            stderrLines.flush();
+            if(signal?.aborted){
+                reject(new TransformCancelledError());
+            }else if(code === 0){
+                resolve({ stdout, stderr });
+            }else{
+                reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().slice(-500)}`));
+            }
+        });
+    });
+}
+
+/**
+ * Strip ANSI Codes
+ * 
+ * stripAnsi(text: string): string
+ * 
+ * Removes terminal color and cursor sequences from tool output.
+ */
+function stripAnsi(text: string): string {
+    return text.replace(/\u001b\[[0-9;?]*[A-Za-z]/g, "");
+}
+
+/**
+ * Sherlock Profile
+ * 
+ * A profile Sherlock found for the searched username.
+ * - service: Lowercase site name, e.g. "github"
+ * - site: Site name as Sherlock prints it, e.g. "GitHub"
+ * - url: Profile URL
+ */
+export interface SherlockProfile {
+    service: string;
+    site: string;
+    url: string;
+}
+
+/**
+ * Sherlock Options
+ * 
+ * - sites: Only check these sites (--site, once per site)
+ * - timeout: Seconds to wait for each site (--timeout, 1-600)
+ * - nsfw: Include NSFW sites, which Sherlock skips by default (--nsfw)
+ * - proxy: Proxy URL for all requests (--proxy), e.g. socks5://127.0.0.1:9050
+ */
+export interface SherlockOptions {
+    sites?: string[];
+    timeout?: number;
+    nsfw?: boolean;
+    proxy?: string;
+}
+
+/**
+ * Parse Sherlock Options
+ * 
+ * parseSherlockOptions(raw: Record<string, unknown>): SherlockOptions
+ * 
+ * Validates user-supplied Sherlock options. Sites may be given as an array or
+ * a comma-separated string. Unset and empty options are left out, so equal
+ * option sets produce equal objects.
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError naming the first invalid option
+ */
+export function parseSherlockOptions(raw: Record<string, unknown> = {}): SherlockOptions {
+    const options: SherlockOptions = {};
+    const { sites, timeout, nsfw, proxy } = raw;
+
+    if (sites !== undefined && sites !== null && sites !== "") {
+        const list = typeof sites === "string" ? sites.split(",") : sites;
+        if (!Array.isArray(list) || list.some(site => typeof site !== "string")) {
+            throw new ToolOptionsError("sites must be a list of site names");
+        }
+        const names = Array.from(new Set(list.map(site => site.trim()).filter(Boolean)));
+        if (names.length > 100) {
+            throw new ToolOptionsError("sites accepts at most 100 site names");
+        }
+        const invalid = names.find(site => !sherlockSitePattern.test(site));
+        if (invalid) {
+            throw new ToolOptionsError(`Invalid site name "${invalid}"`);
+        }
+        if (names.length > 0) {
+            options.sites = names.sort((a, b) => a.localeCompare(b));
+        }
+    }
+
+    if (timeout !== undefined && timeout !== null && timeout !== "") {
+        const seconds = Number(timeout);
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > 600) {
+            throw new ToolOptionsError("timeout must be a whole number of seconds between 1 and 600");
+        }
+        options.timeout = seconds;
+    }
+
+    if (nsfw !== undefined && nsfw !== null) {
+        if (typeof nsfw !== "boolean") {
+            throw new ToolOptionsError("nsfw must be true or false");
+        }
+        if (nsfw) {
+            options.nsfw = true;
+        }
+    }
+
+    if (proxy !== undefined && proxy !== null && proxy !== "") {
+        let url: URL;
+        try {
+            url = new URL(String(proxy));
+        } catch (error) {
+            throw new ToolOptionsError("proxy must be a URL such as socks5://127.0.0.1:9050");
+        }
+        if (!proxyProtocols.includes(url.protocol) || !url.hostname) {
+            throw new ToolOptionsError(`proxy must use one of: ${proxyProtocols.map(protocol => protocol.slice(0, -1)).join(", ")}`);
+        }
+        options.proxy = String(proxy);
+    }
+
+    return options;
+}
+
+/**
+ * Build Sherlock Arguments
+ * 
+ * buildSherlockArgs(username: string, options?: SherlockOptions): string[]
+ * 
+ * Returns the argument array for a Sherlock run. Options must already have
+ * been checked with parseSherlockOptions. The username comes last, after
+ * "--", so Sherlock never reads it as a flag.
+ */
+export function buildSherlockArgs(username: string, options: SherlockOptions = {}): string[] {
+    const args = ["--print-all", "--no-color"];
+
+    options.sites?.forEach(site => args.push("--site", site));
+    if (options.timeout !== undefined) {
+        args.push("--timeout", String(options.timeout));
+    }
+    if (options.nsfw) {
+        args.push("--nsfw");
+    }
+    if (options.proxy) {
+        args.push("--proxy", options.proxy);
+    }
+    args.push("--", username);
+
+    return args;
+}
 
 /**
  * Sherlock Command Execution
  * 
- * executeSherlock(sherlockPath: string, username: string): Promise<string[]>
+ * executeSherlock(sherlockPath: string, username: string, options?: SherlockOptions, listener?: TransformProgressListener<SherlockProfile>, signal?: AbortSignal): Promise<SherlockProfile[]>
  * 
- * Executes Sherlock username search and returns found social media platforms.
+ * Executes Sherlock username search and returns the profiles it found.
  * 
  * Input:
  * - sherlockPath: string - Path to Sherlock executable
  * - username: string - Username to search
+ * - options?: SherlockOptions - Site filter, timeout, NSFW and proxy settings
+ * - listener?: TransformProgressListener<SherlockProfile> - Receives each profile as it is found
+ * - signal?: AbortSignal - Stops Sherlock when aborted
  * 
  * Returns:
- * - Promise<string[]> - Array of found platform names
+ * - Promise<SherlockProfile[]> - Site name and profile URL of each found profile
  * 
  * Process:
- * 1. Builds Sherlock command with --print-found flag
- * 2. Executes command asynchronously
- * 3. Parses output to extract found services
- * 4. Returns array of platform names
+ * 1. Starts Sherlock with --print-all so every checked site is reported, plus
+ *    the flags for the given options
+ * 2. Parses each "[+] Site: URL" line into a profile while Sherlock runs
+ * 3. Reports progress as checked sites out of the site count seen in the last run
+ * 4. Returns the profiles in the order Sherlock found them
  * 
  * Error Handling:
  * - Throws error on command execution failure
  * - Logs execution details for debugging
  */
-export async function executeSherlock(sherlockPath: string, username: string): Promise<string[]> {
-    const command = `${sherlockPath} ${username} --print-found`;
+export async function executeSherlock(
+    sherlockPath: string,
+    username: string,
+    options: SherlockOptions = {},
+    listener: TransformProgressListener<SherlockProfile> = {},
+    signal?: AbortSignal
+): Promise<SherlockProfile[]> {
     console.log(`Running Sherlock for: ${username}`);
 
+    const foundProfiles: SherlockProfile[] = [];
+    const siteCount = options.sites ? options.sites.length : sherlockSiteCount;
+    let checkedSites = 0;
+
     try {
-        const { stdout } = await execAsync(command);
-        const foundServices: string[] = [];
-        const lines = stdout.split("\n");
+        await runTool(sherlockPath, buildSherlockArgs(username, options), {
+            onStdoutLine: line => {
+                const profile = parseSherlockLine(line);
+                if (!profile) return;
 
-        for (const line of lines) {
-            if (line.startsWith("[+]")) {
-                const match = line.match(/^\[\+\] (.*?):/);
-                if (match && match[1]) {
-                    foundServices.push(match[1].toLowerCase());
+                checkedSites++;
+                if (profile.found) {
+                    const { found, ...result } = profile;
+                    foundProfiles.push(result);
+                    listener.onResult?.(result);
                 }
+                listener.onProgress?.(
+                    Math.min(99, (checkedSites / siteCount) * 100),
+                    `Checked ${checkedSites} sites, found ${foundProfiles.length}`
+                );
             }
+        }, signal);
+
+        // Filtered runs say nothing about the size of the full site list
+        if (checkedSites > 0 && !options.sites) {
+            sherlockSiteCount = checkedSites;
         }
 
-        console.log(`Sherlock finished for ${username}. Found:`, foundServices);
-        return foundServices;
+        console.log(`Sherlock finished for ${username}. Found:`, foundProfiles.map(profile => profile.service));
+        return foundProfiles;
     } catch (error) {
+        if (error instanceof TransformCancelledError) throw error;
         console.error("Error running Sherlock:", error);
         throw new Error("Failed to run Sherlock");
     }
 }
 
+/**
+ * Parse Sherlock Line
+ * 
+ * parseSherlockLine(line: string): (SherlockProfile & {found: boolean}) | null
+ * 
+ * Parses one line of Sherlock output, e.g. "[+] GitHub: https://www.github.com/alice"
+ * or "[-] Reddit: Not Found!". Returns null for lines that do not report a site.
+ * Found profiles without a usable URL keep an empty url.
+ */
+export function parseSherlockLine(line: string): (SherlockProfile & {found: boolean}) | null {
+    const match = line.match(/^\[([+\-!])\] (.*?):\s*(.*)$/);
+    if (!match || !match[2]) {
+        return null;
+    }
+
+    const detail = match[3].trim();
+    return {
+        found: match[1] === "+",
+        service: match[2].toLowerCase(),
+        site: match[2],
+        url: /^https?:\/\/\S+$/i.test(detail) ? detail : ""
+    };
+}
+
 /**
  * ffuf Subdomain Discovery
  * 
- * executeFfufSubdomain(ffufPath: string, domain: string): Promise<string[]>
+ * executeFfufSubdomain(ffufPath: string, domain: string, listener?: TransformProgressListener<string>, signal?: AbortSignal): Promise<string[]>
  * 
  * Executes ffuf for subdomain discovery using a wordlist.
  * 
  * Input:
  * - ffufPath: string - Path to ffuf executable
  * - domain: string - Target domain for subdomain discovery
+ * - listener?: TransformProgressListener<string> - Receives each subdomain as it is found
+ * - signal?: AbortSignal - Stops ffuf when aborted
  * 
  * Returns:
  * - Promise<string[]> - Array of discovered subdomains
  * 
  * Process:
- * 1. Builds ffuf command with wordlist and target domain
- * 2. Executes command with CSV output format
- * 3. Parses CSV output to extract subdomains
+ * 1. Builds ffuf arguments with wordlist and target domain
+ * 2. Reports each matched subdomain from stdout while ffuf runs
+ * 3. Reports progress from ffuf's "Progress: [done/total]" lines on stderr
  * 4. Returns unique subdomain list
  * 
  * Error Handling:
  * - Throws error on command execution failure
  * - Handles parsing errors gracefully
  */
-export async function executeFfufSubdomain(ffufPath: string, domain: string): Promise<string[]> {
+export async function executeFfufSubdomain(ffufPath: string, domain: string, listener: TransformProgressListener<string> = {}, signal?: AbortSignal): Promise<string[]> {
     // Clean domain by removing common prefixes
     const cleanDomain = domain
         .replace(/^https?:\/\//, '')  // Remove http:// or https://
@@ -104,172 +408,567 @@ export async function executeFfufSubdomain(ffufPath: string, domain: string): Pr
         .replace(/\/$/, '');           // Remove trailing slash
     
     const wordlistPath = path.join(__dirname, "../../data/subdomains-top1million-110000.txt");
-    
-    // Use a simpler command that returns plain text output
-    const command = `${ffufPath} -w ${wordlistPath} -u https://FUZZ.${cleanDomain} -mc 200 -fs 0 -o - -s`;
+    const args = ["-w", wordlistPath, "-u", `https://FUZZ.${cleanDomain}`, "-mc", "200", "-fs", "0"];
 
     console.log(`Running ffuf for subdomains of: ${cleanDomain} (cleaned from: ${domain})`);
-    console.log("Executing command:", command);
+    console.log("Executing command:", ffufPath, args.join(" "));
+
+    const subdomains = new Set<string>();
+    let lastPercent = -1;
 
     try {
-        const { stdout, stderr } = await execAsync(command, { maxBuffer: 1024 * 1024 * 20 });
-        
-        // Check if stderr contains any errors
-        if (stderr && stderr.trim()) {
-            console.log("ffuf stderr:", stderr);
-        }
-        
-        // Check if stdout contains ASCII art (ffuf logo) which indicates an error
-        if (stdout.includes('/___\\') || stdout.includes('ffuf') || stdout.trim().startsWith('/')) {
-            console.log("ffuf returned ASCII art instead of results, likely an error");
-            console.log("ffuf stdout:", stdout);
-            throw new Error("ffuf command failed - received ASCII art output instead of results");
-        }
-        
-        // Parse plain text output - each line should be a subdomain
-        const lines = stdout.split('\n').map(line => line.trim()).filter(Boolean);
-        const subdomains: string[] = [];
-        
-        for (const line of lines) {
-            // Skip empty lines and lines that don't look like subdomains
-            if (line && line.length > 0 && !line.includes(' ') && !line.includes('\t')) {
-                // Check if this looks like a subdomain (contains the target domain)
-                if (line.includes(cleanDomain)) {
-                    // Keep the full subdomain (e.g., "api.example.com")
-                    if (line !== cleanDomain && line.endsWith(cleanDomain)) {
-                        subdomains.push(line);
-                    }
-                } else {
-                    // This might be just the subdomain part, construct full domain
-                    if (line.includes('.') && !line.includes('http')) {
-                        // If it's just a prefix, construct the full subdomain
-                        subdomains.push(`${line}.${cleanDomain}`);
-                    }
+        await runTool(ffufPath, args, {
+            onStdoutLine: line => {
+                const subdomain = parseFfufLine(line, cleanDomain);
+                if (subdomain && !subdomains.has(subdomain)) {
+                    subdomains.add(subdomain);
+                    listener.onResult?.(subdomain);
+                }
+            },
+            onStderrLine: line => {
+                // ":: Progress: [1200/110000] :: Job [1/1] :: 95 req/sec :: Duration: [0:00:12] :: Errors: 3 ::"
+                const match = line.match(/Progress: \[(\d+)\/(\d+)\]/);
+                if (!match || Number(match[2]) === 0) return;
+
+                const percent = Math.floor((Number(match[1]) / Number(match[2])) * 100);
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    listener.onProgress?.(percent, `Tried ${match[1]}/${match[2]} names, found ${subdomains.size}`);
                 }
             }
-        }
+        }, signal);
 
-        const uniqueSubs = Array.from(new Set(subdomains));
+        const uniqueSubs = Array.from(subdomains);
         console.log(`ffuf found ${uniqueSubs.length} subdomains for ${cleanDomain}:`, uniqueSubs);
         return uniqueSubs;
         
     } catch (error: any) {
+        if (error instanceof TransformCancelledError) throw error;
         console.error("ffuf error:", error);
         throw new Error(`Failed to run ffuf: ${error.message}`);
     }
 }
 
+/**
+ * Parse ffuf Result Line
+ * 
+ * parseFfufLine(line: string, cleanDomain: string): string | null
+ * 
+ * Extracts the subdomain from an ffuf result line:
+ * "api    [Status: 200, Size: 1234, Words: 10, Lines: 5, Duration: 20ms]"
+ */
+function parseFfufLine(line: string, cleanDomain: string): string | null {
+    const match = line.match(/^\s*(\S+)\s+\[Status:/);
+    if (!match) {
+        return null;
+    }
+
+    // The FUZZ value is the label in front of the domain (e.g. "api" for "api.example.com")
+    return `${match[1]}.${cleanDomain}`;
+}
+
 /**
  * Feroxbuster Directory Enumeration
  * 
- * executeFeroxbuster(feroxPath: string, domain: string): Promise<string[]>
+ * executeFeroxbuster(feroxPath: string, domain: string, listener?: TransformProgressListener<string>, signal?: AbortSignal): Promise<string[]>
  * 
  * Executes Feroxbuster for directory/file enumeration.
  * 
  * Input:
  * - feroxPath: string - Path to Feroxbuster executable
  * - domain: string - Target domain for enumeration
+ * - listener?: TransformProgressListener<string> - Receives each endpoint as it is found
+ * - signal?: AbortSignal - Stops Feroxbuster when aborted
  * 
  * Returns:
  * - Promise<string[]> - Array of discovered endpoints
  * 
  * Process:
- * 1. Builds Feroxbuster command with wordlist and target domain
- * 2. Executes command with silent output
- * 3. Parses output to extract endpoint paths
+ * 1. Builds Feroxbuster arguments with wordlist and target domain
+ * 2. Reports each endpoint path from stdout while Feroxbuster runs
+ * 3. Reports the number of endpoints found so far; Feroxbuster recurses into
+ *    directories it finds, so no percentage is available
  * 4. Returns unique endpoint list
  * 
  * Error Handling:
  * - Throws error on command execution failure
  * - Handles parsing errors gracefully
  */
-export async function executeFeroxbuster(feroxPath: string, domain: string): Promise<string[]> {
+export async function executeFeroxbuster(feroxPath: string, domain: string, listener: TransformProgressListener<string> = {}, signal?: AbortSignal): Promise<string[]> {
     const wordlistPath = path.join(__dirname, "../../data/raft-medium-directories.txt");
-    const command = `${feroxPath} -u ${domain} -w ${wordlistPath} -s 200`;
+    const args = ["-u", domain, "-w", wordlistPath, "-s", "200"];
 
     console.log(`Running Feroxbuster for domain: ${domain}`);
-    console.log("Executing command:", command);
+    console.log("Executing command:", feroxPath, args.join(" "));
+
+    const endpoints = new Set<string>();
 
     try {
-        const { stdout } = await execAsync(command, { maxBuffer: 1024 * 1024 * 20 });
-        const lines = stdout.split("\n").map(l => l.trim()).filter(Boolean);
-
-        const endpoints = lines.map(line => {
-            // Feroxbuster output format: "200      GET       46l      120w     1256c http://example.com/"
-            // Extract URL from the line
-            const urlMatch = line.match(/https?:\/\/[^\s]+/);
-            if (urlMatch) {
+        await runTool(feroxPath, args, {
+            onStdoutLine: line => {
+                // Feroxbuster output format: "200      GET       46l      120w     1256c http://example.com/"
+                // Extract URL from the line
+                const urlMatch = line.trim().match(/https?:\/\/[^\s]+/);
+                if (!urlMatch) return;
+
+                let endpoint: string;
                 try {
-                    const u = new URL(urlMatch[0]);
-                    return u.pathname;
+                    endpoint = new URL(urlMatch[0]).pathname;
                 } catch {
-                    return null;
+                    return;
+                }
+
+                if (!endpoints.has(endpoint)) {
+                    endpoints.add(endpoint);
+                    listener.onResult?.(endpoint);
+                    listener.onProgress?.(null, `Found ${endpoints.size} endpoints`);
                 }
             }
-            return null;
-        }).filter((endpoint): endpoint is string => endpoint !== null);
+        }, signal);
 
-        const uniqueEndpoints = Array.from(new Set(endpoints));
+        const uniqueEndpoints = Array.from(endpoints);
         console.log(`Feroxbuster found ${uniqueEndpoints.length} endpoints`);
         return uniqueEndpoints;
     } catch (error) {
+        if (error instanceof TransformCancelledError) throw error;
         console.error("Feroxbuster error:", error);
         throw new Error("Failed to run Feroxbuster");
     }
 }
 
+/**
+ * Port Scan Options
+ * 
+ * - ports: Port specification, e.g. "22,80,8000-8100", "top100", "top1000" or "all"
+ * - timeout: Milliseconds to wait for each port (100-30000, default 3000)
+ * - concurrency: Ports checked at the same time (1-1000, default 50)
+ * - delay: Milliseconds to wait between batches (0-60000, default 0)
+ * - banners: Probe each open port for a banner (default true, see serviceFingerprint.ts)
+ * - maxHosts: Most hosts a CIDR, range or list target may cover (1-4096, default 256)
+ * - discovery: Only port scan hosts that answer a quick probe first (default
+ *   true, see hostDiscovery.ts); single-host targets are always scanned
+ */
+export interface PortScanOptions {
+    ports?: string;
+    timeout?: number;
+    concurrency?: number;
+    delay?: number;
+    banners?: boolean;
+    maxHosts?: number;
+    discovery?: boolean;
+}
+
+/**
+ * Port Scan Result
+ * 
+ * An open port. `service` is the protocol the banner revealed, or the usual
+ * service for the port number when nothing was detected. The remaining
+ * fields come from the banner (see ServiceFingerprint).
+ */
+export type PortScanResult = {port: number, service: string} & Omit<ServiceFingerprint, "service">;
+
+/**
+ * Host Scan Result
+ * 
+ * A host of a multi-host scan that answered discovery, with its open ports.
+ */
+export interface HostScanResult {
+    host: string;
+    ports: PortScanResult[];
+}
+
+/**
+ * Network Scan Event
+ * 
+ * What a multi-host scan reports while running: {host} when a host is found
+ * up, then {host, port, service, ...} for each of its open ports.
+ */
+export type NetworkScanEvent = {host: string} | ({host: string} & PortScanResult);
+
+// Most common TCP ports, in the order nmap's --top-ports 100 scans them
+const topPorts100 = [
+    7, 9, 13, 21, 22, 23, 25, 26, 37, 53, 79, 80, 81, 88, 106, 110, 111, 113, 119, 135,
+    139, 143, 144, 179, 199, 389, 427, 443, 444, 445, 465, 513, 514, 515, 543, 544, 548, 554, 587, 631,
+    646, 873, 990, 993, 995, 1025, 1026, 1027, 1028, 1029, 1110, 1433, 1720, 1723, 1755, 1900, 2000, 2001, 2049, 2121,
+    2717, 3000, 3128, 3306, 3389, 3986, 4899, 5000, 5009, 5051, 5060, 5101, 5190, 5357, 5432, 5631, 5666, 5800, 5900, 6000,
+    6001, 6646, 7070, 8000, 8008, 8009, 8080, 8081, 8443, 8888, 9100, 9999, 10000, 32768, 49152, 49153, 49154, 49155, 49156, 49157
+];
+
+// Ranked port list behind "top1000"; not every installation ships it
+const topPortsFilePath = path.join(__dirname, "../../data/top-1000-ports.txt");
+
+const portScanDefaults = { timeout: 3000, concurrency: 50, delay: 0, maxHosts: 256 };
+
+// Upper limit for maxHosts, however the scan is configured
+const maxScanHosts = 4096;
+
+// A single-entry target that is a range, e.g. "10.0.0.1-50" or "2001:db8::1-2001:db8::ff"
+const addressRangePattern = /^[\d.]+-[\d.]+$|^[\da-f:.]*:[\da-f:.]*-[\da-f:.]+$/i;
+
+/**
+ * Parse Port Scan Options
+ * 
+ * parsePortScanOptions(raw: Record<string, unknown>): PortScanOptions
+ * 
+ * Validates user-supplied port scan options. The port specification is
+ * checked and normalized (lowercase, no spaces); unset options are left out
+ * so the scan uses its defaults.
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError naming the first invalid option
+ */
+export function parsePortScanOptions(raw: Record<string, unknown> = {}): PortScanOptions {
+    const options: PortScanOptions = {};
+
+    if (raw.ports !== undefined && raw.ports !== null && raw.ports !== "") {
+        if (typeof raw.ports !== "string") {
+            throw new ToolOptionsError("ports must be a string such as 22,80,8000-8100, top100 or all");
+        }
+        options.ports = raw.ports.replace(/\s+/g, "").toLowerCase();
+        parsePortSpec(options.ports);
+    }
+
+    const readInteger = (name: "timeout" | "concurrency" | "delay" | "maxHosts", min: number, max: number) => {
+        const value = raw[name];
+        if (value === undefined || value === null || value === "") return;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new ToolOptionsError(`${name} must be a whole number between ${min} and ${max}`);
+        }
+        options[name] = number;
+    };
+    readInteger("timeout", 100, 30000);
+    readInteger("concurrency", 1, 1000);
+    readInteger("delay", 0, 60000);
+    readInteger("maxHosts", 1, maxScanHosts);
+
+    // Both switches default to on, so only turning them off is recorded
+    for (const name of ["banners", "discovery"] as const) {
+        const value = raw[name];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== "boolean") {
+            throw new ToolOptionsError(`${name} must be true or false`);
+        }
+        if (!value) {
+            options[name] = false;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Parse Scan Target
+ * 
+ * parseScanTarget(target: string, maxHosts?: number): string[] | null
+ * 
+ * Expands a multi-host port scan target into its IPv4 and IPv6 addresses.
+ * 
+ * Input:
+ * - target: string - A CIDR block ("10.0.0.0/24", "2001:db8::/120"), a range
+ *   ("10.0.0.1-10.0.0.50", "10.0.0.1 - 10.0.0.50" as whois prints netblocks,
+ *   "10.0.0.1-50", or "2001:db8::1-ff" where the end replaces the last group),
+ *   or a comma- or space-separated list of addresses, blocks and ranges
+ * - maxHosts?: number - Most addresses the target may cover (default 256)
+ * 
+ * Returns:
+ * - string[] - Addresses in order without duplicates, IPv6 in compressed
+ *   form. IPv4 blocks larger than /31 leave out their network and broadcast
+ *   addresses
+ * - null - The target is a single IP address or hostname
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError for malformed list entries and for targets
+ *   covering more than maxHosts addresses
+ */
+export function parseScanTarget(target: string, maxHosts: number = portScanDefaults.maxHosts): string[] | null {
+    const entries = String(target).trim().replace(/\s*-\s*/g, "-").split(/[\s,]+/).filter(Boolean);
+    if (entries.length === 1 && !entries[0].includes("/") && !addressRangePattern.test(entries[0])) {
+        return null;
+    }
+
+    // Each entry becomes its first address and the number of addresses it covers
+    const ranges: Array<[number[], number]> = entries.map(entry => {
+        const [address, suffix, extra] = entry.split(/[/-]/);
+        const family = net.isIP(address);
+        if (family === 0 || entry.includes("%") || extra !== undefined) {
+            throw new ToolOptionsError(`Invalid scan target "${entry}"; use IPv4 or IPv6 addresses, CIDR blocks or ranges`);
+        }
+        const start = ipToGroups(address);
+        const groupBits = family === 4 ? 8 : 16;
+
+        if (suffix === undefined) {
+            return [start, 1];
+        }
+        if (entry.includes("/")) {
+            const prefix = /^\d{1,3}$/.test(suffix) ? parseInt(suffix, 10) : -1;
+            if (prefix < 0 || prefix > start.length * groupBits) {
+                throw new ToolOptionsError(`Invalid CIDR block "${entry}"`);
+            }
+            const network = start.map((group, index) => {
+                const kept = Math.min(Math.max(prefix - index * groupBits, 0), groupBits);
+                return group & (((1 << kept) - 1) << (groupBits - kept));
+            });
+            const size = 2 ** (start.length * groupBits - prefix);
+            return family === 4 && size > 2 ? [nextAddress(network, groupBits), size - 2] : [network, size];
+        }
+
+        // A short end replaces the last octet (decimal) or group (hexadecimal)
+        const short = family === 4
+            ? /^\d{1,3}$/.test(suffix) && parseInt(suffix, 10) <= 255 ? parseInt(suffix, 10) : -1
+            : /^[\da-f]{1,4}$/i.test(suffix) ? parseInt(suffix, 16) : -1;
+        const end = net.isIP(suffix) === family
+            ? ipToGroups(suffix)
+            : short >= 0 ? [...start.slice(0, -1), short] : null;
+        const count = end ? end.reduce((total, group, index) => total * 2 ** groupBits + group - start[index], 0) + 1 : 0;
+        if (count < 1) {
+            throw new ToolOptionsError(`Invalid address range "${entry}"`);
+        }
+        return [start, count];
+    });
+
+    const count = ranges.reduce((total, [, size]) => total + size, 0);
+    if (count > maxHosts) {
+        throw new ToolOptionsError(`${target} covers ${count} addresses, more than the limit of ${maxHosts}; scan a smaller block or raise maxHosts (up to ${maxScanHosts})`);
+    }
+
+    const hosts = new Set<string>();
+    for (const [start, size] of ranges) {
+        let address = start;
+        for (let i = 0; i < size; i++) {
+            hosts.add(groupsToIp(address));
+            address = nextAddress(address, address.length === 4 ? 8 : 16);
+        }
+    }
+    return Array.from(hosts);
+}
+
+/**
+ * IP To Groups
+ * 
+ * ipToGroups(ip: string): number[]
+ * 
+ * Splits an address into its four octets (IPv4) or eight 16-bit groups
+ * (IPv6), expanding "::" and a trailing IPv4 address such as "::ffff:192.0.2.1".
+ */
+function ipToGroups(ip: string): number[] {
+    if (net.isIPv4(ip)) {
+        return ip.split(".").map(octet => parseInt(octet, 10));
+    }
+
+    let address = ip;
+    const embedded = address.match(/\d+\.\d+\.\d+\.\d+$/);
+    if (embedded) {
+        const [a, b, c, d] = ipToGroups(embedded[0]);
+        address = `${address.slice(0, -embedded[0].length)}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+    }
+
+    const [head, tail] = address.split("::");
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups];
+    return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Groups To IP
+ * 
+ * groupsToIp(groups: number[]): string
+ * 
+ * Writes four octets as an IPv4 address, or eight groups as an IPv6 address
+ * with its longest run of zero groups shortened to "::" (RFC 5952).
+ */
+function groupsToIp(groups: number[]): string {
+    if (groups.length === 4) {
+        return groups.join(".");
+    }
+    if (groups.slice(0, 6).join(":") === "0:0:0:0:0:65535") {
+        return `::ffff:${[groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join(".")}`;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let start = 0; start < 8; start++) {
+        let length = 0;
+        while (start + length < 8 && hex[start + length] === "0") length++;
+        if (length > bestLength) {
+            bestStart = start;
+            bestLength = length;
+        }
+    }
+    if (bestStart === -1) {
+        return hex.join(":");
+    }
+    return `${hex.slice(0, bestStart).join(":")}::${hex.slice(bestStart + bestLength).join(":")}`;
+}
+
+/**
+ * Next Address
+ * 
+ * nextAddress(groups: number[], groupBits: number): number[]
+ * 
+ * Adds one to an address, carrying into the groups before the last.
+ */
+function nextAddress(groups: number[], groupBits: number): number[] {
+    const next = [...groups];
+    for (let index = next.length - 1; index >= 0; index--) {
+        next[index] = (next[index] + 1) % 2 ** groupBits;
+        if (next[index] !== 0) break;
+    }
+    return next;
+}
+
+/**
+ * Parse Port Specification
+ * 
+ * parsePortSpec(spec: string): number[]
+ * 
+ * Expands a port specification into a list of ports.
+ * 
+ * Input:
+ * - spec: string - "top100", "top1000", "all", or comma-separated ports and
+ *   ranges such as "22,80,8000-8100"
+ * 
+ * Returns:
+ * - number[] - Ports in scan order; lists and ranges are sorted and deduplicated
+ * 
+ * Error Handling:
+ * - Throws ToolOptionsError for malformed entries, ports outside 1-65535 and
+ *   "top1000" when the port list file is missing
+ */
+export function parsePortSpec(spec: string): number[] {
+    const normalized = spec.replace(/\s+/g, "").toLowerCase();
+
+    if (normalized === "top100") {
+        return [...topPorts100];
+    }
+    if (normalized === "top1000") {
+        if (!fs.existsSync(topPortsFilePath)) {
+            throw new ToolOptionsError("top1000 needs data/top-1000-ports.txt; use top100, all or a port list instead");
+        }
+        return loadTopPorts();
+    }
+    if (normalized === "all") {
+        return Array.from({ length: 65535 }, (_, index) => index + 1);
+    }
+
+    const ports = new Set<number>();
+    for (const entry of normalized.split(",")) {
+        const match = entry.match(/^(\d{1,5})(?:-(\d{1,5}))?$/);
+        if (!match) {
+            throw new ToolOptionsError(`Invalid port specification "${entry}"`);
+        }
+
+        const first = parseInt(match[1], 10);
+        const last = match[2] !== undefined ? parseInt(match[2], 10) : first;
+        if (first < 1 || last > 65535 || first > last) {
+            throw new ToolOptionsError(`Invalid port range "${entry}"; ports must be between 1 and 65535`);
+        }
+        for (let port = first; port <= last; port++) {
+            ports.add(port);
+        }
+    }
+
+    return Array.from(ports).sort((a, b) => a - b);
+}
+
+/**
+ * Load Top Ports
+ * 
+ * loadTopPorts(): number[]
+ * 
+ * Reads the ranked port list from data/top-1000-ports.txt.
+ */
+function loadTopPorts(): number[] {
+    return fs.readFileSync(topPortsFilePath, "utf-8")
+        .split(/[,\s]+/)
+        .map(line => parseInt(line.trim(), 10))
+        .filter(port => !isNaN(port) && port > 0 && port <= 65535);
+}
+
 /**
  * Port Scanner
  * 
- * executePortScan(target: string): Promise<Array<{port: number, service: string}>>
+ * executePortScan(target: string, options?: PortScanOptions, listener?: TransformProgressListener<PortScanResult>, signal?: AbortSignal): Promise<PortScanResult[]>
  * 
- * Executes port scan using the portscanner library with top 1000 ports.
+ * Executes port scan using the portscanner library.
  * 
  * Input:
  * - target: string - Target IP address or hostname
+ * - options?: PortScanOptions - Ports to scan, per-port timeout, concurrency,
+ *   delay between batches and banner grabbing (checked with parsePortScanOptions)
+ * - listener?: TransformProgressListener - Receives each open port as it is found
+ * - signal?: AbortSignal - Stops the scan before the next batch when aborted
  * 
  * Returns:
- * - Promise<Array<{port: number, service: string}>> - Array of open ports with services
+ * - Promise<PortScanResult[]> - Open ports with their service, and product,
+ *   version, banner and TLS details where the banner revealed them
  * 
  * Process:
- * 1. Reads top 1000 most common ports from data file
- * 2. Scans ports using portscanner library in batches
- * 3. Identifies open ports and attempts service detection
+ * 1. Expands the port specification; without one the top 1000 list is used,
+ *    or the top 100 when the list file is missing
+ * 2. Scans ports using portscanner library in batches of `concurrency` ports,
+ *    waiting `delay` milliseconds between batches
+ * 3. Probes each open port for a banner to identify the service, reporting
+ *    each port and the share of ports scanned as it goes
  * 4. Returns sorted port list with service information
  * 
  * Error Handling:
- * - Handles network errors gracefully
- * - Provides meaningful error messages
- * - Returns empty array on scan failure
+ * - Rethrows ToolOptionsError for an invalid port specification
+ * - Ports that cannot be checked count as closed
+ * - Other failures are logged and reported as "Failed to run port scan"
  */
-export async function executePortScan(target: string): Promise<Array<{port: number, service: string}>> {
+export async function executePortScan(
+    target: string,
+    options: PortScanOptions = {},
+    listener: TransformProgressListener<PortScanResult> = {},
+    signal?: AbortSignal
+): Promise<PortScanResult[]> {
     const portscanner = require('portscanner');
     
     console.log(`Running port scan for target: ${target}`);
 
+    const timeout = options.timeout ?? portScanDefaults.timeout;
+    const batchSize = options.concurrency ?? portScanDefaults.concurrency;
+    const delay = options.delay ?? portScanDefaults.delay;
+    const grabBanners = options.banners !== false;
+
     try {
-        // Read top 1000 ports from data file
-        const portsFilePath = path.join(__dirname, "../../data/top-1000-ports.txt");
-        const portsData = fs.readFileSync(portsFilePath, 'utf-8');
-        const topPorts = portsData
-            .split(/[,\s]+/) 
-            .map(line => parseInt(line.trim(), 10))
-            .filter(port => !isNaN(port) && port > 0 && port <= 65535);
+        let portList: number[];
+        if (options.ports) {
+            portList = parsePortSpec(options.ports);
+        } else if (fs.existsSync(topPortsFilePath)) {
+            portList = loadTopPorts();
+        } else {
+            console.warn(`${topPortsFilePath} not found, scanning the top 100 ports instead`);
+            portList = [...topPorts100];
+        }
 
-        console.log(`Loaded ${topPorts.length} ports from top 1000 list`);
+        console.log(`Scanning ${portList.length} ports (timeout ${timeout} ms, ${batchSize} at a time, ${delay} ms between batches)`);
 
-        const ports: Array<{port: number, service: string}> = [];
+        const ports: PortScanResult[] = [];
         
         // Scan ports in batches to avoid overwhelming the target
-        const batchSize = 50;
-        for (let i = 0; i < topPorts.length; i += batchSize) {
-            const batch = topPorts.slice(i, i + batchSize);
+        for (let i = 0; i < portList.length; i += batchSize) {
+            if (i > 0 && delay > 0) {
+                await sleep(delay, signal);
+            }
+            if (signal?.aborted) {
+                throw new TransformCancelledError();
+            }
+
+            const batch = portList.slice(i, i + batchSize);
             const promises = batch.map(async (port) => {
                 try {
-                    const status = await portscanner.checkPortStatus(port, target, { timeout: 3000 });
+                    const status = await portscanner.checkPortStatus(port, target, { timeout });
                     if (status === 'open') {
-                        const service = getServiceName(port);
-                        return { port, service };
+                        const fingerprint = grabBanners ? await fingerprintService(target, port, { timeout, signal }) : {};
+                        const result: PortScanResult = { ...fingerprint, port, service: fingerprint.service || getServiceName(port) };
+                        listener.onResult?.(result);
+                        return result;
                     }
                     return null;
                 } catch (error) {
@@ -278,19 +977,119 @@ export async function executePortScan(target: string): Promise<Array<{port: numb
             });
             
             const results = await Promise.all(promises);
-            const openPorts = results.filter(result => result !== null) as Array<{port: number, service: string}>;
+            const openPorts = results.filter(result => result !== null) as PortScanResult[];
             ports.push(...openPorts);
+
+            const scanned = Math.min(i + batchSize, portList.length);
+            listener.onProgress?.((scanned / portList.length) * 100, `Scanned ${scanned}/${portList.length} ports, ${ports.length} open`);
         }
 
         ports.sort((a, b) => a.port - b.port);
         console.log(`Port scan completed for ${target}. Found ${ports.length} open ports:`, ports);
         return ports;
     } catch (error) {
+        if (error instanceof TransformCancelledError || error instanceof ToolOptionsError) throw error;
         console.error("Error running port scan:", error);
         throw new Error("Failed to run port scan");
     }
 }
 
+/**
+ * Network Scanner
+ * 
+ * executeNetworkScan(hosts: string[], options?: PortScanOptions, listener?: TransformProgressListener<NetworkScanEvent>, signal?: AbortSignal): Promise<HostScanResult[]>
+ * 
+ * Port scans several hosts, usually the addresses of a CIDR block or range
+ * expanded by parseScanTarget.
+ * 
+ * Input:
+ * - hosts: string[] - IP addresses to scan
+ * - options?: PortScanOptions - The same options as a single-host scan; with
+ *   discovery turned off every host is port scanned
+ * - listener?: TransformProgressListener - Receives each host found up and
+ *   each open port (see NetworkScanEvent)
+ * - signal?: AbortSignal - Stops the scan before the next batch when aborted
+ * 
+ * Returns:
+ * - Promise<HostScanResult[]> - Hosts that answered discovery, in address
+ *   order, each with its open ports
+ * 
+ * Process:
+ * 1. Host discovery (first 20% of the progress bar)
+ * 2. One executePortScan per live host, one host after the other
+ * 
+ * Error Handling:
+ * - Same as executePortScan
+ */
+export async function executeNetworkScan(
+    hosts: string[],
+    options: PortScanOptions = {},
+    listener: TransformProgressListener<NetworkScanEvent> = {},
+    signal?: AbortSignal
+): Promise<HostScanResult[]> {
+    console.log(`Running network scan of ${hosts.length} hosts`);
+
+    let liveHosts = hosts;
+    const discoveryShare = options.discovery === false ? 0 : 20;
+    if (options.discovery !== false) {
+        liveHosts = await discoverHosts(hosts, {
+            timeout: options.timeout ?? portScanDefaults.timeout,
+            concurrency: options.concurrency ?? portScanDefaults.concurrency,
+            delay: options.delay ?? portScanDefaults.delay,
+            signal,
+            onProgress: (checked, total) => {
+                listener.onProgress?.((checked / total) * discoveryShare, `Host discovery: checked ${checked}/${total} hosts`);
+            }
+        });
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
+        console.log(`Host discovery found ${liveHosts.length} of ${hosts.length} hosts up`);
+    }
+
+    const results: HostScanResult[] = [];
+    for (const [index, host] of liveHosts.entries()) {
+        listener.onResult?.({ host });
+
+        const ports = await executePortScan(host, options, {
+            onResult: port => listener.onResult?.({ host, ...port }),
+            onProgress: percent => {
+                const done = index + (percent ?? 0) / 100;
+                listener.onProgress?.(discoveryShare + (done / liveHosts.length) * (100 - discoveryShare), `Scanning ${host} (host ${index + 1}/${liveHosts.length})`);
+            }
+        }, signal);
+        results.push({ host, ports });
+    }
+
+    if (liveHosts.length === 0) {
+        listener.onProgress?.(100, `No hosts up out of ${hosts.length}`);
+    }
+    return results;
+}
+
+/**
+ * Sleep
+ * 
+ * sleep(ms: number, signal?: AbortSignal): Promise<void>
+ * 
+ * Waits for the given time, or resolves early once the signal is aborted.
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener("abort", done, { once: true });
+    });
+}
+
 /**
  * Get Service Name for Port
  * 
@@ -322,32 +1121,54 @@ function getServiceName(port: number): string {
     return serviceMap[port] || 'unknown';
 }
 
+/**
+ * Whois Result
+ * 
+ * WhoisRecord (see whoisRecord.ts) plus where it came from:
+ * - sources: "whois" and/or "rdap", in the order they were used
+ * - raw: The full whois output, "" when the command failed
+ * - rdap: The RDAP answer as indented JSON, when RDAP was used
+ */
+export interface WhoisResult extends WhoisRecord {
+    sources: string[];
+    raw: string;
+    rdap?: string;
+}
+
 /**
  * Whois Command Execution
  * 
- * executeWhois(domain: string): Promise<{registrar: string, nameServers: string[], creationDate: string, expiryDate: string}>
+ * executeWhois(domain: string, signal?: AbortSignal): Promise<WhoisResult>
  * 
- * Executes whois command with retry logic and timeout handling.
+ * Executes whois command with retry logic and timeout handling, falling back
+ * to RDAP when the output is redacted or incomplete.
  * 
  * Input:
  * - domain: string - Domain to query for WHOIS information
+ * - signal?: AbortSignal - Kills whois and stops the RDAP lookup when aborted
  * 
  * Returns:
- * - Promise<{registrar: string, nameServers: string[], creationDate: string, expiryDate: string}> - Parsed WHOIS data
+ * - Promise<WhoisResult> - Structured WHOIS data with the raw record
  * 
  * Process:
- * 1. Executes whois command with timeout
- * 2. Implements retry logic with exponential backoff
- * 3. Parses output to extract relevant information
- * 4. Returns structured WHOIS data
+ * 1. Validates the domain, which is passed to whois as one argument without a shell
+ * 2. Executes whois command with timeout, with retry logic and exponential backoff
+ * 3. Parses output into a structured record (see parseWhoisOutput)
+ * 4. When whois failed, or its record is redacted or lacks the registrar or
+ *    creation date, looks the domain up over RDAP and fills in the gaps
  * 
  * Error Handling:
+ * - Throws ToolOptionsError for anything that is not a host name
+ * - Throws TransformCancelledError once the signal is aborted
  * - Implements retry logic for timeout errors
- * - Handles parsing errors gracefully
- * - Provides meaningful error messages
+ * - A failed RDAP lookup keeps the whois record
+ * - Throws when neither whois nor RDAP answered
  */
-export async function executeWhois(domain: string): Promise<{registrar: string, nameServers: string[], creationDate: string, expiryDate: string}> {
-    const command = `whois ${domain}`;
+export async function executeWhois(domain: string, signal?: AbortSignal): Promise<WhoisResult> {
+    if (!validateDomain(domain)) {
+        throw new ToolOptionsError("Invalid domain format");
+    }
+
     const timeout = 30000; // 30 second timeout
     const maxRetries = 3;
     let retryCount = 0;
@@ -356,9 +1177,12 @@ export async function executeWhois(domain: string): Promise<{registrar: string,
         console.log(`Running whois for domain: ${domain} (attempt ${retryCount + 1}/${maxRetries + 1})`);
 
         try {
-            const { stdout } = await execAsync(command, { timeout });
+            const { stdout } = await execFileAsync("whois", [domain], { timeout, signal });
             return stdout;
         } catch (error: any) {
+            if (signal?.aborted) {
+                throw new TransformCancelledError();
+            }
             console.error(`Whois error for ${domain}:`, error);
             
             if (retryCount < maxRetries && (String(error.code) === 'ETIMEDOUT' || error.signal === 'SIGTERM')) {
@@ -374,101 +1198,83 @@ export async function executeWhois(domain: string): Promise<{registrar: string,
         }
     };
 
+    let raw = "";
+    let record: WhoisRecord | null = null;
+    const sources: string[] = [];
     try {
-        const stdout = await executeWithRetry();
-        const lines = stdout.split("\n");
-        let registrar = "";
-        const nameServers: string[] = [];
-        let creationDate = "";
-        let expiryDate = "";
+        raw = await executeWithRetry();
+        record = parseWhoisOutput(raw);
+        sources.push("whois");
+    } catch (error) {
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
+        // RDAP below may still answer
+    }
 
-        for (const line of lines) {
-            const lowerLine = line.toLowerCase();
-            
-            if (lowerLine.includes("registrar:") || lowerLine.includes("registrar name:")) {
-                const match = line.match(/:\s*(.+)/);
-                if (match && match[1]) {
-                    registrar = match[1].trim();
-                }
-            }
-            
-            if (lowerLine.includes("name server:") || lowerLine.includes("nserver:")) {
-                const match = line.match(/:\s*(.+)/);
-                if (match && match[1]) {
-                    const ns = match[1].trim();
-                    if (ns && !nameServers.includes(ns)) {
-                        nameServers.push(ns);
-                    }
-                }
-            }
-            
-            if (lowerLine.includes("creation date:") || lowerLine.includes("created:")) {
-                const match = line.match(/:\s*(.+)/);
-                if (match && match[1]) {
-                    creationDate = match[1].trim();
-                }
-            }
-            
-            if (lowerLine.includes("expiry date:") || lowerLine.includes("expires:")) {
-                const match = line.match(/:\s*(.+)/);
-                if (match && match[1]) {
-                    expiryDate = match[1].trim();
-                }
+    let rdap: string | undefined;
+    if (!record || needsRdap(record)) {
+        try {
+            const response = await lookupRdap(domain, signal);
+            const fromRdap = parseRdapResponse(response);
+            record = record ? mergeWhoisRecords(record, fromRdap) : fromRdap;
+            rdap = JSON.stringify(response, null, 2);
+            sources.push("rdap");
+        } catch (error: any) {
+            if (signal?.aborted) {
+                throw new TransformCancelledError();
             }
+            console.error(`RDAP lookup failed for ${domain}: ${error?.message || error}`);
         }
+    }
 
-        const uniqueNameServers = [...new Set(nameServers)];
-        const whoisInfo = {
-            registrar: registrar || "Unknown",
-            nameServers: uniqueNameServers,
-            creationDate: creationDate || "Unknown",
-            expiryDate: expiryDate || "Unknown"
-        };
-        
-        console.log(`Whois completed for ${domain}:`, whoisInfo);
-        return whoisInfo;
-    } catch (error) {
-        console.error("Error executing whois:", error);
-        throw error;
+    if (!record) {
+        throw new Error("Failed to retrieve WHOIS information");
     }
+
+    const whoisInfo: WhoisResult = { ...record, sources, raw, ...(rdap ? { rdap } : {}) };
+    console.log(`Whois completed for ${domain} from ${sources.join(" and ")}: registrar "${record.registrar}", ${record.nameServers.length} name servers`);
+    return whoisInfo;
 }
 
 /**
  * IP Network Analysis
  * 
- * executeIpAnalysis(ip: string): Promise<{netblocks: string[], owners: string[]}>
+ * executeIpAnalysis(ip: string, signal?: AbortSignal): Promise<{netblocks: string[], owners: string[]}>
  * 
  * Executes whois command for IP address network analysis.
  * 
  * Input:
- * - ip: string - IP address to analyze
+ * - ip: string - IPv4 or IPv6 address to analyze
+ * - signal?: AbortSignal - Kills whois when aborted
  * 
  * Returns:
  * - Promise<{netblocks: string[], owners: string[]}> - Network information
  * 
  * Process:
  * 1. Validates IP address format
- * 2. Executes whois command for IP
- * 3. Parses output to extract network information
+ * 2. Executes whois command for IP, passing it as one argument without a shell
+ * 3. Parses output to extract network information: inetnum (IPv4) and
+ *    inet6num (IPv6) blocks of RIPE, APNIC, AFRINIC and LACNIC, and the
+ *    NetRange and CIDR lines of ARIN
  * 4. Returns structured network data
  * 
  * Error Handling:
  * - Validates IP format before execution
+ * - Throws TransformCancelledError once the signal is aborted
  * - Handles parsing errors gracefully
  */
-export async function executeIpAnalysis(ip: string): Promise<{netblocks: string[], owners: string[]}> {
-    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    if (!ipRegex.test(ip)) {
+export async function executeIpAnalysis(ip: string, signal?: AbortSignal): Promise<{netblocks: string[], owners: string[]}> {
+    if (net.isIP(ip) === 0) {
         throw new Error("Invalid IP address format");
     }
 
-    const command = `whois ${ip}`;
     const timeout = 30000;
 
     console.log(`Analyzing network information for IP: ${ip}`);
 
     try {
-        const { stdout } = await execAsync(command, { timeout });
+        const { stdout } = await execFileAsync("whois", [ip], { timeout, signal });
         const lines = stdout.split("\n");
         const netblocks: string[] = [];
         const owners: string[] = [];
@@ -476,7 +1282,7 @@ export async function executeIpAnalysis(ip: string): Promise<{netblocks: string[
         for (const line of lines) {
             const lowerLine = line.toLowerCase();
             
-            if (lowerLine.includes("inetnum:") || lowerLine.includes("netrange:") || lowerLine.includes("cidr:")) {
+            if (lowerLine.includes("inetnum:") || lowerLine.includes("inet6num:") || lowerLine.includes("netrange:") || lowerLine.includes("cidr:")) {
                 const match = line.match(/:\s*(.+)/);
                 if (match && match[1]) {
                     const netblock = match[1].trim();
@@ -518,6 +1324,9 @@ export async function executeIpAnalysis(ip: string): Promise<{netblocks: string[
         console.log(`IP analysis completed for ${ip}:`, networkInfo);
         return networkInfo;
     } catch (error) {
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
         console.error("Error running IP analysis:", error);
         throw new Error("Failed to analyze IP address");
     }
@@ -0,0 +1,219 @@
+/**
+ * Geolocation Service
+ *
+ * This service locates IP addresses through interchangeable providers, so
+ * sensitive investigations can stay offline while others use an online API.
+ *
+ * Providers:
+ * - mmdb: Local MaxMind DB files such as GeoLite2 or DB-IP City, Country
+ *   and ASN databases, read from disk; no address leaves the machine
+ * - freeipapi: The free.freeipapi.com online API
+ *
+ * Settings (server environment):
+ * - GEOLOCATION_PROVIDER: Providers to ask in order, comma-separated, e.g.
+ *   "mmdb" for offline geolocation only or "mmdb,freeipapi". Defaults to
+ *   "mmdb" when GEOLOCATION_DB is set, otherwise "freeipapi"
+ * - GEOLOCATION_DB: Paths of .mmdb files, comma-separated; the answers of a
+ *   City and an ASN database are combined
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import fs from "fs";
+import axios from "axios";
+import maxmind, { Reader, Response } from "maxmind";
+import { validateIpAddress } from "./dataProcessing.js";
+
+// Milliseconds to wait for an online provider
+const onlineTimeout = 15000;
+
+// Open databases by path, reopened when the file changes on disk
+const databases = new Map<string, {modified: number, reader: Promise<Reader<Response>>}>();
+
+/**
+ * Geolocation
+ *
+ * What a provider knows about an address; each field is left out when the
+ * provider does not know it.
+ */
+export interface Geolocation {
+    countryName?: string;
+    countryCode?: string;
+    regionName?: string;
+    cityName?: string;
+    zipCode?: string;
+    latitude?: number;
+    longitude?: number;
+    asn?: number;
+    asnOrganization?: string;
+    isProxy?: boolean;
+}
+
+/**
+ * Geolocation Result
+ *
+ * - provider: Name of the provider that answered, e.g. "mmdb"
+ */
+export interface GeolocationResult extends Geolocation {
+    provider: string;
+}
+
+/**
+ * Geolocation Providers
+ *
+ * Each provider answers with what it knows about an address, or null when it
+ * has no record of it. Add a provider here to make it selectable through
+ * GEOLOCATION_PROVIDER.
+ */
+const providers: Record<string, (ip: string) => Promise<Geolocation | null>> = {
+    mmdb: lookupDatabases,
+
+    freeipapi: async ip => {
+        const response = await axios.get(`https://free.freeipapi.com/api/json/${ip}`, { timeout: onlineTimeout });
+        const data = response.data || {};
+        return {
+            countryName: data.countryName || undefined,
+            countryCode: data.countryCode || undefined,
+            regionName: data.regionName || undefined,
+            cityName: data.cityName || undefined,
+            zipCode: data.zipCode || undefined,
+            latitude: typeof data.latitude === "number" ? data.latitude : undefined,
+            longitude: typeof data.longitude === "number" ? data.longitude : undefined,
+            asn: data.asn ? Number(data.asn) : undefined,
+            asnOrganization: data.asnOrganization || undefined,
+            isProxy: data.isProxy === true
+        };
+    }
+};
+
+/**
+ * Get Geolocation Providers
+ *
+ * getGeolocationProviders(): string[]
+ *
+ * Reads the providers to ask, in order, from GEOLOCATION_PROVIDER.
+ *
+ * Error Handling:
+ * - Throws on a provider name that does not exist
+ */
+export function getGeolocationProviders(): string[] {
+    const configured = process.env.GEOLOCATION_PROVIDER || (process.env.GEOLOCATION_DB ? "mmdb" : "freeipapi");
+    const names = configured.split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    for (const name of names) {
+        if (!providers[name]) {
+            throw new Error(`Unknown geolocation provider "${name}" in GEOLOCATION_PROVIDER; use ${Object.keys(providers).join(" or ")}`);
+        }
+    }
+    return names;
+}
+
+/**
+ * IP Geolocation Lookup
+ *
+ * getGeolocation(ip: string): Promise<GeolocationResult>
+ *
+ * Locates an IPv4 or IPv6 address through the configured providers.
+ *
+ * Process:
+ * 1. Asks each provider of GEOLOCATION_PROVIDER in order
+ * 2. Answers with the first provider that has a record of the address
+ * 3. Answers with no location from the first provider that answered when
+ *    none has a record, e.g. for private addresses
+ *
+ * Error Handling:
+ * - Validates IP format before asking any provider
+ * - A failing provider is logged and the next one asked
+ * - Rejects with the last failure when no provider answered
+ */
+export async function getGeolocation(ip: string): Promise<GeolocationResult> {
+    if (!validateIpAddress(ip)) {
+        throw new Error("Invalid IP address format");
+    }
+
+    // Zone ids only matter on the local link, e.g. "fe80::1%eth0"
+    const address = ip.split("%")[0];
+    let empty: GeolocationResult | null = null;
+    let lastError: unknown = null;
+
+    for (const provider of getGeolocationProviders()) {
+        try {
+            const location = await providers[provider](address);
+            if (location) {
+                return { ...location, provider };
+            }
+            empty ??= { provider };
+        } catch (error: any) {
+            console.error(`Geolocation provider ${provider} failed for ${address}: ${error?.message || error}`);
+            lastError = error;
+        }
+    }
+
+    if (empty) {
+        return empty;
+    }
+    throw lastError;
+}
+
+/**
+ * Lookup Databases
+ *
+ * lookupDatabases(ip: string): Promise<Geolocation | null>
+ *
+ * Looks the address up in every database of GEOLOCATION_DB and combines
+ * their records, the first database with a value winning each field.
+ *
+ * Error Handling:
+ * - Throws when GEOLOCATION_DB is not set or a database cannot be read
+ */
+async function lookupDatabases(ip: string): Promise<Geolocation | null> {
+    const paths = (process.env.GEOLOCATION_DB || "").split(",").map(path => path.trim()).filter(Boolean);
+    if (paths.length === 0) {
+        throw new Error("GEOLOCATION_DB is not set; set it to the paths of .mmdb databases");
+    }
+
+    const records: Geolocation[] = [];
+    for (const path of paths) {
+        const record: any = (await openDatabase(path)).get(ip);
+        if (!record) continue;
+
+        const location: Geolocation = {
+            countryName: record.country?.names?.en ?? record.registered_country?.names?.en,
+            countryCode: record.country?.iso_code ?? record.registered_country?.iso_code,
+            regionName: record.subdivisions?.[0]?.names?.en,
+            cityName: record.city?.names?.en,
+            zipCode: record.postal?.code,
+            latitude: record.location?.latitude,
+            longitude: record.location?.longitude,
+            asn: record.autonomous_system_number,
+            asnOrganization: record.autonomous_system_organization,
+            isProxy: record.traits?.is_anonymous_proxy
+        };
+        for (const key of Object.keys(location) as Array<keyof Geolocation>) {
+            if (location[key] === undefined) delete location[key];
+        }
+        records.push(location);
+    }
+    return records.length > 0 ? Object.assign({}, ...records.reverse()) : null;
+}
+
+/**
+ * Open Database
+ *
+ * openDatabase(path: string): Promise<Reader<Response>>
+ *
+ * Opens a .mmdb file once, and again after it was replaced on disk, e.g. by
+ * a database update.
+ */
+async function openDatabase(path: string): Promise<Reader<Response>> {
+    const modified = (await fs.promises.stat(path)).mtimeMs;
+    const open = databases.get(path);
+    if (open && open.modified === modified) {
+        return open.reader;
+    }
+
+    const reader = maxmind.open<Response>(path);
+    databases.set(path, { modified, reader });
+    reader.catch(() => databases.delete(path));
+    return reader;
+}
@@ -0,0 +1,124 @@
+/**
+ * Host Discovery Service
+ *
+ * This service finds which hosts of a network range are up before they are
+ * port scanned, so a /24 with a handful of live machines does not cost a full
+ * port scan of every address.
+ *
+ * A host counts as up when any of a few common TCP ports either accepts the
+ * connection or actively refuses it; only a host that lets every probe time
+ * out is treated as down. ICMP is not used, as it needs raw socket privileges.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import net from "net";
+
+// Ports tried on every host, chosen to get an answer from servers, workstations and routers
+const discoveryPorts = [80, 443, 22, 445, 3389, 139, 135, 21, 25, 8080];
+
+/**
+ * Discovery Options
+ *
+ * - timeout: Milliseconds to wait for each probe
+ * - concurrency: Connections open at the same time; hosts are checked in
+ *   batches of concurrency / number of probe ports
+ * - delay: Milliseconds to wait between batches
+ * - signal: Stops discovery before the next batch when aborted
+ * - onProgress: Called after each batch with the number of hosts checked
+ */
+export interface DiscoveryOptions {
+    timeout: number;
+    concurrency: number;
+    delay?: number;
+    signal?: AbortSignal;
+    onProgress?: (checked: number, total: number) => void;
+}
+
+/**
+ * Discover Hosts
+ *
+ * discoverHosts(hosts: string[], options: DiscoveryOptions): Promise<string[]>
+ *
+ * Checks every host and returns the ones that answered.
+ *
+ * Input:
+ * - hosts: string[] - IP addresses to check
+ * - options: DiscoveryOptions - Probe timeout, concurrency and pacing
+ *
+ * Returns:
+ * - Promise<string[]> - Hosts that are up, in the order they were given.
+ *   Hosts not reached before the signal was aborted are left out
+ *
+ * Error Handling:
+ * - Never rejects; unreachable hosts count as down
+ */
+export async function discoverHosts(hosts: string[], options: DiscoveryOptions): Promise<string[]> {
+    const batchSize = Math.max(1, Math.floor(options.concurrency / discoveryPorts.length));
+    const up: string[] = [];
+
+    for (let i = 0; i < hosts.length; i += batchSize) {
+        if (i > 0 && options.delay) {
+            await new Promise(resolve => setTimeout(resolve, options.delay));
+        }
+        if (options.signal?.aborted) {
+            break;
+        }
+
+        const batch = hosts.slice(i, i + batchSize);
+        const answers = await Promise.all(batch.map(host => isHostUp(host, options.timeout, options.signal)));
+        batch.forEach((host, index) => {
+            if (answers[index]) up.push(host);
+        });
+
+        options.onProgress?.(Math.min(i + batchSize, hosts.length), hosts.length);
+    }
+
+    return up;
+}
+
+/**
+ * Is Host Up
+ *
+ * isHostUp(host: string, timeout: number, signal?: AbortSignal): Promise<boolean>
+ *
+ * Probes all discovery ports at once and resolves as soon as one of them
+ * answers. Remaining connections are closed once the answer is known.
+ */
+export function isHostUp(host: string, timeout: number, signal?: AbortSignal): Promise<boolean> {
+    return new Promise(resolve => {
+        const sockets: net.Socket[] = [];
+        let pending = discoveryPorts.length;
+        let settled = false;
+
+        const finish = (answer: boolean) => {
+            if (settled) return;
+            settled = true;
+            signal?.removeEventListener("abort", onAbort);
+            sockets.forEach(socket => socket.destroy());
+            resolve(answer);
+        };
+        const onAbort = () => finish(false);
+
+        for (const port of discoveryPorts) {
+            const socket = net.connect({ host, port });
+            sockets.push(socket);
+
+            socket.setTimeout(timeout);
+            socket.on("connect", () => finish(true));
+            socket.on("error", (error: NodeJS.ErrnoException) => {
+                if (error.code === "ECONNREFUSED") {
+                    finish(true);
+                } else if (--pending === 0) {
+                    finish(false);
+                }
+            });
+            socket.on("timeout", () => {
+                socket.destroy();
+                if (--pending === 0) finish(false);
+            });
+        }
+
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
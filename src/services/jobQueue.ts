@@ -0,0 +1,477 @@
+/**
+ * Transform Job Queue Service
+ *
+ * This service runs transforms as background jobs on the server, so a run keeps
+ * going and its result stays available after the browser tab that started it
+ * is closed.
+ *
+ * Key Features:
+ * - Jobs get an id immediately and are polled for status, progress, the results
+ *   streamed so far and the final result
+ * - A server-wide concurrency limit; extra jobs wait in a first-in first-out queue
+ * - Finished jobs are written to saves/results/jobs and reloaded after a restart,
+ *   so their results can be attached to the graph later
+ * - Only a summary of each finished job stays in memory; its results are read
+ *   back from disk when the job is fetched, and deleteJob removes it for good
+ *
+ * Job Lifecycle:
+ * queued -> running -> completed | failed
+ * queued | running -> cancelled (through cancelJob)
+ *
+ * Jobs still queued or running when the server stops are not persisted.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { executeTransform, canExecuteTransform, validateTransformRun, TransformInputError, UnknownTransformError } from "./transformExecution.js";
+
+// Directory holding one JSON file per finished job
+const jobsDir = path.join(__dirname, "../../saves/results/jobs");
+
+// Job ids are generated server-side; anything else is rejected
+const jobIdPattern = /^[a-f0-9]{16}$/;
+
+// Number of jobs allowed to run at the same time
+const maxConcurrentJobs = readConcurrency("TRANSFORM_JOB_CONCURRENCY", 3);
+
+export type JobStatus = "queued" | "running" | "completed" | "failed" | "cancelled";
+
+/**
+ * Transform Job
+ *
+ * - progress: 0-100, or null while the transform cannot tell how far along it is
+ * - message: Latest progress message
+ * - resultCount: Number of results streamed so far
+ * - events: The streamed results in order, e.g. { service } for each Sherlock
+ *   profile; the payloads of the endpoint's "result" events
+ * - result: Body the transform's endpoint would return (completed jobs only)
+ * - error: Failure message (failed jobs only)
+ * - refresh: The run ignores cached results (see resultCache.ts)
+ */
+export interface TransformJob {
+    id: string;
+    transformId: string;
+    input: string;
+    params: Record<string, unknown>;
+    refresh: boolean;
+    status: JobStatus;
+    progress: number | null;
+    message: string;
+    resultCount: number;
+    events: unknown[];
+    result: object | null;
+    error: string | null;
+    createdAt: string;
+    startedAt: string | null;
+    finishedAt: string | null;
+}
+
+/**
+ * Job Submission
+ *
+ * - transformId: Registry id or "custom:<id>" (see transformExecution.ts)
+ * - input: Node label the transform runs on
+ * - params, context: Passed through to custom transforms
+ * - refresh: true to run the transform even when a cached result exists
+ */
+export interface JobSubmission {
+    transformId: unknown;
+    input: unknown;
+    params?: unknown;
+    context?: unknown;
+    refresh?: unknown;
+}
+
+/**
+ * Job Not Found Error
+ *
+ * Thrown when a job id is malformed or unknown.
+ * Named "NotFoundError" so the error handler middleware maps it to 404.
+ */
+export class JobNotFoundError extends Error {
+    constructor(id: string) {
+        super(`Job "${id}" not found`);
+        this.name = "NotFoundError";
+    }
+}
+
+// All known jobs keyed by id, in submission order
+const jobs = new Map<string, TransformJob>();
+
+// Node contexts are only needed until the job starts, so they are kept out of the job record
+const pendingContexts = new Map<string, unknown>();
+
+// Abort controllers of running jobs
+const controllers = new Map<string, AbortController>();
+
+// Finished jobs whose result and events were dropped from memory after they were saved to disk
+const storedResults = new Set<string>();
+
+const queue: string[] = [];
+let runningJobs = 0;
+let loaded = false;
+
+/**
+ * Submit Job
+ *
+ * submitJob(submission: JobSubmission): TransformJob
+ *
+ * Queues a transform run and starts it as soon as a slot is free.
+ *
+ * Input:
+ * - submission: JobSubmission - Transform id, input and optional params/context
+ *
+ * Returns:
+ * - TransformJob - The new job, usually still "queued"
+ *
+ * Error Handling:
+ * - Throws TransformInputError for a missing input or malformed params
+ * - Throws the transform's ValidationError for an input or params its endpoint
+ *   would reject (see validateTransformRun)
+ * - Throws UnknownTransformError for transforms that cannot run on the server
+ */
+export function submitJob(submission: JobSubmission): TransformJob {
+    loadFinishedJobs();
+
+    const { transformId, input, params, context, refresh } = submission;
+    if (typeof transformId !== "string" || !transformId) {
+        throw new TransformInputError("transformId is required");
+    }
+    if ((typeof input !== "string" && typeof input !== "number") || String(input).trim() === "") {
+        throw new TransformInputError("input is required");
+    }
+    if (params !== undefined && (typeof params !== "object" || params === null || Array.isArray(params))) {
+        throw new TransformInputError("params must be an object");
+    }
+    if (refresh !== undefined && typeof refresh !== "boolean") {
+        throw new TransformInputError("refresh must be a boolean");
+    }
+    if (!canExecuteTransform(transformId)) {
+        throw new UnknownTransformError(transformId);
+    }
+    validateTransformRun(transformId, String(input).trim(), (params as Record<string, unknown>) ?? {});
+
+    const job: TransformJob = {
+        id: crypto.randomBytes(8).toString("hex"),
+        transformId,
+        input: String(input).trim(),
+        params: (params as Record<string, unknown>) ?? {},
+        refresh: refresh === true,
+        status: "queued",
+        progress: 0,
+        message: "Queued",
+        resultCount: 0,
+        events: [],
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    if (context !== undefined) {
+        pendingContexts.set(job.id, context);
+    }
+    queue.push(job.id);
+    startQueuedJobs();
+
+    return job;
+}
+
+/**
+ * Job Active Error
+ *
+ * Thrown when deleting a job that is still queued or running.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class JobActiveError extends Error {
+    constructor(id: string) {
+        super(`Job "${id}" has not finished; cancel it before deleting it`);
+        this.name = "ValidationError";
+    }
+}
+
+/**
+ * Get Job
+ *
+ * getJob(id: string): TransformJob
+ *
+ * Returns the job with its result and events, reading those of a finished
+ * job back from disk.
+ *
+ * Error Handling:
+ * - Throws JobNotFoundError for malformed or unknown ids
+ */
+export function getJob(id: string): TransformJob {
+    loadFinishedJobs();
+
+    const job = jobIdPattern.test(id) ? jobs.get(id) : undefined;
+    if (!job) {
+        throw new JobNotFoundError(id);
+    }
+    if (storedResults.has(job.id)) {
+        const stored = readJobFile(job.id);
+        return { ...job, events: stored?.events ?? [], result: stored?.result ?? null };
+    }
+    return job;
+}
+
+/**
+ * Delete Job
+ *
+ * deleteJob(id: string): void
+ *
+ * Removes a finished job and its saved result.
+ *
+ * Error Handling:
+ * - Throws JobNotFoundError for malformed or unknown ids
+ * - Throws JobActiveError for jobs that are still queued or running
+ */
+export function deleteJob(id: string): void {
+    const job = getJob(id);
+    if (job.status === "queued" || job.status === "running") {
+        throw new JobActiveError(id);
+    }
+
+    try {
+        fs.unlinkSync(path.join(jobsDir, `${job.id}.json`));
+    } catch (error: any) {
+        if (error?.code !== "ENOENT") {
+            throw error;
+        }
+    }
+    jobs.delete(job.id);
+    storedResults.delete(job.id);
+}
+
+/**
+ * Cancel Job
+ *
+ * cancelJob(id: string): TransformJob
+ *
+ * Takes a queued job off the queue, or stops the tool or script behind a
+ * running job. Finished jobs are returned unchanged.
+ *
+ * Error Handling:
+ * - Throws JobNotFoundError for malformed or unknown ids
+ */
+export function cancelJob(id: string): TransformJob {
+    const job = getJob(id);
+
+    if (job.status === "queued") {
+        queue.splice(queue.indexOf(job.id), 1);
+        pendingContexts.delete(job.id);
+        job.status = "cancelled";
+        job.message = "Cancelled";
+        job.finishedAt = new Date().toISOString();
+        saveJob(job);
+    } else if (job.status === "running") {
+        // runJob records the outcome once the transform has stopped. Quick
+        // transforms without a cancellation point may still complete.
+        controllers.get(job.id)?.abort();
+        job.message = "Cancelling";
+    }
+
+    return job;
+}
+
+/**
+ * List Jobs
+ *
+ * listJobs(status?: JobStatus): Array<Omit<TransformJob, "result" | "events">>
+ *
+ * Returns running jobs first, then queued jobs in the order they will start,
+ * then finished jobs, newest first. Results and events are left out to keep
+ * the list small; fetch a single job to get them.
+ */
+export function listJobs(status?: JobStatus): Array<Omit<TransformJob, "result" | "events">> {
+    loadFinishedJobs();
+
+    const order: Record<JobStatus, number> = { running: 0, queued: 1, completed: 2, failed: 2, cancelled: 2 };
+    const all = Array.from(jobs.values()).filter(job => !status || job.status === status);
+
+    all.sort((a, b) => {
+        if (order[a.status] !== order[b.status]) {
+            return order[a.status] - order[b.status];
+        }
+        if (a.status === "queued") {
+            return queue.indexOf(a.id) - queue.indexOf(b.id);
+        }
+        if (a.status === "running") {
+            return (a.startedAt ?? "").localeCompare(b.startedAt ?? "");
+        }
+        return (b.finishedAt ?? "").localeCompare(a.finishedAt ?? "");
+    });
+
+    return all.map(({ result, events, ...summary }) => summary);
+}
+
+/**
+ * Start Queued Jobs
+ *
+ * startQueuedJobs(): void
+ *
+ * Starts jobs from the front of the queue until the concurrency limit is reached.
+ */
+function startQueuedJobs(): void {
+    while (runningJobs < maxConcurrentJobs && queue.length > 0) {
+        const job = jobs.get(queue.shift()!);
+        if (job) {
+            runningJobs++;
+            runJob(job).finally(() => {
+                runningJobs--;
+                startQueuedJobs();
+            });
+        }
+    }
+}
+
+/**
+ * Run Job
+ *
+ * runJob(job: TransformJob): Promise<void>
+ *
+ * Executes the transform, tracks its progress and persists the outcome.
+ * Never rejects; failures are recorded on the job.
+ */
+async function runJob(job: TransformJob): Promise<void> {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    job.message = "Running";
+
+    const context = pendingContexts.get(job.id);
+    pendingContexts.delete(job.id);
+
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    try {
+        job.result = await executeTransform(job.transformId, job.input, {
+            params: job.params,
+            context,
+            signal: controller.signal,
+            refresh: job.refresh,
+            listener: {
+                onResult: event => {
+                    job.events.push(event);
+                    job.resultCount++;
+                },
+                onProgress: (percent, message) => {
+                    job.progress = percent === null ? null : Math.max(0, Math.min(100, Math.round(percent)));
+                    job.message = message;
+                }
+            }
+        });
+        job.status = "completed";
+        job.progress = 100;
+        job.message = "Completed";
+    } catch (error: any) {
+        if (controller.signal.aborted) {
+            job.status = "cancelled";
+            job.message = "Cancelled";
+        } else {
+            console.error(`Job ${job.id} (${job.transformId}) failed:`, error);
+            job.status = "failed";
+            job.error = error?.message || "Transform failed";
+            job.message = "Failed";
+        }
+    }
+
+    controllers.delete(job.id);
+
+    job.finishedAt = new Date().toISOString();
+    if (saveJob(job) && (job.result || job.events.length > 0)) {
+        job.result = null;
+        job.events = [];
+        storedResults.add(job.id);
+    }
+}
+
+/**
+ * Save Job
+ *
+ * saveJob(job: TransformJob): boolean
+ *
+ * Writes a finished job to saves/results/jobs/<id>.json. A failed write is
+ * logged and returns false; the job then keeps its result in memory until
+ * the server restarts.
+ */
+function saveJob(job: TransformJob): boolean {
+    try {
+        fs.mkdirSync(jobsDir, { recursive: true });
+        fs.writeFileSync(path.join(jobsDir, `${job.id}.json`), JSON.stringify(job, null, 2));
+        return true;
+    } catch (error) {
+        console.error(`Failed to save job ${job.id}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Read Job File
+ *
+ * readJobFile(id: string): TransformJob | null
+ *
+ * Reads a saved job. Missing or unreadable files are logged and give null.
+ */
+function readJobFile(id: string): TransformJob | null {
+    try {
+        const job: TransformJob = JSON.parse(fs.readFileSync(path.join(jobsDir, `${id}.json`), "utf8"));
+        return job.id === id ? job : null;
+    } catch (error) {
+        console.error(`Failed to read job ${id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load Finished Jobs
+ *
+ * loadFinishedJobs(): void
+ *
+ * Reads jobs persisted by earlier server runs the first time jobs are accessed,
+ * keeping their results and events on disk. Unreadable files are skipped.
+ */
+function loadFinishedJobs(): void {
+    if (loaded) {
+        return;
+    }
+    loaded = true;
+
+    if (!fs.existsSync(jobsDir)) {
+        return;
+    }
+
+    for (const file of fs.readdirSync(jobsDir)) {
+        const id = path.basename(file, ".json");
+        if (!file.endsWith(".json") || !jobIdPattern.test(id) || jobs.has(id)) {
+            continue;
+        }
+        const job = readJobFile(id);
+        if (job && (job.status === "completed" || job.status === "failed" || job.status === "cancelled")) {
+            if (job.result || job.events?.length > 0) {
+                storedResults.add(id);
+            }
+            job.result = null;
+            job.events = [];
+            jobs.set(id, job);
+        }
+    }
+}
+
+/**
+ * Read Concurrency
+ *
+ * readConcurrency(name: string, fallback: number): number
+ *
+ * Reads a positive integer from the environment, falling back to the
+ * default when the variable is unset or invalid.
+ */
+function readConcurrency(name: string, fallback: number): number {
+    const value = parseInt(process.env[name] || "", 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
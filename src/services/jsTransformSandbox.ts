@@ -0,0 +1,373 @@
+/**
+ * JavaScript Transform Sandbox
+ *
+ * This module contains the worker that runs JavaScript custom transforms and the
+ * server side of the small API injected into them. The worker evaluates the
+ * transform in a fresh `vm` context inside a `worker_threads` Worker, so a run
+ * can be terminated at any point, including in the middle of an endless loop.
+ *
+ * Transform Contract:
+ * ```js
+ * // @manifest
+ * // { "name": "Resolve", "inputTypes": ["domain"] }
+ * // @end
+ * module.exports = async function (input, api) {
+ *     const addresses = await api.dns.resolve(input, "A");
+ *     for (const address of addresses) {
+ *         const id = api.entity({ type: "ip", label: address });
+ *         api.edge("input", id, "resolves to");
+ *     }
+ * };
+ * ```
+ * `.mjs` files may use `export default` instead of `module.exports`. The function
+ * may also return output in any format Python transforms print (see transformOutput.ts);
+ * entities and edges added through the API are merged into it.
+ *
+ * Injected API:
+ * - api.input, api.params, api.node, api.neighbors: Same values as the Python stdin document
+ * - api.dns.resolve(hostname, rrtype?), api.dns.reverse(ip), api.dns.lookup(hostname)
+ * - api.http.get(url, options?), api.http.post(url, data?, options?), api.http.request(config)
+ *   resolve to { status, headers, data }; options.responseType is "json", "text" or "base64"
+ * - api.entity(entity): Adds an entity and returns its id
+ * - api.edge(source, target, label?): Adds an edge between entity ids ("input" is the source node)
+ * - api.log(...values), console.log/warn/error: Written to the run's log (stderr)
+ *
+ * Security Note:
+ * - DNS and HTTP calls are made by the server process, not the worker; DNS goes
+ *   through DNS_RESOLVERS or the run's resolvers like the built-in DNS transforms
+ * - The worker has an empty environment and no require, fs or process in scope
+ * - The API, module object and console are created inside the transform's
+ *   context, which only exchanges strings with the worker, so no worker object
+ *   leads back to its Function constructor
+ * - `vm` is not a security boundary; like Python transforms, only run trusted code
+ */
+
+import dns from "dns";
+import axios from "axios";
+
+/**
+ * Sandbox Limits
+ *
+ * - timeoutMs: Upper bound for each HTTP request
+ * - maxOutputBytes: Upper bound for each HTTP response body
+ */
+export interface SandboxApiLimits {
+    timeoutMs: number;
+    maxOutputBytes: number;
+}
+
+// Record types api.dns.resolve accepts
+const dnsRecordTypes = ["A", "AAAA", "ANY", "CAA", "CNAME", "MX", "NAPTR", "NS", "PTR", "SOA", "SRV", "TXT"];
+const httpMethods = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+const responseTypes = ["json", "text", "base64"];
+
+/**
+ * Sandbox Source
+ *
+ * Evaluated inside the transform's context before the transform itself, so
+ * the API, module object and console are objects of that context. Evaluates
+ * to a function taking the worker's `send(type, text)` and the run's data as
+ * JSON; it returns `deliver(id, replyJson)` for answers to API calls and
+ * `run()` to call the loaded transform. Only strings pass between the worker
+ * and the context: any worker object the transform could reach would lead it
+ * to the worker's Function constructor and from there to `process`.
+ */
+const JS_TRANSFORM_SANDBOX_SOURCE = `"use strict";
+(function (send, dataJson) {
+    const data = JSON.parse(dataJson);
+    const pending = new Map();
+    let nextCallId = 0;
+    const entities = [];
+    const edges = [];
+
+    const format = value => {
+        if (typeof value === "string") return value;
+        if (value instanceof Error) return String(value.stack || value);
+        try {
+            const json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (error) {
+            return String(value);
+        }
+    };
+
+    const log = (...values) => {
+        send("log", values.map(format).join(" ") + "\\n");
+    };
+
+    const callServer = (method, args) => new Promise((resolve, reject) => {
+        const id = ++nextCallId;
+        pending.set(id, { resolve, reject });
+        send("call", JSON.stringify({ id, method, args }));
+    });
+
+    const api = Object.freeze({
+        input: data.input,
+        params: data.params,
+        node: data.context.node,
+        neighbors: data.context.neighbors,
+        dns: Object.freeze({
+            resolve: (hostname, rrtype = "A") => callServer("dns.resolve", [hostname, rrtype]),
+            reverse: ip => callServer("dns.reverse", [ip]),
+            lookup: hostname => callServer("dns.lookup", [hostname])
+        }),
+        http: Object.freeze({
+            get: (url, options = {}) => callServer("http.request", [{ ...options, method: "GET", url }]),
+            post: (url, data, options = {}) => callServer("http.request", [{ ...options, method: "POST", url, data }]),
+            request: config => callServer("http.request", [config])
+        }),
+        entity(entity) {
+            const id = entity && entity.id !== undefined ? String(entity.id) : "entity-" + (entities.length + 1);
+            entities.push({ ...entity, id });
+            return id;
+        },
+        edge(source, target, label) {
+            edges.push(label === undefined ? { source, target } : { source, target, label });
+        },
+        log
+    });
+
+    const module = { exports: {} };
+    globalThis.module = module;
+    globalThis.exports = module.exports;
+    globalThis.console = Object.freeze({ log, info: log, warn: log, error: log, debug: log });
+
+    const run = async () => {
+        const exported = module.exports && typeof module.exports.default === "function" ? module.exports.default : module.exports;
+        if (typeof exported !== "function") {
+            throw new Error("Transform must export a function (module.exports = async (input, api) => ...)");
+        }
+
+        let output = await exported(data.input, api);
+        if (entities.length > 0 || edges.length > 0) {
+            if (output === undefined || output === null) output = {};
+            if (Array.isArray(output)) output = { nodes: output };
+            if (typeof output !== "object") throw new Error("Transform returned a value that cannot be combined with api.entity()");
+            output = {
+                ...output,
+                entities: [...(output.entities || []), ...entities],
+                edges: [...(output.edges || []), ...edges]
+            };
+        }
+        return JSON.stringify(output === undefined ? [] : output);
+    };
+
+    return Object.freeze({
+        deliver(id, replyJson) {
+            const call = pending.get(id);
+            if (!call) return;
+            pending.delete(id);
+            const reply = JSON.parse(replyJson);
+            if (reply.error !== undefined) call.reject(new Error(reply.error));
+            else call.resolve(reply.result);
+        },
+        run() {
+            run().then(
+                stdout => send("result", stdout),
+                error => send("error", error && error.stack ? String(error.stack) : String(error))
+            );
+        }
+    });
+})`;
+
+/**
+ * Worker Source
+ *
+ * Evaluated with `new Worker(source, { eval: true })` so it works the same
+ * when running from TypeScript sources and from the compiled dist folder.
+ * workerData carries the transform's source and filename, the sandbox source
+ * and the run's input, params and context as JSON.
+ *
+ * Messages to the server:
+ * - { type: "call", id, method, args }: API call, answered with { type: "reply", id, result | error }
+ * - { type: "log", text }: Line written by api.log or console
+ * - { type: "result", stdout }: Transform output serialized as JSON
+ * - { type: "error", message }: The transform threw or could not be loaded
+ */
+export const JS_TRANSFORM_WORKER_SOURCE = `"use strict";
+// Strict mode keeps this script's functions out of the call sites an Error.prepareStackTrace set by the transform sees
+const { parentPort, workerData } = require("worker_threads");
+const vm = require("vm");
+
+// A null-prototype global leaves the context without a path back to the worker's Function constructor
+const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+
+// Called from inside the context; takes strings only and never throws into it
+function send(type, text) {
+    if (typeof text !== "string") return;
+    try {
+        if (type === "call") {
+            const call = JSON.parse(text);
+            parentPort.postMessage({ type, id: call.id, method: call.method, args: call.args });
+        } else if (type === "log") {
+            parentPort.postMessage({ type, text });
+        } else if (type === "result") {
+            parentPort.postMessage({ type, stdout: text });
+        } else {
+            parentPort.postMessage({ type: "error", message: text });
+        }
+    } catch (error) {
+        // Nothing to report to; the run ends with its timeout
+    }
+}
+
+function describeError(error) {
+    return error && error.stack ? String(error.stack) : String(error);
+}
+
+let sandbox;
+try {
+    sandbox = new vm.Script(workerData.sandboxSource, { filename: "sandbox.js" }).runInContext(context)(send, workerData.data);
+
+    // Allow "export default" in .mjs files; other module syntax is a syntax error
+    const source = workerData.source.replace(/^([ \\t]*)export[ \\t]+default[ \\t]+/m, "$1module.exports.default = ");
+    new vm.Script(source, { filename: workerData.filename }).runInContext(context);
+} catch (error) {
+    sandbox = undefined;
+    send("error", describeError(error));
+}
+
+if (sandbox) {
+    parentPort.on("message", message => {
+        if (message.type !== "reply") return;
+        sandbox.deliver(message.id, JSON.stringify(message.error !== undefined ? { error: String(message.error) } : { result: message.result }));
+    });
+    sandbox.run();
+}
+`;
+
+/**
+ * Build Worker Data
+ *
+ * buildWorkerData(source: string, filename: string, input: string, params: Record<string, unknown>, context: unknown): object
+ *
+ * Builds the workerData for JS_TRANSFORM_WORKER_SOURCE.
+ */
+export function buildWorkerData(source: string, filename: string, input: string, params: Record<string, unknown>, context: unknown): object {
+    return {
+        source,
+        filename,
+        sandboxSource: JS_TRANSFORM_SANDBOX_SOURCE,
+        data: JSON.stringify({ input, params, context })
+    };
+}
+
+/**
+ * Call Sandbox API
+ *
+ * callSandboxApi(method: string, args: unknown[], limits: SandboxApiLimits, resolver: dns.promises.Resolver): Promise<unknown>
+ *
+ * Performs an API call requested by a JavaScript transform on the server side.
+ * DNS calls go through the run's resolver (see createDnsResolver in dataProcessing.ts).
+ *
+ * Returns:
+ * - DNS answers as returned by Node's resolver; lookup answers [{address, family}]
+ * - HTTP responses as { status, headers, data }
+ *
+ * Error Handling:
+ * - Rejects with an Error whose message is passed back to the transform
+ */
+export async function callSandboxApi(method: string, args: unknown[], limits: SandboxApiLimits, resolver: dns.promises.Resolver): Promise<unknown> {
+    switch(method){
+        case "dns.resolve": {
+            const [hostname, rrtype] = args;
+            const type = String(rrtype || "A").toUpperCase();
+            if(!dnsRecordTypes.includes(type)){
+                throw new Error(`Unsupported record type "${rrtype}"`);
+            }
+            return resolver.resolve(requireString(hostname, "hostname"), type as any);
+        }
+
+        case "dns.reverse":
+            return resolver.reverse(requireString(args[0], "ip"));
+
+        case "dns.lookup":
+            return lookupAddresses(requireString(args[0], "hostname"), resolver);
+
+        case "http.request":
+            return httpRequest(args[0], limits);
+
+        default:
+            throw new Error(`Unknown API method "${method}"`);
+    }
+}
+
+/**
+ * Lookup Addresses
+ *
+ * lookupAddresses(hostname: string, resolver: dns.promises.Resolver): Promise<Array<{address: string, family: number}>>
+ *
+ * Asks the resolver for A and AAAA records, in the shape dns.lookup with
+ * { all: true } answers. Rejects with the A query's error when neither has records.
+ */
+async function lookupAddresses(hostname: string, resolver: dns.promises.Resolver): Promise<Array<{address: string, family: number}>> {
+    const [v4, v6] = await Promise.allSettled([resolver.resolve4(hostname), resolver.resolve6(hostname)]);
+    const addresses = [
+        ...(v4.status === "fulfilled" ? v4.value.map(address => ({ address, family: 4 })) : []),
+        ...(v6.status === "fulfilled" ? v6.value.map(address => ({ address, family: 6 })) : [])
+    ];
+    if(addresses.length === 0 && v4.status === "rejected"){
+        throw v4.reason;
+    }
+    return addresses;
+}
+
+/**
+ * HTTP Request
+ *
+ * httpRequest(config: unknown, limits: SandboxApiLimits): Promise<{status: number, headers: Record<string, unknown>, data: unknown}>
+ *
+ * Sends an HTTP request through axios on behalf of a transform. Every status
+ * code resolves; only network errors, timeouts and oversized bodies reject.
+ */
+async function httpRequest(config: unknown, limits: SandboxApiLimits): Promise<{status: number, headers: Record<string, unknown>, data: unknown}> {
+    if(typeof config !== "object" || config === null){
+        throw new Error("HTTP request config must be an object");
+    }
+    const request = config as Record<string, any>;
+
+    const url = requireString(request.url, "url");
+    if(!/^https?:\/\//i.test(url)){
+        throw new Error("Only http and https URLs are allowed");
+    }
+    const method = String(request.method || "GET").toUpperCase();
+    if(!httpMethods.includes(method)){
+        throw new Error(`Unsupported HTTP method "${request.method}"`);
+    }
+    const responseType = request.responseType || "json";
+    if(!responseTypes.includes(responseType)){
+        throw new Error(`responseType must be one of: ${responseTypes.join(", ")}`);
+    }
+    const timeout = Math.min(Number(request.timeout) || limits.timeoutMs, limits.timeoutMs);
+
+    const response = await axios.request({
+        url,
+        method,
+        headers: request.headers,
+        params: request.params,
+        data: request.data,
+        timeout,
+        maxContentLength: limits.maxOutputBytes,
+        maxRedirects: 5,
+        responseType: responseType === "json" ? "json" : responseType === "text" ? "text" : "arraybuffer",
+        validateStatus: () => true
+    });
+
+    return {
+        status: response.status,
+        headers: { ...response.headers },
+        data: responseType === "base64" ? Buffer.from(response.data).toString("base64") : response.data
+    };
+}
+
+/**
+ * Require String
+ *
+ * requireString(value: unknown, name: string): string
+ */
+function requireString(value: unknown, name: string): string {
+    if(typeof value !== "string" || !value){
+        throw new Error(`${name} must be a non-empty string`);
+    }
+    return value;
+}
@@ -0,0 +1,408 @@
+/**
+ * Page Capture Service
+ *
+ * This service visits a web page in the shared browser (see browserPool.ts)
+ * and keeps the evidence of that one visit together.
+ *
+ * Key Features:
+ * - Screenshot with the chosen viewport, phone emulation and wait
+ * - Redirect chain from the requested URL to the final URL, including a
+ *   redirect the page made itself after loading
+ * - Title, response status and headers and the rendered HTML of the page
+ * - HAR (HTTP Archive 1.2) of every request the page made, which browser
+ *   developer tools and HAR viewers open
+ * - Third-party domains the page contacted, with their request counts
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import net from "net";
+import type { Page } from "puppeteer";
+import { browserPool } from "./browserPool.js";
+import { validateUrl, ScreenshotOptions } from "./dataProcessing.js";
+import { TransformCancelledError } from "./transformStream.js";
+
+// Viewport of screenshots, in pixels
+const screenshotDefaults = { width: 1280, height: 720, mobileWidth: 412, mobileHeight: 915 };
+
+// User agent of phone screenshots, unless the request names one
+const mobileUserAgent = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36";
+
+// Milliseconds to wait for the page to load
+const navigationTimeout = 30000;
+
+// Second-level labels under which each name is its own site, as in example.co.uk
+const sharedSecondLevels = ["ac", "co", "com", "edu", "gov", "ne", "net", "or", "org"];
+
+/**
+ * Redirect Hop
+ *
+ * - url: Address that redirected
+ * - status: HTTP status of the redirect, or of the page for a redirect the
+ *   page made itself
+ * - location: Address it redirected to
+ * - client: The page redirected itself (script or meta refresh) rather than
+ *   the server
+ */
+export interface RedirectHop {
+    url: string;
+    status: number;
+    location: string;
+    client?: boolean;
+}
+
+/**
+ * Third-Party Domain
+ *
+ * - domain: Host name the page sent requests to
+ * - requests: Number of requests sent to it
+ */
+export interface ThirdPartyDomain {
+    domain: string;
+    requests: number;
+}
+
+/**
+ * Network Record
+ *
+ * One request the page made, with its response once it finished.
+ *
+ * - started, finished: Epoch milliseconds; finished is null while pending
+ * - status: 0 for requests that failed without a response
+ * - failure: Network error of a failed request, e.g. "net::ERR_NAME_NOT_RESOLVED"
+ */
+export interface NetworkRecord {
+    method: string;
+    url: string;
+    requestHeaders: Record<string, string>;
+    postData?: string;
+    started: number;
+    finished: number | null;
+    status: number;
+    statusText: string;
+    responseHeaders: Record<string, string>;
+    remoteAddress?: string;
+    failure?: string;
+}
+
+/**
+ * Page Capture
+ *
+ * - screenshot: Base64 encoded PNG image data
+ * - url: Requested address; finalUrl: Address the visit ended on
+ * - status, headers: Status and headers of the page's response (null and
+ *   empty when the page has none, e.g. for about: pages)
+ * - html: Rendered HTML of the page after loading
+ * - har: HTTP Archive of the visit
+ */
+export interface PageCapture {
+    screenshot: string;
+    url: string;
+    finalUrl: string;
+    title: string;
+    status: number | null;
+    headers: Record<string, string>;
+    redirects: RedirectHop[];
+    thirdPartyDomains: ThirdPartyDomain[];
+    html: string;
+    har: object;
+}
+
+/**
+ * Capture Web Page
+ *
+ * captureWebPage(url: string, options?: ScreenshotOptions, signal?: AbortSignal): Promise<PageCapture>
+ *
+ * Visits a page once and collects its screenshot, redirect chain, title,
+ * status, headers, HTML, HAR and third-party domains.
+ *
+ * Input:
+ * - url: string - Website URL to capture
+ * - options?: ScreenshotOptions - Viewport, phone emulation, full page or
+ *   viewport only, extra wait and user agent (checked with parseScreenshotOptions)
+ * - signal?: AbortSignal - Closes the page when aborted, freeing its place in
+ *   the browser pool
+ *
+ * Process:
+ * 1. Validates URL format
+ * 2. Opens a page in the shared browser and records its requests
+ * 3. Navigates to URL, waits for the network to settle and the extra wait
+ * 4. Captures the screenshot, title and HTML
+ * 5. Builds the redirect chain, HAR and third-party domains from the requests
+ *
+ * Error Handling:
+ * - Throws error on capture failure
+ * - Validates URL before processing
+ * - Rejects with TransformCancelledError once the signal was aborted
+ */
+export async function captureWebPage(url: string, options: ScreenshotOptions = {}, signal?: AbortSignal): Promise<PageCapture> {
+    if (!validateUrl(url)) {
+        throw new Error("Invalid URL format");
+    }
+
+    return browserPool.withPage(async page => {
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
+        // Closing the page makes whatever it is doing fail, so the capture stops at once
+        const cancel = () => {
+            page.close().catch(() => undefined);
+        };
+        signal?.addEventListener("abort", cancel, { once: true });
+
+        try {
+            return await capturePage(page, url, options, signal);
+        } catch (error) {
+            throw signal?.aborted ? new TransformCancelledError() : error;
+        } finally {
+            signal?.removeEventListener("abort", cancel);
+        }
+    }, signal);
+}
+
+/**
+ * Capture Page
+ *
+ * capturePage(page: Page, url: string, options: ScreenshotOptions, signal?: AbortSignal): Promise<PageCapture>
+ *
+ * Does the work of captureWebPage on an open page.
+ */
+async function capturePage(page: Page, url: string, options: ScreenshotOptions, signal?: AbortSignal): Promise<PageCapture> {
+    const records = recordRequests(page);
+    const mobile = options.mobile === true;
+    await page.setViewport({
+        width: options.width ?? (mobile ? screenshotDefaults.mobileWidth : screenshotDefaults.width),
+        height: options.height ?? (mobile ? screenshotDefaults.mobileHeight : screenshotDefaults.height),
+        isMobile: mobile,
+        hasTouch: mobile,
+        deviceScaleFactor: mobile ? 2 : 1
+    });
+    const userAgent = options.userAgent || (mobile ? mobileUserAgent : "");
+    if (userAgent) {
+        await page.setUserAgent(userAgent);
+    }
+    page.setDefaultNavigationTimeout(navigationTimeout);
+
+    const started = Date.now();
+    const response = await page.goto(url, { waitUntil: "networkidle2" });
+    const loadTime = Date.now() - started;
+    if (options.wait) {
+        await new Promise<void>(resolve => {
+            const timer = setTimeout(resolve, options.wait);
+            signal?.addEventListener("abort", () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    const screenshot = await page.screenshot({
+        type: "png",
+        fullPage: options.fullPage !== false
+    });
+    const title = await page.title();
+    const html = await page.content();
+    const finalUrl = page.url();
+
+    const redirects: RedirectHop[] = (response?.request().redirectChain() || []).map(request => ({
+        url: request.url(),
+        status: request.response()?.status() || 0,
+        location: request.response()?.headers().location || ""
+    }));
+    if (response && response.url() !== finalUrl) {
+        redirects.push({ url: response.url(), status: response.status(), location: finalUrl, client: true });
+    }
+
+    console.log(`Captured ${finalUrl}: ${records.length} requests, ${redirects.length} redirects`);
+    return {
+        screenshot: Buffer.from(screenshot).toString("base64"),
+        url,
+        finalUrl,
+        title,
+        status: response ? response.status() : null,
+        headers: response ? response.headers() : {},
+        redirects,
+        thirdPartyDomains: findThirdPartyDomains(records.map(record => record.url), [url, finalUrl]),
+        html,
+        har: buildHar(records, { url: finalUrl, title, started, loadTime })
+    };
+}
+
+/**
+ * Build HAR
+ *
+ * buildHar(records: NetworkRecord[], page: {url: string, title: string, started: number, loadTime: number}): object
+ *
+ * Writes the requests of a visit as an HTTP Archive 1.2 log with one page.
+ * Response bodies are left out; the HTML of the page is kept separately.
+ * Timings only tell the total time of each request, as its wait time.
+ */
+export function buildHar(records: NetworkRecord[], page: {url: string, title: string, started: number, loadTime: number}): object {
+    const toPairs = (headers: Record<string, string>) => Object.entries(headers).map(([name, value]) => ({ name, value }));
+
+    const entries = records.map(record => {
+        const time = record.finished === null ? 0 : Math.max(record.finished - record.started, 0);
+        let queryString: Array<{name: string, value: string}> = [];
+        try {
+            queryString = Array.from(new URL(record.url).searchParams, ([name, value]) => ({ name, value }));
+        } catch {
+            // data: and other addresses without a query
+        }
+
+        return {
+            pageref: "page_1",
+            startedDateTime: new Date(record.started).toISOString(),
+            time,
+            request: {
+                method: record.method,
+                url: record.url,
+                httpVersion: "",
+                cookies: [],
+                headers: toPairs(record.requestHeaders),
+                queryString,
+                ...(record.postData !== undefined ? { postData: { mimeType: record.requestHeaders["content-type"] || "", text: record.postData } } : {}),
+                headersSize: -1,
+                bodySize: record.postData !== undefined ? Buffer.byteLength(record.postData) : 0
+            },
+            response: {
+                status: record.status,
+                statusText: record.failure || record.statusText,
+                httpVersion: "",
+                cookies: [],
+                headers: toPairs(record.responseHeaders),
+                content: {
+                    size: parseInt(record.responseHeaders["content-length"] || "", 10) || 0,
+                    mimeType: record.responseHeaders["content-type"] || ""
+                },
+                redirectURL: record.responseHeaders.location || "",
+                headersSize: -1,
+                bodySize: -1
+            },
+            cache: {},
+            timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: time, receive: 0, ssl: -1 },
+            ...(record.remoteAddress ? { serverIPAddress: record.remoteAddress } : {})
+        };
+    });
+
+    return {
+        log: {
+            version: "1.2",
+            creator: { name: "Insight Nexus", version: "1.0.0" },
+            pages: [{
+                startedDateTime: new Date(page.started).toISOString(),
+                id: "page_1",
+                title: page.title || page.url,
+                pageTimings: { onContentLoad: -1, onLoad: page.loadTime }
+            }],
+            entries
+        }
+    };
+}
+
+/**
+ * Find Third-Party Domains
+ *
+ * findThirdPartyDomains(urls: string[], siteUrls: string[]): ThirdPartyDomain[]
+ *
+ * Counts the requests to each host that belongs to none of the sites of
+ * siteUrls (the requested and the final address). A site is the registered
+ * domain, e.g. cdn.example.co.uk belongs to example.co.uk. Only http(s)
+ * requests count; domains are listed by request count, most first.
+ */
+export function findThirdPartyDomains(urls: string[], siteUrls: string[]): ThirdPartyDomain[] {
+    const hostOf = (address: string) => {
+        try {
+            const parsed = new URL(address);
+            return /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "") : null;
+        } catch {
+            return null;
+        }
+    };
+    const sites = new Set(siteUrls.map(hostOf).filter((host): host is string => host !== null).map(siteOf));
+
+    const counts = new Map<string, number>();
+    for (const url of urls) {
+        const host = hostOf(url);
+        if (host && !sites.has(siteOf(host))) {
+            counts.set(host, (counts.get(host) || 0) + 1);
+        }
+    }
+    return Array.from(counts, ([domain, requests]) => ({ domain, requests }))
+        .sort((a, b) => b.requests - a.requests || a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Site Of
+ *
+ * siteOf(host: string): string
+ *
+ * The registered domain of a host name: its last two labels, or three under
+ * shared second-level domains such as co.uk. IP addresses are their own site.
+ */
+function siteOf(host: string): string {
+    if (net.isIP(host) !== 0) {
+        return host;
+    }
+    const labels = host.replace(/\.$/, "").split(".");
+    const shared = labels.length > 2 && labels[labels.length - 1].length === 2 && sharedSecondLevels.includes(labels[labels.length - 2]);
+    return labels.slice(shared ? -3 : -2).join(".");
+}
+
+/**
+ * Record Requests
+ *
+ * recordRequests(page: Page): NetworkRecord[]
+ *
+ * Starts recording the requests of a page. The returned list fills in as
+ * requests are sent and their responses arrive.
+ */
+function recordRequests(page: Page): NetworkRecord[] {
+    const records: NetworkRecord[] = [];
+    const pending = new Map<unknown, NetworkRecord>();
+
+    page.on("request", request => {
+        const record: NetworkRecord = {
+            method: request.method(),
+            url: request.url(),
+            requestHeaders: request.headers(),
+            postData: request.postData(),
+            started: Date.now(),
+            finished: null,
+            status: 0,
+            statusText: "",
+            responseHeaders: {}
+        };
+        records.push(record);
+        pending.set(request, record);
+    });
+
+    // Redirects get a response but may never finish, as their request continues as the next one
+    page.on("response", response => {
+        const record = pending.get(response.request());
+        if (!record) return;
+
+        record.status = response.status();
+        record.statusText = response.statusText();
+        record.responseHeaders = response.headers();
+        record.remoteAddress = response.remoteAddress().ip;
+    });
+
+    page.on("requestfinished", request => {
+        const record = pending.get(request);
+        if (!record) return;
+        pending.delete(request);
+
+        record.finished = Date.now();
+    });
+
+    page.on("requestfailed", request => {
+        const record = pending.get(request);
+        if (!record) return;
+        pending.delete(request);
+
+        record.finished = Date.now();
+        record.failure = request.failure()?.errorText || "Request failed";
+    });
+
+    return records;
+}
@@ -0,0 +1,369 @@
+/**
+ * Transform Result Cache Service
+ *
+ * This service keeps the results of built-in transforms on disk so running the
+ * same transform on the same input again answers immediately instead of
+ * re-running a slow tool or hitting a rate-limited API.
+ *
+ * Key Features:
+ * - Entries are keyed by transform id, normalized input and the run's options,
+ *   so "Example.com." and "example.com" share an entry while a Sherlock run
+ *   limited to a few sites gets its own
+ * - Server settings a transform's results depend on (cacheSettings in the
+ *   transform registry, e.g. GEOLOCATION_PROVIDER) are part of the key, so
+ *   changing them does not serve answers from the previous configuration
+ * - Each transform sets its own lifetime through cacheTtl in the transform
+ *   registry; transforms without one are never cached
+ * - Streamed results are stored with the final body, so a cache hit can be
+ *   replayed to streaming clients
+ * - Entries are written to saves/results/cache, or the directory named by the
+ *   RESULT_CACHE_DIR setting, and survive restarts
+ *
+ * Expired entries are removed when they are next read, or through purgeCache.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getTransform } from "./transformRegistry.js";
+
+// Directory holding one JSON file per cache entry, unless RESULT_CACHE_DIR names another
+const defaultCacheDir = path.join(__dirname, "../../saves/results/cache");
+
+// Cache keys are generated server-side; anything else is rejected
+const cacheKeyPattern = /^[a-f0-9]{32}$/;
+
+/**
+ * Cache Entry
+ *
+ * - key: Hash of the transform id, normalized input, params and settings
+ * - input: Normalized input the result belongs to
+ * - params: Options the transform ran with ({} for a default run)
+ * - result: Body the transform's endpoint returned
+ * - events: Results the transform streamed while running, in order
+ */
+export interface CacheEntry {
+    key: string;
+    transformId: string;
+    input: string;
+    params: Record<string, unknown>;
+    storedAt: string;
+    expiresAt: string;
+    result: object;
+    events: unknown[];
+}
+
+/**
+ * Cache Entry Summary
+ *
+ * What listCacheEntries returns for each entry; results are left out.
+ */
+export interface CacheEntrySummary {
+    key: string;
+    transformId: string;
+    input: string;
+    params: Record<string, unknown>;
+    storedAt: string;
+    expiresAt: string;
+    expired: boolean;
+    size: number;
+}
+
+/**
+ * Cache Filter
+ *
+ * Narrows listCacheEntries and purgeCache. All given fields must match.
+ * - transformId: Only entries of this transform
+ * - input: Only entries for this input (normalized before comparing)
+ * - expiredOnly: Only entries past their lifetime
+ */
+export interface CacheFilter {
+    transformId?: string;
+    input?: string;
+    expiredOnly?: boolean;
+}
+
+/**
+ * Get Cache TTL
+ *
+ * getCacheTtl(transformId: string): number
+ *
+ * Returns the transform's cache lifetime in milliseconds, or 0 when its
+ * results are not cached.
+ */
+export function getCacheTtl(transformId: string): number {
+    const ttl = getTransform(transformId)?.cacheTtl;
+    return typeof ttl === "number" && ttl > 0 ? ttl : 0;
+}
+
+/**
+ * Normalize Cache Input
+ *
+ * normalizeCacheInput(input: string): string
+ *
+ * Trims the input. Host names, IPs and usernames are also lowercased and lose
+ * a trailing dot; URLs keep their case because paths are case-sensitive.
+ */
+export function normalizeCacheInput(input: string): string {
+    const trimmed = String(input).trim();
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed)) {
+        return trimmed;
+    }
+    return trimmed.toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * Get Cached Result
+ *
+ * getCachedResult(transformId: string, input: string, params?: Record<string, unknown>): CacheEntry | null
+ *
+ * Returns the stored entry for a run with the same options when one exists
+ * and has not expired.
+ *
+ * Error Handling:
+ * - Unreadable entries are logged and treated as missing
+ * - Expired entries are deleted and treated as missing
+ */
+export function getCachedResult(transformId: string, input: string, params: Record<string, unknown> = {}): CacheEntry | null {
+    if (getCacheTtl(transformId) === 0) {
+        return null;
+    }
+
+    const key = getCacheKey(transformId, input, params);
+    const entry = readEntry(key);
+    if (!entry) {
+        return null;
+    }
+    if (isExpired(entry)) {
+        removeEntry(key);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Store Result
+ *
+ * storeResult(transformId: string, input: string, result: object, events?: unknown[], params?: Record<string, unknown>): CacheEntry | null
+ *
+ * Saves a successful run. Does nothing for transforms without a cache lifetime.
+ *
+ * Returns:
+ * - CacheEntry | null - The stored entry, or null when nothing was stored
+ *
+ * Error Handling:
+ * - A failed write is logged; the run's result is unaffected
+ */
+export function storeResult(transformId: string, input: string, result: object, events: unknown[] = [], params: Record<string, unknown> = {}): CacheEntry | null {
+    const ttl = getCacheTtl(transformId);
+    if (ttl === 0) {
+        return null;
+    }
+
+    const now = Date.now();
+    const entry: CacheEntry = {
+        key: getCacheKey(transformId, input, params),
+        transformId,
+        input: normalizeCacheInput(input),
+        params,
+        storedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl).toISOString(),
+        result,
+        events
+    };
+
+    try {
+        fs.mkdirSync(getCacheDir(), { recursive: true });
+        fs.writeFileSync(path.join(getCacheDir(), `${entry.key}.json`), JSON.stringify(entry));
+    } catch (error) {
+        console.error(`Failed to cache ${transformId} result for ${entry.input}:`, error);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * List Cache Entries
+ *
+ * listCacheEntries(filter?: CacheFilter): CacheEntrySummary[]
+ *
+ * Returns matching entries, newest first, including expired ones that have
+ * not been removed yet.
+ */
+export function listCacheEntries(filter: CacheFilter = {}): CacheEntrySummary[] {
+    return findEntries(filter)
+        .map(({ entry, size }) => ({
+            key: entry.key,
+            transformId: entry.transformId,
+            input: entry.input,
+            params: entry.params ?? {},
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            expired: isExpired(entry),
+            size
+        }))
+        .sort((a, b) => b.storedAt.localeCompare(a.storedAt));
+}
+
+/**
+ * Purge Cache
+ *
+ * purgeCache(filter?: CacheFilter): number
+ *
+ * Deletes matching entries; without a filter the whole cache is cleared.
+ *
+ * Returns:
+ * - number - Number of entries removed
+ */
+export function purgeCache(filter: CacheFilter = {}): number {
+    let removed = 0;
+    for (const { entry } of findEntries(filter)) {
+        if (removeEntry(entry.key)) {
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Get Cache Key
+ *
+ * getCacheKey(transformId: string, input: string, params: Record<string, unknown>): string
+ *
+ * Params are serialized with sorted keys at every depth, so their order does
+ * not matter. The transform's cacheSettings that are set are added the same
+ * way. Runs without params or settings hash the transform id and input only.
+ */
+function getCacheKey(transformId: string, input: string, params: Record<string, unknown>): string {
+    const settings: Record<string, string> = {};
+    for (const name of getTransform(transformId)?.cacheSettings ?? []) {
+        if (process.env[name]) {
+            settings[name] = process.env[name]!;
+        }
+    }
+
+    const serializedParams = Object.keys(params).length > 0 ? `\n${serializeSorted(params)}` : "";
+    const serializedSettings = Object.keys(settings).length > 0 ? `\n${serializeSorted(settings)}` : "";
+
+    return crypto
+        .createHash("sha256")
+        .update(`${transformId}\n${normalizeCacheInput(input)}${serializedParams}${serializedSettings}`)
+        .digest("hex")
+        .slice(0, 32);
+}
+
+/**
+ * Serialize Sorted
+ *
+ * serializeSorted(value: unknown): string
+ *
+ * JSON with the keys of every object sorted; undefined properties are left
+ * out as JSON.stringify does.
+ */
+function serializeSorted(value: unknown): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => serializeSorted(item)).join(",")}]`;
+    }
+    if (value !== null && typeof value === "object") {
+        const object = value as Record<string, unknown>;
+        const members = Object.keys(object).sort()
+            .filter(key => object[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${serializeSorted(object[key])}`);
+        return `{${members.join(",")}}`;
+    }
+    return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Get Cache Dir
+ *
+ * getCacheDir(): string
+ *
+ * Read on every use, so the setting can change while the server runs.
+ */
+function getCacheDir(): string {
+    return process.env.RESULT_CACHE_DIR || defaultCacheDir;
+}
+
+/**
+ * Find Entries
+ *
+ * findEntries(filter: CacheFilter): Array<{entry: CacheEntry, size: number}>
+ *
+ * Reads every entry on disk that matches the filter. Unreadable files are skipped.
+ */
+function findEntries(filter: CacheFilter): Array<{entry: CacheEntry, size: number}> {
+    const cacheDir = getCacheDir();
+    if (!fs.existsSync(cacheDir)) {
+        return [];
+    }
+
+    const found: Array<{entry: CacheEntry, size: number}> = [];
+    for (const file of fs.readdirSync(cacheDir)) {
+        const key = path.basename(file, ".json");
+        if (!file.endsWith(".json") || !cacheKeyPattern.test(key)) {
+            continue;
+        }
+
+        const entry = readEntry(key);
+        if (!entry) {
+            continue;
+        }
+        if (filter.transformId && entry.transformId !== filter.transformId) {
+            continue;
+        }
+        if (filter.input !== undefined && entry.input !== normalizeCacheInput(filter.input)) {
+            continue;
+        }
+        if (filter.expiredOnly && !isExpired(entry)) {
+            continue;
+        }
+
+        found.push({ entry, size: fs.statSync(path.join(cacheDir, file)).size });
+    }
+    return found;
+}
+
+/**
+ * Read Entry
+ *
+ * readEntry(key: string): CacheEntry | null
+ */
+function readEntry(key: string): CacheEntry | null {
+    const filePath = path.join(getCacheDir(), `${key}.json`);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        const entry: CacheEntry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        return entry.key === key ? entry : null;
+    } catch (error) {
+        console.error(`Failed to read cache entry ${key}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Remove Entry
+ *
+ * removeEntry(key: string): boolean
+ */
+function removeEntry(key: string): boolean {
+    try {
+        fs.unlinkSync(path.join(getCacheDir(), `${key}.json`));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Is Expired
+ *
+ * isExpired(entry: CacheEntry): boolean
+ */
+function isExpired(entry: CacheEntry): boolean {
+    return Date.parse(entry.expiresAt) <= Date.now();
+}
@@ -0,0 +1,242 @@
+/**
+ * Service Fingerprinting Service
+ *
+ * This service identifies what actually runs on an open TCP port instead of
+ * guessing from the port number, so SSH on 8080 is reported as SSH.
+ *
+ * Probes, in order:
+ * 1. Connects and waits briefly for a greeting (SSH version string, SMTP/FTP
+ *    "220" greeting, POP3 "+OK", IMAP "* OK")
+ * 2. If the service stays silent, sends an HTTP request and reads the
+ *    status line and Server header
+ * 3. If that gets no HTTP answer, attempts a TLS handshake and repeats the
+ *    HTTP request over TLS
+ *
+ * Certificates are not verified; the handshake only tells whether the port
+ * speaks TLS.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import net from "net";
+import tls from "tls";
+
+// Longest greeting or response kept from a service
+const maxResponseLength = 8192;
+
+// Longest banner stored on a result
+const maxBannerLength = 200;
+
+/**
+ * Service Fingerprint
+ *
+ * - service: Detected protocol (ssh, ftp, smtp, pop3, imap, http, https), if any
+ * - product, version: Software announced by the service, e.g. "OpenSSH" "8.9p1"
+ * - banner: First line the service sent
+ * - tls: The port completed a TLS handshake
+ * - tlsVersion: Negotiated protocol, e.g. "TLSv1.3"
+ */
+export interface ServiceFingerprint {
+    service?: string;
+    product?: string;
+    version?: string;
+    banner?: string;
+    tls?: boolean;
+    tlsVersion?: string;
+}
+
+/**
+ * Fingerprint Service
+ *
+ * fingerprintService(host: string, port: number, options?: {timeout?: number, signal?: AbortSignal}): Promise<ServiceFingerprint>
+ *
+ * Probes an open TCP port for a banner.
+ *
+ * Input:
+ * - host: string - Target IP address or hostname
+ * - port: number - Open TCP port
+ * - options.timeout: Milliseconds allowed for each probe (default 3000)
+ * - options.signal: Ends the running probe early when aborted
+ *
+ * Returns:
+ * - Promise<ServiceFingerprint> - Whatever could be detected; {} when the
+ *   service answered none of the probes
+ *
+ * Error Handling:
+ * - Never rejects; connection errors and timeouts end the probe
+ */
+export async function fingerprintService(host: string, port: number, options: {timeout?: number, signal?: AbortSignal} = {}): Promise<ServiceFingerprint> {
+    const timeout = options.timeout ?? 3000;
+    const httpRequest = `HEAD / HTTP/1.0\r\nHost: ${host}\r\nUser-Agent: insightsnexus\r\n\r\n`;
+
+    // Services that speak first answer right away
+    const greeting = await exchange(host, port, { timeout: Math.min(timeout, 2000), signal: options.signal });
+    if (greeting.data && !isTlsRecord(greeting.data)) {
+        return parseGreeting(greeting.data, port);
+    }
+    if (options.signal?.aborted) {
+        return {};
+    }
+
+    const plain = await exchange(host, port, { timeout, payload: httpRequest, signal: options.signal });
+    if (plain.data.startsWith("HTTP/")) {
+        return { service: "http", ...parseHttpResponse(plain.data) };
+    }
+    if (options.signal?.aborted) {
+        return {};
+    }
+
+    const secure = await exchange(host, port, { timeout, payload: httpRequest, secure: true, signal: options.signal });
+    if (!secure.secured) {
+        return plain.data ? { banner: firstLine(plain.data) } : {};
+    }
+
+    const fingerprint: ServiceFingerprint = { tls: true, tlsVersion: secure.tlsVersion };
+    if (secure.data.startsWith("HTTP/")) {
+        return { ...fingerprint, service: "https", ...parseHttpResponse(secure.data) };
+    }
+    if (secure.data) {
+        return { ...fingerprint, ...parseGreeting(secure.data, port) };
+    }
+    return fingerprint;
+}
+
+/**
+ * Parse Greeting
+ *
+ * parseGreeting(text: string, port: number): ServiceFingerprint
+ *
+ * Identifies a service from the first line it sent, e.g.
+ * "SSH-2.0-OpenSSH_8.9p1 Ubuntu-3" or "220 (vsFTPd 3.0.5)".
+ * Unrecognized greetings are returned as the banner only.
+ */
+export function parseGreeting(text: string, port: number): ServiceFingerprint {
+    const banner = firstLine(text);
+
+    const ssh = banner.match(/^SSH-[\d.]+-(\S+)/);
+    if (ssh) {
+        const [product, ...version] = ssh[1].split("_");
+        return { service: "ssh", product, version: version.join("_") || undefined, banner };
+    }
+
+    let service: string | undefined;
+    if (/^220[ -]/.test(banner)) {
+        service = /ftp/i.test(banner) || port === 21 || port === 990 ? "ftp" : "smtp";
+    } else if (/^\+OK/.test(banner)) {
+        service = "pop3";
+    } else if (/^\* OK/.test(banner)) {
+        service = "imap";
+    }
+
+    return { service, ...extractProduct(banner), banner };
+}
+
+/**
+ * Parse HTTP Response
+ *
+ * parseHttpResponse(text: string): ServiceFingerprint
+ *
+ * Reads product and version from the Server header, e.g. "nginx/1.18.0 (Ubuntu)".
+ * The status line becomes the banner.
+ */
+function parseHttpResponse(text: string): ServiceFingerprint {
+    const fingerprint: ServiceFingerprint = { banner: firstLine(text) };
+
+    const server = text.match(/^server:[ \t]*(.+?)\s*$/im);
+    if (server) {
+        const match = server[1].match(/^([^\s/]+)(?:\/(\S+))?/);
+        if (match) {
+            fingerprint.product = match[1];
+            fingerprint.version = match[2];
+        }
+    }
+    return fingerprint;
+}
+
+/**
+ * Extract Product
+ *
+ * extractProduct(banner: string): {product?: string, version?: string}
+ *
+ * Finds a "Name 1.2.3" or "Name/1.2.3" pair in a free-form greeting.
+ */
+function extractProduct(banner: string): {product?: string, version?: string} {
+    const match = banner.match(/\b([A-Za-z][\w-]*)[ /_]v?(\d+(?:\.\d+)+[\w.-]*)/);
+    return match ? { product: match[1], version: match[2] } : {};
+}
+
+/**
+ * Exchange
+ *
+ * exchange(host: string, port: number, options: {timeout: number, payload?: string, secure?: boolean, signal?: AbortSignal}): Promise<{data: string, secured: boolean, tlsVersion?: string}>
+ *
+ * Opens a plain or TLS connection, optionally sends a payload, and collects
+ * the response until a greeting line (no payload) or the end of the HTTP
+ * headers (with payload) has arrived, the peer closes, or the timeout passes.
+ * Data is read as latin1 so binary answers such as TLS records survive.
+ */
+function exchange(
+    host: string,
+    port: number,
+    options: {timeout: number, payload?: string, secure?: boolean, signal?: AbortSignal}
+): Promise<{data: string, secured: boolean, tlsVersion?: string}> {
+    return new Promise(resolve => {
+        let data = "";
+        let secured = false;
+        let tlsVersion: string | undefined;
+        let settled = false;
+
+        const socket: net.Socket = options.secure
+            ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false }, () => {
+                secured = true;
+                tlsVersion = (socket as tls.TLSSocket).getProtocol() || undefined;
+                if (options.payload) socket.write(options.payload);
+            })
+            : net.connect({ host, port }, () => {
+                if (options.payload) socket.write(options.payload);
+            });
+
+        const finish = () => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            options.signal?.removeEventListener("abort", finish);
+            socket.destroy();
+            resolve({ data, secured, tlsVersion });
+        };
+
+        socket.setEncoding("latin1");
+        socket.on("data", (chunk: string) => {
+            data = (data + chunk).slice(0, maxResponseLength);
+            const complete = options.payload ? data.includes("\r\n\r\n") : data.includes("\n");
+            if (complete || data.length >= maxResponseLength) finish();
+        });
+        socket.on("error", finish);
+        socket.on("close", finish);
+
+        const timer = setTimeout(finish, options.timeout);
+        options.signal?.addEventListener("abort", finish, { once: true });
+    });
+}
+
+/**
+ * Is TLS Record
+ *
+ * isTlsRecord(data: string): boolean
+ *
+ * True when the data starts like a TLS handshake or alert record.
+ */
+function isTlsRecord(data: string): boolean {
+    return (data.charCodeAt(0) === 0x15 || data.charCodeAt(0) === 0x16) && data.charCodeAt(1) === 0x03;
+}
+
+/**
+ * First Line
+ *
+ * firstLine(text: string): string
+ *
+ * Returns the first line with control characters removed, cut to the banner length.
+ */
+function firstLine(text: string): string {
+    return text.split(/\r?\n/)[0].replace(/[\x00-\x1f\x7f-\xff]/g, "").trim().slice(0, maxBannerLength);
+}
@@ -137,3 +137,23 @@ export function validateTool(toolName: string, toolPath: string): boolean {
     }
     return isAvailable;
 }
+
+// Tool paths detected on first use and shared by the routes and the job queue
+let cachedToolPaths: ToolPaths | null = null;
+
+/**
+ * Get Tool Paths
+ * 
+ * getToolPaths(): ToolPaths
+ * 
+ * Returns the detected tool paths, running detectTools() only the first time.
+ * 
+ * Returns:
+ * - ToolPaths object shared by every caller
+ */
+export function getToolPaths(): ToolPaths {
+    if (!cachedToolPaths) {
+        cachedToolPaths = detectTools();
+    }
+    return cachedToolPaths;
+}
@@ -0,0 +1,227 @@
+/**
+ * Custom Transform Node Context
+ *
+ * This module validates the description of the source node and its one-hop
+ * neighborhood that the frontend sends with a custom transform run, and builds
+ * the JSON document the script receives on stdin.
+ *
+ * Stdin Document:
+ * ```json
+ * {
+ *   "label": "alice",
+ *   "params": { "depth": 2 },
+ *   "node": {
+ *     "id": "username:alice",
+ *     "label": "alice",
+ *     "type": "username",
+ *     "notes": "Seen on two forums",
+ *     "texts": [{ "name": "whois.txt", "content": "..." }],
+ *     "properties": { "platform": "GitHub" }
+ *   },
+ *   "neighbors": [
+ *     {
+ *       "id": "email:alice@example.com",
+ *       "label": "alice@example.com",
+ *       "type": "email",
+ *       "properties": {},
+ *       "direction": "outgoing",
+ *       "edgeLabel": "uses"
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * Neighbor Fields:
+ * - direction: "outgoing" when the edge points from the source node to the
+ *   neighbor, "incoming" otherwise
+ * - edgeLabel: Label of the connecting edge, or null
+ *
+ * Runs started without a context (e.g. from the API with only a label)
+ * receive a node with just the label and no neighbors.
+ */
+
+import { PropertyValue } from "./transformOutput.js";
+
+export interface ContextText {
+    name: string;
+    content: string;
+}
+
+export interface ContextNode {
+    id: string | null;
+    label: string;
+    type: string | null;
+    notes: string;
+    texts: ContextText[];
+    properties: Record<string, PropertyValue>;
+}
+
+export interface ContextNeighbor {
+    id: string | null;
+    label: string;
+    type: string | null;
+    properties: Record<string, PropertyValue>;
+    direction: "incoming" | "outgoing";
+    edgeLabel: string | null;
+}
+
+export interface TransformNodeContext {
+    node: ContextNode;
+    neighbors: ContextNeighbor[];
+}
+
+/**
+ * Node Context Error
+ *
+ * Thrown for malformed node contexts.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class NodeContextError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "ValidationError";
+    }
+}
+
+/**
+ * Normalize Node Context
+ *
+ * normalizeNodeContext(raw: unknown, label: string): TransformNodeContext
+ *
+ * Checks the context submitted with a run and fills in missing fields. The
+ * run's label always wins over the label inside the context, so argv[1] and
+ * the stdin document agree.
+ *
+ * Error Handling:
+ * - Throws NodeContextError describing the first invalid field
+ */
+export function normalizeNodeContext(raw: unknown, label: string): TransformNodeContext {
+    if(raw === undefined || raw === null){
+        return {
+            node: { id: null, label, type: null, notes: "", texts: [], properties: {} },
+            neighbors: []
+        };
+    }
+    if(!isPlainObject(raw)){
+        throw new NodeContextError("context must be an object");
+    }
+
+    const context = raw as Record<string, any>;
+    const node = context.node ?? {};
+    if(!isPlainObject(node)){
+        throw new NodeContextError("context.node must be an object");
+    }
+
+    const texts = node.texts ?? [];
+    if(!Array.isArray(texts) || texts.some((text: any) => !isPlainObject(text) || typeof text.name !== "string" || typeof text.content !== "string")){
+        throw new NodeContextError("context.node.texts must be an array of {name, content} objects");
+    }
+
+    const neighbors = context.neighbors ?? [];
+    if(!Array.isArray(neighbors)){
+        throw new NodeContextError("context.neighbors must be an array");
+    }
+
+    return {
+        node: {
+            id: optionalString(node.id, "context.node.id"),
+            label,
+            type: optionalString(node.type, "context.node.type"),
+            notes: optionalString(node.notes, "context.node.notes") ?? "",
+            texts: texts.map((text: ContextText) => ({ name: text.name, content: text.content })),
+            properties: normalizeProperties(node.properties, "context.node.properties")
+        },
+        neighbors: neighbors.map(normalizeNeighbor)
+    };
+}
+
+/**
+ * Build Stdin Document
+ *
+ * buildStdinDocument(label: string, params: Record<string, unknown>, context: TransformNodeContext): string
+ *
+ * Serializes the document a custom transform reads from stdin.
+ */
+export function buildStdinDocument(label: string, params: Record<string, unknown>, context: TransformNodeContext): string {
+    return JSON.stringify({ label, params, node: context.node, neighbors: context.neighbors });
+}
+
+/**
+ * Normalize Neighbor
+ *
+ * normalizeNeighbor(raw: any, index: number): ContextNeighbor
+ *
+ * Checks one neighbor entry.
+ */
+function normalizeNeighbor(raw: any, index: number): ContextNeighbor {
+    const field = `context.neighbors[${index}]`;
+    if(!isPlainObject(raw)){
+        throw new NodeContextError(`${field} must be an object`);
+    }
+    if(typeof raw.label !== "string"){
+        throw new NodeContextError(`${field}.label must be a string`);
+    }
+    if(raw.direction !== undefined && raw.direction !== "incoming" && raw.direction !== "outgoing"){
+        throw new NodeContextError(`${field}.direction must be "incoming" or "outgoing"`);
+    }
+
+    return {
+        id: optionalString(raw.id, `${field}.id`),
+        label: raw.label,
+        type: optionalString(raw.type, `${field}.type`),
+        properties: normalizeProperties(raw.properties, `${field}.properties`),
+        direction: raw.direction ?? "outgoing",
+        edgeLabel: optionalString(raw.edgeLabel, `${field}.edgeLabel`)
+    };
+}
+
+/**
+ * Normalize Properties
+ *
+ * normalizeProperties(raw: unknown, field: string): Record<string, PropertyValue>
+ *
+ * Accepts a flat object of string, number and boolean values.
+ */
+function normalizeProperties(raw: unknown, field: string): Record<string, PropertyValue> {
+    if(raw === undefined || raw === null){
+        return {};
+    }
+    if(!isPlainObject(raw)){
+        throw new NodeContextError(`${field} must be an object`);
+    }
+
+    const properties: Record<string, PropertyValue> = {};
+    for(const [key, value] of Object.entries(raw as Record<string, unknown>)){
+        if(typeof value !== "string" && typeof value !== "number" && typeof value !== "boolean"){
+            throw new NodeContextError(`${field}.${key} must be a string, number or boolean`);
+        }
+        properties[key] = value;
+    }
+    return properties;
+}
+
+/**
+ * Optional String
+ *
+ * optionalString(value: unknown, field: string): string | null
+ *
+ * Returns the string, or null when the value is missing.
+ */
+function optionalString(value: unknown, field: string): string | null {
+    if(value === undefined || value === null){
+        return null;
+    }
+    if(typeof value !== "string"){
+        throw new NodeContextError(`${field} must be a string`);
+    }
+    return value;
+}
+
+/**
+ * Is Plain Object
+ *
+ * isPlainObject(value: unknown): boolean
+ */
+function isPlainObject(value: unknown): boolean {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,457 @@
+/**
+ * Transform Execution Service
+ *
+ * This service runs a transform by id on the server. The API routes and the job
+ * queue both go through it, so a transform behaves the same whether it is
+ * requested directly or submitted as a background job.
+ *
+ * Transform Ids:
+ * - Built-in transforms use their registry id (e.g. "whois", "port-scan")
+ * - Uploaded transforms use "custom:<id>" with the id from the custom transform library
+ *
+ * Each run resolves with the body the matching API endpoint returns, e.g.
+ * { services, profiles } for Sherlock or { ports } for a port scan.
+ *
+ * Built-in transforms with a cacheTtl are answered from the result cache
+ * (see resultCache.ts) while a stored result is fresh. Such bodies carry
+ * cached: { storedAt, ageSeconds }; pass refresh to run the transform anyway.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import net from "net";
+import { getToolPaths } from "./toolDetection.js";
+import {
+    executeSherlock,
+    parseSherlockOptions,
+    executeFfufSubdomain,
+    executeFeroxbuster,
+    executePortScan,
+    executeNetworkScan,
+    parsePortScanOptions,
+    parseScanTarget,
+    executeWhois,
+    executeIpAnalysis
+} from "./externalTools.js";
+import {
+    validateUrl,
+    validateIpAddress,
+    validateDomain,
+    validateUsername,
+    resolveDomain,
+    getDnsRecords,
+    parseDnsRecordTypes,
+    parseReverseDnsOptions,
+    parseDnsResolvers,
+    createDnsResolver,
+    reverseLookup,
+    reverseLookupHosts,
+    parseScreenshotOptions
+} from "./dataProcessing.js";
+import { executeZoneTransfer, parseZoneTransferOptions } from "./zoneTransfer.js";
+import { getGeolocation } from "./geolocation.js";
+import { captureWebPage } from "./pageCapture.js";
+import { getCustomTransform, executeCustomTransform } from "./customTransform.js";
+import { validateParams } from "./transformManifest.js";
+import { TransformProgressListener } from "./transformStream.js";
+import { getCachedResult, storeResult } from "./resultCache.js";
+
+// Prefix that marks an uploaded transform id
+const customTransformPrefix = "custom:";
+
+/**
+ * Transform Run Options
+ *
+ * - params: Transform parameters (custom transforms, SherlockOptions, PortScanOptions,
+ *   ReverseDnsOptions, ZoneTransferOptions, and the record types and resolvers of
+ *   the DNS and domain to IP transforms)
+ * - context: Source node and neighbors (custom transforms only, see transformContext.ts)
+ * - listener: Receives streamed results and progress
+ * - signal: Stops the tool or script behind the run when aborted
+ * - refresh: Ignore a cached result and run the transform (the new result is cached)
+ */
+export interface TransformRunOptions {
+    params?: Record<string, unknown>;
+    context?: unknown;
+    listener?: TransformProgressListener<unknown>;
+    signal?: AbortSignal;
+    refresh?: boolean;
+}
+
+type TransformRunner = (input: string, options: TransformRunOptions, listener: TransformProgressListener<unknown>) => Promise<object>;
+
+/**
+ * Transform Input Error
+ *
+ * Thrown when the input is not valid for the transform or a required tool is missing.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class TransformInputError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "ValidationError";
+    }
+}
+
+/**
+ * Unknown Transform Error
+ *
+ * Thrown for transform ids that cannot be run on the server.
+ * Named "NotFoundError" so the error handler middleware maps it to 404.
+ */
+export class UnknownTransformError extends Error {
+    constructor(transformId: string) {
+        super(`Transform "${transformId}" cannot be run on the server`);
+        this.name = "NotFoundError";
+    }
+}
+
+/**
+ * Built-in Transform Runners
+ *
+ * Keyed by registry id. Transforms that only run in the browser
+ * (e.g. website-to-domain) have no runner.
+ */
+const runners: Record<string, TransformRunner> = {
+    "domain-to-ip": async (input, options) => {
+        const resolver = createDnsResolver(parseDnsResolvers(options.params?.resolvers));
+        return { ips: await resolveDomain(input, resolver), resolvers: resolver.getServers() };
+    },
+
+    "domain-to-dns": async (input, options) => {
+        const resolver = createDnsResolver(parseDnsResolvers(options.params?.resolvers));
+        const records = await getDnsRecords(input, parseDnsRecordTypes(options.params?.types), resolver);
+        return { ...records, resolvers: resolver.getServers() };
+    },
+
+    "domain-to-endpoint": async (input, options, listener) => {
+        const toolPath = requireTool("Feroxbuster", getToolPaths().feroxbuster);
+        const endpoints = await executeFeroxbuster(toolPath, input, mapResults(listener, (endpoint: string) => ({ endpoint })), options.signal);
+        return { endpoints };
+    },
+
+    "domain-to-subdomain": async (input, options, listener) => {
+        const toolPath = requireTool("ffuf", getToolPaths().ffuf);
+        const subdomains = await executeFfufSubdomain(toolPath, input, mapResults(listener, (subdomain: string) => ({ subdomain })), options.signal);
+        return { subdomains };
+    },
+
+    "zone-transfer": async (input, options, listener) => {
+        const zoneOptions = parseZoneTransferOptions(options.params);
+        const resolver = createDnsResolver(zoneOptions.resolvers);
+        const result = await executeZoneTransfer(input, zoneOptions, listener, options.signal, resolver);
+        return { ...result, resolvers: resolver.getServers() };
+    },
+
+    "whois": async (input, options) => {
+        if (!validateDomain(input)) {
+            throw new TransformInputError("Invalid domain format");
+        }
+        return executeWhois(input, options.signal);
+    },
+
+    "ip-to-netblock": async (input, options) => {
+        requireIpAddress(input);
+        return executeIpAnalysis(input, options.signal);
+    },
+
+    "ip-to-reverse-dns": async (input, options, listener) => {
+        const reverseOptions = parseReverseDnsOptions(options.params);
+        const resolver = createDnsResolver(reverseOptions.resolvers);
+        const hosts = parseScanTarget(input, reverseOptions.maxHosts);
+        if (hosts) {
+            return { hosts: await reverseLookupHosts(hosts, listener, options.signal, resolver), resolvers: resolver.getServers() };
+        }
+        if (net.isIP(input) === 0) {
+            throw new TransformInputError("Invalid IP address format");
+        }
+        return { hostnames: await reverseLookup(input, resolver), resolvers: resolver.getServers() };
+    },
+
+    "ip-to-location": async input => {
+        requireIpAddress(input);
+        const data = await getGeolocation(input);
+        return {
+            provider: data.provider,
+            countryName: data.countryName || "Unknown",
+            countryCode: data.countryCode || "Unknown",
+            cityName: data.cityName || "Unknown",
+            regionName: data.regionName || "Unknown",
+            latitude: data.latitude || "Unknown",
+            longitude: data.longitude || "Unknown",
+            zipCode: data.zipCode || "Unknown",
+            asn: data.asn || "Unknown",
+            asnOrganization: data.asnOrganization || "Unknown",
+            isProxy: data.isProxy || false
+        };
+    },
+
+    "port-scan": async (input, options, listener) => {
+        const scanOptions = parsePortScanOptions(options.params);
+        const hosts = parseScanTarget(input, scanOptions.maxHosts);
+        if (hosts) {
+            return { hosts: await executeNetworkScan(hosts, scanOptions, listener, options.signal) };
+        }
+        const ports = await executePortScan(input, scanOptions, listener, options.signal);
+        return { ports };
+    },
+
+    "sherlock": async (input, options, listener) => {
+        requireUsername(input);
+        const toolPath = requireTool("Sherlock", getToolPaths().sherlock);
+        const profiles = await executeSherlock(toolPath, input, parseSherlockOptions(options.params), listener, options.signal);
+        return { services: profiles.map(profile => profile.service), profiles };
+    },
+
+    "website-screenshot": async (input, options) => {
+        if (!validateUrl(input)) {
+            throw new TransformInputError("Invalid URL format - Must include domain and TLD");
+        }
+        return captureWebPage(input, parseScreenshotOptions(options.params), options.signal);
+    }
+};
+
+/**
+ * Built-in Transform Checks
+ *
+ * Keyed by registry id. Each checks a run's input and params the way the
+ * transform's endpoint does, without running it, and returns the params in
+ * the form the endpoint passes on (e.g. "a,aaaa" becomes ["A", "AAAA"]), so
+ * equivalent requests share a result cache entry. Transforms missing here
+ * accept any input and no params.
+ */
+const checks: Record<string, (input: string, params: Record<string, unknown>) => Record<string, unknown>> = {
+    "domain-to-ip": (input, params) => {
+        const resolvers = parseDnsResolvers(params.resolvers);
+        return resolvers ? { resolvers } : {};
+    },
+
+    "domain-to-dns": (input, params) => {
+        const types = parseDnsRecordTypes(params.types);
+        const resolvers = parseDnsResolvers(params.resolvers);
+        return { ...(types ? { types } : {}), ...(resolvers ? { resolvers } : {}) };
+    },
+
+    "zone-transfer": (input, params) => ({ ...parseZoneTransferOptions(params) }),
+
+    "whois": input => {
+        if (!validateDomain(input)) {
+            throw new TransformInputError("Invalid domain format");
+        }
+        return {};
+    },
+
+    "ip-to-netblock": input => {
+        requireIpAddress(input);
+        return {};
+    },
+
+    "ip-to-reverse-dns": (input, params) => {
+        const reverseOptions = parseReverseDnsOptions(params);
+        if (!parseScanTarget(input, reverseOptions.maxHosts) && net.isIP(input) === 0) {
+            throw new TransformInputError("Invalid IP address format");
+        }
+        return { ...reverseOptions };
+    },
+
+    "ip-to-location": input => {
+        requireIpAddress(input);
+        return {};
+    },
+
+    "port-scan": (input, params) => {
+        const scanOptions = parsePortScanOptions(params);
+        parseScanTarget(input, scanOptions.maxHosts);
+        return { ...scanOptions };
+    },
+
+    "sherlock": (input, params) => {
+        requireUsername(input);
+        return { ...parseSherlockOptions(params) };
+    },
+
+    "website-screenshot": (input, params) => {
+        if (!validateUrl(input)) {
+            throw new TransformInputError("Invalid URL format - Must include domain and TLD");
+        }
+        return { ...parseScreenshotOptions(params) };
+    }
+};
+
+/**
+ * Can Execute Transform
+ *
+ * canExecuteTransform(transformId: string): boolean
+ *
+ * Returns true when the id names a built-in transform with a server-side runner
+ * or an uploaded transform that exists in the library.
+ */
+export function canExecuteTransform(transformId: string): boolean {
+    if (transformId.startsWith(customTransformPrefix)) {
+        try {
+            getCustomTransform(transformId.slice(customTransformPrefix.length));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    return Object.prototype.hasOwnProperty.call(runners, transformId);
+}
+
+/**
+ * Validate Transform Run
+ *
+ * validateTransformRun(transformId: string, input: string, params?: Record<string, unknown>): void
+ *
+ * Checks a run before it is queued, so a run that would fail on its input or
+ * params is rejected up front instead of failing later in the queue.
+ *
+ * Error Handling:
+ * - Throws UnknownTransformError for ids without a runner
+ * - Throws a ValidationError (TransformInputError, ToolOptionsError or
+ *   ManifestError) describing the first problem with the input or params
+ */
+export function validateTransformRun(transformId: string, input: string, params: Record<string, unknown> = {}): void {
+    if (transformId.startsWith(customTransformPrefix)) {
+        validateParams(getCustomTransform(transformId.slice(customTransformPrefix.length)).manifest, params);
+        return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(runners, transformId)) {
+        throw new UnknownTransformError(transformId);
+    }
+    checks[transformId]?.(input, params);
+}
+
+/**
+ * Normalize Transform Params
+ *
+ * normalizeTransformParams(transformId: string, input: string, params: Record<string, unknown>): Record<string, unknown>
+ *
+ * Returns a built-in transform's params as its endpoint would pass them (see
+ * checks above). Throws the same errors as validateTransformRun.
+ */
+function normalizeTransformParams(transformId: string, input: string, params: Record<string, unknown>): Record<string, unknown> {
+    return checks[transformId] ? checks[transformId](input, params) : {};
+}
+
+/**
+ * Execute Transform
+ *
+ * executeTransform(transformId: string, input: string, options?: TransformRunOptions): Promise<object>
+ *
+ * Runs a transform against a single input, or answers from the result cache.
+ * A cached answer replays the stored results through the listener.
+ *
+ * Input:
+ * - transformId: string - Registry id or "custom:<id>"
+ * - input: string - Node label the transform runs on
+ * - options: TransformRunOptions - Parameters, node context, progress listener,
+ *   abort signal and cache bypass
+ *
+ * Returns:
+ * - Promise<object> - The body the transform's API endpoint returns
+ *
+ * Params are normalized before the cache is asked, so "a,aaaa" and
+ * ["A", "AAAA"] find the same entry.
+ *
+ * Error Handling:
+ * - Throws UnknownTransformError for ids without a runner
+ * - Throws TransformInputError for invalid input or a missing tool, and
+ *   ToolOptionsError for invalid params
+ * - Rethrows errors from the underlying tool or custom transform, including
+ *   TransformCancelledError when a tool was stopped through the signal
+ */
+export async function executeTransform(transformId: string, input: string, options: TransformRunOptions = {}): Promise<object> {
+    const listener = options.listener ?? {};
+
+    if (transformId.startsWith(customTransformPrefix)) {
+        const id = transformId.slice(customTransformPrefix.length);
+        const result = await executeCustomTransform(id, input, options.params, { context: options.context, signal: options.signal });
+        return {
+            nodes: result.nodes,
+            files: result.files,
+            entities: result.entities,
+            edges: result.edges
+        };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(runners, transformId)) {
+        throw new UnknownTransformError(transformId);
+    }
+
+    const params = normalizeTransformParams(transformId, input, options.params ?? {});
+    const cached = options.refresh ? null : getCachedResult(transformId, input, params);
+    if (cached) {
+        cached.events.forEach(event => listener.onResult?.(event));
+        return {
+            ...cached.result,
+            cached: {
+                storedAt: cached.storedAt,
+                ageSeconds: Math.max(0, Math.round((Date.now() - Date.parse(cached.storedAt)) / 1000))
+            }
+        };
+    }
+
+    const events: unknown[] = [];
+    const result = await runners[transformId](input, { ...options, params }, {
+        onResult: event => {
+            events.push(event);
+            listener.onResult?.(event);
+        },
+        onProgress: listener.onProgress
+    });
+    storeResult(transformId, input, result, events, params);
+    return result;
+}
+
+/**
+ * Map Results
+ *
+ * mapResults<T>(listener: TransformProgressListener<unknown>, toEvent: (result: T) => unknown): TransformProgressListener<T>
+ *
+ * Wraps a listener so each raw tool result is reported in the shape the
+ * endpoint streams, e.g. "github" becomes { service: "github" }.
+ */
+function mapResults<T>(listener: TransformProgressListener<unknown>, toEvent: (result: T) => unknown): TransformProgressListener<T> {
+    return {
+        onResult: listener.onResult ? result => listener.onResult!(toEvent(result)) : undefined,
+        onProgress: listener.onProgress
+    };
+}
+
+/**
+ * Require Tool
+ *
+ * requireTool(toolName: string, toolPath: string): string
+ *
+ * Returns the tool path, or throws TransformInputError when the tool was not detected.
+ */
+function requireTool(toolName: string, toolPath: string): string {
+    if (!toolPath) {
+        throw new TransformInputError(`${toolName} executable not found in system PATH.`);
+    }
+    return toolPath;
+}
+
+/**
+ * Require IP Address
+ *
+ * requireIpAddress(ip: string): void
+ */
+function requireIpAddress(ip: string): void {
+    if (!validateIpAddress(ip)) {
+        throw new TransformInputError("Invalid IP address format");
+    }
+}
+
+/**
+ * Require Username
+ *
+ * requireUsername(username: string): void
+ */
+function requireUsername(username: string): void {
+    if (!validateUsername(username)) {
+        throw new TransformInputError("Invalid username format - Use letters, digits, dots, underscores and hyphens, not starting with a hyphen");
+    }
+}
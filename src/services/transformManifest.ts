@@ -0,0 +1,374 @@
+/**
+ * Custom Transform Manifests
+ *
+ * This module parses the manifest that describes a custom transform and validates
+ * the parameters a user supplies for a run.
+ *
+ * A manifest can be shipped in two ways:
+ * - A header comment at the top of the script, between "# @manifest" and "# @end"
+ *   in Python or "// @manifest" and "// @end" in JavaScript
+ * - A sidecar JSON file uploaded together with the script
+ *
+ * Manifest Format:
+ * ```json
+ * {
+ *   "name": "Subdomain Crawler",
+ *   "description": "Crawls a domain for subdomains",
+ *   "inputTypes": ["domain"],
+ *   "params": [
+ *     { "name": "depth", "type": "integer", "default": 2, "min": 1, "max": 5 },
+ *     { "name": "apiKey", "type": "apiKey", "label": "VirusTotal key", "required": true },
+ *     { "name": "verbose", "type": "boolean", "default": false }
+ *   ]
+ * }
+ * ```
+ *
+ * Parameter Types:
+ * - string, number, integer, boolean: Plain values
+ * - select: One of the values listed in "options"
+ * - apiKey: Name of a key configured on the server as TRANSFORM_KEY_<NAME>;
+ *   the script receives the key itself, the browser only ever sees the name
+ */
+
+/**
+ * Transform Parameter Definition
+ */
+export interface TransformParamDefinition {
+    name: string;
+    label: string;
+    type: "string" | "number" | "integer" | "boolean" | "select" | "apiKey";
+    description?: string;
+    required: boolean;
+    default?: string | number | boolean;
+    options?: string[];
+    min?: number;
+    max?: number;
+}
+
+/**
+ * Transform Manifest
+ *
+ * - inputTypes: Node types the transform accepts, empty for any type
+ */
+export interface TransformManifest {
+    name?: string;
+    description?: string;
+    inputTypes: string[];
+    params: TransformParamDefinition[];
+}
+
+/**
+ * Manifest Error
+ *
+ * Thrown for malformed manifests and invalid run parameters.
+ * Named "ValidationError" so the error handler middleware maps it to 400.
+ */
+export class ManifestError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "ValidationError";
+    }
+}
+
+const paramTypes = ["string", "number", "integer", "boolean", "select", "apiKey"];
+const paramNamePattern = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Header comment block: "# @manifest" ... "# @end" (Python) or "// @manifest" ... "// @end" (JavaScript)
+const headerPattern = /^[ \t]*(#|\/\/)[ \t]*@manifest[ \t]*\r?\n((?:[ \t]*\1.*\r?\n)*?)[ \t]*\1[ \t]*@end\b/m;
+
+/**
+ * Extract Header Manifest
+ *
+ * extractHeaderManifest(source: string): unknown | null
+ *
+ * Finds the "# @manifest" or "// @manifest" comment block in a script and
+ * parses its JSON body.
+ *
+ * Returns:
+ * - The parsed JSON, or null when the script has no manifest block
+ *
+ * Error Handling:
+ * - Throws ManifestError when the block does not contain valid JSON
+ */
+export function extractHeaderManifest(source: string): unknown | null {
+    const match = source.match(headerPattern);
+    if(!match){
+        return null;
+    }
+
+    const marker = match[1];
+    const json = match[2]
+        .split(/\r?\n/)
+        .map(line => line.replace(/^[ \t]*/, "").slice(marker.length).replace(/^[ \t]/, ""))
+        .join("\n");
+
+    try{
+        return JSON.parse(json);
+    }catch(error){
+        throw new ManifestError(`Manifest header is not valid JSON: ${(error as Error).message}`);
+    }
+}
+
+/**
+ * Parse Manifest
+ *
+ * parseManifest(script: Buffer, sidecar?: Buffer): TransformManifest
+ *
+ * Builds the manifest of an uploaded transform. A sidecar JSON file takes
+ * precedence over a header comment in the script.
+ *
+ * Returns:
+ * - A normalized manifest; scripts without one accept any node type and no parameters
+ *
+ * Error Handling:
+ * - Throws ManifestError for invalid JSON or invalid fields
+ */
+export function parseManifest(script: Buffer, sidecar?: Buffer): TransformManifest {
+    let raw: unknown = null;
+
+    if(sidecar){
+        try{
+            raw = JSON.parse(sidecar.toString("utf8"));
+        }catch(error){
+            throw new ManifestError(`Manifest file is not valid JSON: ${(error as Error).message}`);
+        }
+    }else{
+        raw = extractHeaderManifest(script.toString("utf8"));
+    }
+
+    return normalizeManifest(raw ?? {});
+}
+
+/**
+ * Normalize Manifest
+ *
+ * normalizeManifest(raw: unknown): TransformManifest
+ *
+ * Checks every manifest field and fills in defaults.
+ *
+ * Error Handling:
+ * - Throws ManifestError describing the first invalid field
+ */
+export function normalizeManifest(raw: unknown): TransformManifest {
+    if(typeof raw !== "object" || raw === null || Array.isArray(raw)){
+        throw new ManifestError("Manifest must be a JSON object");
+    }
+    const manifest = raw as Record<string, any>;
+
+    const inputTypes = manifest.inputTypes ?? [];
+    if(!Array.isArray(inputTypes) || inputTypes.some(type => typeof type !== "string" || !type)){
+        throw new ManifestError("Manifest inputTypes must be an array of node types");
+    }
+
+    const params = manifest.params ?? [];
+    if(!Array.isArray(params)){
+        throw new ManifestError("Manifest params must be an array");
+    }
+
+    const normalized: TransformManifest = {
+        inputTypes: inputTypes.map((type: string) => type.toLowerCase()),
+        params: params.map(normalizeParam)
+    };
+
+    const names = normalized.params.map(param => param.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if(duplicate){
+        throw new ManifestError(`Manifest declares parameter "${duplicate}" more than once`);
+    }
+
+    if(manifest.name !== undefined){
+        if(typeof manifest.name !== "string"){
+            throw new ManifestError("Manifest name must be a string");
+        }
+        normalized.name = manifest.name.trim();
+    }
+    if(manifest.description !== undefined){
+        if(typeof manifest.description !== "string"){
+            throw new ManifestError("Manifest description must be a string");
+        }
+        normalized.description = manifest.description.trim();
+    }
+
+    return normalized;
+}
+
+/**
+ * Normalize Parameter
+ *
+ * normalizeParam(raw: any): TransformParamDefinition
+ *
+ * Checks a single parameter definition.
+ */
+function normalizeParam(raw: any): TransformParamDefinition {
+    if(typeof raw !== "object" || raw === null){
+        throw new ManifestError("Manifest params must be objects");
+    }
+    if(typeof raw.name !== "string" || !paramNamePattern.test(raw.name)){
+        throw new ManifestError(`Invalid parameter name "${raw.name}"`);
+    }
+    if(!paramTypes.includes(raw.type)){
+        throw new ManifestError(`Parameter "${raw.name}" has unknown type "${raw.type}"`);
+    }
+
+    const param: TransformParamDefinition = {
+        name: raw.name,
+        label: typeof raw.label === "string" && raw.label.trim() ? raw.label.trim() : raw.name,
+        type: raw.type,
+        required: raw.required === true
+    };
+
+    if(typeof raw.description === "string"){
+        param.description = raw.description;
+    }
+
+    if(param.type === "select"){
+        if(!Array.isArray(raw.options) || raw.options.length === 0 || raw.options.some((option: unknown) => typeof option !== "string")){
+            throw new ManifestError(`Parameter "${raw.name}" needs a list of string options`);
+        }
+        param.options = raw.options;
+    }
+
+    if(param.type === "number" || param.type === "integer"){
+        for(const bound of ["min", "max"] as const){
+            if(raw[bound] !== undefined){
+                if(typeof raw[bound] !== "number"){
+                    throw new ManifestError(`Parameter "${raw.name}" ${bound} must be a number`);
+                }
+                param[bound] = raw[bound];
+            }
+        }
+    }
+
+    if(raw.default !== undefined){
+        if(param.type === "apiKey"){
+            throw new ManifestError(`Parameter "${raw.name}" of type apiKey cannot have a default`);
+        }
+        param.default = coerceParam(param, raw.default);
+    }
+
+    return param;
+}
+
+/**
+ * Coerce Parameter
+ *
+ * coerceParam(param: TransformParamDefinition, value: unknown): string | number | boolean
+ *
+ * Converts a submitted value to the parameter's type. Form values arrive as
+ * strings, so "3" and "true" are accepted for numbers and booleans.
+ *
+ * Error Handling:
+ * - Throws ManifestError when the value does not fit the type or bounds
+ */
+function coerceParam(param: TransformParamDefinition, value: unknown): string | number | boolean {
+    switch(param.type){
+        case "boolean":
+            if(typeof value === "boolean") return value;
+            if(value === "true" || value === "false") return value === "true";
+            throw new ManifestError(`Parameter "${param.name}" must be true or false`);
+
+        case "number":
+        case "integer": {
+            const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+            if(typeof number !== "number" || !Number.isFinite(number)){
+                throw new ManifestError(`Parameter "${param.name}" must be a number`);
+            }
+            if(param.type === "integer" && !Number.isInteger(number)){
+                throw new ManifestError(`Parameter "${param.name}" must be a whole number`);
+            }
+            if(param.min !== undefined && number < param.min){
+                throw new ManifestError(`Parameter "${param.name}" must be at least ${param.min}`);
+            }
+            if(param.max !== undefined && number > param.max){
+                throw new ManifestError(`Parameter "${param.name}" must be at most ${param.max}`);
+            }
+            return number;
+        }
+
+        case "select":
+            if(typeof value !== "string" || !param.options!.includes(value)){
+                throw new ManifestError(`Parameter "${param.name}" must be one of: ${param.options!.join(", ")}`);
+            }
+            return value;
+
+        default:
+            if(typeof value !== "string"){
+                throw new ManifestError(`Parameter "${param.name}" must be a string`);
+            }
+            return value;
+    }
+}
+
+/**
+ * Resolve API Key
+ *
+ * resolveApiKey(param: TransformParamDefinition, reference: string): string
+ *
+ * Looks up the key referenced by an apiKey parameter in the server environment.
+ *
+ * Error Handling:
+ * - Throws ManifestError for malformed names and keys that are not configured
+ */
+function resolveApiKey(param: TransformParamDefinition, reference: string): string {
+    const keyName = reference.trim().toUpperCase();
+    if(!/^[A-Z0-9_]+$/.test(keyName)){
+        throw new ManifestError(`Parameter "${param.name}" must name an API key (letters, digits and underscores)`);
+    }
+
+    const key = process.env[`TRANSFORM_KEY_${keyName}`];
+    if(!key){
+        throw new ManifestError(`API key "${keyName}" is not configured on the server (set TRANSFORM_KEY_${keyName})`);
+    }
+    return key;
+}
+
+/**
+ * Validate Run Parameters
+ *
+ * validateParams(manifest: TransformManifest, values: unknown): Record<string, string | number | boolean>
+ *
+ * Checks the parameters submitted for a run against the manifest.
+ *
+ * Process:
+ * 1. Rejects parameters the manifest does not declare
+ * 2. Coerces each submitted value to its declared type
+ * 3. Applies defaults and enforces required parameters
+ * 4. Replaces apiKey references with the configured keys
+ *
+ * Returns:
+ * - The parameters to hand to the script, keyed by name
+ *
+ * Error Handling:
+ * - Throws ManifestError describing the first invalid parameter
+ */
+export function validateParams(manifest: TransformManifest, values: unknown): Record<string, string | number | boolean> {
+    const submitted = (values ?? {}) as Record<string, unknown>;
+    if(typeof submitted !== "object" || Array.isArray(submitted)){
+        throw new ManifestError("params must be an object");
+    }
+
+    const unknown = Object.keys(submitted).find(name => !manifest.params.some(param => param.name === name));
+    if(unknown){
+        throw new ManifestError(`Unknown parameter "${unknown}"`);
+    }
+
+    const result: Record<string, string | number | boolean> = {};
+    for(const param of manifest.params){
+        const value = submitted[param.name];
+        const isEmpty = value === undefined || value === null || value === "";
+
+        if(isEmpty){
+            if(param.default !== undefined){
+                result[param.name] = param.default;
+            }else if(param.required){
+                throw new ManifestError(`Parameter "${param.name}" is required`);
+            }
+            continue;
+        }
+
+        const coerced = coerceParam(param, value);
+        result[param.name] = param.type === "apiKey" ? resolveApiKey(param, coerced as string) : coerced;
+    }
+
+    return result;
+}
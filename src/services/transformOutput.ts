@@ -0,0 +1,293 @@
+/**
+ * Custom Transform Output
+ *
+ * This module validates the JSON a custom transform prints and converts it into
+ * a single normalized structure the frontend turns into graph elements.
+ *
+ * Supported Formats:
+ * - Array of labels: `["result1", "result2"]`
+ * - Labels with files: `{ "nodes": [...], "files": [...] }`
+ * - Structured subgraph (may be combined with nodes and files):
+ * ```json
+ * {
+ *   "entities": [
+ *     { "id": "a", "type": "ip", "label": "93.184.216.34", "properties": { "asn": 15133 } },
+ *     { "id": "b", "type": "organization", "label": "Edgecast",
+ *       "images": [{ "name": "logo.png", "content": "<base64>" }] }
+ *   ],
+ *   "edges": [
+ *     { "source": "input", "target": "a", "label": "resolves to" },
+ *     { "source": "a", "target": "b", "label": "announced by" }
+ *   ]
+ * }
+ * ```
+ *
+ * Entity Rules:
+ * - "id" is local to the output and only used to reference entities from edges;
+ *   it defaults to the entity's position in the list
+ * - "input" refers to the node the transform was run on
+ * - Entities that are not the target of any edge are linked to the input node
+ * - Images may be data URLs or raw base64 (with an optional "mimeType", default image/png)
+ */
+
+// Reserved entity id referring to the node the transform ran on
+export const INPUT_ENTITY_ID = "input";
+
+export type PropertyValue = string | number | boolean;
+
+export interface TransformFile {
+    name: string;
+    content: string;
+    type: string;
+}
+
+export interface TransformImage {
+    name: string;
+    content: string;
+}
+
+export interface TransformEntity {
+    id: string;
+    label: string;
+    type?: string;
+    properties: Record<string, PropertyValue>;
+    images: TransformImage[];
+}
+
+export interface TransformEdge {
+    source: string;
+    target: string;
+    label?: string;
+}
+
+export interface CustomTransformOutput {
+    nodes: string[];
+    files: TransformFile[];
+    entities: TransformEntity[];
+    edges: TransformEdge[];
+}
+
+/**
+ * Output Format Error
+ *
+ * Thrown when transform output does not match any supported format.
+ */
+export class OutputFormatError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "OutputFormatError";
+    }
+}
+
+const base64Pattern = /^[A-Za-z0-9+/\r\n]+={0,2}$/;
+
+/**
+ * Normalize Transform Output
+ *
+ * normalizeTransformOutput(result: unknown): CustomTransformOutput
+ *
+ * Converts parsed transform output in any supported format into the
+ * normalized structure.
+ *
+ * Error Handling:
+ * - Throws OutputFormatError describing the first invalid field
+ */
+export function normalizeTransformOutput(result: unknown): CustomTransformOutput {
+    // Handle array format (simple nodes only) - convert to object format
+    if(Array.isArray(result)){
+        return {
+            nodes: result.map(labelToString),
+            files: [],
+            entities: [],
+            edges: []
+        };
+    }
+
+    if(typeof result !== "object" || result === null){
+        throw new OutputFormatError("Custom transform output must be a JSON array or object");
+    }
+
+    const output = result as Record<string, any>;
+    const nodes = optionalArray(output.nodes, "nodes").map(labelToString);
+    const files = optionalArray(output.files, "files")
+        .filter(file => file && (file.type === "text" || file.type === "image"))
+        .map(normalizeFile);
+    const entities = optionalArray(output.entities, "entities").map(normalizeEntity);
+
+    const ids = new Set<string>();
+    for(const entity of entities){
+        if(entity.id === INPUT_ENTITY_ID){
+            throw new OutputFormatError(`Entity id "${INPUT_ENTITY_ID}" is reserved for the input node`);
+        }
+        if(ids.has(entity.id)){
+            throw new OutputFormatError(`Entity id "${entity.id}" is used more than once`);
+        }
+        ids.add(entity.id);
+    }
+
+    const edges = optionalArray(output.edges, "edges").map(edge => normalizeEdge(edge, ids));
+
+    return { nodes, files, entities, edges };
+}
+
+/**
+ * Optional Array
+ *
+ * optionalArray(value: unknown, field: string): any[]
+ *
+ * Returns the value if it is an array, an empty array if it is missing.
+ */
+function optionalArray(value: unknown, field: string): any[] {
+    if(value === undefined || value === null){
+        return [];
+    }
+    if(!Array.isArray(value)){
+        throw new OutputFormatError(`"${field}" must be an array`);
+    }
+    return value;
+}
+
+/**
+ * Label to String
+ *
+ * labelToString(value: unknown): string
+ *
+ * Accepts strings and numbers as node labels.
+ */
+function labelToString(value: unknown): string {
+    if(typeof value === "string" || typeof value === "number"){
+        return String(value);
+    }
+    throw new OutputFormatError("Node labels must be strings");
+}
+
+/**
+ * To Image Data URL
+ *
+ * toImageDataUrl(content: unknown, mimeType?: unknown): string
+ *
+ * Accepts image data URLs as-is and wraps raw base64 in a data URL.
+ */
+function toImageDataUrl(content: unknown, mimeType?: unknown): string {
+    if(typeof content !== "string" || !content){
+        throw new OutputFormatError("Image content must be a base64 string or data URL");
+    }
+    if(content.startsWith("data:image/")){
+        return content;
+    }
+    if(!base64Pattern.test(content)){
+        throw new OutputFormatError("Image content must be a base64 string or data URL");
+    }
+
+    const type = typeof mimeType === "string" && mimeType.startsWith("image/") ? mimeType : "image/png";
+    return `data:${type};base64,${content.replace(/\s/g, "")}`;
+}
+
+/**
+ * Normalize File
+ *
+ * normalizeFile(file: any): TransformFile
+ *
+ * Checks a text or image file object and converts raw base64 image content
+ * to a data URL. Files of other types are dropped before this, as they
+ * always have been.
+ */
+function normalizeFile(file: any): TransformFile {
+    if(typeof file.name !== "string" || typeof file.content !== "string"){
+        throw new OutputFormatError("Files must be objects with a name and content");
+    }
+
+    return {
+        name: file.name,
+        content: file.type === "image" ? toImageDataUrl(file.content, file.mimeType) : file.content,
+        type: file.type
+    };
+}
+
+/**
+ * Normalize Entity
+ *
+ * normalizeEntity(entity: any, index: number): TransformEntity
+ *
+ * Checks an entity and fills in its id, properties and images.
+ */
+function normalizeEntity(entity: any, index: number): TransformEntity {
+    if(typeof entity !== "object" || entity === null){
+        throw new OutputFormatError("Entities must be objects");
+    }
+    if((typeof entity.label !== "string" && typeof entity.label !== "number") || String(entity.label).trim() === ""){
+        throw new OutputFormatError(`Entity ${index} needs a label`);
+    }
+
+    const normalized: TransformEntity = {
+        id: entity.id !== undefined ? String(entity.id) : String(index),
+        label: String(entity.label),
+        properties: {},
+        images: []
+    };
+
+    if(entity.type !== undefined){
+        if(typeof entity.type !== "string" || !entity.type.trim()){
+            throw new OutputFormatError(`Entity "${normalized.label}" has an invalid type`);
+        }
+        normalized.type = entity.type.trim().toLowerCase();
+    }
+
+    if(entity.properties !== undefined){
+        if(typeof entity.properties !== "object" || entity.properties === null || Array.isArray(entity.properties)){
+            throw new OutputFormatError(`Properties of entity "${normalized.label}" must be an object`);
+        }
+        for(const [key, value] of Object.entries(entity.properties)){
+            if(value === null || value === undefined){
+                continue;
+            }
+            // Nested values are kept readable rather than rejected
+            normalized.properties[key] = typeof value === "object" ? JSON.stringify(value) : value as PropertyValue;
+        }
+    }
+
+    normalized.images = optionalArray(entity.images, "images").map((image: any, i: number) => {
+        if(typeof image !== "object" || image === null){
+            throw new OutputFormatError(`Images of entity "${normalized.label}" must be objects`);
+        }
+        return {
+            name: typeof image.name === "string" && image.name ? image.name : `image-${i + 1}.png`,
+            content: toImageDataUrl(image.content, image.mimeType)
+        };
+    });
+
+    return normalized;
+}
+
+/**
+ * Normalize Edge
+ *
+ * normalizeEdge(edge: any, ids: Set<string>): TransformEdge
+ *
+ * Checks that an edge connects known entities (or the input node).
+ */
+function normalizeEdge(edge: any, ids: Set<string>): TransformEdge {
+    if(typeof edge !== "object" || edge === null){
+        throw new OutputFormatError("Edges must be objects");
+    }
+
+    const source = edge.source !== undefined ? String(edge.source) : "";
+    const target = edge.target !== undefined ? String(edge.target) : "";
+    for(const end of [source, target]){
+        if(end !== INPUT_ENTITY_ID && !ids.has(end)){
+            throw new OutputFormatError(`Edge references unknown entity "${end}"`);
+        }
+    }
+    if(source === target){
+        throw new OutputFormatError(`Edge from "${source}" to itself is not allowed`);
+    }
+
+    const normalized: TransformEdge = { source, target };
+    if(edge.label !== undefined){
+        if(typeof edge.label !== "string"){
+            throw new OutputFormatError("Edge labels must be strings");
+        }
+        normalized.label = edge.label;
+    }
+    return normalized;
+}
@@ -0,0 +1,307 @@
+/**
+ * Transform Registry Service
+ *
+ * This service keeps the list of transforms the application offers. Each transform
+ * declares its metadata once here and the context menu, progress estimates,
+ * result cache lifetimes, discovery endpoint and API route are driven from that
+ * declaration.
+ *
+ * Adding a built-in transform takes its registration here and its runner in
+ * transformExecution.ts. The runner's answer is served at the registered endpoint
+ * (see routes/api.ts), and the browser adds it to the graph with its generic
+ * runner when the answer uses the custom transform output format (nodes,
+ * entities, edges, files). Transforms whose results need their own rendering
+ * also get a frontend runner in TRANSFORM_RUNNERS (main.js).
+ *
+ * Key Features:
+ * - Single place for the metadata of built-in transforms
+ * - Category grouping used to build the context menu submenus
+ * - Node type filtering so only applicable transforms are offered
+ * - Estimated durations used by the frontend progress display
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+/**
+ * Transform Category
+ *
+ * Groups transforms into the submenus shown in the context menu.
+ */
+export interface TransformCategory {
+    id: string;
+    name: string;
+}
+
+/**
+ * Transform Definition
+ *
+ * Describes a single transform:
+ * - id: string - Unique identifier, also used as the context menu action
+ * - name: string - Display name shown in the context menu
+ * - category: string - Category id the transform belongs to
+ * - inputTypes: string[] - Node types the transform accepts
+ * - inputField: string - Request body field the node label is sent as
+ * - endpoint?: string - API route that executes the transform (omitted for
+ *   transforms that run entirely in the browser)
+ * - estimatedDuration: number - Estimated run time in milliseconds
+ * - cacheTtl?: number - How long results are served from the result cache, in
+ *   milliseconds (omitted for transforms whose results are never cached)
+ * - cacheSettings?: string[] - Server settings the results depend on; cached
+ *   results are only served while these have the values they were stored with
+ */
+export interface TransformDefinition {
+    id: string;
+    name: string;
+    category: string;
+    inputTypes: string[];
+    inputField: string;
+    endpoint?: string;
+    estimatedDuration: number;
+    cacheTtl?: number;
+    cacheSettings?: string[];
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Transform Categories
+ *
+ * Categories in the order they appear in the context menu.
+ */
+export const TRANSFORM_CATEGORIES: TransformCategory[] = [
+    { id: "domain", name: "Domain Analysis" },
+    { id: "network", name: "Network Intelligence" },
+    { id: "osint", name: "OSINT Tools" },
+    { id: "web", name: "Web Analysis" }
+];
+
+// Registered transforms keyed by id, kept in registration order
+const transforms = new Map<string, TransformDefinition>();
+
+/**
+ * Register Transform
+ *
+ * registerTransform(definition: TransformDefinition): void
+ *
+ * Adds a transform to the registry.
+ *
+ * Input:
+ * - definition: TransformDefinition - Transform metadata
+ *
+ * Error Handling:
+ * - Throws if the id is already registered
+ * - Throws if the category is unknown
+ * - Throws if no input types are declared
+ * - Throws if another transform already uses the endpoint
+ */
+export function registerTransform(definition: TransformDefinition): void {
+    if (transforms.has(definition.id)) {
+        throw new Error(`Transform "${definition.id}" is already registered`);
+    }
+
+    if (!TRANSFORM_CATEGORIES.some(category => category.id === definition.category)) {
+        throw new Error(`Unknown transform category "${definition.category}"`);
+    }
+
+    if (!definition.inputTypes || definition.inputTypes.length === 0) {
+        throw new Error(`Transform "${definition.id}" must declare at least one input type`);
+    }
+
+    if (definition.endpoint && Array.from(transforms.values()).some(transform => transform.endpoint === definition.endpoint)) {
+        throw new Error(`Endpoint "${definition.endpoint}" is already used by another transform`);
+    }
+
+    transforms.set(definition.id, definition);
+}
+
+/**
+ * Get Transform
+ *
+ * getTransform(id: string): TransformDefinition | undefined
+ *
+ * Looks up a registered transform by id.
+ *
+ * Input:
+ * - id: string - Transform identifier
+ *
+ * Returns:
+ * - TransformDefinition if registered, undefined otherwise
+ */
+export function getTransform(id: string): TransformDefinition | undefined {
+    return transforms.get(id);
+}
+
+/**
+ * List Transforms
+ *
+ * listTransforms(nodeType?: string): TransformDefinition[]
+ *
+ * Returns registered transforms, optionally filtered by node type.
+ *
+ * Input:
+ * - nodeType?: string - Only return transforms accepting this node type
+ *
+ * Returns:
+ * - TransformDefinition[] - Transforms in registration order
+ */
+export function listTransforms(nodeType?: string): TransformDefinition[] {
+    const all = Array.from(transforms.values());
+    if (!nodeType) {
+        return all;
+    }
+    return all.filter(transform => transform.inputTypes.includes(nodeType));
+}
+
+/**
+ * Built-in Transforms
+ *
+ * Registers the transforms that ship with the application.
+ */
+registerTransform({
+    id: "domain-to-ip",
+    name: "Domain to IP",
+    category: "domain",
+    inputTypes: ["domain"],
+    inputField: "domain",
+    endpoint: "/domain-to-ip",
+    estimatedDuration: 3000,
+    cacheTtl: HOUR,
+    cacheSettings: ["DNS_RESOLVERS"]
+});
+
+registerTransform({
+    id: "domain-to-dns",
+    name: "Domain to DNS",
+    category: "domain",
+    inputTypes: ["domain"],
+    inputField: "domain",
+    endpoint: "/domain-to-dns",
+    estimatedDuration: 3000,
+    cacheTtl: HOUR,
+    cacheSettings: ["DNS_RESOLVERS"]
+});
+
+registerTransform({
+    id: "domain-to-endpoint",
+    name: "Domain to Endpoint",
+    category: "domain",
+    inputTypes: ["domain"],
+    inputField: "domain",
+    endpoint: "/domain-to-end",
+    estimatedDuration: 4000,
+    cacheTtl: DAY
+});
+
+registerTransform({
+    id: "domain-to-subdomain",
+    name: "Domain to Subdomain",
+    category: "domain",
+    inputTypes: ["domain"],
+    inputField: "domain",
+    endpoint: "/domain-to-sub",
+    estimatedDuration: 30000,
+    cacheTtl: DAY
+});
+
+registerTransform({
+    id: "zone-transfer",
+    name: "DNS Zone Transfer (AXFR)",
+    category: "domain",
+    inputTypes: ["domain"],
+    inputField: "domain",
+    endpoint: "/zone-transfer",
+    estimatedDuration: 10000,
+    cacheTtl: HOUR,
+    cacheSettings: ["DNS_RESOLVERS"]
+});
+
+registerTransform({
+    id: "whois",
+    name: "Whois Information",
+    category: "domain",
+    inputTypes: ["domain"],
+    inputField: "domain",
+    endpoint: "/whois",
+    estimatedDuration: 5000,
+    cacheTtl: DAY,
+    cacheSettings: ["RDAP_URL"]
+});
+
+registerTransform({
+    id: "ip-to-netblock",
+    name: "IP to Netblock",
+    category: "network",
+    inputTypes: ["ip"],
+    inputField: "ip",
+    endpoint: "/ip-to-netblock",
+    estimatedDuration: 4000,
+    cacheTtl: 7 * DAY
+});
+
+registerTransform({
+    id: "ip-to-reverse-dns",
+    name: "Reverse DNS",
+    category: "network",
+    inputTypes: ["ip", "netblock"],
+    inputField: "ip",
+    endpoint: "/ip-to-reverse-dns",
+    estimatedDuration: 3000,
+    cacheTtl: HOUR,
+    cacheSettings: ["DNS_RESOLVERS"]
+});
+
+registerTransform({
+    id: "ip-to-location",
+    name: "IP to Location",
+    category: "network",
+    inputTypes: ["ip"],
+    inputField: "ip",
+    endpoint: "/ip-to-location",
+    estimatedDuration: 3000,
+    cacheTtl: 7 * DAY,
+    cacheSettings: ["GEOLOCATION_PROVIDER", "GEOLOCATION_DB"]
+});
+
+registerTransform({
+    id: "port-scan",
+    name: "Port Scan",
+    category: "network",
+    inputTypes: ["ip", "domain", "netblock"],
+    inputField: "target",
+    endpoint: "/port-scan",
+    estimatedDuration: 25000,
+    // Open ports change; only repeated scans right after each other are answered from the cache
+    cacheTtl: 5 * MINUTE
+});
+
+registerTransform({
+    id: "sherlock",
+    name: "Username Search",
+    category: "osint",
+    inputTypes: ["username", "custom"],
+    inputField: "username",
+    endpoint: "/sherlock",
+    estimatedDuration: 45000,
+    cacheTtl: DAY
+});
+
+registerTransform({
+    id: "website-to-domain",
+    name: "Website to Domain",
+    category: "web",
+    inputTypes: ["domain"],
+    inputField: "url",
+    estimatedDuration: 2000
+});
+
+registerTransform({
+    id: "website-screenshot",
+    name: "Website Screenshot",
+    category: "web",
+    inputTypes: ["domain", "profile"],
+    inputField: "url",
+    endpoint: "/website-screenshot",
+    estimatedDuration: 8000
+});
@@ -0,0 +1,166 @@
+/**
+ * Transform Streaming Service
+ *
+ * This service lets long-running transform endpoints stream their progress and
+ * results to the client as Server-Sent Events, while still answering plain JSON
+ * requests exactly as before.
+ *
+ * A client opts in by sending `Accept: text/event-stream`. The response then
+ * consists of these events, each with a JSON `data` payload:
+ * - progress: { percent: number | null, message: string } - percent is null when
+ *   the tool cannot tell how far along it is
+ * - result: A single result as soon as the tool reports it (shape depends on the endpoint)
+ * - done: The same body the endpoint returns as JSON
+ * - error: { error: string } - The run failed; no done event follows
+ *
+ * When the client goes away before the run has finished (closed tab, aborted
+ * fetch), the run's AbortSignal fires so the tool behind it is stopped.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import { Request, Response } from "express";
+import { formatErrorResponse, formatSuccessResponse } from "./dataProcessing.js";
+
+// Keeps proxies from closing quiet streams while a tool is still working
+const heartbeatIntervalMs = 15000;
+
+/**
+ * Transform Progress Listener
+ *
+ * Receives results and progress from a running tool.
+ * - onResult: Called once per result as soon as it is found
+ * - onProgress: Called with a percentage (0-100, or null if unknown) and a short message
+ */
+export interface TransformProgressListener<T> {
+    onResult?: (result: T) => void;
+    onProgress?: (percent: number | null, message: string) => void;
+}
+
+/**
+ * Transform Cancelled Error
+ *
+ * Thrown by a run that was stopped through its AbortSignal.
+ */
+export class TransformCancelledError extends Error {
+    constructor() {
+        super("Transform was cancelled");
+        this.name = "CancelledError";
+    }
+}
+
+/**
+ * Wants Event Stream
+ *
+ * wantsEventStream(req: Request): boolean
+ *
+ * Returns true when the client asked for a Server-Sent Events response.
+ */
+export function wantsEventStream(req: Request): boolean {
+    return (req.headers.accept || "").includes("text/event-stream");
+}
+
+/**
+ * Open Event Stream
+ *
+ * openEventStream(res: Response): {send: (event: string, data: unknown) => void, close: () => void}
+ *
+ * Switches the response to Server-Sent Events and returns helpers to write
+ * events and end the stream.
+ */
+export function openEventStream(res: Response): {send: (event: string, data: unknown) => void, close: () => void} {
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => {
+        if(!res.writableEnded){
+            res.write(": keep-alive\n\n");
+        }
+    }, heartbeatIntervalMs);
+
+    return {
+        send(event: string, data: unknown) {
+            if(!res.writableEnded){
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        close() {
+            clearInterval(heartbeat);
+            if(!res.writableEnded){
+                res.end();
+            }
+        }
+    };
+}
+
+/**
+ * Respond With Transform
+ *
+ * respondWithTransform(req: Request, res: Response, errorMessage: string, run: (listener: TransformProgressListener<unknown> | undefined, signal: AbortSignal) => Promise<object>): Promise<void>
+ *
+ * Runs a transform and answers either as JSON or as an event stream,
+ * depending on what the client accepts.
+ *
+ * Input:
+ * - errorMessage: Message used when the run fails
+ * - run: Executes the transform; receives a listener only when streaming. Each
+ *   result it reports becomes the payload of a "result" event. The signal is
+ *   aborted when the client disconnects before the response is complete
+ *
+ * Error Handling:
+ * - JSON: Responds with 500 and formatErrorResponse
+ * - Stream: Sends an "error" event and ends the stream
+ * - Nothing is sent for runs cancelled by a disconnect
+ */
+export async function respondWithTransform(
+    req: Request,
+    res: Response,
+    errorMessage: string,
+    run: (listener: TransformProgressListener<unknown> | undefined, signal: AbortSignal) => Promise<object>
+): Promise<void> {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if(!res.writableFinished){
+            controller.abort();
+        }
+    });
+
+    if(!wantsEventStream(req)){
+        try{
+            const data = await run(undefined, controller.signal);
+            res.json(formatSuccessResponse(data));
+        }catch(error){
+            if(controller.signal.aborted){
+                console.log(`${errorMessage}: cancelled by the client`);
+                return;
+            }
+            console.error(`${errorMessage}:`, error);
+            res.status(500).json(formatErrorResponse(error, errorMessage));
+        }
+        return;
+    }
+
+    const stream = openEventStream(res);
+    try{
+        const data = await run({
+            onResult: result => stream.send("result", result),
+            onProgress: (percent, message) => stream.send("progress", {
+                percent: percent === null ? null : Math.max(0, Math.min(100, Math.round(percent))),
+                message
+            })
+        }, controller.signal);
+        stream.send("done", formatSuccessResponse(data));
+    }catch(error){
+        if(controller.signal.aborted){
+            console.log(`${errorMessage}: cancelled by the client`);
+        }else{
+            console.error(`${errorMessage}:`, error);
+            stream.send("error", formatErrorResponse(error, errorMessage));
+        }
+    }
+    stream.close();
+}
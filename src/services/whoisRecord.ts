@@ -0,0 +1,311 @@
+/**
+ * Whois Record Service
+ *
+ * This service turns domain registration data into one structured record,
+ * whether it comes from the whois command or from RDAP, the JSON based
+ * successor of whois that registries answer over HTTPS.
+ *
+ * Key Features:
+ * - Parses registrar, name servers, creation, expiry and updated dates,
+ *   status codes, DNSSEC and the registrant, admin and tech contacts from
+ *   the many "Key: value" layouts registries use
+ * - Recognizes redacted values (e.g. "REDACTED FOR PRIVACY") and leaves them out
+ * - Looks the domain up over RDAP and fills in what whois left out
+ *
+ * The RDAP service is https://rdap.org, which redirects to the registry of
+ * each top-level domain; set RDAP_URL in the server environment to use another.
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import axios from "axios";
+
+// Milliseconds to wait for an RDAP answer
+const rdapTimeout = 15000;
+
+// Values registries put in place of personal data
+const redactedPattern = /redacted|privacy|not disclosed|non-public|data protected|withheld|gdpr|statutory masking|query the rdds|contact form/i;
+
+// Whois keys of each single-valued field, lowercased
+const whoisFields: Record<"registrar" | "creationDate" | "expiryDate" | "updatedDate" | "dnssec", string[]> = {
+    registrar: ["registrar", "registrar name", "sponsoring registrar"],
+    creationDate: ["creation date", "created", "created on", "registered on", "registration time", "domain registration date"],
+    expiryDate: ["registry expiry date", "registrar registration expiration date", "expiry date", "expires", "expires on", "expiration date", "expiration time", "paid-till"],
+    updatedDate: ["updated date", "last updated", "last updated on", "last-update", "last modified", "changed"],
+    dnssec: ["dnssec"]
+};
+
+// Whois key of a contact field, e.g. "Registrant Organization" or "Tech Contact Email"
+const whoisContactPattern = /^(registrant|admin|administrative|tech|technical)(?: contact)?[ -](organi[sz]ation|org|email|e-mail|name)$/;
+
+// RDAP event actions of the dates
+const rdapEvents: Record<string, "creationDate" | "expiryDate" | "updatedDate"> = {
+    "registration": "creationDate",
+    "expiration": "expiryDate",
+    "last changed": "updatedDate"
+};
+
+// RDAP entity roles of the contacts
+const rdapRoles: Record<string, WhoisContactRole> = {
+    registrant: "registrant",
+    administrative: "admin",
+    technical: "tech"
+};
+
+export type WhoisContactRole = "registrant" | "admin" | "tech";
+
+/**
+ * Whois Contact
+ *
+ * The published details of one contact; each field is left out when it is
+ * not published or redacted.
+ */
+export interface WhoisContact {
+    organization?: string;
+    name?: string;
+    email?: string;
+}
+
+/**
+ * Whois Record
+ *
+ * - registrar, creationDate, expiryDate, updatedDate, dnssec: "" when unknown
+ * - nameServers: Lowercased host names
+ * - status: Domain status codes, e.g. "clientTransferProhibited"
+ * - contacts: Registrant, admin and tech contacts
+ * - redacted: Some values were withheld for privacy
+ */
+export interface WhoisRecord {
+    registrar: string;
+    nameServers: string[];
+    creationDate: string;
+    expiryDate: string;
+    updatedDate: string;
+    status: string[];
+    dnssec: string;
+    contacts: Record<WhoisContactRole, WhoisContact>;
+    redacted: boolean;
+}
+
+/**
+ * Parse Whois Output
+ *
+ * parseWhoisOutput(output: string): WhoisRecord
+ *
+ * Reads the "Key: value" lines of whois output. The first value of a field
+ * wins, since registries list the domain's own record before notices and
+ * referral data.
+ *
+ * Returns:
+ * - WhoisRecord - Empty fields for data the output does not contain
+ */
+export function parseWhoisOutput(output: string): WhoisRecord {
+    const record = emptyWhoisRecord();
+
+    for (const line of output.split("\n")) {
+        // Notices follow this line in the output of gTLD registries
+        if (line.startsWith(">>>")) break;
+        if (/^\s*[%#]/.test(line)) continue;
+
+        const match = line.match(/^\s*([^:]+?):\s*(.*?)\s*$/);
+        if (!match || !match[2]) continue;
+
+        const key = match[1].toLowerCase();
+        const value = match[2];
+        const contact = key.match(whoisContactPattern);
+        const field = (Object.keys(whoisFields) as Array<keyof typeof whoisFields>).find(name => whoisFields[name].includes(key));
+        const isNameServer = key === "name server" || key === "nserver" || key === "nameserver" || key === "name servers";
+        const isStatus = key === "domain status" || key === "status";
+        if (!contact && !field && !isNameServer && !isStatus) continue;
+
+        if (redactedPattern.test(value)) {
+            record.redacted = true;
+            continue;
+        }
+
+        if (isNameServer) {
+            // Some registries add the server's addresses after its name
+            const server = value.split(/\s+/)[0].toLowerCase().replace(/\.$/, "");
+            if (!record.nameServers.includes(server)) record.nameServers.push(server);
+        } else if (isStatus) {
+            // e.g. "clientTransferProhibited https://icann.org/epp#clientTransferProhibited"
+            const status = value.split(/\s+/)[0];
+            if (!record.status.includes(status)) record.status.push(status);
+        } else if (contact) {
+            const role = contact[1].startsWith("admin") ? "admin" : contact[1].startsWith("tech") ? "tech" : "registrant";
+            const detail = contact[2].startsWith("org") ? "organization" : contact[2] === "name" ? "name" : "email";
+            record.contacts[role][detail] ??= value;
+        } else if (field && !record[field]) {
+            record[field] = value;
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Parse RDAP Response
+ *
+ * parseRdapResponse(response: any): WhoisRecord
+ *
+ * Reads an RDAP domain object (RFC 9083): registrar and contacts from its
+ * entities' vCards, dates from its events, status, DNSSEC and name servers.
+ */
+export function parseRdapResponse(response: any): WhoisRecord {
+    const record = emptyWhoisRecord();
+
+    const visit = (entity: any) => {
+        const card = readVcard(entity?.vcardArray);
+        const roles: string[] = Array.isArray(entity?.roles) ? entity.roles : [];
+
+        if (roles.includes("registrar") && !record.registrar) {
+            record.registrar = card.fn || card.org || "";
+        }
+        for (const role of roles) {
+            const contactRole = rdapRoles[role];
+            if (!contactRole) continue;
+
+            const contact = record.contacts[contactRole];
+            for (const [field, value] of [["organization", card.org], ["name", card.fn], ["email", card.email]] as const) {
+                if (!value) continue;
+                if (redactedPattern.test(value)) {
+                    record.redacted = true;
+                } else {
+                    contact[field] ??= value;
+                }
+            }
+        }
+
+        // Registries nest the registrar's abuse contact and the like inside its entity
+        (entity?.entities || []).forEach(visit);
+    };
+    (response?.entities || []).forEach(visit);
+
+    for (const event of response?.events || []) {
+        const field = rdapEvents[event?.eventAction];
+        if (field && event.eventDate && !record[field]) {
+            record[field] = event.eventDate;
+        }
+    }
+
+    record.nameServers = [...new Set<string>((response?.nameservers || [])
+        .map((server: any) => String(server?.ldhName || "").toLowerCase().replace(/\.$/, ""))
+        .filter(Boolean))];
+    record.status = Array.isArray(response?.status) ? response.status.map(String) : [];
+
+    const secureDns = response?.secureDNS;
+    if (secureDns && typeof secureDns.delegationSigned === "boolean") {
+        record.dnssec = secureDns.delegationSigned ? "signedDelegation" : "unsigned";
+    }
+
+    return record;
+}
+
+/**
+ * Lookup RDAP
+ *
+ * lookupRdap(domain: string, signal?: AbortSignal): Promise<any>
+ *
+ * Fetches the RDAP domain object from RDAP_URL (default https://rdap.org),
+ * following the redirect to the domain's registry. Aborting the signal
+ * cancels the request.
+ *
+ * Error Handling:
+ * - Rejects when the service does not answer with a domain object
+ */
+export async function lookupRdap(domain: string, signal?: AbortSignal): Promise<any> {
+    const baseUrl = (process.env.RDAP_URL || "https://rdap.org").replace(/\/+$/, "");
+    const response = await axios.get(`${baseUrl}/domain/${encodeURIComponent(domain)}`, {
+        timeout: rdapTimeout,
+        signal,
+        headers: { Accept: "application/rdap+json, application/json" }
+    });
+    if (!response.data || typeof response.data !== "object" || response.data.objectClassName !== "domain") {
+        throw new Error(`RDAP answered without a domain object for ${domain}`);
+    }
+    return response.data;
+}
+
+/**
+ * Needs RDAP
+ *
+ * needsRdap(record: WhoisRecord): boolean
+ *
+ * Whois output is not enough on its own when it was redacted or lacks the
+ * registrar or creation date, as with registries that only publish RDAP.
+ */
+export function needsRdap(record: WhoisRecord): boolean {
+    return record.redacted || !record.registrar || !record.creationDate;
+}
+
+/**
+ * Merge Whois Records
+ *
+ * mergeWhoisRecords(primary: WhoisRecord, fallback: WhoisRecord): WhoisRecord
+ *
+ * Fills the fields and contact details the primary record lacks from the
+ * fallback record.
+ */
+export function mergeWhoisRecords(primary: WhoisRecord, fallback: WhoisRecord): WhoisRecord {
+    const contacts = {} as Record<WhoisContactRole, WhoisContact>;
+    for (const role of ["registrant", "admin", "tech"] as const) {
+        contacts[role] = { ...fallback.contacts[role], ...primary.contacts[role] };
+    }
+
+    return {
+        registrar: primary.registrar || fallback.registrar,
+        nameServers: primary.nameServers.length > 0 ? primary.nameServers : fallback.nameServers,
+        creationDate: primary.creationDate || fallback.creationDate,
+        expiryDate: primary.expiryDate || fallback.expiryDate,
+        updatedDate: primary.updatedDate || fallback.updatedDate,
+        status: primary.status.length > 0 ? primary.status : fallback.status,
+        dnssec: primary.dnssec || fallback.dnssec,
+        contacts,
+        redacted: primary.redacted && fallback.redacted
+    };
+}
+
+/**
+ * Empty Whois Record
+ *
+ * emptyWhoisRecord(): WhoisRecord
+ */
+function emptyWhoisRecord(): WhoisRecord {
+    return {
+        registrar: "",
+        nameServers: [],
+        creationDate: "",
+        expiryDate: "",
+        updatedDate: "",
+        status: [],
+        dnssec: "",
+        contacts: { registrant: {}, admin: {}, tech: {} },
+        redacted: false
+    };
+}
+
+/**
+ * Read vCard
+ *
+ * readVcard(vcardArray: any): {fn?: string, org?: string, email?: string}
+ *
+ * Reads the name, organization and email of a jCard (RFC 7095), e.g.
+ * ["vcard", [["fn", {}, "text", "Example Inc."], ["email", {}, "text", "a@example.com"]]].
+ */
+function readVcard(vcardArray: any): {fn?: string, org?: string, email?: string} {
+    const card: {fn?: string, org?: string, email?: string} = {};
+    const properties = Array.isArray(vcardArray) && Array.isArray(vcardArray[1]) ? vcardArray[1] : [];
+
+    for (const property of properties) {
+        if (!Array.isArray(property)) continue;
+        const name = property[0] as "fn" | "org" | "email";
+        if (name !== "fn" && name !== "org" && name !== "email") continue;
+
+        // Structured values such as org come as arrays of components
+        const value = [property[3]].flat().filter(Boolean).join(" ").trim();
+        if (value && !card[name]) {
+            card[name] = value;
+        }
+    }
+    return card;
+}
@@ -0,0 +1,573 @@
+/**
+ * DNS Zone Transfer Service
+ *
+ * This service attempts a full zone transfer (AXFR) of a domain from each of
+ * its name servers. Misconfigured servers hand out every record of the zone,
+ * revealing hosts that are never linked from anywhere.
+ *
+ * Key Features:
+ * - Looks up the domain's NS records, or uses the name servers given
+ * - Speaks the DNS protocol over TCP directly; no dig or other tool needed
+ * - Reports for every name server address whether it allowed the transfer
+ * - Decodes common record types into the same shapes getDnsRecords returns
+ *   (see dataProcessing.ts); other types keep their generic form, e.g. "\# 4 0a000001"
+ *
+ * Licensed under the GNU Affero General Public License v3.0 (AGPL-3.0)
+ */
+
+import dns from "dns";
+import net from "net";
+import { ToolOptionsError } from "./externalTools.js";
+import { DnsResolverOptions, parseDnsResolvers, createDnsResolver } from "./dataProcessing.js";
+import { TransformProgressListener, TransformCancelledError } from "./transformStream.js";
+
+// Query type of a full zone transfer
+const AXFR = 252;
+
+// Record type numbers and their names
+const recordTypeNames: Record<number, string> = {
+    1: "A", 2: "NS", 5: "CNAME", 6: "SOA", 12: "PTR", 13: "HINFO", 15: "MX", 16: "TXT", 28: "AAAA",
+    33: "SRV", 35: "NAPTR", 43: "DS", 44: "SSHFP", 46: "RRSIG", 47: "NSEC", 48: "DNSKEY", 50: "NSEC3",
+    52: "TLSA", 64: "SVCB", 65: "HTTPS", 99: "SPF", 257: "CAA"
+};
+
+// Response codes a name server refuses with
+const responseCodeNames: Record<number, string> = {
+    1: "FORMERR", 2: "SERVFAIL", 3: "NXDOMAIN", 4: "NOTIMP", 5: "REFUSED", 9: "NOTAUTH"
+};
+
+// Records kept from one transfer, so a huge zone cannot exhaust memory
+const maxZoneRecords = 50000;
+
+const zoneTransferDefaults = { timeout: 10000 };
+
+// Name server given by the user: host name, IPv4 or [IPv6], with an optional port
+const nameServerPattern = /^(?:([A-Za-z0-9.-]+)|\[([0-9A-Fa-f:.]+)\])(?::(\d{1,5}))?$/;
+
+/**
+ * Zone Transfer Options
+ *
+ * - nameservers: Servers to ask instead of the domain's NS records, e.g.
+ *   "ns1.example.com", "192.0.2.53:5353" or "[2001:db8::53]:53"
+ * - timeout: Milliseconds a server may stay silent before the attempt is
+ *   given up (1000-60000, default 10000)
+ * - resolvers: Resolvers that look up the name servers, see DnsResolverOptions
+ */
+export interface ZoneTransferOptions extends DnsResolverOptions {
+    nameservers?: string[];
+    timeout?: number;
+}
+
+/**
+ * Zone Record
+ *
+ * One record of a transferred zone. `data` has the shape getDnsRecords uses
+ * for the type, e.g. a string for A and MX, an object for SOA and SRV.
+ */
+export interface ZoneRecord {
+    name: string;
+    type: string;
+    ttl: number;
+    data: unknown;
+}
+
+/**
+ * Name Server Result
+ *
+ * - nameserver: Name server as listed in NS records or given in the options
+ * - address: IP address the transfer was attempted against
+ * - allowed: The server sent the whole zone
+ * - recordCount: Records the server sent
+ * - error: Why the transfer failed, e.g. "REFUSED" or "Timed out"
+ */
+export interface NameServerResult {
+    nameserver: string;
+    address: string;
+    allowed: boolean;
+    recordCount: number;
+    error?: string;
+}
+
+/**
+ * Parse Zone Transfer Options
+ *
+ * parseZoneTransferOptions(raw: Record<string, unknown>): ZoneTransferOptions
+ *
+ * Validates user-supplied zone transfer options; name servers may be given
+ * as an array or a comma-separated string. Unset options are left out.
+ *
+ * Error Handling:
+ * - Throws ToolOptionsError naming the first invalid option
+ */
+export function parseZoneTransferOptions(raw: Record<string, unknown> = {}): ZoneTransferOptions {
+    const options: ZoneTransferOptions = {};
+
+    if (raw.nameservers !== undefined && raw.nameservers !== null && raw.nameservers !== "") {
+        const entries = typeof raw.nameservers === "string" ? raw.nameservers.split(",") : raw.nameservers;
+        if (!Array.isArray(entries) || entries.some(entry => typeof entry !== "string")) {
+            throw new ToolOptionsError("nameservers must be a list of host names or IP addresses");
+        }
+        const nameservers = (entries as string[]).map(entry => entry.trim()).filter(Boolean);
+        for (const entry of nameservers) {
+            const match = entry.match(nameServerPattern);
+            if (!match || (match[2] && net.isIPv6(match[2]) === false) || (match[3] && (parseInt(match[3], 10) < 1 || parseInt(match[3], 10) > 65535))) {
+                throw new ToolOptionsError(`Invalid name server "${entry}"`);
+            }
+        }
+        if (nameservers.length > 0) {
+            options.nameservers = nameservers;
+        }
+    }
+
+    if (raw.timeout !== undefined && raw.timeout !== null && raw.timeout !== "") {
+        const timeout = Number(raw.timeout);
+        if (!Number.isInteger(timeout) || timeout < 1000 || timeout > 60000) {
+            throw new ToolOptionsError("timeout must be a whole number between 1000 and 60000");
+        }
+        options.timeout = timeout;
+    }
+
+    const resolvers = parseDnsResolvers(raw.resolvers);
+    if (resolvers) {
+        options.resolvers = resolvers;
+    }
+
+    return options;
+}
+
+/**
+ * Execute Zone Transfer
+ *
+ * executeZoneTransfer(domain: string, options?: ZoneTransferOptions, listener?: TransformProgressListener<ZoneRecord>, signal?: AbortSignal, resolver?: dns.promises.Resolver): Promise<{servers: NameServerResult[], records: ZoneRecord[]}>
+ *
+ * Attempts AXFR against every address of every name server of the domain.
+ *
+ * Input:
+ * - domain: string - Zone to transfer
+ * - options?: ZoneTransferOptions - Name servers to use instead of the NS records, and the timeout
+ * - listener?: TransformProgressListener - Receives each record of the first
+ *   successful transfer, and progress after each server
+ * - signal?: AbortSignal - Stops the running attempt when aborted
+ * - resolver?: dns.promises.Resolver - Resolver that looks up the name servers
+ *   (default: one for options.resolvers, see createDnsResolver)
+ *
+ * Returns:
+ * - servers: One entry per name server address tried
+ * - records: The zone from the first server that allowed the transfer, or []
+ *
+ * Process:
+ * 1. Looks up NS records (unless name servers are given) and their IPv4 and IPv6 addresses
+ * 2. Sends an AXFR query over TCP to each address in turn
+ * 3. Reads records until the closing SOA record arrives
+ *
+ * Error Handling:
+ * - Throws an Error when the domain has no name servers
+ * - Refusals, timeouts and connection errors are recorded per server
+ * - Throws TransformCancelledError when the signal is aborted
+ */
+export async function executeZoneTransfer(
+    domain: string,
+    options: ZoneTransferOptions = {},
+    listener: TransformProgressListener<ZoneRecord> = {},
+    signal?: AbortSignal,
+    resolver: dns.promises.Resolver = createDnsResolver(options.resolvers)
+): Promise<{servers: NameServerResult[], records: ZoneRecord[]}> {
+    const zone = domain.trim().toLowerCase().replace(/\.$/, "");
+    const timeout = options.timeout ?? zoneTransferDefaults.timeout;
+
+    const targets = await findNameServers(zone, resolver, options.nameservers);
+    if (targets.length === 0) {
+        throw new Error(`No name servers found for ${zone}`);
+    }
+
+    console.log(`Attempting zone transfer of ${zone} from ${targets.length} name server addresses`);
+
+    const servers: NameServerResult[] = [];
+    let records: ZoneRecord[] = [];
+
+    for (const [index, target] of targets.entries()) {
+        if (signal?.aborted) {
+            throw new TransformCancelledError();
+        }
+        listener.onProgress?.((index / targets.length) * 100, `Trying ${target.nameserver} (${target.address})`);
+
+        const result: NameServerResult = { nameserver: target.nameserver, address: target.address, allowed: false, recordCount: 0 };
+        if (!target.address) {
+            result.error = "No address found";
+            servers.push(result);
+            continue;
+        }
+
+        try {
+            const transferred = await transferZone(zone, target.address, target.port, timeout, signal);
+            result.allowed = true;
+            result.recordCount = transferred.length;
+            if (records.length === 0) {
+                records = transferred;
+                records.forEach(record => listener.onResult?.(record));
+            }
+        } catch (error: any) {
+            if (signal?.aborted) {
+                throw new TransformCancelledError();
+            }
+            result.error = error?.message || "Transfer failed";
+        }
+        servers.push(result);
+    }
+
+    listener.onProgress?.(100, `${servers.filter(server => server.allowed).length} of ${servers.length} name servers allowed the transfer`);
+    return { servers, records };
+}
+
+/**
+ * Find Name Servers
+ *
+ * findNameServers(zone: string, resolver: dns.promises.Resolver, nameservers?: string[]): Promise<Array<{nameserver: string, address: string, port: number}>>
+ *
+ * Resolves the given name servers, or the zone's NS records, to their
+ * addresses. A name server without addresses is returned once with an
+ * empty address so it still shows up in the report.
+ */
+async function findNameServers(zone: string, resolver: dns.promises.Resolver, nameservers?: string[]): Promise<Array<{nameserver: string, address: string, port: number}>> {
+    const names = nameservers ?? await resolver.resolveNs(zone).catch(() => []);
+
+    const targets: Array<{nameserver: string, address: string, port: number}> = [];
+    for (const entry of names) {
+        const match = entry.match(nameServerPattern);
+        const host = match ? match[1] || match[2] : entry;
+        const port = match && match[3] ? parseInt(match[3], 10) : 53;
+
+        const addresses = net.isIP(host)
+            ? [host]
+            : [
+                ...await resolver.resolve4(host).catch(() => []),
+                ...await resolver.resolve6(host).catch(() => [])
+            ];
+        if (addresses.length === 0) {
+            targets.push({ nameserver: entry, address: "", port });
+        }
+        addresses.forEach(address => targets.push({ nameserver: entry, address, port }));
+    }
+    return targets;
+}
+
+/**
+ * Transfer Zone
+ *
+ * transferZone(zone: string, address: string, port: number, timeout: number, signal?: AbortSignal): Promise<ZoneRecord[]>
+ *
+ * Runs one AXFR exchange. A transfer is complete once the SOA record that
+ * opened it is repeated; the closing copy is not included in the result.
+ *
+ * Error Handling:
+ * - Rejects with the response code name when the server refuses, "Timed out"
+ *   after `timeout` milliseconds of silence, and "Connection closed before
+ *   the transfer finished" for cut-off transfers
+ */
+function transferZone(zone: string, address: string, port: number, timeout: number, signal?: AbortSignal): Promise<ZoneRecord[]> {
+    return new Promise((resolve, reject) => {
+        const id = Math.floor(Math.random() * 0x10000);
+        const records: ZoneRecord[] = [];
+        let buffer = Buffer.alloc(0);
+        let soaCount = 0;
+        let settled = false;
+
+        const socket = net.connect({ host: address, port }, () => {
+            socket.write(buildQuery(zone, id));
+        });
+
+        const finish = (error: Error | null) => {
+            if (settled) return;
+            settled = true;
+            signal?.removeEventListener("abort", onAbort);
+            socket.destroy();
+            if (error) reject(error);
+            else resolve(records);
+        };
+        const onAbort = () => finish(new TransformCancelledError());
+
+        socket.setTimeout(timeout, () => finish(new Error("Timed out")));
+        socket.on("error", error => finish(error));
+        socket.on("close", () => finish(new Error(records.length > 0 ? "Connection closed before the transfer finished" : "Connection closed without an answer")));
+
+        socket.on("data", (chunk: Buffer) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            // Each message is prefixed with its length over TCP
+            while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+                const length = buffer.readUInt16BE(0);
+                const message = buffer.subarray(2, 2 + length);
+                buffer = buffer.subarray(2 + length);
+
+                try {
+                    for (const record of parseMessage(message, id)) {
+                        if (record.type === "SOA") {
+                            soaCount++;
+                            if (soaCount === 2) {
+                                finish(null);
+                                return;
+                            }
+                        } else if (soaCount === 0) {
+                            throw new Error("Transfer did not start with the zone's SOA record");
+                        }
+                        if (records.length >= maxZoneRecords) {
+                            throw new Error(`Zone has more than ${maxZoneRecords} records`);
+                        }
+                        records.push(record);
+                    }
+                } catch (error: any) {
+                    finish(error);
+                    return;
+                }
+            }
+        });
+
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Build Query
+ *
+ * buildQuery(zone: string, id: number): Buffer
+ *
+ * Encodes an AXFR question for the zone, prefixed with its length for TCP.
+ */
+function buildQuery(zone: string, id: number): Buffer {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(1, 4); // one question
+
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(AXFR, 0);
+    question.writeUInt16BE(1, 2); // class IN
+
+    const message = Buffer.concat([header, encodeName(zone), question]);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(message.length, 0);
+    return Buffer.concat([length, message]);
+}
+
+/**
+ * Encode Name
+ *
+ * encodeName(name: string): Buffer
+ */
+function encodeName(name: string): Buffer {
+    const labels = name.replace(/\.$/, "").split(".").filter(Boolean);
+    return Buffer.concat([
+        ...labels.map(label => Buffer.concat([Buffer.from([Buffer.byteLength(label)]), Buffer.from(label)])),
+        Buffer.from([0])
+    ]);
+}
+
+/**
+ * Parse Message
+ *
+ * parseMessage(message: Buffer, id: number): ZoneRecord[]
+ *
+ * Decodes the answer records of one response message.
+ *
+ * Error Handling:
+ * - Throws with the response code name (e.g. "REFUSED") for error responses
+ * - Throws for responses to another query and for malformed messages
+ */
+function parseMessage(message: Buffer, id: number): ZoneRecord[] {
+    if (message.length < 12) {
+        throw new Error("Malformed response");
+    }
+    if (message.readUInt16BE(0) !== id) {
+        throw new Error("Response does not match the query");
+    }
+
+    const responseCode = message.readUInt16BE(2) & 0x000f;
+    if (responseCode !== 0) {
+        throw new Error(responseCodeNames[responseCode] || `Response code ${responseCode}`);
+    }
+
+    const questionCount = message.readUInt16BE(4);
+    const answerCount = message.readUInt16BE(6);
+
+    let offset = 12;
+    for (let i = 0; i < questionCount; i++) {
+        offset = readName(message, offset).next + 4;
+    }
+
+    const records: ZoneRecord[] = [];
+    for (let i = 0; i < answerCount; i++) {
+        const owner = readName(message, offset);
+        offset = owner.next;
+        if (offset + 10 > message.length) {
+            throw new Error("Malformed response");
+        }
+
+        const typeNumber = message.readUInt16BE(offset);
+        const ttl = message.readUInt32BE(offset + 4);
+        const dataLength = message.readUInt16BE(offset + 8);
+        offset += 10;
+        if (offset + dataLength > message.length) {
+            throw new Error("Malformed response");
+        }
+
+        const type = recordTypeNames[typeNumber] || `TYPE${typeNumber}`;
+        records.push({ name: owner.name, type, ttl, data: decodeRecordData(type, message, offset, dataLength, owner.name) });
+        offset += dataLength;
+    }
+    return records;
+}
+
+/**
+ * Decode Record Data
+ *
+ * decodeRecordData(type: string, message: Buffer, offset: number, length: number, owner: string): unknown
+ *
+ * Decodes RDATA into the shape getDnsRecords returns for the type. Types it
+ * does not know are returned in the generic "\# length hex" form (RFC 3597).
+ */
+function decodeRecordData(type: string, message: Buffer, offset: number, length: number, owner: string): unknown {
+    const data = message.subarray(offset, offset + length);
+
+    switch (type) {
+        case "A":
+            return Array.from(data).join(".");
+        case "AAAA":
+            return formatIpv6(data);
+        case "NS":
+        case "CNAME":
+        case "PTR":
+            return readName(message, offset).name;
+        case "MX":
+            return readName(message, offset + 2).name;
+        case "TXT":
+            return readCharacterStrings(data).join("");
+        case "SOA": {
+            const nsname = readName(message, offset);
+            const hostmaster = readName(message, nsname.next);
+            const timers = hostmaster.next;
+            return {
+                nsname: nsname.name,
+                hostmaster: hostmaster.name,
+                serial: message.readUInt32BE(timers),
+                refresh: message.readUInt32BE(timers + 4),
+                retry: message.readUInt32BE(timers + 8),
+                expire: message.readUInt32BE(timers + 12),
+                minttl: message.readUInt32BE(timers + 16)
+            };
+        }
+        case "SRV":
+            return {
+                service: owner.split(".").filter(label => label.startsWith("_")).join("."),
+                name: readName(message, offset + 6).name,
+                port: data.readUInt16BE(4),
+                priority: data.readUInt16BE(0),
+                weight: data.readUInt16BE(2)
+            };
+        case "CAA": {
+            const tagLength = data[1];
+            return {
+                critical: data[0],
+                tag: data.subarray(2, 2 + tagLength).toString(),
+                value: data.subarray(2 + tagLength).toString()
+            };
+        }
+        case "NAPTR": {
+            const strings = readCharacterStrings(data.subarray(4), 3);
+            const replacementOffset = offset + 4 + strings.reduce((total, text) => total + 1 + Buffer.byteLength(text, "latin1"), 0);
+            return {
+                flags: strings[0],
+                service: strings[1],
+                regexp: strings[2],
+                replacement: readName(message, replacementOffset).name,
+                order: data.readUInt16BE(0),
+                preference: data.readUInt16BE(2)
+            };
+        }
+        default:
+            return `\\# ${length} ${data.toString("hex")}`;
+    }
+}
+
+/**
+ * Read Name
+ *
+ * readName(message: Buffer, offset: number): {name: string, next: number}
+ *
+ * Reads a possibly compressed domain name. `next` is the offset after the
+ * name where it appears, not after the labels a pointer leads to.
+ */
+function readName(message: Buffer, offset: number): {name: string, next: number} {
+    const labels: string[] = [];
+    let position = offset;
+    let next = -1;
+    let jumps = 0;
+
+    while (true) {
+        if (position >= message.length) {
+            throw new Error("Malformed response");
+        }
+        const length = message[position];
+
+        if ((length & 0xc0) === 0xc0) {
+            if (++jumps > 64 || position + 1 >= message.length) {
+                throw new Error("Malformed response");
+            }
+            if (next === -1) next = position + 2;
+            position = ((length & 0x3f) << 8) | message[position + 1];
+            continue;
+        }
+        if (length === 0) {
+            if (next === -1) next = position + 1;
+            break;
+        }
+
+        labels.push(message.subarray(position + 1, position + 1 + length).toString("latin1"));
+        position += 1 + length;
+    }
+
+    return { name: labels.join(".").toLowerCase(), next };
+}
+
+/**
+ * Read Character Strings
+ *
+ * readCharacterStrings(data: Buffer, limit?: number): string[]
+ *
+ * Reads length-prefixed strings as used by TXT and NAPTR records.
+ */
+function readCharacterStrings(data: Buffer, limit = Infinity): string[] {
+    const strings: string[] = [];
+    let position = 0;
+    while (position < data.length && strings.length < limit) {
+        const length = data[position];
+        strings.push(data.subarray(position + 1, position + 1 + length).toString("latin1"));
+        position += 1 + length;
+    }
+    return strings;
+}
+
+/**
+ * Format IPv6
+ *
+ * formatIpv6(data: Buffer): string
+ *
+ * Formats 16 bytes as an IPv6 address, shortening the longest run of zero groups.
+ */
+function formatIpv6(data: Buffer): string {
+    const groups = Array.from({ length: 8 }, (_, index) => data.readUInt16BE(index * 2).toString(16));
+
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let start = 0; start < 8; start++) {
+        let length = 0;
+        while (start + length < 8 && groups[start + length] === "0") length++;
+        if (length > bestLength && length > 1) {
+            bestStart = start;
+            bestLength = length;
+        }
+    }
+
+    if (bestStart === -1) {
+        return groups.join(":");
+    }
+    return `${groups.slice(0, bestStart).join(":")}::${groups.slice(bestStart + bestLength).join(":")}`;
+}
@@ -0,0 +1,146 @@
+import { EventEmitter } from "events";
+import request from "supertest";
+import { describe, it, expect } from "vitest";
+import type { Browser } from "puppeteer";
+import app from "../src/server";
+import { createBrowserPool } from "../src/services/browserPool";
+import { TransformCancelledError } from "../src/services/transformStream";
+import { parseScreenshotOptions } from "../src/services/dataProcessing";
+
+// Stand-in for a Puppeteer browser that counts its open contexts
+class FakeBrowser extends EventEmitter {
+    openContexts = 0;
+    mostContexts = 0;
+    closed = false;
+
+    async createBrowserContext() {
+        this.openContexts++;
+        this.mostContexts = Math.max(this.mostContexts, this.openContexts);
+        return {
+            newPage: async () => ({ browser: this }),
+            close: async () => {
+                this.openContexts--;
+            }
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        this.emit("disconnected");
+    }
+}
+
+function fakeLauncher() {
+    const launched: FakeBrowser[] = [];
+    const launch = async () => {
+        const browser = new FakeBrowser();
+        launched.push(browser);
+        return browser as unknown as Browser;
+    };
+    return { launched, launch };
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tests sharing one browser between page loads
+describe("Browser pool", () => {
+    it("should keep one browser warm for page after page", async () => {
+        const { launched, launch } = fakeLauncher();
+        const pool = createBrowserPool({ launch, maxPages: 2, idleTimeout: 0 });
+
+        for (let i = 0; i < 3; i++) {
+            await pool.withPage(async () => i);
+        }
+
+        expect(launched).toHaveLength(1);
+        expect(launched[0].openContexts).toBe(0);
+        await pool.close();
+        expect(launched[0].closed).toBe(true);
+    });
+
+    it("should cap the pages open at the same time", async () => {
+        const { launched, launch } = fakeLauncher();
+        const pool = createBrowserPool({ launch, maxPages: 2, idleTimeout: 0 });
+
+        const order: number[] = [];
+        await Promise.all([0, 1, 2, 3, 4].map(i => pool.withPage(async () => {
+            await sleep(10);
+            order.push(i);
+        })));
+
+        expect(launched[0].mostContexts).toBe(2);
+        expect(order).toEqual([0, 1, 2, 3, 4]);
+        await pool.close();
+    });
+
+    it("should drop a cancelled page from the queue without running it", async () => {
+        const { launched, launch } = fakeLauncher();
+        const pool = createBrowserPool({ launch, maxPages: 1, idleTimeout: 0 });
+
+        const ran: string[] = [];
+        const first = pool.withPage(async () => {
+            await sleep(30);
+            ran.push("first");
+        });
+        const controller = new AbortController();
+        const cancelled = pool.withPage(async () => {
+            ran.push("cancelled");
+        }, controller.signal);
+        const last = pool.withPage(async () => {
+            ran.push("last");
+        });
+
+        controller.abort();
+        await expect(cancelled).rejects.toBeInstanceOf(TransformCancelledError);
+        await Promise.all([first, last]);
+
+        expect(ran).toEqual(["first", "last"]);
+        expect(launched[0].openContexts).toBe(0);
+        await expect(pool.withPage(async () => undefined, controller.signal)).rejects.toBeInstanceOf(TransformCancelledError);
+        await pool.close();
+    });
+
+    it("should close the page of a failed task and replace a crashed browser", async () => {
+        const { launched, launch } = fakeLauncher();
+        const pool = createBrowserPool({ launch, maxPages: 1, idleTimeout: 0 });
+
+        await expect(pool.withPage(async () => {
+            throw new Error("Navigation timeout");
+        })).rejects.toThrow("Navigation timeout");
+        expect(launched[0].openContexts).toBe(0);
+
+        launched[0].emit("disconnected");
+        await pool.withPage(async () => undefined);
+        expect(launched).toHaveLength(2);
+        await pool.close();
+    });
+
+    it("should retry a failed launch and close an idle browser", async () => {
+        let attempts = 0;
+        const { launched, launch } = fakeLauncher();
+        const pool = createBrowserPool({
+            launch: () => ++attempts === 1 ? Promise.reject(new Error("Could not find Chrome")) : launch(),
+            maxPages: 1,
+            idleTimeout: 20
+        });
+
+        await expect(pool.withPage(async () => undefined)).rejects.toThrow("Could not find Chrome");
+        await pool.withPage(async () => undefined);
+        expect(launched).toHaveLength(1);
+
+        await sleep(60);
+        expect(launched[0].closed).toBe(true);
+    });
+
+    it("should validate screenshot options", async () => {
+        expect(parseScreenshotOptions({ width: 390, height: "844", mobile: true, fullPage: false, wait: "", userAgent: " Agent/1.0 " }))
+            .toEqual({ width: 390, height: 844, mobile: true, fullPage: false, userAgent: "Agent/1.0" });
+        expect(() => parseScreenshotOptions({ width: 100 })).toThrow("width must be a whole number between 320 and 3840");
+        expect(() => parseScreenshotOptions({ mobile: "yes" })).toThrow("mobile must be true or false");
+        expect(() => parseScreenshotOptions({ userAgent: "Agent\r\nX-Injected: 1" })).toThrow("userAgent");
+
+        const res = await request(app).post("/website-screenshot").send({ url: "https://example.com", wait: 60000 });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("wait must be a whole number between 0 and 30000");
+    });
+});
@@ -0,0 +1,460 @@
+import request from "supertest";
+import path from "path";
+import http from "http";
+import { AddressInfo } from "net";
+import { describe, it, expect } from "vitest";
+import app from "../src/server";
+import {
+    saveCustomTransform,
+    renameCustomTransform,
+    removeCustomTransform,
+    executeCustomTransform,
+    CustomTransformExecutionError
+} from "../src/services/customTransform";
+
+const scriptPath = path.join(__dirname, "testScript.py");
+
+// Tests uploading, running, renaming and removing named custom transforms
+describe("Custom Transform Library", () => {
+    it("should keep several uploaded transforms with their own names", async () => {
+        const first = await request(app)
+            .post("/upload-transform")
+            .field("name", "Binary A")
+            .attach("file", scriptPath);
+        const second = await request(app)
+            .post("/upload-transform")
+            .field("name", "Binary B")
+            .attach("file", scriptPath);
+
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(200);
+        expect(first.body.transform.id).not.toBe(second.body.transform.id);
+
+        const list = await request(app).get("/custom-transforms");
+        const names = list.body.transforms.map(t => t.name);
+        expect(names).toContain("Binary A");
+        expect(names).toContain("Binary B");
+
+        // Run one of them by id
+        const run = await request(app)
+            .post("/run-transform")
+            .send({ transformId: first.body.transform.id, nodeLabel: "hi" });
+        expect(run.status).toBe(200);
+        expect(run.body.nodes).toEqual(["h = 01101000", "i = 01101001"]);
+
+        // Rename, then delete both
+        const renamed = await request(app)
+            .patch(`/custom-transforms/${first.body.transform.id}`)
+            .send({ name: "Binary Renamed" });
+        expect(renamed.status).toBe(200);
+        expect(renamed.body.transform.name).toBe("Binary Renamed");
+
+        for (const res of [first, second]) {
+            const removed = await request(app).delete(`/custom-transforms/${res.body.transform.id}`);
+            expect(removed.status).toBe(200);
+        }
+
+        const after = await request(app).get("/custom-transforms");
+        const ids = after.body.transforms.map(t => t.id);
+        expect(ids).not.toContain(first.body.transform.id);
+        expect(ids).not.toContain(second.body.transform.id);
+    });
+
+    it("should reject empty names when renaming", async () => {
+        const transform = await saveCustomTransform(Buffer.from("print('[]')"), "empty.py");
+        try {
+            const error = await renameCustomTransform(transform.id, "   ").catch(e => e);
+            expect(error.name).toBe("ValidationError");
+            expect(error.message).toBe("Transform name is required");
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    });
+
+    it("should keep the single-transform endpoints working on the latest upload", async () => {
+        const uploaded = await request(app)
+            .post("/upload-transform")
+            .attach("file", scriptPath);
+        expect(uploaded.status).toBe(200);
+
+        const has = await request(app).get("/has-transform");
+        expect(has.status).toBe(200);
+        expect(has.body.exists).toBe(true);
+
+        const removed = await request(app).delete("/remove-transform");
+        expect(removed.status).toBe(200);
+        expect(removed.body.message).toBe("Custom transform removed");
+
+        const list = await request(app).get("/custom-transforms");
+        expect(list.body.transforms.map(t => t.id)).not.toContain(uploaded.body.transform.id);
+    });
+
+    it("should return 404 for an unknown transform id", async () => {
+        const res = await request(app)
+            .post("/run-transform")
+            .send({ transformId: "../../etc/passwd", nodeLabel: "hi" });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+// Tests the limits applied to custom transform runs
+describe("Custom Transform Sandbox", () => {
+    async function runScript(source: string, input: string, limits = {}) {
+        const transform = await saveCustomTransform(Buffer.from(source), "sandboxTest.py");
+        try {
+            return await executeCustomTransform(transform.id, input, {}, { limits });
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    }
+
+    it("should pass the label as a single argument without a shell", async () => {
+        const label = `it's "$(touch pwned)" ; echo \`id\``;
+        const result = await runScript("import sys, json\nprint(json.dumps([sys.argv[1], len(sys.argv)]))", label);
+
+        expect(result.nodes).toEqual([label, "3"]);
+    });
+
+    it("should kill a run that exceeds the timeout", async () => {
+        const error = await runScript("import time\ntime.sleep(10)", "x", { timeoutMs: 300 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(CustomTransformExecutionError);
+        expect(error.code).toBe("TIMEOUT");
+        expect(error.statusCode).toBe(504);
+    });
+
+    it("should kill a run that prints too much output", async () => {
+        const error = await runScript("while True:\n    print('x' * 1000)", "x", { maxOutputBytes: 10000 }).catch(e => e);
+
+        expect(error.code).toBe("OUTPUT_LIMIT");
+        expect(error.details.stream).toBe("stdout");
+    });
+
+    it("should report crashes with the exit code and stderr", async () => {
+        const error = await runScript("import sys\nsys.stderr.write('boom')\nsys.exit(3)", "x").catch(e => e);
+
+        expect(error.code).toBe("CRASHED");
+        expect(error.details.exitCode).toBe(3);
+        expect(error.details.stderr).toContain("boom");
+    });
+
+    it("should report output that is not JSON", async () => {
+        const error = await runScript("print('not json')", "x").catch(e => e);
+
+        expect(error.code).toBe("INVALID_OUTPUT");
+    });
+
+    it("should not expose server environment variables", async () => {
+        process.env.INSIGHTSNEXUS_SECRET = "hidden";
+        const result = await runScript("import os, json\nprint(json.dumps([os.environ.get('INSIGHTSNEXUS_SECRET', 'missing'), os.getcwd()]))", "x");
+        delete process.env.INSIGHTSNEXUS_SECRET;
+
+        expect(result.nodes[0]).toBe("missing");
+        expect(result.nodes[1]).not.toBe(process.cwd());
+    });
+});
+
+// Tests manifests declared in a header comment or a sidecar JSON file
+describe("Custom Transform Manifests", () => {
+    const manifestScript = [
+        "# @manifest",
+        "# {",
+        "#   \"name\": \"Echo Params\",",
+        "#   \"description\": \"Prints its parameters\",",
+        "#   \"inputTypes\": [\"domain\"],",
+        "#   \"params\": [",
+        "#     { \"name\": \"depth\", \"type\": \"integer\", \"default\": 2, \"min\": 1, \"max\": 5 },",
+        "#     { \"name\": \"verbose\", \"type\": \"boolean\", \"default\": false },",
+        "#     { \"name\": \"key\", \"type\": \"apiKey\" }",
+        "#   ]",
+        "# }",
+        "# @end",
+        "import sys, json",
+        "print(json.dumps([sys.argv[1], sys.argv[2]]))"
+    ].join("\n");
+
+    it("should read the manifest from the script header and pass params as JSON", async () => {
+        const upload = await request(app)
+            .post("/upload-transform")
+            .attach("file", Buffer.from(manifestScript), "echoParams.py");
+
+        expect(upload.status).toBe(200);
+        const transform = upload.body.transform;
+        expect(transform.name).toBe("Echo Params");
+        expect(transform.manifest.inputTypes).toEqual(["domain"]);
+        expect(transform.manifest.params.map(p => p.name)).toEqual(["depth", "verbose", "key"]);
+
+        process.env.TRANSFORM_KEY_TEST = "secret-value";
+        const run = await request(app)
+            .post("/run-transform")
+            .send({ transformId: transform.id, nodeLabel: "example.com", params: { depth: "3", key: "test" } });
+        delete process.env.TRANSFORM_KEY_TEST;
+
+        expect(run.status).toBe(200);
+        expect(run.body.nodes[0]).toBe("example.com");
+        expect(JSON.parse(run.body.nodes[1])).toEqual({ depth: 3, verbose: false, key: "secret-value" });
+
+        await request(app).delete(`/custom-transforms/${transform.id}`);
+    });
+
+    it("should reject parameters that do not match the manifest", async () => {
+        const upload = await request(app)
+            .post("/upload-transform")
+            .attach("file", Buffer.from(manifestScript), "echoParams.py");
+        const id = upload.body.transform.id;
+
+        const outOfRange = await request(app)
+            .post("/run-transform")
+            .send({ transformId: id, nodeLabel: "example.com", params: { depth: 9 } });
+        const unknown = await request(app)
+            .post("/run-transform")
+            .send({ transformId: id, nodeLabel: "example.com", params: { colour: "red" } });
+        const missingKey = await request(app)
+            .post("/run-transform")
+            .send({ transformId: id, nodeLabel: "example.com", params: { key: "not_configured" } });
+
+        expect(outOfRange.status).toBe(400);
+        expect(outOfRange.body.error).toContain("at most 5");
+        expect(unknown.status).toBe(400);
+        expect(missingKey.status).toBe(400);
+
+        await request(app).delete(`/custom-transforms/${id}`);
+    });
+
+    it("should prefer a sidecar manifest and reject invalid ones", async () => {
+        const sidecar = JSON.stringify({ name: "Sidecar", inputTypes: ["ip"], params: [{ name: "mode", type: "select", options: ["fast", "slow"] }] });
+        const upload = await request(app)
+            .post("/upload-transform")
+            .attach("file", scriptPath)
+            .attach("manifest", Buffer.from(sidecar), "manifest.json");
+
+        expect(upload.status).toBe(200);
+        expect(upload.body.transform.name).toBe("Sidecar");
+        expect(upload.body.transform.manifest.params[0].options).toEqual(["fast", "slow"]);
+        await request(app).delete(`/custom-transforms/${upload.body.transform.id}`);
+
+        const invalid = await request(app)
+            .post("/upload-transform")
+            .attach("file", scriptPath)
+            .attach("manifest", Buffer.from(JSON.stringify({ params: [{ name: "x", type: "date" }] })), "manifest.json");
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toContain("unknown type");
+    });
+});
+
+// Tests the structured output format and compatibility with the older formats
+describe("Custom Transform Output", () => {
+    async function runOutput(output: unknown) {
+        // A JSON string literal is also a valid Python string literal
+        const source = `print(${JSON.stringify(JSON.stringify(output))})`;
+        const transform = await saveCustomTransform(Buffer.from(source), "outputTest.py");
+        try {
+            return await executeCustomTransform(transform.id, "example.com");
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    }
+
+    it("should keep supporting the array and nodes/files formats", async () => {
+        const fromArray = await runOutput(["a", "b"]);
+        expect(fromArray).toEqual({ nodes: ["a", "b"], files: [], entities: [], edges: [] });
+
+        const fromObject = await runOutput({ nodes: ["a"], files: [{ name: "r.txt", content: "hi", type: "text" }] });
+        expect(fromObject.nodes).toEqual(["a"]);
+        expect(fromObject.files).toEqual([{ name: "r.txt", content: "hi", type: "text" }]);
+    });
+
+    it("should return typed entities with properties, images and labelled edges", async () => {
+        const result = await runOutput({
+            entities: [
+                { id: "ip", type: "IP", label: "93.184.216.34", properties: { asn: 15133, tags: ["cdn"] } },
+                { id: "org", type: "organization", label: "Edgecast", images: [{ name: "logo.png", content: "iVBORw0KGgo=" }] }
+            ],
+            edges: [
+                { source: "input", target: "ip", label: "resolves to" },
+                { source: "ip", target: "org", label: "announced by" }
+            ]
+        });
+
+        expect(result.entities[0]).toEqual({
+            id: "ip",
+            type: "ip",
+            label: "93.184.216.34",
+            properties: { asn: 15133, tags: "[\"cdn\"]" },
+            images: []
+        });
+        expect(result.entities[1].images[0].content).toBe("data:image/png;base64,iVBORw0KGgo=");
+        expect(result.edges).toEqual([
+            { source: "input", target: "ip", label: "resolves to" },
+            { source: "ip", target: "org", label: "announced by" }
+        ]);
+    });
+
+    it("should reject edges to unknown entities", async () => {
+        const error = await runOutput({
+            entities: [{ id: "a", label: "A" }],
+            edges: [{ source: "a", target: "missing" }]
+        }).catch(e => e);
+
+        expect(error.code).toBe("INVALID_OUTPUT");
+        expect(error.message).toContain("unknown entity");
+    });
+});
+
+// Tests the node context custom transforms receive on stdin
+describe("Custom Transform Context", () => {
+    const contextScript = [
+        "import sys, json",
+        "context = json.load(sys.stdin)",
+        "print(json.dumps([sys.argv[1], context['label'], context['node']['type'] or 'none', context['node']['texts'][0]['name'] if context['node']['texts'] else ''] + [n['direction'] + ':' + n['label'] for n in context['neighbors']]))"
+    ].join("\n");
+
+    it("should send the node and its neighbors as JSON on stdin", async () => {
+        const upload = await request(app)
+            .post("/upload-transform")
+            .attach("file", Buffer.from(contextScript), "context.py");
+        const id = upload.body.transform.id;
+
+        const run = await request(app)
+            .post("/run-transform")
+            .send({
+                transformId: id,
+                nodeLabel: "alice",
+                context: {
+                    node: { id: "username:alice", type: "username", texts: [{ name: "bio.txt", content: "hi" }], properties: { platform: "GitHub" } },
+                    neighbors: [{ id: "email:a@example.com", label: "a@example.com", type: "email", direction: "incoming", edgeLabel: "uses" }]
+                }
+            });
+        const withoutContext = await request(app)
+            .post("/run-transform")
+            .send({ transformId: id, nodeLabel: "bob" });
+        const invalid = await request(app)
+            .post("/run-transform")
+            .send({ transformId: id, nodeLabel: "alice", context: { neighbors: [{ label: 5 }] } });
+
+        expect(run.status).toBe(200);
+        expect(run.body.nodes).toEqual(["alice", "alice", "username", "bio.txt", "incoming:a@example.com"]);
+        expect(withoutContext.status).toBe(200);
+        expect(withoutContext.body.nodes).toEqual(["bob", "bob", "none", ""]);
+        expect(invalid.status).toBe(400);
+
+        await request(app).delete(`/custom-transforms/${id}`);
+    });
+});
+
+// Tests JavaScript transforms run in the worker sandbox
+describe("JavaScript Custom Transforms", () => {
+    async function runJs(source: string, filename = "test.js", input = "example.com", limits = {}) {
+        const transform = await saveCustomTransform(Buffer.from(source), filename);
+        try {
+            return await executeCustomTransform(transform.id, input, {}, { limits });
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    }
+
+    it("should upload a .js transform with a header manifest and build entities through the API", async () => {
+        const source = [
+            "// @manifest",
+            "// { \"name\": \"JS Entities\", \"inputTypes\": [\"domain\"] }",
+            "// @end",
+            "module.exports = async function (input, api) {",
+            "    const id = api.entity({ type: \"ip\", label: \"127.0.0.1\", properties: { source: api.node.type || \"none\" } });",
+            "    api.edge(\"input\", id, \"resolves to\");",
+            "    return [input.toUpperCase()];",
+            "};"
+        ].join("\n");
+
+        const upload = await request(app)
+            .post("/upload-transform")
+            .attach("file", Buffer.from(source), "entities.js");
+        expect(upload.status).toBe(200);
+        expect(upload.body.transform.name).toBe("JS Entities");
+        expect(upload.body.transform.language).toBe("javascript");
+        expect(upload.body.transform.manifest.inputTypes).toEqual(["domain"]);
+
+        const run = await request(app)
+            .post("/run-transform")
+            .send({ transformId: upload.body.transform.id, nodeLabel: "example.com", context: { node: { type: "domain" } } });
+
+        expect(run.status).toBe(200);
+        expect(run.body.nodes).toEqual(["EXAMPLE.COM"]);
+        expect(run.body.entities[0]).toMatchObject({ type: "ip", label: "127.0.0.1", properties: { source: "domain" } });
+        expect(run.body.edges).toEqual([{ source: "input", target: run.body.entities[0].id, label: "resolves to" }]);
+
+        await request(app).delete(`/custom-transforms/${upload.body.transform.id}`);
+    });
+
+    it("should support export default in .mjs files and reject other file types", async () => {
+        const result = await runJs("export default async (input) => ({ nodes: [input, typeof process, typeof require] });", "test.mjs");
+        expect(result.nodes).toEqual(["example.com", "undefined", "undefined"]);
+
+        const rejected = await request(app)
+            .post("/upload-transform")
+            .attach("file", Buffer.from("echo hi"), "script.sh");
+        expect(rejected.status).toBe(400);
+    });
+
+    it("should make HTTP requests through the server", async () => {
+        const server = http.createServer((req, res) => {
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ path: req.url }));
+        });
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        const { port } = server.address() as AddressInfo;
+
+        try {
+            const result = await runJs([
+                "module.exports = async (input, api) => {",
+                `    const response = await api.http.get("http://127.0.0.1:${port}/lookup?q=" + input);`,
+                "    return [String(response.status), response.data.path];",
+                "};"
+            ].join("\n"));
+
+            expect(result.nodes).toEqual(["200", "/lookup?q=example.com"]);
+        } finally {
+            server.close();
+        }
+    });
+
+    it("should not reach the worker through the API, module or console", async () => {
+        const escape = (expression: string) => `(() => { try { return typeof ${expression}("return process")(); } catch (error) { return "blocked"; } })()`;
+        const result = await runJs([
+            "module.exports = async (input, api) => {",
+            "    let foreign = -1;",
+            "    Error.prepareStackTrace = (error, sites) => { foreign = sites.filter(site => site.getFunction() && !(site.getFunction() instanceof Function)).length; return \"\"; };",
+            "    new Error().stack;",
+            "    return [",
+            `        ${escape("this.constructor.constructor")},`,
+            `        ${escape("api.constructor.constructor")},`,
+            `        ${escape("api.dns.resolve.constructor")},`,
+            `        ${escape("module.constructor.constructor")},`,
+            `        ${escape("console.log.constructor")},`,
+            "        String(foreign)",
+            "    ];",
+            "};"
+        ].join("\n"));
+
+        // Stack traces list no functions of the worker either
+        expect(result.nodes).toEqual(["blocked", "blocked", "blocked", "blocked", "blocked", "0"]);
+    });
+
+    it("should apply the same limits and error codes as Python transforms", async () => {
+        const timeout = await runJs("module.exports = () => { while (true) {} };", "loop.js", "x", { timeoutMs: 300 }).catch(e => e);
+        expect(timeout).toBeInstanceOf(CustomTransformExecutionError);
+        expect(timeout.code).toBe("TIMEOUT");
+
+        const tooLarge = await runJs("module.exports = () => ['x'.repeat(20000)];", "large.js", "x", { maxOutputBytes: 10000 }).catch(e => e);
+        expect(tooLarge.code).toBe("OUTPUT_LIMIT");
+
+        const crashed = await runJs("module.exports = () => { console.log('before'); throw new Error('boom'); };", "crash.js").catch(e => e);
+        expect(crashed.code).toBe("CRASHED");
+        expect(crashed.details.stderr).toContain("before");
+        expect(crashed.details.stderr).toContain("boom");
+
+        const invalid = await runJs("module.exports = () => ({ edges: [{ source: 'input', target: 'missing' }] });", "invalid.js").catch(e => e);
+        expect(invalid.code).toBe("INVALID_OUTPUT");
+    });
+});
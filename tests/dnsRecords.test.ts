@@ -0,0 +1,47 @@
+import request from "supertest";
+import { describe, it, expect, afterEach } from "vitest";
+import app from "../src/server";
+import { parseDnsRecordTypes } from "../src/services/dataProcessing";
+import { storeResult, purgeCache } from "../src/services/resultCache";
+
+// Tests choosing the record types the DNS transform queries
+describe("DNS Record Types", () => {
+    afterEach(() => {
+        purgeCache();
+    });
+
+    it("should normalize the chosen record types", () => {
+        expect(parseDnsRecordTypes(undefined)).toBeUndefined();
+        expect(parseDnsRecordTypes("")).toBeUndefined();
+        expect(parseDnsRecordTypes("mx, aaaa,A")).toEqual(["A", "AAAA", "MX"]);
+        expect(parseDnsRecordTypes(["caa", "SOA", "soa", "srv"])).toEqual(["SOA", "SRV", "CAA"]);
+    });
+
+    it("should reject unknown record types", () => {
+        expect(() => parseDnsRecordTypes("A,SPF")).toThrow('Unknown DNS record type "SPF"');
+        expect(() => parseDnsRecordTypes([1, 2])).toThrow("types must be a list");
+    });
+
+    it("should reject unknown record types at the endpoint", async () => {
+        const res = await request(app)
+            .post("/domain-to-dns")
+            .send({ domain: "example.com", types: ["A", "HINFO"] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain("HINFO");
+    });
+
+    it("should keep results of different record type choices apart", async () => {
+        const soa = { nsname: "ns1.example.com", hostmaster: "hostmaster.example.com", serial: 1, refresh: 7200, retry: 3600, expire: 1209600, minttl: 3600 };
+        storeResult("domain-to-dns", "example.com", { soa, caa: [{ critical: 0, tag: "issue", value: "letsencrypt.org" }] }, [], { types: ["SOA", "CAA"] });
+
+        const res = await request(app)
+            .post("/domain-to-dns")
+            .send({ domain: "example.com", types: "caa,soa" });
+
+        expect(res.status).toBe(200);
+        expect(res.body.soa).toEqual(soa);
+        expect(res.body.caa).toEqual([{ critical: 0, tag: "issue", value: "letsencrypt.org" }]);
+        expect(res.body.cached).toBeDefined();
+    });
+});
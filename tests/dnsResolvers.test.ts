@@ -0,0 +1,122 @@
+import dgram from "dgram";
+import request from "supertest";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import app from "../src/server";
+import { purgeCache } from "../src/services/resultCache";
+import { createDnsResolver, parseDnsResolvers } from "../src/services/dataProcessing";
+import { saveCustomTransform, removeCustomTransform } from "../src/services/customTransform";
+
+// Resolver that answers A queries with 192.0.2.10 and every other query with no records
+function startResolver(): Promise<dgram.Socket> {
+    const socket = dgram.createSocket("udp4");
+    socket.on("message", (query, peer) => {
+        // The question follows the 12 byte header: labels, then type and class
+        let end = 12;
+        while (query[end] !== 0) end += query[end] + 1;
+        const question = query.subarray(12, end + 5);
+        const isA = question.readUInt16BE(question.length - 4) === 1;
+
+        const header = Buffer.alloc(12);
+        query.copy(header, 0, 0, 2);
+        header.writeUInt16BE(0x8180, 2);
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(isA ? 1 : 0, 6);
+
+        const answer = Buffer.from([0xc0, 0x0c, 0, 1, 0, 1, 0, 0, 0x0e, 0x10, 0, 4, 192, 0, 2, 10]);
+        socket.send(Buffer.concat([header, question, ...(isA ? [answer] : [])]), peer.port, peer.address);
+    });
+    return new Promise(resolve => socket.bind(0, "127.0.0.1", () => resolve(socket)));
+}
+
+// Tests choosing the DNS servers the DNS transforms ask
+describe("DNS resolvers", () => {
+    let resolver: dgram.Socket;
+    const address = () => `127.0.0.1:${resolver.address().port}`;
+
+    beforeAll(async () => {
+        resolver = await startResolver();
+    });
+
+    afterAll(() => {
+        resolver.close();
+    });
+
+    afterEach(() => {
+        delete process.env.DNS_RESOLVERS;
+        purgeCache();
+    });
+
+    it("should validate resolver lists", () => {
+        expect(parseDnsResolvers("")).toBeUndefined();
+        expect(parseDnsResolvers("1.1.1.1, 10.0.0.53:5353")).toEqual(["1.1.1.1", "10.0.0.53:5353"]);
+        expect(parseDnsResolvers(["2606:4700::1111", "[2606:4700::1111]:53"])).toEqual(["2606:4700::1111", "[2606:4700::1111]:53"]);
+        expect(() => parseDnsResolvers("dns.example.com")).toThrow('Invalid DNS resolver "dns.example.com"');
+        expect(() => parseDnsResolvers("1.1.1.1:70000")).toThrow("Invalid DNS resolver");
+        expect(() => parseDnsResolvers(Array(9).fill("1.1.1.1"))).toThrow("at most 8 resolvers");
+    });
+
+    it("should use the given resolvers, then the DNS_RESOLVERS setting", () => {
+        expect(createDnsResolver(["9.9.9.9"]).getServers()).toEqual(["9.9.9.9"]);
+
+        process.env.DNS_RESOLVERS = "1.1.1.1,8.8.8.8";
+        expect(createDnsResolver().getServers()).toEqual(["1.1.1.1", "8.8.8.8"]);
+        expect(createDnsResolver(["9.9.9.9"]).getServers()).toEqual(["9.9.9.9"]);
+
+        // An invalid setting falls back to the system resolvers
+        process.env.DNS_RESOLVERS = "not-an-address";
+        expect(createDnsResolver().getServers()).not.toContain("not-an-address");
+    });
+
+    it("should reject invalid resolvers on every DNS endpoint", async () => {
+        const endpoints: Array<[string, object]> = [
+            ["/domain-to-ip", { domain: "example.test" }],
+            ["/domain-to-dns", { domain: "example.test" }],
+            ["/ip-to-reverse-dns", { ip: "127.0.0.1" }],
+            ["/zone-transfer", { domain: "example.test" }]
+        ];
+        for (const [endpoint, body] of endpoints) {
+            const res = await request(app).post(endpoint).send({ ...body, resolvers: "resolver.example.test" });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('Invalid DNS resolver "resolver.example.test"');
+        }
+    });
+
+    it("should resolve through the requested resolver and report it", async () => {
+        const ip = await request(app).post("/domain-to-ip").send({ domain: "example.test", resolvers: [address()] });
+        expect(ip.status).toBe(200);
+        expect(ip.body.ips).toEqual(["192.0.2.10"]);
+        expect(ip.body.resolvers).toEqual([address()]);
+
+        const records = await request(app).post("/domain-to-dns").send({ domain: "example.test", types: ["A", "MX"], resolvers: address() });
+        expect(records.status).toBe(200);
+        expect(records.body).toMatchObject({ a: ["192.0.2.10"], mx: [], resolvers: [address()] });
+    });
+
+    it("should use the DNS_RESOLVERS setting when a request names no resolvers", async () => {
+        process.env.DNS_RESOLVERS = address();
+
+        const res = await request(app).post("/domain-to-ip").send({ domain: "example.test" });
+        expect(res.status).toBe(200);
+        expect(res.body.ips).toEqual(["192.0.2.10"]);
+        expect(res.body.resolvers).toEqual([address()]);
+    });
+
+    it("should answer a JavaScript transform's DNS calls through the same resolvers", async () => {
+        const source = "module.exports = async (input, api) => [JSON.stringify(await api.dns.lookup(input)), (await api.dns.resolve(input, \"A\")).join()];";
+        const transform = await saveCustomTransform(Buffer.from(source), "lookup.js");
+        try {
+            const run = await request(app).post("/run-transform").send({ transformId: transform.id, nodeLabel: "example.test", resolvers: address() });
+            expect(run.status).toBe(200);
+            expect(run.body.nodes).toEqual(["[{\"address\":\"192.0.2.10\",\"family\":4}]", "192.0.2.10"]);
+
+            process.env.DNS_RESOLVERS = address();
+            const configured = await request(app).post("/run-transform").send({ transformId: transform.id, nodeLabel: "example.test" });
+            expect(configured.body.nodes).toEqual(run.body.nodes);
+
+            const invalid = await request(app).post("/run-transform").send({ transformId: transform.id, nodeLabel: "example.test", resolvers: "resolver.example.test" });
+            expect(invalid.status).toBe(400);
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    });
+});
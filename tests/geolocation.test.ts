@@ -0,0 +1,157 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import app from "../src/server";
+import { purgeCache } from "../src/services/resultCache";
+import { getGeolocation } from "../src/services/geolocation";
+
+// MaxMind DB data field: control byte with the type and size, then the payload
+function encodeField(type: number, size: number, payload: Buffer): Buffer {
+    const control = type > 7 ? [size < 29 ? size : 29, type - 7] : [(type << 5) | (size < 29 ? size : 29)];
+    const extra = size < 29 ? [] : [size - 29];
+    const bytes = type > 7 ? [control[0], ...extra, control[1]] : [...control, ...extra];
+    return Buffer.concat([Buffer.from(bytes), payload]);
+}
+
+function encodeValue(value: unknown): Buffer {
+    if (typeof value === "string") {
+        return encodeField(2, Buffer.byteLength(value), Buffer.from(value));
+    }
+    if (typeof value === "number" && !Number.isInteger(value)) {
+        const payload = Buffer.alloc(8);
+        payload.writeDoubleBE(value);
+        return encodeField(3, 8, payload);
+    }
+    if (typeof value === "number") {
+        const payload = Buffer.alloc(4);
+        payload.writeUInt32BE(value);
+        return encodeField(6, 4, payload);
+    }
+    if (Array.isArray(value)) {
+        return encodeField(11, value.length, Buffer.concat(value.map(encodeValue)));
+    }
+    const entries = Object.entries(value as object);
+    return encodeField(7, entries.length, Buffer.concat(entries.flatMap(([key, item]) => [encodeValue(key), encodeValue(item)])));
+}
+
+// IPv6 database (24 bit records) mapping each network, given as its leading bits, to a record
+function encodeDatabase(networks: Array<[string, object]>): Buffer {
+    const nodes: Array<[number | {data: number}, number | {data: number}]> = [[-1, -1]];
+    const data: Buffer[] = [];
+    let dataSize = 0;
+
+    for (const [bits, record] of networks) {
+        let node = 0;
+        for (const bit of bits.slice(0, -1)) {
+            const side = Number(bit) as 0 | 1;
+            if (nodes[node][side] === -1) {
+                nodes.push([-1, -1]);
+                nodes[node][side] = nodes.length - 1;
+            }
+            node = nodes[node][side] as number;
+        }
+        nodes[node][Number(bits[bits.length - 1]) as 0 | 1] = { data: dataSize };
+        const encoded = encodeValue(record);
+        data.push(encoded);
+        dataSize += encoded.length;
+    }
+
+    const tree = Buffer.alloc(nodes.length * 6);
+    nodes.forEach((records, index) => records.forEach((value, side) => {
+        const pointer = value === -1 ? nodes.length : typeof value === "number" ? value : nodes.length + 16 + value.data;
+        tree.writeUIntBE(pointer, index * 6 + side * 3, 3);
+    }));
+
+    const metadata = encodeValue({
+        node_count: nodes.length,
+        record_size: 24,
+        ip_version: 6,
+        database_type: "Test",
+        languages: ["en"],
+        binary_format_major_version: 2,
+        binary_format_minor_version: 0,
+        build_epoch: 1700000000,
+        description: { en: "Test database" }
+    });
+    return Buffer.concat([tree, Buffer.alloc(16), ...data, Buffer.from("abcdef4d61784d696e642e636f6d", "hex"), metadata]);
+}
+
+// Leading bits of an IPv4 network inside an IPv6 tree, e.g. ipv4Bits([192, 0, 2]) for 192.0.2.0/24
+const ipv4Bits = (octets: number[]) => "0".repeat(96) + octets.map(octet => octet.toString(2).padStart(8, "0")).join("");
+
+// Tests the offline and configurable geolocation providers
+describe("Geolocation", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "geolocation-"));
+    const cityDatabase = path.join(directory, "city.mmdb");
+    const asnDatabase = path.join(directory, "asn.mmdb");
+
+    beforeAll(() => {
+        fs.writeFileSync(cityDatabase, encodeDatabase([
+            [ipv4Bits([192, 0, 2]), {
+                country: { iso_code: "NL", names: { en: "Netherlands" } },
+                subdivisions: [{ iso_code: "NH", names: { en: "North Holland" } }],
+                city: { names: { en: "Amsterdam" } },
+                postal: { code: "1012" },
+                location: { latitude: 52.3759, longitude: 4.8975 }
+            }],
+            // 2001:db8::/32
+            ["00100000000000010000110110111000", { registered_country: { iso_code: "JP", names: { en: "Japan" } } }]
+        ]));
+        fs.writeFileSync(asnDatabase, encodeDatabase([
+            [ipv4Bits([192, 0]), { autonomous_system_number: 64496, autonomous_system_organization: "Example Networks B.V." }]
+        ]));
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        delete process.env.GEOLOCATION_PROVIDER;
+        delete process.env.GEOLOCATION_DB;
+        purgeCache();
+    });
+
+    it("should combine the records of a City and an ASN database", async () => {
+        process.env.GEOLOCATION_DB = `${cityDatabase}, ${asnDatabase}`;
+
+        expect(await getGeolocation("192.0.2.10")).toEqual({
+            provider: "mmdb",
+            countryName: "Netherlands",
+            countryCode: "NL",
+            regionName: "North Holland",
+            cityName: "Amsterdam",
+            zipCode: "1012",
+            latitude: 52.3759,
+            longitude: 4.8975,
+            asn: 64496,
+            asnOrganization: "Example Networks B.V."
+        });
+        expect(await getGeolocation("2001:db8::1%eth0")).toEqual({ provider: "mmdb", countryName: "Japan", countryCode: "JP" });
+        expect(await getGeolocation("198.51.100.1")).toEqual({ provider: "mmdb" });
+    });
+
+    it("should reject unknown providers and a missing database setting", async () => {
+        process.env.GEOLOCATION_PROVIDER = "geoip";
+        await expect(getGeolocation("192.0.2.10")).rejects.toThrow('Unknown geolocation provider "geoip"');
+
+        process.env.GEOLOCATION_PROVIDER = "mmdb";
+        await expect(getGeolocation("192.0.2.10")).rejects.toThrow("GEOLOCATION_DB is not set");
+    });
+
+    it("should answer with the provider that located the address", async () => {
+        process.env.GEOLOCATION_PROVIDER = "mmdb";
+        process.env.GEOLOCATION_DB = cityDatabase;
+
+        const located = await request(app).post("/ip-to-location").send({ ip: "192.0.2.10" });
+        expect(located.status).toBe(200);
+        expect(located.body).toMatchObject({ provider: "mmdb", countryName: "Netherlands", cityName: "Amsterdam", asn: "Unknown" });
+
+        // Offline only: an address the database does not know is not sent anywhere else
+        const unknown = await request(app).post("/ip-to-location").send({ ip: "198.51.100.1" });
+        expect(unknown.status).toBe(200);
+        expect(unknown.body).toMatchObject({ provider: "mmdb", countryName: "Unknown" });
+    });
+});
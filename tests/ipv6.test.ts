@@ -0,0 +1,62 @@
+import request from "supertest";
+import { describe, it, expect } from "vitest";
+import app from "../src/server";
+import { validateIpAddress, detectNodeType } from "../src/services/dataProcessing";
+import { parseScanTarget } from "../src/services/externalTools";
+
+// Tests recognizing and expanding IPv6 addresses and netblocks
+describe("IPv6", () => {
+    it("should validate IPv4 and IPv6 addresses", () => {
+        for (const ip of ["192.0.2.1", "2001:db8::1", "::1", "::", "2001:0db8:0000:0000:0000:0000:0000:0001", "::ffff:192.0.2.1", "fe80::1%eth0"]) {
+            expect(validateIpAddress(ip)).toBe(true);
+        }
+        for (const ip of ["256.0.0.1", "2001:db8::g", "2001:db8:::1", "1:2:3:4:5:6:7:8:9", "fe80::1%eth0;id", "example.com"]) {
+            expect(validateIpAddress(ip)).toBe(false);
+        }
+    });
+
+    it("should detect IPv6 addresses and netblocks", () => {
+        expect(detectNodeType("2001:DB8::1")).toBe("ip");
+        expect(detectNodeType("fe80::1%eth0")).toBe("ip");
+        expect(detectNodeType("2001:db8::/32")).toBe("netblock");
+        expect(detectNodeType("Netblock: 2001:db8:: - 2001:db8:ffff:ffff:ffff:ffff:ffff:ffff")).toBe("netblock");
+        expect(detectNodeType("Netblock: 10.0.0.0 - 10.0.0.255")).toBe("netblock");
+        expect(detectNodeType("2001:db8::/129")).not.toBe("netblock");
+        expect(detectNodeType("10.0.0.0 - 2001:db8::1")).not.toBe("netblock");
+    });
+
+    it("should detect node types through the endpoint", async () => {
+        const res = await request(app).post("/detect-node-type").send({ label: "2001:4860:4860::8888" });
+
+        expect(res.status).toBe(200);
+        expect(res.body.nodeType).toBe("ip");
+    });
+
+    it("should expand IPv6 blocks and ranges in compressed form", () => {
+        expect(parseScanTarget("2001:db8::1")).toBeNull();
+        expect(parseScanTarget("2001:db8::/126")).toEqual(["2001:db8::", "2001:db8::1", "2001:db8::2", "2001:db8::3"]);
+        expect(parseScanTarget("2001:db8::1-3")).toEqual(["2001:db8::1", "2001:db8::2", "2001:db8::3"]);
+        expect(parseScanTarget("2001:db8::fffe - 2001:db8::1:0")).toEqual(["2001:db8::fffe", "2001:db8::ffff", "2001:db8::1:0"]);
+        expect(parseScanTarget("::ffff:192.0.2.0/127")).toEqual(["::ffff:192.0.2.0", "::ffff:192.0.2.1"]);
+        expect(parseScanTarget("2001:db8::1, 10.0.0.1")).toEqual(["2001:db8::1", "10.0.0.1"]);
+    });
+
+    it("should refuse oversized and malformed IPv6 targets", () => {
+        expect(() => parseScanTarget("2001:db8::/64")).toThrow(/limit of 256/);
+        expect(() => parseScanTarget("2001:db8::/129")).toThrow("Invalid CIDR block");
+        expect(() => parseScanTarget("2001:db8::5-1")).toThrow("Invalid address range");
+        expect(() => parseScanTarget("2001:db8::1-10.0.0.1")).toThrow("Invalid address range");
+    });
+
+    it("should accept IPv6 on the IP endpoints and reject malformed addresses", async () => {
+        for (const endpoint of ["/ip-to-netblock", "/ip-to-location", "/ip-to-reverse-dns"]) {
+            const res = await request(app).post(endpoint).send({ ip: "2001:db8::g" });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe("Invalid IP address format");
+        }
+
+        const scan = await request(app).post("/port-scan").send({ target: "2001:db8::/120", maxHosts: 100 });
+        expect(scan.status).toBe(400);
+        expect(scan.body.error).toContain("covers 256 addresses");
+    });
+});
@@ -0,0 +1,73 @@
+import net from "net";
+import request from "supertest";
+import { describe, it, expect } from "vitest";
+import app from "../src/server";
+import { parseScanTarget, executeNetworkScan } from "../src/services/externalTools";
+
+// Tests scanning CIDR blocks, address ranges and lists of hosts
+describe("Network Scan", () => {
+    it("should leave single hosts alone", () => {
+        expect(parseScanTarget("10.0.0.1")).toBeNull();
+        expect(parseScanTarget("my-host.example.com")).toBeNull();
+    });
+
+    it("should expand CIDR blocks without network and broadcast addresses", () => {
+        expect(parseScanTarget("192.168.1.0/30")).toEqual(["192.168.1.1", "192.168.1.2"]);
+        expect(parseScanTarget("192.168.1.7/31")).toEqual(["192.168.1.6", "192.168.1.7"]);
+        expect(parseScanTarget("192.168.1.9/32")).toEqual(["192.168.1.9"]);
+        expect(parseScanTarget("10.0.0.0/24")).toHaveLength(254);
+    });
+
+    it("should expand ranges and lists", () => {
+        expect(parseScanTarget("10.0.0.254 - 10.0.1.1")).toEqual(["10.0.0.254", "10.0.0.255", "10.0.1.0", "10.0.1.1"]);
+        expect(parseScanTarget("10.0.0.1-3")).toEqual(["10.0.0.1", "10.0.0.2", "10.0.0.3"]);
+        expect(parseScanTarget("10.0.0.1, 10.0.0.2 10.0.0.1-2")).toEqual(["10.0.0.1", "10.0.0.2"]);
+    });
+
+    it("should refuse targets over the host limit and malformed entries", () => {
+        expect(() => parseScanTarget("10.0.0.0/16")).toThrow(/65534 addresses/);
+        expect(() => parseScanTarget("10.0.0.0/24", 100)).toThrow(/limit of 100/);
+        expect(parseScanTarget("10.0.0.0/20", 4096)).toHaveLength(4094);
+        expect(() => parseScanTarget("10.0.0.0/33")).toThrow("Invalid CIDR block");
+        expect(() => parseScanTarget("10.0.0.9-10.0.0.1")).toThrow("Invalid address range");
+        expect(() => parseScanTarget("10.0.0.1, example.com")).toThrow("example.com");
+    });
+
+    it("should reject oversized targets at the endpoint", async () => {
+        const res = await request(app)
+            .post("/port-scan")
+            .send({ target: "8.0.0.0 - 8.127.255.255", maxHosts: 1024 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain("limit of 1024");
+    });
+
+    it("should scan the hosts that answer discovery", async () => {
+        const server = net.createServer(socket => socket.end());
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        const openPort = (server.address() as net.AddressInfo).port;
+
+        try {
+            const events: unknown[] = [];
+            const progress: Array<number | null> = [];
+            // 127.0.0.2 is loopback too, but refuses connections to the listener's port
+            const hosts = await executeNetworkScan(["127.0.0.1", "127.0.0.2"], { ports: `${openPort}`, timeout: 1000, banners: false }, {
+                onResult: event => events.push(event),
+                onProgress: percent => progress.push(percent)
+            });
+
+            expect(hosts).toEqual([
+                { host: "127.0.0.1", ports: [{ port: openPort, service: expect.any(String) }] },
+                { host: "127.0.0.2", ports: [] }
+            ]);
+            expect(events).toEqual([
+                { host: "127.0.0.1" },
+                { host: "127.0.0.1", port: openPort, service: expect.any(String) },
+                { host: "127.0.0.2" }
+            ]);
+            expect(progress[progress.length - 1]).toBe(100);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { buildHar, findThirdPartyDomains, NetworkRecord } from "../src/services/pageCapture";
+
+const started = Date.parse("2024-09-01T12:00:00.000Z");
+
+const records: NetworkRecord[] = [
+    {
+        method: "GET",
+        url: "http://example.com/",
+        requestHeaders: { "user-agent": "Test" },
+        started,
+        finished: null,
+        status: 301,
+        statusText: "Moved Permanently",
+        responseHeaders: { location: "https://www.example.com/" },
+        remoteAddress: "192.0.2.1"
+    },
+    {
+        method: "POST",
+        url: "https://www.example.com/collect?id=7&v=2",
+        requestHeaders: { "content-type": "application/json" },
+        postData: "{\"event\":\"view\"}",
+        started: started + 40,
+        finished: started + 140,
+        status: 200,
+        statusText: "OK",
+        responseHeaders: { "content-type": "text/html", "content-length": "512" }
+    },
+    {
+        method: "GET",
+        url: "https://tracker.example.net/pixel.gif",
+        requestHeaders: {},
+        started: started + 50,
+        finished: started + 60,
+        status: 0,
+        statusText: "",
+        responseHeaders: {},
+        failure: "net::ERR_BLOCKED_BY_CLIENT"
+    }
+];
+
+// Tests the evidence kept from a page visit
+describe("Page capture", () => {
+    it("should write the requests of a visit as a HAR log", () => {
+        const har: any = buildHar(records, { url: "https://www.example.com/", title: "Example", started, loadTime: 850 });
+
+        expect(har.log.version).toBe("1.2");
+        expect(har.log.pages).toEqual([{
+            startedDateTime: "2024-09-01T12:00:00.000Z",
+            id: "page_1",
+            title: "Example",
+            pageTimings: { onContentLoad: -1, onLoad: 850 }
+        }]);
+        expect(har.log.entries).toHaveLength(3);
+
+        const [redirect, post, failed] = har.log.entries;
+        expect(redirect.response).toMatchObject({ status: 301, redirectURL: "https://www.example.com/" });
+        expect(redirect.serverIPAddress).toBe("192.0.2.1");
+        expect(redirect.time).toBe(0);
+
+        expect(post.startedDateTime).toBe("2024-09-01T12:00:00.040Z");
+        expect(post.time).toBe(100);
+        expect(post.timings).toMatchObject({ send: 0, wait: 100, receive: 0 });
+        expect(post.request.queryString).toEqual([{ name: "id", value: "7" }, { name: "v", value: "2" }]);
+        expect(post.request.postData).toEqual({ mimeType: "application/json", text: "{\"event\":\"view\"}" });
+        expect(post.request.bodySize).toBe(16);
+        expect(post.response.content).toEqual({ size: 512, mimeType: "text/html" });
+
+        expect(failed.response).toMatchObject({ status: 0, statusText: "net::ERR_BLOCKED_BY_CLIENT" });
+    });
+
+    it("should count requests to third-party domains", () => {
+        const urls = [
+            "https://www.example.co.uk/",
+            "https://static.example.co.uk/app.js",
+            "https://cdn.other.test/lib.js",
+            "https://cdn.other.test/lib.css",
+            "https://fonts.example.com/font.woff2",
+            "https://[2001:db8::1]/beacon",
+            "data:image/png;base64,AAAA"
+        ];
+
+        expect(findThirdPartyDomains(urls, ["https://example.co.uk", "https://www.example.co.uk/"])).toEqual([
+            { domain: "cdn.other.test", requests: 2 },
+            { domain: "2001:db8::1", requests: 1 },
+            { domain: "fonts.example.com", requests: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,57 @@
+import request from "supertest";
+import net from "net";
+import { describe, it, expect } from "vitest";
+import app from "../src/server";
+import { parsePortSpec, parsePortScanOptions, executePortScan } from "../src/services/externalTools";
+
+// Tests port specifications, scan options and scanning a chosen port list
+describe("Port Scan Options", () => {
+    it("should expand port lists and ranges", () => {
+        expect(parsePortSpec("80, 22,8000-8003,22")).toEqual([22, 80, 8000, 8001, 8002, 8003]);
+        expect(parsePortSpec("top100")).toHaveLength(100);
+        expect(parsePortSpec("ALL")).toHaveLength(65535);
+    });
+
+    it("should reject malformed port specifications", () => {
+        expect(() => parsePortSpec("80,abc")).toThrow(/Invalid port specification/);
+        expect(() => parsePortSpec("0-10")).toThrow(/between 1 and 65535/);
+        expect(() => parsePortSpec("9000-8000")).toThrow(/Invalid port range/);
+        expect(() => parsePortSpec("70000")).toThrow(/between 1 and 65535/);
+    });
+
+    it("should validate timeout, concurrency and delay", () => {
+        expect(parsePortScanOptions({ ports: "Top100", timeout: 500, concurrency: 10, delay: 0 }))
+            .toEqual({ ports: "top100", timeout: 500, concurrency: 10, delay: 0 });
+        expect(parsePortScanOptions({})).toEqual({});
+        expect(() => parsePortScanOptions({ timeout: 50 })).toThrow(/timeout/);
+        expect(() => parsePortScanOptions({ concurrency: 0 })).toThrow(/concurrency/);
+        expect(() => parsePortScanOptions({ delay: -1 })).toThrow(/delay/);
+    });
+
+    it("should scan only the requested ports", async () => {
+        const server = net.createServer(socket => socket.end());
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        const openPort = (server.address() as net.AddressInfo).port;
+
+        try {
+            const progress: Array<number | null> = [];
+            const ports = await executePortScan("127.0.0.1", { ports: `${openPort}`, timeout: 1000, concurrency: 1, banners: false }, {
+                onProgress: percent => progress.push(percent)
+            });
+
+            expect(ports).toEqual([{ port: openPort, service: expect.any(String) }]);
+            expect(progress).toEqual([100]);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("should reject invalid options at the endpoint", async () => {
+        const res = await request(app)
+            .post("/port-scan")
+            .send({ target: "127.0.0.1", ports: "1-99999" });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain("1-99999");
+    });
+});
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import request from "supertest";
+import { describe, it, expect, afterEach } from "vitest";
+import app from "../src/server";
+import { storeResult, getCachedResult, purgeCache, getCacheTtl } from "../src/services/resultCache";
+import { executeTransform } from "../src/services/transformExecution";
+
+// Tests serving transform results from the result cache
+describe("Result Cache", () => {
+    afterEach(() => {
+        delete process.env.GEOLOCATION_PROVIDER;
+        purgeCache();
+    });
+
+    it("should answer a transform from the cache with the result's age", async () => {
+        const result = { registrar: "Example Registrar", nameServers: ["ns1.example.com"] };
+        storeResult("whois", "example.com", result);
+
+        // Same entry despite case and trailing dot
+        const res = await request(app).post("/whois").send({ domain: "Example.COM." });
+
+        expect(res.status).toBe(200);
+        expect(res.body.registrar).toBe("Example Registrar");
+        expect(res.body.nameServers).toEqual(["ns1.example.com"]);
+        expect(typeof res.body.cached.storedAt).toBe("string");
+        expect(res.body.cached.ageSeconds).toBeGreaterThanOrEqual(0);
+    });
+
+    it("should replay cached results to streaming clients", async () => {
+        const ports = [{ port: 22, service: "ssh" }, { port: 80, service: "http" }];
+        storeResult("port-scan", "127.0.0.1", { ports }, ports);
+
+        const res = await request(app)
+            .post("/port-scan")
+            .set("Accept", "text/event-stream")
+            .send({ target: "127.0.0.1" });
+
+        expect(res.headers["content-type"]).toContain("text/event-stream");
+        expect(res.text).toContain(`event: result\ndata: ${JSON.stringify(ports[0])}`);
+        expect(res.text).toContain(`event: result\ndata: ${JSON.stringify(ports[1])}`);
+        expect(res.text).toContain("event: done");
+        expect(res.text).toContain("\"cached\":");
+    });
+
+    it("should key entries by nested params and the settings a transform depends on", () => {
+        const stored = storeResult("sherlock", "alice", { services: ["GitHub"] }, [], { sites: ["GitHub"], proxy: { url: "socks5://127.0.0.1:9050", auth: "a" } });
+        expect(fs.existsSync(path.join(process.env.RESULT_CACHE_DIR!, `${stored!.key}.json`))).toBe(true);
+
+        expect(getCachedResult("sherlock", "alice", { proxy: { auth: "a", url: "socks5://127.0.0.1:9050" }, sites: ["GitHub"] })).not.toBeNull();
+        expect(getCachedResult("sherlock", "alice", { sites: ["GitHub"], proxy: { url: "socks5://127.0.0.1:9050", auth: "b" } })).toBeNull();
+
+        process.env.GEOLOCATION_PROVIDER = "freeipapi";
+        storeResult("ip-to-location", "192.0.2.1", { provider: "freeipapi", countryName: "Netherlands" });
+        expect(getCachedResult("ip-to-location", "192.0.2.1")).not.toBeNull();
+
+        process.env.GEOLOCATION_PROVIDER = "mmdb";
+        expect(getCachedResult("ip-to-location", "192.0.2.1")).toBeNull();
+    });
+
+    it("should key job and endpoint params the same once normalized", async () => {
+        storeResult("domain-to-dns", "example.test", { a: ["192.0.2.1"], aaaa: [] }, [], { types: ["A", "AAAA"] });
+
+        const result: any = await executeTransform("domain-to-dns", "example.test", { params: { types: "aaaa, a" } });
+        expect(result.a).toEqual(["192.0.2.1"]);
+        expect(result.cached).toBeDefined();
+    });
+
+    it("should keep port scan results for minutes only", () => {
+        expect(getCacheTtl("port-scan")).toBe(5 * 60 * 1000);
+    });
+
+    it("should not cache transforms without a TTL", () => {
+        expect(storeResult("website-screenshot", "https://example.com", { screenshot: "data" })).toBeNull();
+        expect(getCachedResult("website-screenshot", "https://example.com")).toBeNull();
+    });
+
+    it("should list and purge cached results", async () => {
+        storeResult("whois", "example.com", { registrar: "Example Registrar" });
+        storeResult("ip-to-netblock", "8.8.8.8", { netblock: "8.8.8.0/24" });
+
+        const listed = await request(app).get("/cache?transformId=whois");
+        expect(listed.status).toBe(200);
+        expect(listed.body.entries).toHaveLength(1);
+        expect(listed.body.entries[0].input).toBe("example.com");
+        expect(listed.body.entries[0].expired).toBe(false);
+        expect(listed.body.entries[0].result).toBeUndefined();
+
+        const purged = await request(app).delete("/cache?transformId=whois&input=EXAMPLE.com");
+        expect(purged.status).toBe(200);
+        expect(purged.body.removed).toBe(1);
+        expect(getCachedResult("whois", "example.com")).toBeNull();
+        expect(getCachedResult("ip-to-netblock", "8.8.8.8")).not.toBeNull();
+
+        const cleared = await request(app).delete("/cache");
+        expect(cleared.body.removed).toBe(1);
+    });
+
+    it("should reject unknown transform ids in cache filters", async () => {
+        const res = await request(app).get("/cache?transformId=nope");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain("transformId");
+    });
+});
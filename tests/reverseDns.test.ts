@@ -0,0 +1,44 @@
+import request from "supertest";
+import { describe, it, expect, afterEach } from "vitest";
+import app from "../src/server";
+import { purgeCache } from "../src/services/resultCache";
+
+// Tests looking up host names of addresses and sweeping netblocks
+describe("Reverse DNS", () => {
+    afterEach(() => {
+        purgeCache();
+    });
+
+    it("should reject invalid addresses and oversized netblocks", async () => {
+        const invalid = await request(app).post("/ip-to-reverse-dns").send({ ip: "example.com" });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toBe("Invalid IP address format");
+
+        const oversized = await request(app).post("/ip-to-reverse-dns").send({ ip: "10.0.0.0/16" });
+        expect(oversized.status).toBe(400);
+        expect(oversized.body.error).toContain("limit of 256");
+    });
+
+    it("should look up IPv4 and IPv6 addresses", async () => {
+        // 127.0.0.1 is named in the hosts file, which the resolver reads first
+        const ipv4 = await request(app).post("/ip-to-reverse-dns").send({ ip: "127.0.0.1" });
+        expect(ipv4.status).toBe(200);
+        expect(ipv4.body.hostnames.length).toBeGreaterThan(0);
+
+        const ipv6 = await request(app).post("/ip-to-reverse-dns").send({ ip: "::1" });
+        expect(ipv6.status).toBe(200);
+        expect(Array.isArray(ipv6.body.hostnames)).toBe(true);
+    });
+
+    it("should stream the named addresses of a netblock sweep", async () => {
+        const res = await request(app)
+            .post("/ip-to-reverse-dns")
+            .set("Accept", "text/event-stream")
+            .send({ ip: "127.0.0.0 - 127.0.0.2" });
+
+        expect(res.headers["content-type"]).toContain("text/event-stream");
+        expect(res.text).toMatch(/event: result\ndata: \{"ip":"127\.0\.0\.1","hostnames":\[/);
+        expect(res.text).toContain("event: done");
+        expect(res.text).toContain("Looked up 3/3 addresses");
+    });
+});
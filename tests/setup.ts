@@ -0,0 +1,12 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll } from "vitest";
+
+// Each test file caches transform results in its own temporary directory, not saves/results/cache
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "insightsnexus-cache-"));
+process.env.RESULT_CACHE_DIR = cacheDir;
+
+afterAll(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
@@ -15,4 +15,24 @@ describe("Sherlock API", () => {
         // Ensures that the response has an array of services
         expect(res.body.services).toBeInstanceOf(Array);
     }, 120000); // 2 minutes runtime just in case sherlock takes too long (Will better improve this test later)
-});
\ No newline at end of file
+
+    it("should reject invalid options before running Sherlock", async () => {
+        const res = await request(app)
+            .post("/sherlock")
+            .send({username: "topsnek", timeout: 9999});
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain("timeout");
+    });
+
+    it("should reject usernames that look like flags before running Sherlock", async () => {
+        for (const username of ["--output=/tmp/x", "-h", "alice bob"]) {
+            const res = await request(app)
+                .post("/sherlock")
+                .send({username});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain("Invalid username format");
+        }
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { parseSherlockLine, parseSherlockOptions, buildSherlockArgs } from "../src/services/externalTools";
+
+// Tests parsing of Sherlock's output lines
+describe("Sherlock Output Parser", () => {
+    it("should capture the site name and profile URL of found profiles", () => {
+        expect(parseSherlockLine("[+] GitHub: https://www.github.com/alice")).toEqual({
+            found: true,
+            service: "github",
+            site: "GitHub",
+            url: "https://www.github.com/alice"
+        });
+    });
+
+    it("should report checked sites without a profile as not found", () => {
+        const result = parseSherlockLine("[-] Reddit: Not Found!");
+        expect(result?.found).toBe(false);
+        expect(result?.url).toBe("");
+    });
+
+    it("should ignore lines that do not report a site", () => {
+        expect(parseSherlockLine("[*] Checking username alice on:")).toBeNull();
+        expect(parseSherlockLine("[*] Search completed with 3 results")).toBeNull();
+    });
+});
+
+// Tests validation of Sherlock options and the flags built from them
+describe("Sherlock Options", () => {
+    it("should build argument-array flags from valid options", () => {
+        const options = parseSherlockOptions({ sites: "Reddit, GitHub", timeout: 30, nsfw: true, proxy: "socks5://127.0.0.1:9050" });
+
+        expect(options).toEqual({ sites: ["GitHub", "Reddit"], timeout: 30, nsfw: true, proxy: "socks5://127.0.0.1:9050" });
+        expect(buildSherlockArgs("alice", options)).toEqual([
+            "--print-all", "--no-color",
+            "--site", "GitHub", "--site", "Reddit",
+            "--timeout", "30",
+            "--nsfw",
+            "--proxy", "socks5://127.0.0.1:9050",
+            "--", "alice"
+        ]);
+    });
+
+    it("should leave out unset options", () => {
+        expect(parseSherlockOptions({ sites: [], nsfw: false, proxy: "" })).toEqual({});
+        expect(buildSherlockArgs("alice")).toEqual(["--print-all", "--no-color", "--", "alice"]);
+
+        // Anything after "--" is a username, never a flag
+        expect(buildSherlockArgs("-h").slice(-2)).toEqual(["--", "-h"]);
+    });
+
+    it("should reject invalid options", () => {
+        expect(() => parseSherlockOptions({ sites: ["--output=/tmp/x"] })).toThrow(/Invalid site name/);
+        expect(() => parseSherlockOptions({ timeout: 0 })).toThrow(/timeout/);
+        expect(() => parseSherlockOptions({ timeout: "5; rm -rf /" })).toThrow(/timeout/);
+        expect(() => parseSherlockOptions({ nsfw: "yes" })).toThrow(/nsfw/);
+        expect(() => parseSherlockOptions({ proxy: "file:///etc/passwd" })).toThrow(/proxy/);
+    });
+});
@@ -0,0 +1,185 @@
+import request from "supertest";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { describe, it, expect } from "vitest";
+import app from "../src/server";
+import { saveCustomTransform, removeCustomTransform } from "../src/services/customTransform";
+
+const scriptPath = path.join(__dirname, "testScript.py");
+const jobsDir = path.join(__dirname, "../saves/results/jobs");
+
+/**
+ * Polls a job until it has finished.
+ */
+async function waitForJob(id: string): Promise<any> {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const res = await request(app).get(`/jobs/${id}`);
+        if (["completed", "failed", "cancelled"].includes(res.body.job.status)) {
+            return res.body.job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Job ${id} did not finish`);
+}
+
+// Tests running transforms as background jobs
+describe("Transform Jobs", () => {
+    it("should run a job, report its result and persist it", async () => {
+        const transform = await saveCustomTransform(fs.readFileSync(scriptPath), "testScript.py");
+
+        try {
+            const submitted = await request(app)
+                .post("/jobs")
+                .send({ transformId: `custom:${transform.id}`, input: "hi" });
+
+            expect(submitted.status).toBe(202);
+            expect(submitted.body.job.id).toMatch(/^[a-f0-9]{16}$/);
+            expect(["queued", "running"]).toContain(submitted.body.job.status);
+
+            const job = await waitForJob(submitted.body.job.id);
+            expect(job.status).toBe("completed");
+            expect(job.progress).toBe(100);
+            expect(job.result.nodes).toEqual(["h = 01101000", "i = 01101001"]);
+
+            // Finished jobs survive a restart
+            const saved = JSON.parse(fs.readFileSync(path.join(jobsDir, `${job.id}.json`), "utf8"));
+            expect(saved.result).toEqual(job.result);
+
+            // Listed without the result
+            const list = await request(app).get("/jobs?status=completed");
+            const listed = list.body.jobs.find(j => j.id === job.id);
+            expect(listed.transformId).toBe(`custom:${transform.id}`);
+            expect(listed.result).toBeUndefined();
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    });
+
+    it("should keep the streamed results for pollers and after the job was saved", async () => {
+        const server = net.createServer(socket => socket.end());
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        const openPort = (server.address() as net.AddressInfo).port;
+
+        try {
+            const submitted = await request(app)
+                .post("/jobs")
+                .send({ transformId: "port-scan", input: "127.0.0.1", params: { ports: `${openPort}`, timeout: 1000, concurrency: 1, banners: false }, refresh: true });
+            expect(submitted.status).toBe(202);
+
+            const job = await waitForJob(submitted.body.job.id);
+            expect(job.status).toBe("completed");
+            expect(job.events).toEqual([{ port: openPort, service: expect.any(String) }]);
+            expect(job.resultCount).toBe(1);
+
+            // Pollers only get the events they do not have yet
+            const polled = await request(app).get(`/jobs/${job.id}?since=1`);
+            expect(polled.body.job.events).toEqual([]);
+            expect(polled.body.job.result.ports).toHaveLength(1);
+
+            const list = await request(app).get("/jobs?status=completed");
+            expect(list.body.jobs.find(j => j.id === job.id).events).toBeUndefined();
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("should record failures on the job", async () => {
+        const transform = await saveCustomTransform(Buffer.from("import sys\nsys.exit(3)\n"), "failingTransform.py");
+
+        try {
+            const submitted = await request(app)
+                .post("/jobs")
+                .send({ transformId: `custom:${transform.id}`, input: "anything" });
+
+            expect(submitted.status).toBe(202);
+            const job = await waitForJob(submitted.body.job.id);
+            expect(job.status).toBe("failed");
+            expect(job.error).toBe("Custom transform exited with code 3");
+            expect(job.result).toBeNull();
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    });
+
+    it("should reject input and params the transform's endpoint would reject", async () => {
+        const badIp = await request(app).post("/jobs").send({ transformId: "ip-to-location", input: "not-an-ip" });
+        expect(badIp.status).toBe(400);
+        expect(badIp.body.error).toBe("Invalid IP address format");
+
+        const badDomain = await request(app).post("/jobs").send({ transformId: "whois", input: "example.com; id" });
+        expect(badDomain.status).toBe(400);
+
+        const badOptions = await request(app).post("/jobs").send({ transformId: "sherlock", input: "alice", params: { timeout: 9999 } });
+        expect(badOptions.status).toBe(400);
+        expect(badOptions.body.error).toContain("timeout");
+
+        const list = await request(app).get("/jobs");
+        expect(list.body.jobs.some(j => j.input === "not-an-ip" || j.input === "alice")).toBe(false);
+    });
+
+    it("should delete finished jobs and their saved results", async () => {
+        const transform = await saveCustomTransform(fs.readFileSync(scriptPath), "testScript.py");
+
+        try {
+            const submitted = await request(app)
+                .post("/jobs")
+                .send({ transformId: `custom:${transform.id}`, input: "ok" });
+            const job = await waitForJob(submitted.body.job.id);
+            expect(job.result.nodes).toHaveLength(2);
+
+            const deleted = await request(app).delete(`/jobs/${job.id}`);
+            expect(deleted.status).toBe(200);
+            expect(fs.existsSync(path.join(jobsDir, `${job.id}.json`))).toBe(false);
+            expect((await request(app).get(`/jobs/${job.id}`)).status).toBe(404);
+            expect((await request(app).delete(`/jobs/${job.id}`)).status).toBe(404);
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    });
+
+    it("should stop a running job when it is cancelled", async () => {
+        const source = "import time\ntime.sleep(30)\nprint('[]')\n";
+        const transform = await saveCustomTransform(Buffer.from(source), "slowTransform.py");
+
+        try {
+            const submitted = await request(app)
+                .post("/jobs")
+                .send({ transformId: `custom:${transform.id}`, input: "slow" });
+
+            // Wait until the script is running
+            let status = submitted.body.job.status;
+            while (status === "queued") {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                status = (await request(app).get(`/jobs/${submitted.body.job.id}`)).body.job.status;
+            }
+            expect(status).toBe("running");
+
+            const started = Date.now();
+            const cancelled = await request(app).post(`/jobs/${submitted.body.job.id}/cancel`);
+            expect(cancelled.status).toBe(200);
+
+            const job = await waitForJob(submitted.body.job.id);
+            expect(job.status).toBe("cancelled");
+            expect(job.result).toBeNull();
+            expect(Date.now() - started).toBeLessThan(5000);
+        } finally {
+            await removeCustomTransform(transform.id);
+        }
+    });
+
+    it("should reject unknown transforms and jobs", async () => {
+        const missingInput = await request(app).post("/jobs").send({ transformId: "whois" });
+        expect(missingInput.status).toBe(400);
+
+        // Runs only in the browser
+        const browserOnly = await request(app).post("/jobs").send({ transformId: "website-to-domain", input: "example.com" });
+        expect(browserOnly.status).toBe(404);
+
+        const unknownJob = await request(app).get("/jobs/0000000000000000");
+        expect(unknownJob.status).toBe(404);
+
+        const badStatus = await request(app).get("/jobs?status=sleeping");
+        expect(badStatus.status).toBe(400);
+    });
+});
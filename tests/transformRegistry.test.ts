@@ -0,0 +1,58 @@
+import request from "supertest";
+import { describe, it, expect } from "vitest";
+import app from "../src/server";
+import { registerTransform, listTransforms } from "../src/services/transformRegistry";
+
+// Tests the transform discovery endpoint backed by the transform registry
+describe("Transform Registry API", () => {
+    it("should list registered transforms with their categories", async () => {
+        const res = await request(app).get("/transforms");
+
+        expect(res.status).toBe(200);
+        expect(res.body.categories).toBeInstanceOf(Array);
+        expect(res.body.transforms).toBeInstanceOf(Array);
+
+        // Every transform should point at a known category
+        const categoryIds = res.body.categories.map(c => c.id);
+        for (const transform of res.body.transforms) {
+            expect(categoryIds).toContain(transform.category);
+            expect(transform.inputTypes.length).toBeGreaterThan(0);
+            expect(transform.estimatedDuration).toBeGreaterThan(0);
+        }
+    });
+
+    it("should only return transforms that accept the requested node type", async () => {
+        const res = await request(app).get("/transforms?type=ip");
+
+        expect(res.status).toBe(200);
+        const ids = res.body.transforms.map(t => t.id);
+        expect(ids).toContain("ip-to-location");
+        expect(ids).not.toContain("whois");
+    });
+
+    it("should serve every registered endpoint and read the label from its input field", async () => {
+        const transforms = listTransforms().filter(transform => transform.endpoint);
+        expect(transforms.map(t => t.endpoint)).toContain("/domain-to-sub");
+
+        for (const transform of transforms) {
+            expect(transform.inputField).toBeTruthy();
+
+            // Without the input field every endpoint refuses to run
+            const res = await request(app).post(transform.endpoint!).send({ input: "example.com" });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/required/i);
+        }
+    });
+
+    it("should reject a second transform on the same endpoint", () => {
+        expect(() => registerTransform({
+            id: "domain-to-sub-copy",
+            name: "Copy",
+            category: "domain",
+            inputTypes: ["domain"],
+            inputField: "domain",
+            endpoint: "/domain-to-sub",
+            estimatedDuration: 1000
+        })).toThrow(/already used/);
+    });
+});
@@ -0,0 +1,109 @@
+import request from "supertest";
+import express from "express";
+import { describe, it, expect } from "vitest";
+import { respondWithTransform } from "../src/services/transformStream";
+
+/**
+ * Parses a Server-Sent Events body into its events.
+ */
+function parseEvents(body: string): Array<{event: string, data: any}> {
+    return body
+        .split("\n\n")
+        .filter(frame => frame.includes("data:"))
+        .map(frame => {
+            const lines = frame.split("\n");
+            const event = lines.find(line => line.startsWith("event:"))?.slice(6).trim() ?? "message";
+            const data = lines.filter(line => line.startsWith("data:")).map(line => line.slice(5).trim()).join("\n");
+            return { event, data: JSON.parse(data) };
+        });
+}
+
+// Reads the raw event stream instead of letting supertest parse it
+function readText(response, callback) {
+    let text = "";
+    response.setEncoding("utf8");
+    response.on("data", chunk => { text += chunk; });
+    response.on("end", () => callback(null, text));
+}
+
+// Minimal transform endpoints: one finds three ports, one fails after a result
+const app = express();
+app.post("/scan", async (req, res) => {
+    await respondWithTransform(req, res, "Failed to scan", async listener => {
+        const ports: number[] = [];
+        for(const port of [22, 80, 443]){
+            await new Promise(resolve => setTimeout(resolve, 5));
+            ports.push(port);
+            listener?.onResult?.({ port });
+            listener?.onProgress?.((ports.length / 3) * 100.4, `Scanned ${ports.length}/3`);
+        }
+        return { ports };
+    });
+});
+app.post("/broken", async (req, res) => {
+    await respondWithTransform(req, res, "Failed to scan", async listener => {
+        listener?.onResult?.({ port: 22 });
+        listener?.onProgress?.(null, "Still working");
+        throw new Error("tool crashed");
+    });
+});
+
+// Resolves once the slow endpoint's run has been aborted
+let slowRunAborted: Promise<void>;
+app.post("/slow", async (req, res) => {
+    await respondWithTransform(req, res, "Failed to scan", async (_listener, signal) => {
+        slowRunAborted = new Promise(resolve => signal.addEventListener("abort", () => resolve()));
+        await slowRunAborted;
+        throw new Error("stopped");
+    });
+});
+
+// Tests streaming transform results and progress over Server-Sent Events
+describe("Transform Streaming", () => {
+    it("should stream results and progress, then finish with the JSON body", async () => {
+        const res = await request(app)
+            .post("/scan")
+            .set("Accept", "text/event-stream")
+            .buffer(true)
+            .parse(readText);
+
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toContain("text/event-stream");
+
+        const events = parseEvents(res.body);
+        expect(events.filter(e => e.event === "result").map(e => e.data)).toEqual([{ port: 22 }, { port: 80 }, { port: 443 }]);
+        expect(events.filter(e => e.event === "progress").map(e => e.data.percent)).toEqual([33, 67, 100]);
+        expect(events[events.length - 1]).toEqual({ event: "done", data: { ports: [22, 80, 443] } });
+    });
+
+    it("should end the stream with an error event when the run fails", async () => {
+        const res = await request(app)
+            .post("/broken")
+            .set("Accept", "text/event-stream")
+            .buffer(true)
+            .parse(readText);
+
+        const events = parseEvents(res.body);
+        expect(events.map(e => e.event)).toEqual(["result", "progress", "error"]);
+        expect(events[1].data).toEqual({ percent: null, message: "Still working" });
+        expect(events[2].data.error).toBeTruthy();
+    });
+
+    it("should abort the run when the client disconnects", async () => {
+        await expect(
+            request(app).post("/slow").set("Accept", "text/event-stream").timeout(200)
+        ).rejects.toThrow();
+
+        await expect(slowRunAborted).resolves.toBeUndefined();
+    });
+
+    it("should keep answering plain JSON requests", async () => {
+        const ok = await request(app).post("/scan");
+        expect(ok.status).toBe(200);
+        expect(ok.body).toEqual({ ports: [22, 80, 443] });
+
+        const broken = await request(app).post("/broken");
+        expect(broken.status).toBe(500);
+        expect(broken.body.error).toBeTruthy();
+    });
+});
@@ -0,0 +1,164 @@
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import app from "../src/server";
+import { purgeCache } from "../src/services/resultCache";
+import { parseWhoisOutput, parseRdapResponse, mergeWhoisRecords, needsRdap } from "../src/services/whoisRecord";
+import { executeWhois, executeIpAnalysis } from "../src/services/externalTools";
+import { TransformCancelledError } from "../src/services/transformStream";
+
+const whoisOutput = `   Domain Name: EXAMPLE.TEST
+   Registrar WHOIS Server: whois.registrar.test
+   Updated Date: 2024-08-14T07:01:34Z
+   Creation Date: 1995-08-14T04:00:00Z
+   Registry Expiry Date: 2025-08-13T04:00:00Z
+   Registrar: Example Registrar, Inc.
+   Domain Status: clientDeleteProhibited https://icann.org/epp#clientDeleteProhibited
+   Domain Status: clientTransferProhibited https://icann.org/epp#clientTransferProhibited
+   Registrant Organization: Example Holdings
+   Registrant Email: REDACTED FOR PRIVACY
+   Tech Email: hostmaster@example.test
+   Name Server: NS1.EXAMPLE.TEST
+   Name Server: ns2.example.test 192.0.2.2
+   DNSSEC: signedDelegation
+>>> Last update of whois database: 2024-09-01T00:00:00Z <<<
+Registrar: Not This One
+`;
+
+const rdapResponse = {
+    objectClassName: "domain",
+    ldhName: "example.test",
+    status: ["client transfer prohibited"],
+    events: [
+        { eventAction: "registration", eventDate: "1995-08-14T04:00:00Z" },
+        { eventAction: "expiration", eventDate: "2025-08-13T04:00:00Z" },
+        { eventAction: "last changed", eventDate: "2024-08-14T07:01:34Z" }
+    ],
+    secureDNS: { delegationSigned: false },
+    nameservers: [{ objectClassName: "nameserver", ldhName: "NS1.EXAMPLE.TEST" }],
+    entities: [
+        {
+            objectClassName: "entity",
+            roles: ["registrar"],
+            vcardArray: ["vcard", [["version", {}, "text", "4.0"], ["fn", {}, "text", "Example Registrar, Inc."]]],
+            entities: [{ objectClassName: "entity", roles: ["abuse"], vcardArray: ["vcard", [["email", {}, "text", "abuse@registrar.test"]]] }]
+        },
+        {
+            objectClassName: "entity",
+            roles: ["registrant", "administrative"],
+            vcardArray: ["vcard", [["fn", {}, "text", "Jane Doe"], ["org", {}, "text", "Example Holdings"], ["email", {}, "text", "owner@example.test"]]]
+        }
+    ]
+};
+
+// Tests structured whois records and the RDAP fallback
+describe("Whois", () => {
+    let rdapServer: http.Server;
+
+    beforeAll(async () => {
+        rdapServer = http.createServer((req, res) => {
+            if (req.url === "/domain/example.test") {
+                res.writeHead(200, { "Content-Type": "application/rdap+json" });
+                res.end(JSON.stringify(rdapResponse));
+            } else {
+                res.writeHead(404, { "Content-Type": "application/rdap+json" });
+                res.end(JSON.stringify({ errorCode: 404 }));
+            }
+        });
+        await new Promise<void>(resolve => rdapServer.listen(0, "127.0.0.1", () => resolve()));
+        process.env.RDAP_URL = `http://127.0.0.1:${(rdapServer.address() as net.AddressInfo).port}`;
+    });
+
+    afterAll(async () => {
+        delete process.env.RDAP_URL;
+        await new Promise(resolve => rdapServer.close(resolve));
+    });
+
+    afterEach(() => {
+        purgeCache();
+    });
+
+    it("should parse whois output and leave redacted values out", () => {
+        const record = parseWhoisOutput(whoisOutput);
+
+        expect(record.registrar).toBe("Example Registrar, Inc.");
+        expect(record.creationDate).toBe("1995-08-14T04:00:00Z");
+        expect(record.expiryDate).toBe("2025-08-13T04:00:00Z");
+        expect(record.updatedDate).toBe("2024-08-14T07:01:34Z");
+        expect(record.status).toEqual(["clientDeleteProhibited", "clientTransferProhibited"]);
+        expect(record.dnssec).toBe("signedDelegation");
+        expect(record.nameServers).toEqual(["ns1.example.test", "ns2.example.test"]);
+        expect(record.contacts).toEqual({
+            registrant: { organization: "Example Holdings" },
+            admin: {},
+            tech: { email: "hostmaster@example.test" }
+        });
+        expect(record.redacted).toBe(true);
+        expect(needsRdap(record)).toBe(true);
+    });
+
+    it("should parse RDAP answers and fill in what whois left out", () => {
+        const fromRdap = parseRdapResponse(rdapResponse);
+
+        expect(fromRdap.registrar).toBe("Example Registrar, Inc.");
+        expect(fromRdap.updatedDate).toBe("2024-08-14T07:01:34Z");
+        expect(fromRdap.dnssec).toBe("unsigned");
+        expect(fromRdap.nameServers).toEqual(["ns1.example.test"]);
+        expect(fromRdap.contacts.registrant).toEqual({ organization: "Example Holdings", name: "Jane Doe", email: "owner@example.test" });
+        expect(fromRdap.contacts.admin).toEqual(fromRdap.contacts.registrant);
+        expect(fromRdap.contacts.tech).toEqual({});
+
+        const merged = mergeWhoisRecords(parseWhoisOutput(whoisOutput), fromRdap);
+        expect(merged.dnssec).toBe("signedDelegation");
+        expect(merged.status).toEqual(["clientDeleteProhibited", "clientTransferProhibited"]);
+        expect(merged.contacts.registrant.email).toBe("owner@example.test");
+        expect(merged.contacts.tech).toEqual({ email: "hostmaster@example.test" });
+        expect(merged.redacted).toBe(false);
+    });
+
+    it("should answer from RDAP with the raw answer attached when whois has no record", async () => {
+        const res = await request(app).post("/whois").send({ domain: "example.test" });
+
+        expect(res.status).toBe(200);
+        expect(res.body.sources).toContain("rdap");
+        expect(res.body.registrar).toBe("Example Registrar, Inc.");
+        expect(res.body.creationDate).toBe("1995-08-14T04:00:00Z");
+        expect(res.body.contacts.registrant.email).toBe("owner@example.test");
+        expect(JSON.parse(res.body.rdap).ldhName).toBe("example.test");
+    }, 20000);
+
+    it("should reject anything that is not a host name before running whois", async () => {
+        const res = await request(app).post("/whois").send({ domain: "example.test; id" });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Invalid domain format");
+
+        await expect(executeWhois("-h attacker.test example.test")).rejects.toThrow("Invalid domain format");
+        await expect(executeIpAnalysis("192.0.2.1 && id")).rejects.toThrow("Invalid IP address format");
+    });
+
+    it("should kill whois when the run is cancelled", async () => {
+        // A whois that never answers on its own
+        const binDir = fs.mkdtempSync(path.join(os.tmpdir(), "insightsnexus-whois-"));
+        fs.writeFileSync(path.join(binDir, "whois"), "#!/bin/sh\nexec sleep 30\n", { mode: 0o755 });
+        const originalPath = process.env.PATH;
+        process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+        try {
+            for (const run of [(signal: AbortSignal) => executeWhois("example.test", signal), (signal: AbortSignal) => executeIpAnalysis("192.0.2.1", signal)]) {
+                const controller = new AbortController();
+                const started = Date.now();
+                setTimeout(() => controller.abort(), 200);
+
+                await expect(run(controller.signal)).rejects.toBeInstanceOf(TransformCancelledError);
+                expect(Date.now() - started).toBeLessThan(5000);
+            }
+        } finally {
+            process.env.PATH = originalPath;
+            fs.rmSync(binDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,111 @@
+import net from "net";
+import request from "supertest";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import app from "../src/server";
+import { purgeCache } from "../src/services/resultCache";
+import { executeZoneTransfer } from "../src/services/zoneTransfer";
+
+function encodeName(name: string): Buffer {
+    return Buffer.concat([
+        ...name.split(".").map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+        Buffer.from([0])
+    ]);
+}
+
+function encodeRecord(name: string, type: number, data: Buffer): Buffer {
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(type, 0);
+    fields.writeUInt16BE(1, 2);
+    fields.writeUInt32BE(3600, 4);
+    fields.writeUInt16BE(data.length, 8);
+    return Buffer.concat([encodeName(name), fields, data]);
+}
+
+function encodeResponse(id: number, responseCode: number, records: Buffer[]): Buffer {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(0x8400 | responseCode, 2);
+    header.writeUInt16BE(records.length, 6);
+    const message = Buffer.concat([header, ...records]);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(message.length, 0);
+    return Buffer.concat([length, message]);
+}
+
+const soaTimers = Buffer.alloc(20);
+[2024010101, 7200, 3600, 1209600, 300].forEach((value, index) => soaTimers.writeUInt32BE(value, index * 4));
+const soa = encodeRecord("example.test", 6, Buffer.concat([encodeName("ns1.example.test"), encodeName("hostmaster.example.test"), soaTimers]));
+
+// Name server that answers every AXFR query with the given response code and records
+function startNameServer(responseCode: number, messages: Buffer[][]): Promise<net.Server> {
+    const server = net.createServer(socket => {
+        socket.once("data", query => {
+            const id = query.readUInt16BE(2);
+            messages.forEach(records => socket.write(encodeResponse(id, responseCode, records)));
+            socket.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// Tests attempting zone transfers against local name servers
+describe("DNS zone transfer", () => {
+    let open: net.Server;
+    let refusing: net.Server;
+    const address = (server: net.Server) => `127.0.0.1:${(server.address() as net.AddressInfo).port}`;
+
+    beforeAll(async () => {
+        // The zone is split across two messages, as large transfers are
+        open = await startNameServer(0, [
+            [soa, encodeRecord("example.test", 1, Buffer.from([192, 0, 2, 1])), encodeRecord("example.test", 2, encodeName("ns1.example.test"))],
+            [encodeRecord("mail.example.test", 15, Buffer.concat([Buffer.from([0, 10]), encodeName("mx.example.test")])), soa]
+        ]);
+        refusing = await startNameServer(5, [[]]);
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => open.close(resolve));
+        await new Promise(resolve => refusing.close(resolve));
+    });
+
+    afterEach(() => {
+        purgeCache();
+    });
+
+    it("should reject invalid name servers and timeouts", async () => {
+        const nameserver = await request(app).post("/zone-transfer").send({ domain: "example.test", nameservers: ["ns1.example.test:99999"] });
+        expect(nameserver.status).toBe(400);
+        expect(nameserver.body.error).toBe('Invalid name server "ns1.example.test:99999"');
+
+        const timeout = await request(app).post("/zone-transfer").send({ domain: "example.test", timeout: 10 });
+        expect(timeout.status).toBe(400);
+        expect(timeout.body.error).toContain("timeout");
+    });
+
+    it("should report refusals and return the zone of a server that allows the transfer", async () => {
+        const streamed: string[] = [];
+        const result = await executeZoneTransfer("example.test", { nameservers: [address(refusing), address(open)], timeout: 2000 }, {
+            onResult: record => streamed.push(`${record.name} ${record.type}`)
+        });
+
+        expect(result.servers).toEqual([
+            { nameserver: address(refusing), address: "127.0.0.1", allowed: false, recordCount: 0, error: "REFUSED" },
+            { nameserver: address(open), address: "127.0.0.1", allowed: true, recordCount: 4 }
+        ]);
+        expect(streamed).toEqual(["example.test SOA", "example.test A", "example.test NS", "mail.example.test MX"]);
+        expect(result.records[0].data).toMatchObject({ nsname: "ns1.example.test", hostmaster: "hostmaster.example.test", serial: 2024010101 });
+        expect(result.records.slice(1).map(record => record.data)).toEqual(["192.0.2.1", "ns1.example.test", "mx.example.test"]);
+    });
+
+    it("should stream records through the endpoint", async () => {
+        const res = await request(app)
+            .post("/zone-transfer")
+            .set("Accept", "text/event-stream")
+            .send({ domain: "example.test", nameservers: address(open) });
+
+        expect(res.headers["content-type"]).toContain("text/event-stream");
+        expect(res.text).toContain('"name":"mail.example.test","type":"MX","ttl":3600,"data":"mx.example.test"');
+        expect(res.text).toContain("1 of 1 name servers allowed the transfer");
+        expect(res.text).toContain("event: done");
+    });
+});